@@ -0,0 +1,58 @@
+/**
+ * CloudEvent and Kafka Message Fixtures
+ */
+
+let sequence = 0;
+
+/**
+ * A valid CloudEvent with a unique id
+ * @param {Object} [overrides] - Attributes to set or replace
+ */
+function cloudEvent(overrides = {}) {
+  sequence++;
+  return {
+    specversion: '1.0',
+    id: `evt-${sequence}`,
+    type: 'com.example.order.created',
+    source: '/orders',
+    time: '2025-01-01T00:00:00.000Z',
+    datacontenttype: 'application/json',
+    data: { orderId: `order-${sequence}`, amount: 10 },
+    ...overrides,
+  };
+}
+
+/**
+ * Kafka headers as kafkajs delivers them: Buffer values
+ */
+function toHeaders(headers = {}) {
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, Buffer.from(String(value))])
+  );
+}
+
+/**
+ * Structured-mode Kafka message holding an event (or any JSON value)
+ * @param {Object} event - Message value
+ * @param {Object} [options] - `{ offset, key, headers, timestamp }`
+ */
+function structuredMessage(event, { offset = 0, key = null, headers = {}, timestamp } = {}) {
+  return {
+    offset: String(offset),
+    key: key === null ? null : Buffer.from(key),
+    value: Buffer.from(JSON.stringify(event)),
+    timestamp: String(timestamp ?? Date.parse('2025-01-01T00:00:01.000Z')),
+    headers: toHeaders({ 'content-type': 'application/cloudevents+json', ...headers }),
+  };
+}
+
+/**
+ * Structured-mode messages for events at consecutive offsets
+ * @param {Array<Object>} events - Events, one per message
+ * @param {number} [firstOffset] - Offset of the first message
+ */
+function structuredMessages(events, firstOffset = 0) {
+  return events.map((event, index) => structuredMessage(event, { offset: firstOffset + index }));
+}
+
+module.exports = { cloudEvent, toHeaders, structuredMessage, structuredMessages };
@@ -0,0 +1,106 @@
+/**
+ * Kafka Client Fakes
+ *
+ * Stand-ins for the kafkajs consumer, producer and admin clients, and a way to run a batch
+ * through `processBatch` the way kafkajs' `eachBatch` would.
+ */
+
+/**
+ * kafkajs consumer with pause/resume/seek recorded as jest mocks
+ */
+function createFakeConsumer() {
+  return {
+    events: { REBALANCING: 'consumer.rebalancing', GROUP_JOIN: 'consumer.group_join' },
+    on: jest.fn(),
+    pause: jest.fn(),
+    resume: jest.fn(),
+    seek: jest.fn(),
+    connect: jest.fn(async () => {}),
+    disconnect: jest.fn(async () => {}),
+    subscribe: jest.fn(async () => {}),
+    run: jest.fn(async () => {}),
+  };
+}
+
+/**
+ * kafkajs producer keeping every sent message in `sent` as `{ topic, ...message }`
+ */
+function createFakeProducer() {
+  const producer = {
+    sent: [],
+    connect: jest.fn(async () => {}),
+    disconnect: jest.fn(async () => {}),
+    send: jest.fn(async ({ topic, messages }) => {
+      producer.sent.push(...messages.map((message) => ({ topic, ...message })));
+    }),
+  };
+  return producer;
+}
+
+/**
+ * kafkajs admin client over fixed topic offsets
+ * @param {Object} [topics] - `{ [topic]: [{ partition, low, high }] }`
+ */
+function createFakeAdmin(topics = {}) {
+  return {
+    connect: jest.fn(async () => {}),
+    disconnect: jest.fn(async () => {}),
+    listTopics: jest.fn(async () => Object.keys(topics)),
+    fetchTopicOffsets: jest.fn(async (topic) =>
+      (topics[topic] || []).map(({ partition, low, high }) => ({
+        partition,
+        low: String(low),
+        high: String(high),
+        offset: String(high),
+      }))
+    ),
+    fetchTopicOffsetsByTimestamp: jest.fn(async () => []),
+    fetchOffsets: jest.fn(async () => []),
+  };
+}
+
+/**
+ * A fresh consumer instance wired to fake Kafka clients
+ * @param {Object} consumerModule - The exported consumer singleton
+ */
+function createConsumer(consumerModule) {
+  const consumer = new consumerModule.constructor();
+  consumer.consumer = createFakeConsumer();
+  consumer.dlqProducer = createFakeProducer();
+  consumer.admin = createFakeAdmin();
+  return consumer;
+}
+
+/**
+ * Run messages through `processBatch` as one fetched batch
+ * @param {Object} consumer - Consumer instance
+ * @param {Array<Object>} messages - Kafka messages
+ * @param {Object} [options] - `{ topic, partition, isRunning, isStale, commitResolved }`
+ * @returns {Promise<Object>} `{ resolved, heartbeat }`: offsets passed to resolveOffset, and
+ *   the heartbeat mock
+ */
+async function runBatch(consumer, messages, options = {}) {
+  const { topic = 'events-v1-test', partition = 0 } = options;
+  const resolved = [];
+  const heartbeat = options.heartbeat || jest.fn(async () => {});
+  const last = messages.length > 0 ? Number(messages[messages.length - 1].offset) : 0;
+
+  await consumer.processBatch(
+    { topic, partition, messages, highWatermark: String(options.highWatermark ?? last + 1) },
+    (offset) => resolved.push(offset),
+    heartbeat,
+    options.isRunning || (() => true),
+    options.isStale,
+    options.commitResolved
+  );
+
+  return { resolved, heartbeat };
+}
+
+module.exports = {
+  createFakeConsumer,
+  createFakeProducer,
+  createFakeAdmin,
+  createConsumer,
+  runBatch,
+};
@@ -0,0 +1,721 @@
+/**
+ * In-memory MongoDB Client
+ *
+ * Implements the part of the driver API the service uses, closely enough that writes,
+ * offsets, rollups and projections can be tested against stored state rather than against
+ * the calls made:
+ * - filters with equality on (dotted) paths, `$in`, `$nin`, `$ne`, `$eq`, `$gt`, `$gte`,
+ *   `$lt`, `$lte`, `$exists`, `$and` and `$or`
+ * - updates with `$set`, `$setOnInsert`, `$inc` and `$unset`, and pipeline updates with
+ *   `$set` and `$replaceWith` stages over the expressions projections use
+ * - `find` with `sort`, `skip` and `limit` options and projections on (dotted) paths
+ * - unordered and ordered `bulkWrite`/`insertMany` reporting duplicate keys as
+ *   `MongoBulkWriteError` write errors
+ * - sessions whose `withTransaction` rolls every collection back when the callback throws
+ *
+ * Failures are injected with `jest.spyOn` on a collection returned by `client.db().collection()`,
+ * which always returns the same object for the same namespace.
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Marker for fields removed by `$$REMOVE`
+ */
+const REMOVE = Symbol('REMOVE');
+
+/**
+ * Deep copy of a stored value
+ *
+ * `structuredClone` would create Dates of Node's realm, which fail `instanceof Date` and
+ * equality checks inside jest's sandbox.
+ */
+function clone(value) {
+  if (value instanceof Date) {
+    return new Date(value.getTime());
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return Buffer.from(value);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(clone);
+  }
+
+  if (value instanceof Map) {
+    return new Map([...value].map(([key, val]) => [key, clone(val)]));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, clone(val)]));
+  }
+
+  return value;
+}
+
+/**
+ * Value at a dotted path
+ */
+function getPath(document, path) {
+  return path
+    .split('.')
+    .reduce(
+      (value, key) => (value === null || value === undefined ? undefined : value[key]),
+      document
+    );
+}
+
+/**
+ * Set (or with REMOVE, delete) the value at a dotted path, creating parents as needed
+ */
+function setPath(document, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let parent = document;
+
+  for (const key of keys) {
+    if (parent[key] === null || typeof parent[key] !== 'object') {
+      parent[key] = {};
+    }
+    parent = parent[key];
+  }
+
+  if (value === REMOVE) {
+    delete parent[last];
+  } else {
+    parent[last] = value;
+  }
+}
+
+/**
+ * Sort rank of a BSON type: missing and null first, dates last
+ */
+function typeRank(value) {
+  if (value === undefined || value === null) return 0;
+  if (typeof value === 'number') return 1;
+  if (typeof value === 'string') return 2;
+  if (value instanceof Date) return 6;
+  if (Array.isArray(value)) return 4;
+  if (typeof value === 'boolean') return 5;
+  return 3;
+}
+
+/**
+ * Compare two values the way MongoDB orders them
+ */
+function compare(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+
+  if (rankA !== rankB) return rankA - rankB;
+  if (rankA === 0) return 0;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (rankA === 1 || rankA === 2 || rankA === 5) return a < b ? -1 : a > b ? 1 : 0;
+  return isDeepStrictEqual(a, b) ? 0 : JSON.stringify(a) < JSON.stringify(b) ? -1 : 1;
+}
+
+/**
+ * Whether a stored value equals a query value; array fields match any element
+ */
+function valueEquals(value, expected) {
+  if (Array.isArray(value) && !Array.isArray(expected)) {
+    return value.some((element) => valueEquals(element, expected));
+  }
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  return compare(value, expected) === 0 && typeRank(value) === typeRank(expected);
+}
+
+const QUERY_OPERATORS = {
+  $eq: (value, operand) => valueEquals(value, operand),
+  $ne: (value, operand) => !valueEquals(value, operand),
+  $in: (value, operand) => operand.some((candidate) => valueEquals(value, candidate)),
+  $nin: (value, operand) => !operand.some((candidate) => valueEquals(value, candidate)),
+  $gt: (value, operand) =>
+    value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) > 0,
+  $gte: (value, operand) =>
+    value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) >= 0,
+  $lt: (value, operand) =>
+    value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) < 0,
+  $lte: (value, operand) =>
+    value !== undefined && typeRank(value) === typeRank(operand) && compare(value, operand) <= 0,
+  $exists: (value, operand) => (value !== undefined) === Boolean(operand),
+};
+
+/**
+ * Whether a document matches a query filter
+ */
+function matches(document, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every((part) => matches(document, part));
+    if (key === '$or') return condition.some((part) => matches(document, part));
+
+    const value = getPath(document, key);
+    const isOperatorObject =
+      condition !== null &&
+      typeof condition === 'object' &&
+      !(condition instanceof Date) &&
+      !Array.isArray(condition) &&
+      Object.keys(condition).length > 0 &&
+      Object.keys(condition).every((name) => name.startsWith('$'));
+
+    if (!isOperatorObject) {
+      return valueEquals(value, condition);
+    }
+
+    return Object.entries(condition).every(([operator, operand]) => {
+      if (!QUERY_OPERATORS[operator]) {
+        throw new Error(`Fake MongoDB does not support query operator ${operator}`);
+      }
+      return QUERY_OPERATORS[operator](value, operand);
+    });
+  });
+}
+
+/**
+ * Aggregation truthiness: null, missing, false and 0 are false
+ */
+function truthy(value) {
+  return !(value === undefined || value === null || value === false || value === 0);
+}
+
+const EXPRESSION_OPERATORS = {
+  $cond: ([condition, then, otherwise], evaluate) =>
+    truthy(evaluate(condition)) ? evaluate(then) : evaluate(otherwise),
+  $eq: ([a, b], evaluate) => compare(evaluate(a), evaluate(b)) === 0,
+  $ne: ([a, b], evaluate) => compare(evaluate(a), evaluate(b)) !== 0,
+  $lt: ([a, b], evaluate) => compare(evaluate(a), evaluate(b)) < 0,
+  $lte: ([a, b], evaluate) => compare(evaluate(a), evaluate(b)) <= 0,
+  $gt: ([a, b], evaluate) => compare(evaluate(a), evaluate(b)) > 0,
+  $gte: ([a, b], evaluate) => compare(evaluate(a), evaluate(b)) >= 0,
+  $and: (operands, evaluate) => operands.every((operand) => truthy(evaluate(operand))),
+  $or: (operands, evaluate) => operands.some((operand) => truthy(evaluate(operand))),
+  $add: (operands, evaluate) => operands.reduce((sum, operand) => sum + evaluate(operand), 0),
+  $ifNull: ([value, replacement], evaluate) => evaluate(value) ?? evaluate(replacement),
+  $concatArrays: (operands, evaluate) => operands.flatMap((operand) => evaluate(operand)),
+  $mergeObjects: (operands, evaluate) =>
+    Object.assign({}, ...operands.map((operand) => evaluate(operand) || {})),
+};
+
+/**
+ * Evaluate an aggregation expression against a document
+ */
+function evaluate(expression, document, now) {
+  const recurse = (inner) => evaluate(inner, document, now);
+
+  if (typeof expression === 'string') {
+    if (expression === '$$ROOT') return document;
+    if (expression === '$$NOW') return now;
+    if (expression === '$$REMOVE') return REMOVE;
+    if (expression.startsWith('$')) return getPath(document, expression.slice(1));
+    return expression;
+  }
+
+  if (Array.isArray(expression)) {
+    return expression.map(recurse);
+  }
+
+  if (expression === null || typeof expression !== 'object' || expression instanceof Date) {
+    return expression;
+  }
+
+  const keys = Object.keys(expression);
+  if (keys.length === 1 && keys[0].startsWith('$')) {
+    const [operator] = keys;
+    if (operator === '$literal') return expression.$literal;
+    if (!EXPRESSION_OPERATORS[operator]) {
+      throw new Error(`Fake MongoDB does not support expression operator ${operator}`);
+    }
+    const operands = expression[operator];
+    return EXPRESSION_OPERATORS[operator](
+      Array.isArray(operands) ? operands : [operands.if, operands.then, operands.else],
+      recurse
+    );
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(expression)) {
+    const evaluated = recurse(value);
+    if (evaluated !== REMOVE) {
+      result[key] = evaluated;
+    }
+  }
+  return result;
+}
+
+/**
+ * Apply an update document or pipeline to a document
+ * @returns {Object} Updated document
+ */
+function applyUpdate(document, update, inserting) {
+  if (Array.isArray(update)) {
+    const now = new Date();
+    return update.reduce((current, stage) => {
+      if (stage.$set) {
+        const next = clone(current);
+        for (const [field, expression] of Object.entries(stage.$set)) {
+          setPath(next, field, evaluate(expression, current, now));
+        }
+        return next;
+      }
+      if (stage.$replaceWith) {
+        return evaluate(stage.$replaceWith, current, now);
+      }
+      throw new Error(`Fake MongoDB does not support pipeline stage ${Object.keys(stage)[0]}`);
+    }, document);
+  }
+
+  const next = clone(document);
+
+  for (const [operator, fields] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(fields)) {
+      switch (operator) {
+        case '$set':
+          setPath(next, field, value);
+          break;
+        case '$setOnInsert':
+          if (inserting) setPath(next, field, value);
+          break;
+        case '$inc':
+          setPath(next, field, (getPath(next, field) || 0) + value);
+          break;
+        case '$unset':
+          setPath(next, field, REMOVE);
+          break;
+        default:
+          throw new Error(`Fake MongoDB does not support update operator ${operator}`);
+      }
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Duplicate key error as thrown by a single-document write
+ */
+function duplicateKeyError(id) {
+  return Object.assign(new Error(`E11000 duplicate key error dup key: { _id: "${id}" }`), {
+    name: 'MongoServerError',
+    code: DUPLICATE_KEY_ERROR,
+  });
+}
+
+/**
+ * Error thrown by a bulk write with document errors
+ */
+function bulkWriteError(writeErrors, result) {
+  return Object.assign(new Error(writeErrors[0].errmsg), {
+    name: 'MongoBulkWriteError',
+    code: writeErrors[0].code,
+    writeErrors: writeErrors.length === 1 ? writeErrors[0] : writeErrors,
+    result,
+  });
+}
+
+/**
+ * Document fields kept by a find projection
+ */
+function project(document, projection) {
+  if (!projection || Object.keys(projection).length === 0) {
+    return document;
+  }
+
+  const included = Object.entries(projection).filter(([key, value]) => value && key !== '_id');
+  if (included.length === 0) {
+    const result = { ...document };
+    Object.entries(projection)
+      .filter(([, value]) => !value)
+      .forEach(([key]) => delete result[key]);
+    return result;
+  }
+
+  const result = projection._id === 0 ? {} : { _id: document._id };
+  included.forEach(([key]) => {
+    const value = getPath(document, key);
+    if (value !== undefined) setPath(result, key, value);
+  });
+  return result;
+}
+
+/**
+ * Cursor over a snapshot of matching documents
+ */
+class FakeCursor {
+  constructor(documents) {
+    this.documents = documents;
+  }
+
+  sort(spec) {
+    const fields = Object.entries(spec);
+    this.documents.sort((a, b) => {
+      for (const [field, direction] of fields) {
+        const order = compare(getPath(a, field), getPath(b, field)) * direction;
+        if (order !== 0) return order;
+      }
+      return 0;
+    });
+    return this;
+  }
+
+  skip(count) {
+    this.documents = this.documents.slice(count);
+    return this;
+  }
+
+  limit(count) {
+    if (count > 0) {
+      this.documents = this.documents.slice(0, count);
+    }
+    return this;
+  }
+
+  async toArray() {
+    return this.documents;
+  }
+}
+
+/**
+ * In-memory collection
+ */
+class FakeCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.documents = new Map();
+    this.indexList = [{ name: '_id_', key: { _id: 1 } }];
+    this.info = null;
+  }
+
+  /**
+   * Stored documents, in insertion order
+   */
+  all() {
+    return [...this.documents.values()].map((document) => clone(document));
+  }
+
+  exists() {
+    return this.info !== null || this.documents.size > 0;
+  }
+
+  insert(document) {
+    const stored = clone(document);
+    if (stored._id === undefined) {
+      stored._id = `${this.collectionName}-${this.documents.size + 1}`;
+    }
+    if (this.documents.has(stored._id)) {
+      throw duplicateKeyError(stored._id);
+    }
+    this.documents.set(stored._id, stored);
+    return stored._id;
+  }
+
+  update(filter, update, { upsert = false } = {}) {
+    const existing = [...this.documents.values()].find((document) => matches(document, filter));
+
+    if (existing) {
+      const next = applyUpdate(existing, update, false);
+      next._id = existing._id;
+      this.documents.set(existing._id, next);
+      return { matchedCount: 1, modifiedCount: isDeepStrictEqual(existing, next) ? 0 : 1 };
+    }
+
+    if (!upsert) {
+      return { matchedCount: 0, modifiedCount: 0 };
+    }
+
+    // Upserts start from the equality conditions of the filter
+    const seed = {};
+    for (const [key, value] of Object.entries(filter)) {
+      if (
+        !key.startsWith('$') &&
+        (value === null || typeof value !== 'object' || value instanceof Date)
+      ) {
+        setPath(seed, key, value);
+      }
+    }
+
+    const id = this.insert(applyUpdate(seed, update, true));
+    return { matchedCount: 0, modifiedCount: 0, upsertedId: id };
+  }
+
+  async insertOne(document) {
+    return { acknowledged: true, insertedId: this.insert(document) };
+  }
+
+  async insertMany(documents, { ordered = true } = {}) {
+    const writeErrors = [];
+    const insertedIds = {};
+
+    for (const [index, document] of documents.entries()) {
+      try {
+        insertedIds[index] = this.insert(document);
+      } catch (error) {
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (ordered) break;
+      }
+    }
+
+    if (writeErrors.length > 0) {
+      throw bulkWriteError(writeErrors, { insertedIds, upsertedIds: {} });
+    }
+
+    return { acknowledged: true, insertedCount: documents.length, insertedIds };
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const { matchedCount, modifiedCount, upsertedId } = this.update(filter, update, options);
+    return {
+      acknowledged: true,
+      matchedCount,
+      modifiedCount,
+      upsertedCount: upsertedId === undefined ? 0 : 1,
+      upsertedId: upsertedId ?? null,
+    };
+  }
+
+  async bulkWrite(operations, { ordered = true } = {}) {
+    const writeErrors = [];
+    const upsertedIds = {};
+    const counts = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+    for (const [index, operation] of operations.entries()) {
+      try {
+        if (operation.insertOne) {
+          this.insert(operation.insertOne.document);
+          counts.insertedCount++;
+        } else if (operation.updateOne) {
+          const { filter, update, upsert } = operation.updateOne;
+          const result = this.update(filter, update, { upsert });
+          counts.matchedCount += result.matchedCount;
+          counts.modifiedCount += result.modifiedCount;
+          if (result.upsertedId !== undefined) {
+            upsertedIds[index] = result.upsertedId;
+            counts.upsertedCount++;
+          }
+        } else {
+          throw new Error(`Fake MongoDB does not support ${Object.keys(operation)[0]}`);
+        }
+      } catch (error) {
+        if (error.code === undefined) throw error;
+        writeErrors.push({ index, code: error.code, errmsg: error.message });
+        if (ordered) break;
+      }
+    }
+
+    const result = { ...counts, upsertedIds };
+    if (writeErrors.length > 0) {
+      throw bulkWriteError(writeErrors, result);
+    }
+    return result;
+  }
+
+  find(filter = {}, { projection, sort, skip, limit } = {}) {
+    const cursor = new FakeCursor(this.all().filter((document) => matches(document, filter)));
+
+    // Options apply before the projection, as in MongoDB
+    if (sort) cursor.sort(sort);
+    if (skip) cursor.skip(skip);
+    if (limit) cursor.limit(limit);
+    cursor.documents = cursor.documents.map((document) => project(document, projection));
+
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    const [document] = await this.find(filter, options).toArray();
+    return document || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.all().filter((document) => matches(document, filter)).length;
+  }
+
+  async createIndex(key, options = {}) {
+    const name =
+      options.name ||
+      Object.entries(key)
+        .map(([field, direction]) => `${field}_${direction}`)
+        .join('_');
+
+    if (!this.indexList.some((index) => index.name === name)) {
+      this.indexList.push({ name, key, ...options });
+    }
+    return name;
+  }
+
+  async indexes() {
+    return this.indexList.map((index) => ({ ...index }));
+  }
+
+  async dropIndex(name) {
+    this.indexList = this.indexList.filter((index) => index.name !== name);
+  }
+}
+
+/**
+ * In-memory database
+ */
+class FakeDb {
+  constructor(name) {
+    this.databaseName = name;
+    this.collections = new Map();
+    this.commands = [];
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new FakeCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  listCollections(filter = {}) {
+    const infos = [...this.collections.values()]
+      .filter((collection) => collection.exists())
+      .map((collection) => ({
+        name: collection.collectionName,
+        type: 'collection',
+        options: {},
+        ...collection.info,
+      }))
+      .filter((info) => matches(info, filter));
+
+    return { toArray: async () => infos };
+  }
+
+  async createCollection(name, options = {}) {
+    const collection = this.collection(name);
+    collection.info = { type: options.timeseries ? 'timeseries' : 'collection', options };
+    return collection;
+  }
+
+  async command(command) {
+    this.commands.push(command);
+
+    if (command.collMod) {
+      const collection = this.collection(command.collMod);
+      const options = (collection.info || { options: {} }).options;
+
+      if (command.index) {
+        const index = collection.indexList.find((item) => item.name === command.index.name);
+        Object.assign(index, command.index);
+      }
+      if (command.timeseries) {
+        Object.assign(options.timeseries, command.timeseries);
+      }
+      if (command.expireAfterSeconds === 'off') {
+        delete options.expireAfterSeconds;
+      } else if (command.expireAfterSeconds !== undefined) {
+        options.expireAfterSeconds = command.expireAfterSeconds;
+      }
+    }
+
+    return { ok: 1 };
+  }
+}
+
+/**
+ * In-memory client
+ */
+class FakeMongoClient {
+  constructor() {
+    this.databases = new Map();
+    this.sessions = [];
+  }
+
+  db(name) {
+    if (!this.databases.has(name)) {
+      this.databases.set(name, new FakeDb(name));
+    }
+    return this.databases.get(name);
+  }
+
+  /**
+   * Collection in a database, for assertions
+   */
+  collection(database, name) {
+    return this.db(database).collection(name);
+  }
+
+  startSession() {
+    const session = {
+      ended: false,
+      transactions: 0,
+      withTransaction: async (fn) => {
+        session.transactions++;
+        const snapshot = this.snapshot();
+        try {
+          await fn(session);
+        } catch (error) {
+          this.restore(snapshot);
+          throw error;
+        }
+      },
+      endSession: async () => {
+        session.ended = true;
+      },
+    };
+    this.sessions.push(session);
+    return session;
+  }
+
+  snapshot() {
+    return [...this.databases.values()].flatMap((db) =>
+      [...db.collections.values()].map((collection) => ({
+        collection,
+        documents: clone(collection.documents),
+      }))
+    );
+  }
+
+  restore(snapshot) {
+    const restored = new Set();
+    for (const { collection, documents } of snapshot) {
+      collection.documents = documents;
+      restored.add(collection);
+    }
+
+    // Collections first written in the transaction
+    for (const db of this.databases.values()) {
+      for (const collection of db.collections.values()) {
+        if (!restored.has(collection)) {
+          collection.documents = new Map();
+        }
+      }
+    }
+  }
+
+  async connect() {}
+
+  async close() {}
+}
+
+/**
+ * Connect the MongoDB writer to an in-memory client, with a closed breaker and zeroed
+ * metrics
+ *
+ * The test file must mock `MongoClient` first:
+ *   jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+ * @param {Object} writer - The MongoDB writer singleton
+ * @param {Function} MongoClient - The mocked MongoClient constructor
+ * @param {FakeMongoClient} [client] - Client holding existing collections; a new one if omitted
+ * @returns {Promise<FakeMongoClient>} The connected client
+ */
+async function connectWriter(writer, MongoClient, client = new FakeMongoClient()) {
+  MongoClient.mockImplementation(() => client);
+
+  await writer.close();
+  writer.forceCircuitState('CLOSED');
+  Object.keys(writer.metrics).forEach((name) => {
+    writer.metrics[name] = 0;
+  });
+  await writer.initialize();
+
+  return client;
+}
+
+module.exports = { FakeMongoClient, DUPLICATE_KEY_ERROR, bulkWriteError, connectWriter };
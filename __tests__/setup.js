@@ -0,0 +1,12 @@
+/**
+ * Jest Setup
+ *
+ * Loads the test environment before any module reads its configuration. Tests that need
+ * other settings change the loaded `config` object and restore it afterwards.
+ */
+
+const path = require('path');
+
+require('dotenv').config({ path: path.join(__dirname, '..', '.env.test') });
+
+process.env.LOG_LEVEL = 'silent';
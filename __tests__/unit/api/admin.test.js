@@ -0,0 +1,202 @@
+/**
+ * Admin control plane
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const express = require('express');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const logger = require('../../../src/logging/logger');
+const adminApi = require('../../../src/api/admin');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createFakeAdmin, createFakeConsumer } = require('../../helpers/fakeKafka');
+
+describe('Admin API', () => {
+  const topic = 'events-v1-test';
+  const token = 'admin-secret';
+  let server;
+  let baseUrl;
+
+  /**
+   * Send a request to the API, authenticated unless `auth` is given
+   */
+  const request = async (method, path, body, auth = `Bearer ${token}`) => {
+    const response = await fetch(`${baseUrl}/admin${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...(auth && { authorization: auth }) },
+      body: body && JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  beforeAll(async () => {
+    config.admin.token = token;
+    const app = express().use(express.json()).use('/admin', adminApi);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    await connectWriter(mongoWriter, MongoClient);
+  });
+
+  beforeEach(() => {
+    kafkaConsumer.consumer = createFakeConsumer();
+    kafkaConsumer.admin = createFakeAdmin({
+      [topic]: [
+        { partition: 0, low: 5, high: 50 },
+        { partition: 1, low: 0, high: 70 },
+      ],
+    });
+    kafkaConsumer.isRunning = true;
+    kafkaConsumer.assignment = { [topic]: [0, 1] };
+  });
+
+  afterEach(() => {
+    kafkaConsumer.isRunning = false;
+    kafkaConsumer.assignment = {};
+    kafkaConsumer.operatorPausedPartitions.clear();
+    kafkaConsumer.pausedPartitions.clear();
+    mongoWriter.forceCircuitState('CLOSED');
+    logger.setLevel('silent');
+  });
+
+  afterAll(async () => {
+    config.admin.token = null;
+    await new Promise((resolve) => server.close(resolve));
+    await mongoWriter.close();
+  });
+
+  it.each(['', 'Bearer wrong', `Basic ${token}`])(
+    'rejects the authorization header %j',
+    async (auth) => {
+      const { status, body } = await request('GET', '/consumer/assignments', undefined, auth);
+
+      expect(status).toBe(401);
+      expect(body).toEqual({ error: 'Unauthorized' });
+    }
+  );
+
+  it('shows the assigned partitions with their pause state', async () => {
+    kafkaConsumer.pauseByOperator(topic, [1]);
+
+    const { status, body } = await request('GET', '/consumer/assignments');
+
+    expect(status).toBe(200);
+    expect(body.instanceId).toBe(config.kafka.instanceId);
+    expect(body.partitions.map(({ partition, pausedBy }) => [partition, pausedBy])).toEqual([
+      [0, null],
+      [1, 'operator'],
+    ]);
+  });
+
+  it('pauses and resumes assigned partitions', async () => {
+    const paused = await request('POST', '/consumer/pause', { topic, partitions: [1, 7] });
+
+    expect(paused.body).toMatchObject({ topic, paused: [1], notAssigned: [7] });
+    expect(kafkaConsumer.consumer.pause).toHaveBeenCalledWith([{ topic, partitions: [1] }]);
+
+    const resumed = await request('POST', '/consumer/resume', { topic });
+
+    expect(resumed.body).toMatchObject({ resumed: [1], stillHeld: [], notPaused: [0] });
+    expect(kafkaConsumer.consumer.resume).toHaveBeenCalledWith([{ topic, partitions: [1] }]);
+  });
+
+  it('keeps a partition the circuit breaker holds paused on resume', async () => {
+    await request('POST', '/consumer/pause', { topic, partitions: [0] });
+    kafkaConsumer.pausedPartitions.set(`${topic}:0`, { topic, partition: 0 });
+
+    const { body } = await request('POST', '/consumer/resume', { topic, partitions: [0] });
+
+    expect(body).toMatchObject({ resumed: [], stillHeld: [0] });
+    expect(kafkaConsumer.consumer.resume).not.toHaveBeenCalled();
+  });
+
+  it('responds 409 when no requested partition is assigned here', async () => {
+    const { status, body } = await request('POST', '/consumer/pause', { topic, partitions: [9] });
+
+    expect(status).toBe(409);
+    expect(body.error).toBe(`No requested partitions of ${topic} are assigned to this instance`);
+  });
+
+  it('seeks partitions to an offset, the earliest offset or a timestamp', async () => {
+    await request('POST', '/consumer/seek', { topic, partitions: [0], offset: 12 });
+    await request('POST', '/consumer/seek', { topic, offset: 'earliest' });
+    kafkaConsumer.admin.fetchTopicOffsetsByTimestamp.mockResolvedValue([
+      { partition: 0, offset: '30' },
+      { partition: 1, offset: '-1' },
+    ]);
+    const { body } = await request('POST', '/consumer/seek', {
+      topic,
+      timestamp: '2025-01-01T00:00:00Z',
+    });
+
+    expect(kafkaConsumer.admin.fetchTopicOffsetsByTimestamp).toHaveBeenCalledWith(
+      topic,
+      Date.parse('2025-01-01T00:00:00Z')
+    );
+    expect(body.sought).toEqual([
+      { partition: 0, offset: '30' },
+      { partition: 1, offset: '70' },
+    ]);
+    expect(kafkaConsumer.consumer.seek.mock.calls.map(([target]) => target)).toEqual([
+      { topic, partition: 0, offset: '12' },
+      { topic, partition: 0, offset: '5' },
+      { topic, partition: 1, offset: '0' },
+      { topic, partition: 0, offset: '30' },
+      { topic, partition: 1, offset: '70' },
+    ]);
+  });
+
+  it.each([
+    ['/consumer/pause', {}, 'topic is required'],
+    [
+      '/consumer/pause',
+      { topic, partitions: [-1] },
+      'partitions must be an array of partition numbers',
+    ],
+    ['/consumer/seek', { topic }, 'Exactly one of offset or timestamp is required'],
+    [
+      '/consumer/seek',
+      { topic, offset: 1, timestamp: 1 },
+      'Exactly one of offset or timestamp is required',
+    ],
+    [
+      '/consumer/seek',
+      { topic, offset: 'next' },
+      'offset must be a non-negative integer, earliest or latest',
+    ],
+    [
+      '/consumer/seek',
+      { topic, timestamp: 'soon' },
+      'timestamp must be an RFC 3339 string or epoch milliseconds',
+    ],
+    ['/circuit-breaker', { state: 'AJAR' }, 'state must be OPEN, HALF_OPEN or CLOSED'],
+  ])('rejects POST %s %j', async (path, body, error) => {
+    expect(await request('POST', path, body)).toEqual({ status: 400, body: { error } });
+  });
+
+  it('responds 503 to consumer operations while the consumer is stopped', async () => {
+    kafkaConsumer.isRunning = false;
+
+    expect((await request('POST', '/consumer/pause', { topic })).status).toBe(503);
+  });
+
+  it('forces the circuit breaker state', async () => {
+    const { body } = await request('POST', '/circuit-breaker', { state: 'OPEN' });
+
+    expect(body).toEqual({ circuitState: 'OPEN', circuitHeldOpen: true });
+    expect(mongoWriter.canExecute()).toBe(false);
+  });
+
+  it('reads and changes the log level', async () => {
+    expect((await request('GET', '/log-level')).body).toEqual({ level: 'silent' });
+
+    const changed = await request('PUT', '/log-level', { level: 'error' });
+
+    expect(changed.body).toEqual({ level: 'error', previous: 'silent' });
+    expect(logger.getLevel()).toBe('error');
+    expect((await request('PUT', '/log-level', { level: 'loud' })).status).toBe(400);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Event query API
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const express = require('express');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const eventsApi = require('../../../src/api/events');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('Events API', () => {
+  let server;
+  let baseUrl;
+  let collection;
+
+  /**
+   * GET a path of the API, returning `{ status, body }`
+   */
+  const get = async (path) => {
+    const response = await fetch(`${baseUrl}${path}`);
+    return { status: response.status, body: await response.json() };
+  };
+
+  const at = (minute, overrides = {}) =>
+    cloudEvent({ time: `2025-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`, ...overrides });
+
+  beforeAll(async () => {
+    const app = express().use('/events', eventsApi);
+    server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  beforeEach(async () => {
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await mongoWriter.close();
+  });
+
+  describe('GET /events/:id', () => {
+    it('returns a stored event without storage fields', async () => {
+      const event = cloudEvent();
+      await mongoWriter.writeBatch([event]);
+
+      const { status, body } = await get(`/events/${event.id}`);
+
+      expect(status).toBe(200);
+      expect(body).toEqual({ route: 'default', event });
+    });
+
+    it('projects the requested fields', async () => {
+      const event = cloudEvent();
+      await mongoWriter.writeBatch([event]);
+
+      const { body } = await get(`/events/${event.id}?fields=type,data.amount`);
+
+      expect(body.event).toEqual({
+        id: event.id,
+        time: event.time,
+        type: event.type,
+        data: { amount: 10 },
+      });
+    });
+
+    it('responds 404 for unknown ids', async () => {
+      expect(await get('/events/missing')).toEqual({
+        status: 404,
+        body: { error: 'Event missing not found' },
+      });
+    });
+  });
+
+  describe('GET /events', () => {
+    it('lists events newest first, filtered by type, source, subject and time', async () => {
+      await mongoWriter.writeBatch([
+        at(1),
+        at(2, { type: 'com.example.order.deleted' }),
+        at(3, { subject: 'o-1' }),
+        at(4, { source: '/billing' }),
+        at(5),
+        at(9),
+      ]);
+
+      const { status, body } = await get(
+        '/events?type=com.example.order.created&source=/orders,/other' +
+          '&since=2025-01-01T00:01:00Z&until=2025-01-01T00:09:00Z'
+      );
+
+      expect(status).toBe(200);
+      expect(body.events.map((event) => event.time)).toEqual([
+        '2025-01-01T00:05:00.000Z',
+        '2025-01-01T00:03:00.000Z',
+        '2025-01-01T00:01:00.000Z',
+      ]);
+      expect(body.nextCursor).toBeNull();
+
+      const bySubject = await get('/events?subject=o-1');
+      expect(bySubject.body.events.map((event) => event.subject)).toEqual(['o-1']);
+    });
+
+    it('pages through events with a cursor, including events at the same time', async () => {
+      const events = [at(1), at(2), at(2), at(2), at(3)];
+      await mongoWriter.writeBatch(events);
+      const seen = [];
+      let cursor = '';
+
+      do {
+        const { body } = await get(`/events?limit=2${cursor && `&cursor=${cursor}`}`);
+        seen.push(...body.events.map((event) => event.id));
+        cursor = body.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(events.length);
+      expect(new Set(seen)).toEqual(new Set(events.map((event) => event.id)));
+      expect(seen[0]).toBe(events[4].id);
+      expect(seen[4]).toBe(events[0].id);
+    });
+
+    it('hides producer-supplied record metadata unless exposed', async () => {
+      await mongoWriter.writeBatch([
+        { ...cloudEvent(), _meta: { topic: 't', key: 'k', headers: { a: '1' } } },
+      ]);
+
+      const { body } = await get('/events');
+
+      expect(body.events[0]._meta).toEqual({ topic: 't' });
+    });
+
+    it.each([
+      ['type[$ne]=x', 'type must be a list of values'],
+      ['limit=0', 'limit must be an integer from 1 to 500'],
+      ['since=soon', 'since must be an RFC 3339 timestamp'],
+      ['since=2025-01-02T00:00:00Z&until=2025-01-01T00:00:00Z', 'since must be before until'],
+      ['cursor=abc', 'Invalid cursor'],
+      ['fields=data.$where', 'Invalid field path: data.$where'],
+      ['route=nowhere', 'Unknown route: nowhere'],
+    ])('rejects %s', async (query, error) => {
+      expect(await get(`/events?${query}`)).toEqual({ status: 400, body: { error } });
+    });
+
+    it('responds 504 when a query runs out of time', async () => {
+      jest
+        .spyOn(collection, 'find')
+        .mockImplementation(() => ({ toArray: () => Promise.reject({ code: 50 }) }));
+
+      expect((await get('/events')).status).toBe(504);
+    });
+
+    it('responds 503 while MongoDB is disconnected', async () => {
+      await mongoWriter.close();
+
+      expect(await get('/events')).toEqual({
+        status: 503,
+        body: { error: 'MongoDB is not connected' },
+      });
+    });
+  });
+
+  describe('GET /events/stats', () => {
+    it('counts events per type in time buckets over a bounded range', async () => {
+      collection.aggregate = jest.fn(() => ({
+        toArray: async () => [
+          { _id: { bucket: new Date('2025-01-01T00:00:00Z'), type: 'a' }, count: 3 },
+          { _id: { bucket: new Date('2025-01-01T00:00:00Z'), type: 'b' }, count: 1 },
+          { _id: { bucket: new Date('2025-01-01T00:15:00Z'), type: 'a' }, count: 2 },
+        ],
+      }));
+
+      const { status, body } = await get(
+        '/events/stats?type=a,b&since=2025-01-01T00:00:00Z&until=2025-01-01T01:00:00Z&interval=15m'
+      );
+
+      expect(status).toBe(200);
+      expect(body).toEqual({
+        route: 'default',
+        since: '2025-01-01T00:00:00.000Z',
+        until: '2025-01-01T01:00:00.000Z',
+        interval: '15m',
+        buckets: [
+          { time: '2025-01-01T00:00:00.000Z', total: 4, types: { a: 3, b: 1 } },
+          { time: '2025-01-01T00:15:00.000Z', total: 2, types: { a: 2 } },
+        ],
+      });
+      const [pipeline, options] = collection.aggregate.mock.calls[0];
+      expect(pipeline[0]).toEqual({
+        $match: {
+          type: { $in: ['a', 'b'] },
+          time: { $gte: '2025-01-01T00:00:00.000Z', $lt: '2025-01-01T01:00:00.000Z' },
+        },
+      });
+      expect(pipeline[1].$group._id.bucket.$dateTrunc).toMatchObject({
+        unit: 'minute',
+        binSize: 15,
+      });
+      expect(options).toEqual({ maxTimeMS: config.api.maxTimeMs });
+    });
+
+    it.each([
+      ['interval=1w', 'interval must be a duration in minutes, hours or days (e.g. 1h)'],
+      ['since=2025-01-01T00:00:00Z&until=2025-03-01T00:00:00Z', 'Time range must not exceed 31d'],
+      [
+        'interval=1m&since=2025-01-01T00:00:00Z&until=2025-01-02T00:00:00Z',
+        'Time range must not span more than 1000 intervals',
+      ],
+    ])('rejects %s', async (query, error) => {
+      expect(await get(`/events/stats?${query}`)).toEqual({ status: 400, body: { error } });
+    });
+  });
+});
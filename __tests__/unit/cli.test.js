@@ -0,0 +1,111 @@
+/**
+ * Event consumer CLI
+ */
+
+const { DLQReplayer } = require('../../src/dlq/replay');
+const { main, parseReplayArgs } = require('../../src/cli');
+
+describe('CLI', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseReplayArgs', () => {
+    it('parses filters, switches and numeric options', () => {
+      expect(
+        parseReplayArgs([
+          '--reason',
+          'timeout',
+          '--type',
+          'order.created',
+          '--source',
+          '/orders',
+          '--since',
+          '2025-01-01T00:00:00Z',
+          '--target',
+          'mongodb',
+          '--dry-run',
+          '--commit',
+          '--rate',
+          '20',
+          '--idle-timeout',
+          '500',
+          '--group',
+          'replayers',
+        ])
+      ).toEqual({
+        reason: 'timeout',
+        type: 'order.created',
+        source: '/orders',
+        since: new Date('2025-01-01T00:00:00Z'),
+        target: 'mongodb',
+        dryRun: true,
+        commit: true,
+        rate: 20,
+        idleTimeoutMs: 500,
+        groupId: 'replayers',
+      });
+    });
+
+    it.each([
+      [['--colour', 'red'], 'Unknown option: --colour'],
+      [['--type'], 'Missing value for --type'],
+      [['--until', 'yesterday'], 'Invalid --until time'],
+      [['--rate', '0'], 'Invalid numeric value for rate'],
+    ])('rejects %j', (args, message) => {
+      expect(() => parseReplayArgs(args)).toThrow(message);
+    });
+  });
+
+  describe('main', () => {
+    it('prints the usage for --help and unknown commands', async () => {
+      expect(await main(['dlq', 'replay', '--help'])).toBe(0);
+      expect(await main(['dlq', 'purge'])).toBe(1);
+      expect(console.log).toHaveBeenCalledWith(expect.stringMatching(/^Usage:/));
+    });
+
+    it('runs the replay and exits non-zero when messages failed', async () => {
+      const run = jest
+        .spyOn(DLQReplayer.prototype, 'run')
+        .mockResolvedValueOnce({
+          scanned: 2,
+          matched: 1,
+          replayed: 1,
+          skipped: 0,
+          failed: 0,
+          byReason: { timeout: 1 },
+          byType: { 'order.created': 1 },
+        })
+        .mockResolvedValueOnce({
+          scanned: 1,
+          matched: 1,
+          replayed: 0,
+          skipped: 0,
+          failed: 1,
+          byReason: {},
+          byType: {},
+        });
+
+      expect(await main(['dlq', 'replay', '--reason', 'timeout'])).toBe(0);
+      expect(await main(['dlq', 'replay'])).toBe(1);
+      expect(run).toHaveBeenCalledTimes(2);
+      expect(console.log).toHaveBeenCalledWith('    1\ttimeout');
+    });
+
+    it('reports invalid arguments without running a replay', async () => {
+      const run = jest.spyOn(DLQReplayer.prototype, 'run');
+
+      expect(await main(['dlq', 'replay', '--rate', 'fast'])).toBe(1);
+      expect(run).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(
+        '[DLQ Replay] Failed:',
+        'Invalid numeric value for rate'
+      );
+    });
+  });
+});
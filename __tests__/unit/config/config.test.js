@@ -0,0 +1,76 @@
+/**
+ * Topic configuration
+ *
+ * Topics are parsed when the module loads, so each case loads a fresh copy with its own
+ * environment.
+ */
+
+describe('Topic configuration', () => {
+  const original = { ...process.env };
+
+  /**
+   * Load the configuration with environment overrides
+   */
+  const load = (env) => {
+    Object.assign(process.env, env);
+    let config;
+    jest.isolateModules(() => {
+      config = require('../../../src/config');
+    });
+    return config;
+  };
+
+  afterEach(() => {
+    process.env = { ...original };
+  });
+
+  it('parses a list of topic names and /regex/ patterns', () => {
+    const config = load({ KAFKA_EVENTS_TOPIC: ' events-v1 , /^\\w+-events-v1$/,, audit-v1' });
+
+    expect(config.kafka.topics).toEqual(['events-v1', /^\w+-events-v1$/, 'audit-v1']);
+    expect(config.kafka.topic).toBe('events-v1');
+    expect(config.kafka.retryTopics.tiers.map((tier) => tier.topic)).toEqual([
+      'events-v1-retry-1m',
+      'events-v1-retry-10m',
+    ]);
+  });
+
+  it('parses per-topic overrides', () => {
+    const config = load({
+      KAFKA_TOPIC_DLQ_TOPICS: 'billing-events-v1=billing-dlq, audit-v1 = audit-dlq',
+      KAFKA_TOPIC_COLLECTIONS: 'billing-events-v1=billing_events,broken=',
+      KAFKA_TOPIC_VALIDATION_MODES: 'audit-v1=reject',
+    });
+
+    expect(config.kafka.topicOverrides).toEqual({
+      dlqTopics: { 'billing-events-v1': 'billing-dlq', 'audit-v1': 'audit-dlq' },
+      collections: { 'billing-events-v1': 'billing_events' },
+      validationModes: { 'audit-v1': 'reject' },
+    });
+  });
+
+  it('names retry topics after the prefix when only patterns are consumed', () => {
+    const config = load({
+      KAFKA_EVENTS_TOPIC: '/-events-v1$/',
+      KAFKA_RETRY_TOPICS_ENABLED: 'true',
+      KAFKA_RETRY_TOPIC_PREFIX: 'events',
+    });
+
+    expect(config.kafka.topic).toBeNull();
+    expect(config.kafka.retryTopics.tiers[0].topic).toBe('events-retry-1m');
+  });
+
+  it.each([
+    [{ KAFKA_EVENTS_TOPIC: ' , ' }, 'KAFKA_EVENTS_TOPIC must list at least one topic or /pattern/'],
+    [
+      { KAFKA_EVENTS_TOPIC: '/-events-v1$/', KAFKA_RETRY_TOPICS_ENABLED: 'true' },
+      'KAFKA_RETRY_TOPIC_PREFIX must be set when KAFKA_EVENTS_TOPIC only has patterns',
+    ],
+    [
+      { KAFKA_TOPIC_VALIDATION_MODES: 'audit-v1=strict' },
+      'Schema validation modes must be one of: reject, annotate, warn',
+    ],
+  ])('rejects %j', (env, message) => {
+    expect(() => load(env)).toThrow(message);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Adaptive backpressure from MongoDB write latency
+ */
+
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const backpressure = require('../../../src/consumer/backpressure');
+
+describe('AdaptiveBackpressure', () => {
+  const defaults = { ...config.backpressure };
+  const { size } = config.batch;
+  const { partitionsConcurrency, keyLanes } = config.kafka.consumer;
+  let controller;
+  let adjustments;
+
+  /**
+   * Feed writes of a duration, optionally failed, as the MongoDB writer reports them
+   */
+  const writes = (count, durationMs, outcome = 'success') => {
+    for (let write = 0; write < count; write++) {
+      mongoWriter.emit('write', { operation: 'batch', durationMs, outcome });
+    }
+  };
+
+  const limits = () => [controller.batchSize, controller.concurrency];
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    Object.assign(config.backpressure, {
+      enabled: true,
+      targetLatencyMs: 100,
+      pauseLatencyMs: 1000,
+      targetErrorRate: 0.1,
+      windowMs: 10000,
+      intervalMs: 1000,
+      minBatchSize: 10,
+      batchIncrease: 20,
+      decreaseFactor: 0.5,
+    });
+    config.batch.size = 100;
+    config.kafka.consumer.partitionsConcurrency = 2;
+    config.kafka.consumer.keyLanes = 4;
+    controller = new backpressure.constructor();
+    adjustments = [];
+    controller.on('adjust', ({ direction }) => adjustments.push(direction));
+    controller.start();
+  });
+
+  afterEach(() => {
+    controller.stop();
+    Object.assign(config.backpressure, defaults);
+    config.batch.size = size;
+    Object.assign(config.kafka.consumer, { partitionsConcurrency, keyLanes });
+    jest.useRealTimers();
+  });
+
+  it('starts at the configured batch size and every lane of every partition', () => {
+    expect(controller.getState()).toMatchObject({
+      enabled: true,
+      status: 'normal',
+      batchSize: 100,
+      maxBatchSize: 100,
+      concurrency: 8,
+      maxConcurrency: 8,
+    });
+  });
+
+  it('halves the limits while p95 latency is above the target', () => {
+    writes(19, 20);
+    writes(1, 200);
+    jest.advanceTimersByTime(1000);
+
+    expect(limits()).toEqual([100, 8]);
+
+    writes(2, 200);
+    jest.advanceTimersByTime(1000);
+
+    expect(limits()).toEqual([50, 4]);
+    expect(adjustments).toEqual(['decrease']);
+    expect(controller.getState()).toMatchObject({ status: 'throttled', latencyP95Ms: 200 });
+  });
+
+  it('halves the limits while the error rate is above the target', () => {
+    writes(8, 10);
+    writes(2, 10, 'failure');
+    jest.advanceTimersByTime(1000);
+
+    expect(limits()).toEqual([50, 4]);
+    expect(controller.getState().errorRate).toBe(0.2);
+  });
+
+  it('never goes below the minimum limits', () => {
+    for (let interval = 0; interval < 6; interval++) {
+      writes(5, 500);
+      jest.advanceTimersByTime(1000);
+    }
+
+    expect(limits()).toEqual([10, 1]);
+  });
+
+  it('pauses for one interval above the pause latency, then probes at the minimums', () => {
+    writes(5, 2000);
+    jest.advanceTimersByTime(1000);
+
+    expect(controller.isPaused()).toBe(true);
+    expect(controller.getState().status).toBe('paused');
+    expect(limits()).toEqual([10, 1]);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(controller.isPaused()).toBe(false);
+    expect(controller.getState().samples).toBe(0);
+    expect(adjustments).toEqual(['pause', 'resume']);
+  });
+
+  it('grows the limits back additively while writes are fast', () => {
+    writes(5, 2000);
+    jest.advanceTimersByTime(2000);
+
+    const grown = [];
+    for (let interval = 0; interval < 5; interval++) {
+      writes(5, 10);
+      jest.advanceTimersByTime(1000);
+      grown.push(limits());
+    }
+
+    expect(grown).toEqual([
+      [30, 2],
+      [50, 3],
+      [70, 4],
+      [90, 5],
+      [100, 6],
+    ]);
+  });
+
+  it('waits for enough writes in the window before adjusting', () => {
+    writes(4, 2000);
+    jest.advanceTimersByTime(1000);
+
+    expect(adjustments).toEqual([]);
+
+    jest.advanceTimersByTime(10000);
+    writes(1, 2000);
+    jest.advanceTimersByTime(1000);
+
+    expect(adjustments).toEqual([]);
+  });
+
+  it('holds writes over the concurrency limit until one finishes', async () => {
+    controller.concurrency = 1;
+    const finish = [];
+    const started = [];
+    const write = (name) =>
+      controller.run(
+        () =>
+          new Promise((resolve) => {
+            started.push(name);
+            finish.push(resolve);
+          })
+      );
+
+    const first = write('first');
+    const second = write('second');
+    await Promise.resolve();
+
+    expect(started).toEqual(['first']);
+    expect(controller.getState()).toMatchObject({ inFlight: 1, waiting: 1 });
+
+    finish[0]();
+    await first;
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(started).toEqual(['first', 'second']);
+    finish[1]();
+    await second;
+  });
+
+  it('uses the configured batch size and no limits while disabled', async () => {
+    controller.stop();
+    config.backpressure.enabled = false;
+    controller.batchSize = 10;
+
+    expect(controller.getBatchSize()).toBe(100);
+    expect(controller.isPaused()).toBe(false);
+    expect(await controller.run(async () => 'written')).toBe('written');
+
+    controller.start();
+    writes(5, 2000);
+    jest.advanceTimersByTime(1000);
+
+    expect(adjustments).toEqual([]);
+  });
+});
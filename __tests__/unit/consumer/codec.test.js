@@ -0,0 +1,163 @@
+/**
+ * CloudEvents Kafka codec
+ */
+
+const {
+  ContentMode,
+  detectMode,
+  decodeMessage,
+  encodeStructured,
+} = require('../../../src/consumer/codec');
+const wireFormatDecoder = require('../../../src/consumer/wireFormat');
+const { cloudEvent, structuredMessage, toHeaders } = require('../../helpers/events');
+
+describe('CloudEvents codec', () => {
+  /**
+   * Binary-mode message: attributes in `ce_*` headers, data in the value
+   */
+  const binaryMessage = (value, contentType, headers = {}) => ({
+    offset: '7',
+    key: Buffer.from('order-1'),
+    value: value === null ? null : Buffer.from(value),
+    timestamp: '1735689601000',
+    headers: toHeaders({
+      ce_specversion: '1.0',
+      ce_id: 'evt-binary',
+      ce_type: 'com.example.order.created',
+      ce_source: '/orders',
+      ce_time: '2025-01-01T00:00:00.000Z',
+      ...(contentType && { 'content-type': contentType }),
+      ...headers,
+    }),
+  });
+
+  const batchMessage = (events) => ({
+    offset: '42',
+    key: Buffer.from('k'),
+    value: Buffer.from(JSON.stringify(events)),
+    timestamp: '1735689601000',
+    headers: toHeaders({
+      'content-type': 'application/cloudevents-batch+json; charset=utf-8',
+      traceparent: 'tp',
+    }),
+  });
+
+  describe('detectMode', () => {
+    it('detects the content mode from the content type and ce_ headers', () => {
+      expect(detectMode(structuredMessage(cloudEvent()))).toBe(ContentMode.STRUCTURED);
+      expect(detectMode(batchMessage([]))).toBe(ContentMode.BATCH);
+      expect(detectMode(binaryMessage('{}', 'application/json'))).toBe(ContentMode.BINARY);
+      expect(detectMode({ value: Buffer.from('{}'), headers: {} })).toBe(ContentMode.STRUCTURED);
+    });
+
+    it('treats a structured content type as structured despite ce_ headers', () => {
+      expect(detectMode(binaryMessage('{}', 'application/cloudevents+json; charset=utf-8'))).toBe(
+        ContentMode.STRUCTURED
+      );
+    });
+  });
+
+  describe('decodeMessage', () => {
+    it('decodes a structured event and keeps the message as its record', async () => {
+      const event = cloudEvent();
+      const message = structuredMessage(event);
+
+      expect(await decodeMessage(message)).toEqual([
+        { event, record: message, mode: ContentMode.STRUCTURED },
+      ]);
+    });
+
+    it('builds a binary-mode event from its headers and JSON data', async () => {
+      const message = binaryMessage('{"orderId":"o-1"}', 'application/json');
+
+      const [{ event, record, mode }] = await decodeMessage(message);
+
+      expect(mode).toBe(ContentMode.BINARY);
+      expect(record).toBe(message);
+      expect(event).toEqual({
+        specversion: '1.0',
+        id: 'evt-binary',
+        type: 'com.example.order.created',
+        source: '/orders',
+        time: '2025-01-01T00:00:00.000Z',
+        datacontenttype: 'application/json',
+        data: { orderId: 'o-1' },
+      });
+    });
+
+    it('keeps text data as a string and other binary data as base64', async () => {
+      const [text] = await decodeMessage(binaryMessage('<order/>', 'application/xml'));
+      const [bytes] = await decodeMessage(binaryMessage('\x00\x01', 'application/octet-stream'));
+      const [empty] = await decodeMessage(binaryMessage(null));
+
+      expect(text.event.data).toBe('<order/>');
+      expect(bytes.event).not.toHaveProperty('data');
+      expect(bytes.event.data_base64).toBe('AAE=');
+      expect(empty.event).not.toHaveProperty('data');
+      expect(empty.event).not.toHaveProperty('datacontenttype');
+    });
+
+    it('only tries the wire format for Avro or Protobuf content types', async () => {
+      const decode = jest.spyOn(wireFormatDecoder, 'decode');
+      const zeroLed = '\x00\x00\x00\x00\x01payload';
+
+      const [bytes] = await decodeMessage(binaryMessage(zeroLed, 'application/octet-stream'));
+      const [text] = await decodeMessage(binaryMessage(zeroLed, 'text/plain'));
+
+      expect(decode).not.toHaveBeenCalled();
+      expect(bytes.event.data_base64).toBe(Buffer.from(zeroLed).toString('base64'));
+      expect(text.event.data).toBe(zeroLed);
+      await expect(decodeMessage(binaryMessage(zeroLed, 'application/json'))).rejects.toThrow(
+        SyntaxError
+      );
+      decode.mockRestore();
+    });
+
+    it('fans a batch out into events whose records keep the offset lineage', async () => {
+      const events = [cloudEvent(), cloudEvent()];
+
+      const items = await decodeMessage(batchMessage(events));
+
+      expect(items.map(({ event, mode, batchIndex }) => ({ event, mode, batchIndex }))).toEqual([
+        { event: events[0], mode: ContentMode.BATCH, batchIndex: 0 },
+        { event: events[1], mode: ContentMode.BATCH, batchIndex: 1 },
+      ]);
+      const { record } = items[1];
+      expect(record.offset).toBe('42');
+      expect(record.key.toString()).toBe('k');
+      expect(JSON.parse(record.value.toString())).toEqual(events[1]);
+      expect(record.headers).toMatchObject({
+        'content-type': 'application/cloudevents+json',
+        'x-batch-index': '1',
+        traceparent: Buffer.from('tp'),
+      });
+    });
+
+    it('rejects batches that are not arrays and values that are not JSON', async () => {
+      await expect(decodeMessage(batchMessage({ id: 1 }))).rejects.toThrow(
+        'CloudEvents batch must be a JSON array'
+      );
+      await expect(decodeMessage({ value: Buffer.from('{'), headers: {} })).rejects.toThrow(
+        SyntaxError
+      );
+    });
+  });
+
+  describe('encodeStructured', () => {
+    it('replaces binary-mode attributes with a structured value', () => {
+      const message = binaryMessage('{}', 'application/json', { 'x-trace': 'abc' });
+      const event = cloudEvent();
+
+      const record = encodeStructured(message, event, { 'x-retry-attempt': '1' });
+
+      expect(JSON.parse(record.value.toString())).toEqual(event);
+      expect(Object.keys(record.headers).sort()).toEqual([
+        'content-type',
+        'x-retry-attempt',
+        'x-trace',
+      ]);
+      expect(record.headers['content-type']).toBe('application/cloudevents+json');
+      expect(record).toMatchObject({ key: message.key, offset: '7', timestamp: '1735689601000' });
+    });
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Pausing fetching and shrinking chunks under adaptive backpressure
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const backpressure = require('../../../src/consumer/backpressure');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer backpressure', () => {
+  const topic = 'events-v1-test';
+  let consumer;
+
+  beforeEach(async () => {
+    config.backpressure.enabled = true;
+    await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+    consumer.assignment = { [topic]: [0, 1] };
+  });
+
+  afterEach(() => {
+    config.backpressure.enabled = false;
+    backpressure.reset();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('writes chunks of the effective batch size', async () => {
+    backpressure.batchSize = 4;
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatchWithRetry');
+
+    await runBatch(consumer, structuredMessages(Array.from({ length: 10 }, () => cloudEvent())));
+
+    expect(writeBatch.mock.calls.map(([events]) => events.length)).toEqual([4, 4, 2]);
+  });
+
+  it('pauses every assigned partition and reports degraded health', async () => {
+    consumer.isRunning = true;
+
+    consumer.setBackpressurePaused(true);
+
+    expect(consumer.consumer.pause).toHaveBeenCalledWith([{ topic, partitions: [0, 1] }]);
+    expect(consumer.getAssignments().partitions[0].pausedBy).toBe('backpressure');
+    const health = await consumer.healthCheck();
+    expect(health).toMatchObject({
+      status: 'degraded',
+      reason: 'Fetching paused by adaptive backpressure while MongoDB is slow',
+      backpressure: expect.objectContaining({ enabled: true }),
+    });
+  });
+
+  it('stops taking messages from a batch fetched before the pause', async () => {
+    consumer.setBackpressurePaused(true);
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatchWithRetry');
+
+    const { resolved } = await runBatch(consumer, structuredMessages([cloudEvent()]));
+
+    expect(writeBatch).not.toHaveBeenCalled();
+    expect(resolved).toEqual([]);
+  });
+
+  it('resumes only partitions nothing else holds paused', () => {
+    consumer.pauseByOperator(topic, [1]);
+    consumer.setBackpressurePaused(true);
+
+    consumer.setBackpressurePaused(false);
+
+    expect(consumer.consumer.resume).toHaveBeenLastCalledWith([{ topic, partitions: [0] }]);
+    expect(consumer.getMetrics().backpressure).toMatchObject({ status: 'normal' });
+  });
+});
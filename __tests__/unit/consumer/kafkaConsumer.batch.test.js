@@ -0,0 +1,161 @@
+/**
+ * Batched writes in KafkaEventConsumer.processBatch
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer batched writes', () => {
+  const { database, collection: events } = config.mongodb;
+  let client;
+  let consumer;
+
+  const storedIds = () =>
+    client
+      .collection(database, events)
+      .all()
+      .map((document) => document._id);
+
+  beforeEach(async () => {
+    client = await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('writes a batch with one bulk write per chunk and resolves every offset', async () => {
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatchWithRetry');
+    const batch = Array.from({ length: 25 }, () => cloudEvent());
+
+    const { resolved, heartbeat } = await runBatch(consumer, structuredMessages(batch, 100));
+
+    expect(writeBatch).toHaveBeenCalledTimes(3);
+    expect(writeBatch.mock.calls.map(([written]) => written.length)).toEqual([10, 10, 5]);
+    expect(storedIds()).toEqual(batch.map((event) => event.id));
+    expect(resolved[resolved.length - 1]).toBe('124');
+    expect(heartbeat).toHaveBeenCalledTimes(3);
+    expect(consumer.metrics).toMatchObject({
+      messagesReceived: 25,
+      messagesProcessed: 25,
+      messagesFailed: 0,
+      batchesProcessed: 1,
+    });
+  });
+
+  it('counts redelivered events as duplicates without dead-lettering them', async () => {
+    const batch = [cloudEvent(), cloudEvent()];
+    const outcomes = [];
+    consumer.on('message', ({ outcome }) => outcomes.push(outcome));
+
+    await runBatch(consumer, structuredMessages(batch));
+    await runBatch(consumer, structuredMessages(batch));
+
+    expect(outcomes).toEqual(['inserted', 'inserted', 'duplicate', 'duplicate']);
+    expect(storedIds()).toHaveLength(2);
+    expect(consumer.dlqProducer.sent).toHaveLength(0);
+  });
+
+  it('dead-letters only the documents MongoDB rejected', async () => {
+    const batch = [cloudEvent(), cloudEvent(), cloudEvent()];
+    const collection = client.collection(database, events);
+    const bulkWrite = collection.bulkWrite.bind(collection);
+    jest.spyOn(collection, 'bulkWrite').mockImplementation(async (operations, options) => {
+      // Reject the second document, as a validator or size limit would
+      await bulkWrite([operations[0], operations[2]], options);
+      throw bulkWriteError([{ index: 1, code: 121, errmsg: 'Document failed validation' }], {
+        upsertedIds: { 0: batch[0].id, 2: batch[2].id },
+      });
+    });
+
+    const { resolved } = await runBatch(consumer, structuredMessages(batch));
+
+    expect(consumer.dlqProducer.sent).toHaveLength(1);
+    const [dead] = consumer.dlqProducer.sent;
+    expect(dead.topic).toBe(config.kafka.dlqTopic);
+    expect(JSON.parse(dead.value.toString()).id).toBe(batch[1].id);
+    expect(dead.headers['x-error-reason']).toBe('Document failed validation');
+    expect(consumer.metrics.messagesProcessed).toBe(2);
+    expect(consumer.metrics.messagesFailed).toBe(1);
+    expect(resolved[resolved.length - 1]).toBe('2');
+  });
+
+  it('dead-letters the whole chunk when the bulk write fails after its retries', async () => {
+    const retry = { ...config.retry };
+    config.retry.initialDelay = 1;
+    config.retry.maxDelay = 1;
+    const collection = client.collection(database, events);
+    jest.spyOn(collection, 'bulkWrite').mockRejectedValue(new Error('connection reset'));
+
+    try {
+      const batch = [cloudEvent(), cloudEvent()];
+      const { resolved } = await runBatch(consumer, structuredMessages(batch));
+
+      expect(collection.bulkWrite).toHaveBeenCalledTimes(config.retry.maxAttempts);
+      expect(consumer.dlqProducer.sent.map((message) => message.headers['x-error-reason'])).toEqual(
+        ['connection reset', 'connection reset']
+      );
+      expect(consumer.metrics.messagesFailed).toBe(2);
+      expect(resolved[resolved.length - 1]).toBe('1');
+    } finally {
+      Object.assign(config.retry, retry);
+    }
+  });
+
+  it('leaves the offsets unresolved when the DLQ cannot take a failed chunk', async () => {
+    jest.spyOn(mongoWriter, 'writeBatchWithRetry').mockRejectedValue(new Error('write failed'));
+    consumer.dlqProducer.send.mockRejectedValue(new Error('broker unavailable'));
+
+    await expect(runBatch(consumer, structuredMessages([cloudEvent()]))).rejects.toThrow(
+      'broker unavailable'
+    );
+  });
+
+  it('dead-letters undecodable and incomplete messages in offset order', async () => {
+    const valid = cloudEvent();
+    const incomplete = cloudEvent();
+    delete incomplete.source;
+    const messages = [
+      structuredMessage(valid, { offset: 0 }),
+      { ...structuredMessage(null, { offset: 1 }), value: Buffer.from('{not json') },
+      structuredMessage(incomplete, { offset: 2 }),
+    ];
+
+    const { resolved } = await runBatch(consumer, messages);
+
+    expect(storedIds()).toEqual([valid.id]);
+    expect(consumer.dlqProducer.sent.map((message) => message.headers['x-error-reason'])).toEqual([
+      'Invalid message format',
+      'Invalid message format',
+    ]);
+    expect(resolved[resolved.length - 1]).toBe('2');
+  });
+
+  it('stops taking messages once the consumer stops running', async () => {
+    const batch = [cloudEvent(), cloudEvent()];
+    let running = true;
+    jest.spyOn(consumer, 'parseMessage').mockImplementation(async (message) => {
+      running = false;
+      return [{ event: batch[Number(message.offset)], record: message }];
+    });
+
+    const { resolved } = await runBatch(consumer, structuredMessages(batch), {
+      isRunning: () => running,
+    });
+
+    expect(storedIds()).toHaveLength(1);
+    expect(resolved).toEqual(['0']);
+  });
+});
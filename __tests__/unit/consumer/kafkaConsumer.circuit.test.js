@@ -0,0 +1,83 @@
+/**
+ * Pausing partitions while the MongoDB circuit breaker is OPEN
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer circuit breaker pause', () => {
+  const topic = 'events-v1-test';
+  let consumer;
+
+  beforeEach(async () => {
+    await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+    consumer.assignment = { [topic]: [0, 1] };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('pauses the partition and leaves the chunk unresolved instead of dead-lettering it', async () => {
+    mongoWriter.forceCircuitState('OPEN');
+
+    const { resolved } = await runBatch(consumer, structuredMessages([cloudEvent(), cloudEvent()]));
+
+    expect(resolved).toEqual([]);
+    expect(consumer.dlqProducer.sent).toEqual([]);
+    expect(consumer.consumer.pause).toHaveBeenCalledWith([{ topic, partitions: [0] }]);
+    expect(consumer.getAssignments().partitions[0].pausedBy).toBe('circuit-breaker');
+    expect(consumer.metrics.batchesProcessed).toBe(0);
+  });
+
+  it('reports degraded health while partitions are paused', async () => {
+    consumer.isRunning = true;
+    mongoWriter.forceCircuitState('OPEN');
+    await runBatch(consumer, structuredMessages([cloudEvent()]));
+
+    const health = await consumer.healthCheck();
+
+    expect(health.status).toBe('degraded');
+    expect(health.pausedPartitions).toEqual([expect.objectContaining({ topic, partition: 0 })]);
+  });
+
+  it('skips the rest of a batch fetched for a paused partition', async () => {
+    consumer.pausedPartitions.set(`${topic}:0`, { topic, partition: 0, pausedAt: Date.now() });
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatchWithRetry');
+
+    await runBatch(consumer, structuredMessages([cloudEvent()]));
+
+    expect(writeBatch).not.toHaveBeenCalled();
+  });
+
+  it('resumes paused partitions, except those an operator paused', () => {
+    mongoWriter.forceCircuitState('OPEN');
+    consumer.pausePartition(topic, 0);
+    consumer.pausePartition(topic, 1);
+    consumer.pauseByOperator(topic, [1]);
+
+    consumer.resumePartitions();
+
+    expect(consumer.consumer.resume).toHaveBeenCalledWith([{ topic, partitions: [0] }]);
+    expect(consumer.pausedPartitions.size).toBe(0);
+  });
+
+  it('resumes at once when the breaker left OPEN while the flush was settling', () => {
+    consumer.pausePartition(topic, 0);
+
+    expect(consumer.consumer.pause).toHaveBeenCalledTimes(1);
+    expect(consumer.consumer.resume).toHaveBeenCalledWith([{ topic, partitions: [0] }]);
+    expect(consumer.pausedPartitions.size).toBe(0);
+  });
+});
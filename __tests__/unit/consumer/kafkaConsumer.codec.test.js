@@ -0,0 +1,94 @@
+/**
+ * Consuming binary-mode and batched CloudEvents
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage, toHeaders } = require('../../helpers/events');
+
+describe('KafkaEventConsumer content modes', () => {
+  let collection;
+  let consumer;
+
+  const batchMessage = (events, offset) => ({
+    ...structuredMessage(events, { offset }),
+    headers: toHeaders({ 'content-type': 'application/cloudevents-batch+json' }),
+  });
+
+  beforeEach(async () => {
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('stores a binary-mode event', async () => {
+    const message = {
+      offset: '0',
+      key: null,
+      value: Buffer.from('{"orderId":"o-1"}'),
+      timestamp: '1735689601000',
+      headers: toHeaders({
+        ce_specversion: '1.0',
+        ce_id: 'evt-binary',
+        ce_type: 'com.example.order.created',
+        ce_source: '/orders',
+        ce_time: '2025-01-01T00:00:00.000Z',
+        'content-type': 'application/json',
+      }),
+    };
+
+    await runBatch(consumer, [message]);
+
+    expect(collection.all()).toEqual([
+      expect.objectContaining({ id: 'evt-binary', data: { orderId: 'o-1' } }),
+    ]);
+  });
+
+  it('stores every event of a batch message and resolves its offset once', async () => {
+    const events = [cloudEvent(), cloudEvent(), cloudEvent()];
+
+    const { resolved } = await runBatch(consumer, [
+      batchMessage(events, 5),
+      structuredMessage(cloudEvent(), { offset: 6 }),
+    ]);
+
+    expect(collection.all().map((document) => document.id)).toEqual([
+      ...events.map((event) => event.id),
+      expect.any(String),
+    ]);
+    expect(resolved).toEqual(['5', '6']);
+  });
+
+  it('dead-letters an invalid element of a batch on its own', async () => {
+    const valid = cloudEvent();
+
+    await runBatch(consumer, [batchMessage([valid, { id: 'no-type' }], 3)]);
+
+    expect(collection.all().map((document) => document.id)).toEqual([valid.id]);
+    expect(consumer.dlqProducer.sent).toHaveLength(1);
+    const [dead] = consumer.dlqProducer.sent;
+    expect(JSON.parse(dead.value.toString())).toEqual({ id: 'no-type' });
+    expect(dead.headers['x-batch-index'].toString()).toBe('1');
+  });
+
+  it('dead-letters an empty batch', async () => {
+    const { resolved } = await runBatch(consumer, [batchMessage([], 0)]);
+
+    expect(consumer.dlqProducer.sent).toHaveLength(1);
+    expect(resolved).toEqual(['0']);
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Draining in-flight batches on rebalance and shutdown
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer drain', () => {
+  const topic = 'events-v1-test';
+  const { drainTimeoutMs } = config.kafka.consumer;
+  let consumer;
+  let writeBatch;
+  let release;
+  let commitResolved;
+
+  const batchOf = (count) => structuredMessages(Array.from({ length: count }, () => cloudEvent()));
+
+  /**
+   * Hold every write until `release` is called
+   */
+  const holdWrites = () => {
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const { writeBatchWithRetry } = Object.getPrototypeOf(mongoWriter);
+    writeBatch.mockImplementation(async (events, options) => {
+      await held;
+      return writeBatchWithRetry.call(mongoWriter, events, options);
+    });
+  };
+
+  const untilWrites = async (count) => {
+    while (writeBatch.mock.calls.length < count) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  };
+
+  beforeEach(async () => {
+    await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+    writeBatch = jest.spyOn(mongoWriter, 'writeBatchWithRetry');
+    commitResolved = jest.fn(async () => {});
+    release = () => {};
+  });
+
+  afterEach(() => {
+    release();
+    config.kafka.consumer.drainTimeoutMs = drainTimeoutMs;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('finishes at once when no batch is in flight', async () => {
+    const drained = jest.fn();
+    consumer.on('drain', drained);
+
+    const summary = await consumer.beginDrain('rebalance');
+
+    expect(summary).toMatchObject({
+      reason: 'rebalance',
+      timedOut: false,
+      batches: 0,
+      completedMessages: 0,
+      abandonedMessages: 0,
+      durationMs: expect.any(Number),
+    });
+    expect(drained).toHaveBeenCalledWith(summary);
+    expect(consumer.getMetrics().lastDrain).toBe(summary);
+    expect(consumer.drain).toBeNull();
+  });
+
+  it('stops taking messages, flushes what was buffered and commits the resolved offsets', async () => {
+    holdWrites();
+    const processing = runBatch(consumer, batchOf(25), { commitResolved });
+    await untilWrites(1);
+
+    const draining = consumer.beginDrain('shutdown');
+    expect(consumer.beginDrain('rebalance')).toBe(draining);
+    release();
+    const [{ resolved }, summary] = await Promise.all([processing, draining]);
+
+    expect(writeBatch.mock.calls.map(([events]) => events.length)).toEqual([10, 10]);
+    expect(resolved[resolved.length - 1]).toBe('19');
+    expect(commitResolved).toHaveBeenCalledTimes(1);
+    expect(summary).toMatchObject({
+      reason: 'shutdown',
+      timedOut: false,
+      batches: 1,
+      completedMessages: 20,
+      abandonedMessages: 0,
+      partitions: [{ topic, partition: 0, resolvedOffset: '19', abandoned: 0 }],
+      commitError: null,
+    });
+  });
+
+  it('abandons batches still busy at the deadline, leaving their messages for redelivery', async () => {
+    config.kafka.consumer.drainTimeoutMs = 20;
+    holdWrites();
+    const processing = runBatch(consumer, batchOf(5), { commitResolved });
+    await untilWrites(1);
+
+    const summary = await consumer.beginDrain('rebalance');
+    const { resolved } = await processing;
+
+    expect(resolved).toEqual([]);
+    expect(summary).toMatchObject({
+      timedOut: true,
+      batches: 1,
+      completedMessages: 0,
+      abandonedMessages: 5,
+      partitions: [{ topic, partition: 0, resolvedOffset: null, abandoned: 5 }],
+    });
+  });
+
+  it('records a failed commit in the summary', async () => {
+    holdWrites();
+    commitResolved.mockRejectedValue(new Error('The coordinator is not aware of this member'));
+    const processing = runBatch(consumer, batchOf(2), { commitResolved });
+    await untilWrites(1);
+
+    const draining = consumer.beginDrain('rebalance');
+    release();
+    await processing;
+
+    expect((await draining).commitError).toBe('The coordinator is not aware of this member');
+  });
+
+  it('drains instead of failing the batch when a heartbeat reports a rebalance', async () => {
+    const heartbeat = jest.fn(async () => {
+      throw Object.assign(new Error('rebalancing'), { type: 'REBALANCE_IN_PROGRESS' });
+    });
+    const drained = jest.fn();
+    consumer.on('drain', drained);
+
+    const { resolved } = await runBatch(consumer, batchOf(3), { heartbeat, commitResolved });
+
+    expect(resolved[resolved.length - 1]).toBe('2');
+    expect(drained).toHaveBeenCalledWith(
+      expect.objectContaining({ reason: 'rebalance', completedMessages: 3 })
+    );
+  });
+
+  it('drains before disconnecting on shutdown', async () => {
+    const order = [];
+    consumer.on('drain', () => order.push('drain'));
+    consumer.consumer.disconnect.mockImplementation(async () => order.push('disconnect'));
+
+    await consumer.shutdown();
+    await consumer.shutdown();
+
+    expect(order).toEqual(['drain', 'disconnect']);
+    expect(consumer.dlqProducer.disconnect).toHaveBeenCalledTimes(1);
+    expect(consumer.admin.disconnect).toHaveBeenCalledTimes(1);
+    expect(consumer.isRunning).toBe(false);
+  });
+});
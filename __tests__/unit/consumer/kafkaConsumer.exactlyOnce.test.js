@@ -0,0 +1,151 @@
+/**
+ * Exactly-once consumption with offsets stored in MongoDB
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer exactly-once mode', () => {
+  const topic = 'events-v1-test';
+  let collection;
+  let offsets;
+  let consumer;
+
+  const storedIds = () => collection.all().map((document) => document._id);
+  const storedOffset = (partition = 0) =>
+    offsets.all().find((document) => document.partition === partition)?.offset;
+  const deadLettered = () =>
+    consumer.dlqProducer.sent.map((message) => JSON.parse(message.value.toString()).id);
+
+  /**
+   * Resolves once `mock` has been called
+   */
+  const calledOnce = async (mock) => {
+    while (mock.mock.calls.length === 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  };
+
+  beforeEach(async () => {
+    config.exactlyOnce.enabled = true;
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    offsets = client.collection(config.mongodb.database, config.exactlyOnce.offsetsCollection);
+    consumer = createConsumer(kafkaConsumer);
+    consumer.assignment = { [topic]: [0, 1] };
+  });
+
+  afterEach(() => {
+    config.exactlyOnce.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('commits each chunk with the offset after its last message', async () => {
+    const events = Array.from({ length: 15 }, () => cloudEvent());
+
+    const { resolved } = await runBatch(consumer, structuredMessages(events, 100));
+
+    expect(storedIds()).toEqual(events.map((event) => event.id));
+    expect(storedOffset()).toBe(115);
+    expect(resolved[resolved.length - 1]).toBe('114');
+  });
+
+  it('skips messages below the stored offset', async () => {
+    await mongoWriter.resetStoredOffset(topic, 0, 3);
+    const events = Array.from({ length: 5 }, () => cloudEvent());
+
+    const { resolved } = await runBatch(consumer, structuredMessages(events));
+
+    expect(storedIds()).toEqual([events[3].id, events[4].id]);
+    expect(storedOffset()).toBe(5);
+    expect(resolved).toContain('0');
+  });
+
+  it('dead-letters each failed event once, even when the retried transaction fails', async () => {
+    const events = [cloudEvent(), cloudEvent(), cloudEvent()];
+    jest
+      .spyOn(collection, 'bulkWrite')
+      .mockImplementationOnce(async () => {
+        throw bulkWriteError([{ index: 1, code: 121, errmsg: 'invalid' }], { upsertedIds: {} });
+      })
+      .mockRejectedValue(new Error('transaction aborted'));
+
+    await runBatch(consumer, structuredMessages(events));
+
+    expect(deadLettered().sort()).toEqual(events.map((event) => event.id).sort());
+    expect(storedOffset()).toBeUndefined();
+  });
+
+  it('reloads and seeks to the offset another member stored', async () => {
+    await runBatch(consumer, structuredMessages([cloudEvent()]));
+    await mongoWriter.resetStoredOffset(topic, 0, 40);
+    consumer.consumer.seek.mockClear();
+
+    await runBatch(consumer, structuredMessages([cloudEvent()], 1));
+
+    expect(storedIds()).toHaveLength(1);
+    expect(storedOffset()).toBe(40);
+    expect(consumer.consumer.seek).toHaveBeenCalledWith({ topic, partition: 0, offset: '40' });
+    expect(consumer.storedOffsets.get(`${topic}:0`)).toBe(40);
+  });
+
+  it('seeks newly assigned partitions to their stored offsets', async () => {
+    await mongoWriter.resetStoredOffset(topic, 1, 12);
+
+    await consumer.restoreStoredOffsets({ [topic]: [0, 1] });
+
+    expect(consumer.consumer.seek).toHaveBeenCalledTimes(1);
+    expect(consumer.consumer.seek).toHaveBeenCalledWith({ topic, partition: 1, offset: '12' });
+    expect(consumer.storedOffsets.get(`${topic}:0`)).toBeNull();
+  });
+
+  it('lets a write in flight settle before an operator seek moves the stored offset', async () => {
+    const bulkWrite = collection.bulkWrite.bind(collection);
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    const slowWrite = jest.spyOn(collection, 'bulkWrite').mockImplementation(async (...args) => {
+      await gate;
+      return bulkWrite(...args);
+    });
+
+    const batch = runBatch(consumer, structuredMessages([cloudEvent(), cloudEvent()], 50));
+    await calledOnce(slowWrite);
+    const seek = consumer.seek(topic, [0], { offset: '10' });
+    release();
+    await Promise.all([batch, seek]);
+
+    expect(storedOffset()).toBe(10);
+    expect(consumer.consumer.seek).toHaveBeenCalledWith({ topic, partition: 0, offset: '10' });
+  });
+
+  it('drops chunks buffered before an operator seek instead of committing them', async () => {
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatch');
+    const { flushLane } = consumer;
+    jest.spyOn(consumer, 'flushLane').mockImplementation(async function (...args) {
+      // The seek lands after the chunk was buffered and before it is written
+      if (!consumer.seekEpochs.has(`${topic}:0`)) {
+        await consumer.seek(topic, [0], { offset: '3' });
+      }
+      return flushLane.apply(this, args);
+    });
+
+    const { resolved } = await runBatch(consumer, structuredMessages([cloudEvent()], 20));
+
+    expect(writeBatch).not.toHaveBeenCalled();
+    expect(resolved).toEqual([]);
+    expect(storedOffset()).toBe(3);
+  });
+});
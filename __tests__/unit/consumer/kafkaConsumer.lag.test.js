@@ -0,0 +1,107 @@
+/**
+ * Per-partition consumer lag
+ */
+
+const config = require('../../../src/config');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { getMetrics } = require('../../../src/metrics/prometheus');
+const { createConsumer } = require('../../helpers/fakeKafka');
+
+describe('KafkaEventConsumer lag', () => {
+  let consumer;
+
+  beforeEach(() => {
+    consumer = createConsumer(kafkaConsumer);
+    consumer.admin.fetchOffsets.mockResolvedValue([
+      {
+        topic: 'orders',
+        partitions: [
+          { partition: 0, offset: '90' },
+          { partition: 1, offset: '-1' },
+        ],
+      },
+    ]);
+  });
+
+  it('is unknown until the group has committed an offset', () => {
+    consumer.updateHighWatermark('orders', 0, '100');
+
+    expect(consumer.getPartitionLag()).toEqual([
+      { topic: 'orders', partition: 0, highWatermark: 100, committedOffset: null, lag: null },
+    ]);
+    expect(consumer.metrics.consumerLag).toBe(0);
+  });
+
+  it('is the high-watermark minus the committed offset, summed over partitions', async () => {
+    consumer.updateHighWatermark('orders', 0, '100');
+    consumer.updateHighWatermark('orders', 1, '50');
+
+    await consumer.refreshCommittedOffsets();
+
+    expect(consumer.admin.fetchOffsets).toHaveBeenCalledWith({
+      groupId: config.kafka.groupId,
+      topics: ['orders'],
+    });
+    expect(consumer.getPartitionLag()).toEqual([
+      { topic: 'orders', partition: 0, highWatermark: 100, committedOffset: 90, lag: 10 },
+      { topic: 'orders', partition: 1, highWatermark: 50, committedOffset: null, lag: null },
+    ]);
+    expect(consumer.metrics.consumerLag).toBe(10);
+  });
+
+  it('never goes negative when the committed offset is ahead of a stale high-watermark', async () => {
+    consumer.updateHighWatermark('orders', 0, '80');
+
+    await consumer.refreshCommittedOffsets();
+
+    expect(consumer.getPartitionLag()[0].lag).toBe(0);
+  });
+
+  it('does not ask Kafka for offsets before any partition was fetched', async () => {
+    await consumer.refreshCommittedOffsets();
+
+    expect(consumer.admin.fetchOffsets).not.toHaveBeenCalled();
+  });
+
+  it('tracks the position after resolved offsets', () => {
+    consumer.updateHighWatermark('orders', 0, '100');
+    consumer.updatePosition('orders', 0, '41');
+
+    expect(consumer.getPartitionLag()[0].position).toBe(42);
+  });
+
+  it('drops the lag of partitions revoked in a rebalance', async () => {
+    consumer.updateHighWatermark('orders', 0, '100');
+    consumer.updateHighWatermark('orders', 1, '50');
+    await consumer.refreshCommittedOffsets();
+
+    consumer.retainAssignedPartitions({ orders: [1] });
+
+    expect(consumer.getPartitionLag().map((state) => state.partition)).toEqual([1]);
+    expect(consumer.metrics.consumerLag).toBe(0);
+  });
+
+  it('reports degraded health while the lag exceeds the threshold', async () => {
+    consumer.isRunning = true;
+    consumer.updateHighWatermark('orders', 0, String(90 + config.kafka.lag.degradedThreshold + 1));
+    await consumer.refreshCommittedOffsets();
+
+    const health = await consumer.healthCheck();
+
+    expect(health.status).toBe('degraded');
+    expect(health.reason).toMatch(/^Consumer lag \d+ exceeds threshold/);
+    expect(health.lag.partitions).toHaveLength(1);
+  });
+
+  it('exports the lag per partition and stops exporting revoked partitions', async () => {
+    kafkaConsumer.admin = consumer.admin;
+    kafkaConsumer.updateHighWatermark('orders', 0, '100');
+    await kafkaConsumer.refreshCommittedOffsets();
+
+    expect(await getMetrics()).toContain('kafka_consumer_lag{topic="orders",partition="0"} 10');
+
+    kafkaConsumer.retainAssignedPartitions({});
+
+    expect(await getMetrics()).not.toContain('kafka_consumer_lag{');
+  });
+});
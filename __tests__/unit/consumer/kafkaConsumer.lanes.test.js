@@ -0,0 +1,109 @@
+/**
+ * Per-key lanes within a partition
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage } = require('../../helpers/events');
+
+describe('KafkaEventConsumer key lanes', () => {
+  const topic = 'events-v1-test';
+  const { keyLanes } = config.kafka.consumer;
+  let consumer;
+  let writeBatch;
+
+  // Keys that land in different lanes
+  let first;
+  let second;
+
+  const keyed = (key, offset, event = cloudEvent()) => structuredMessage(event, { key, offset });
+
+  const eventIds = (messages) => messages.map((message) => JSON.parse(message.value).id);
+
+  /**
+   * Ids of the events in each write, in call order
+   */
+  const writes = () => writeBatch.mock.calls.map(([events]) => events.map((event) => event.id));
+
+  beforeEach(async () => {
+    config.kafka.consumer.keyLanes = 2;
+    await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+    writeBatch = jest.spyOn(mongoWriter, 'writeBatchWithRetry');
+
+    const lane = (key) => consumer.laneFor({ key: Buffer.from(key), offset: '0' }, 2);
+    first = 'key-0';
+    second = ['key-1', 'key-2', 'key-3', 'key-4'].find((key) => lane(key) !== lane(first));
+  });
+
+  afterEach(() => {
+    config.kafka.consumer.keyLanes = keyLanes;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('writes each key in offset order, in its own chunks', async () => {
+    const messages = Array.from({ length: 30 }, (value, offset) =>
+      keyed(offset % 3 === 0 ? second : first, offset)
+    );
+
+    const { resolved } = await runBatch(consumer, messages);
+
+    const byKey = (key) => eventIds(messages.filter((message) => String(message.key) === key));
+    const lanes = writes();
+    expect(lanes.filter((ids) => byKey(first).includes(ids[0])).flat()).toEqual(byKey(first));
+    expect(lanes.filter((ids) => byKey(second).includes(ids[0])).flat()).toEqual(byKey(second));
+    expect(lanes.every((ids) => ids.length <= config.batch.size)).toBe(true);
+    expect(resolved[resolved.length - 1]).toBe('29');
+  });
+
+  it('writes other keys while one is still in flight, resolving only contiguous offsets', async () => {
+    const [slow, fast] = [keyed(first, 0), keyed(second, 1)];
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const { writeBatchWithRetry } = Object.getPrototypeOf(mongoWriter);
+    writeBatch.mockImplementation(async (events, options) => {
+      if (events[0].id === eventIds([slow])[0]) {
+        await held;
+      }
+      return writeBatchWithRetry.call(mongoWriter, events, options);
+    });
+    const resolved = [];
+
+    const processing = consumer.processBatch(
+      { topic, partition: 0, messages: [slow, fast], highWatermark: '2' },
+      (offset) => resolved.push(offset),
+      async () => {},
+      () => true
+    );
+    while (writeBatch.mock.calls.length < 2 || consumer.metrics.messagesProcessed < 1) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+
+    expect(resolved).toEqual([]);
+
+    release();
+    await processing;
+
+    expect(resolved).toEqual(['1']);
+  });
+
+  it('spreads messages without a key over the lanes by offset', () => {
+    const lanes = [0, 1, 2, 3].map((offset) =>
+      consumer.laneFor(structuredMessage(cloudEvent(), { offset }), 2)
+    );
+
+    expect(lanes).toEqual([0, 1, 0, 1]);
+  });
+});
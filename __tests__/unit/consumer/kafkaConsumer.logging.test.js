@@ -0,0 +1,60 @@
+/**
+ * Consumer log lines
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const logger = require('../../../src/logging/logger');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage } = require('../../helpers/events');
+
+describe('KafkaEventConsumer logging', () => {
+  const level = logger.getLevel();
+  let consumer;
+  let stderr;
+
+  const errors = () => stderr.mock.calls.map(([line]) => JSON.parse(line));
+
+  beforeEach(async () => {
+    await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+    logger.setLevel('error');
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    logger.setLevel(level);
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('logs an invalid event by its identifiers only, tagged with the partition', async () => {
+    const event = cloudEvent({ source: undefined, data: { card: '4111 1111 1111 1111' } });
+
+    await logger.withContext({ topic: 'orders', partition: 3 }, () =>
+      runBatch(consumer, [structuredMessage(event, { offset: 7 })], { topic: 'orders' })
+    );
+
+    const [invalid] = errors();
+    expect(invalid).toEqual({
+      time: expect.any(String),
+      level: 'error',
+      component: 'Kafka Consumer',
+      msg: 'Invalid CloudEvent: missing required attributes',
+      topic: 'orders',
+      partition: 3,
+      offset: '7',
+      eventId: event.id,
+      eventType: event.type,
+      missing: ['source'],
+    });
+    expect(stderr.mock.calls.join('')).not.toContain('4111');
+  });
+});
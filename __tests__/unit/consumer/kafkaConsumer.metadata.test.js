@@ -0,0 +1,99 @@
+/**
+ * Kafka provenance metadata of stored events
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage, toHeaders } = require('../../helpers/events');
+
+describe('KafkaEventConsumer provenance metadata', () => {
+  const topic = 'events-v1-test';
+  let collection;
+  let consumer;
+
+  beforeEach(async () => {
+    config.mongodb.storeMetadata = true;
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(() => {
+    config.mongodb.storeMetadata = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('indexes the Kafka position and ingestion time', async () => {
+    const keys = (await collection.indexes()).map((index) => index.key);
+
+    expect(keys).toEqual(
+      expect.arrayContaining([
+        { '_meta.topic': 1, '_meta.partition': 1, '_meta.offset': 1 },
+        { '_meta.ingestedAt': -1 },
+      ])
+    );
+  });
+
+  it('stores the Kafka record an event came from in _meta', async () => {
+    const event = cloudEvent();
+    const producedAt = Date.now() - 1500;
+    const message = structuredMessage(event, {
+      offset: 12,
+      key: 'order-1',
+      timestamp: producedAt,
+      headers: { traceparent: 'tp-1' },
+    });
+
+    await runBatch(consumer, [message], { partition: 3 });
+
+    const [stored] = collection.all();
+    expect(stored).toMatchObject({ _id: event.id, ...event });
+    expect(stored._meta).toEqual({
+      topic,
+      partition: 3,
+      offset: 12,
+      kafkaTimestamp: new Date(producedAt),
+      key: 'order-1',
+      headers: { 'content-type': 'application/cloudevents+json', traceparent: 'tp-1' },
+      ingestedAt: expect.any(Date),
+      consumerId: config.kafka.instanceId,
+      endToEndLatencyMs: expect.any(Number),
+      processingLatencyMs: expect.any(Number),
+    });
+    expect(stored._meta.endToEndLatencyMs).toBeGreaterThanOrEqual(1500);
+    expect(stored._meta.processingLatencyMs).toBeGreaterThanOrEqual(0);
+  });
+
+  it('records the position of events fanned out of a batch message', async () => {
+    const events = [cloudEvent(), cloudEvent()];
+    const message = {
+      ...structuredMessage(events, { offset: 4 }),
+      headers: toHeaders({ 'content-type': 'application/cloudevents-batch+json' }),
+    };
+
+    await runBatch(consumer, [message]);
+
+    expect(collection.all().map(({ _meta }) => [_meta.offset, _meta.batchIndex])).toEqual([
+      [4, 0],
+      [4, 1],
+    ]);
+  });
+
+  it('stores events without _meta when metadata is disabled', async () => {
+    config.mongodb.storeMetadata = false;
+
+    await runBatch(consumer, [structuredMessage(cloudEvent())]);
+
+    expect(collection.all()[0]).not.toHaveProperty('_meta');
+  });
+});
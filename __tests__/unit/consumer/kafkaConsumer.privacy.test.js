@@ -0,0 +1,145 @@
+/**
+ * Protecting personal data before events are stored or dead-lettered
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const privacyPolicy = require('../../../src/privacy/privacyPolicy');
+const { bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage, toHeaders } = require('../../helpers/events');
+
+describe('KafkaEventConsumer privacy policy', () => {
+  const defaults = { ...config.privacy };
+  const type = 'com.example.customer.registered';
+  let dir;
+  let collection;
+  let consumer;
+
+  const registered = (overrides = {}) =>
+    cloudEvent({ type, data: { email: 'ada@example.com', phone: '07700900123' }, ...overrides });
+
+  const deadLetters = () =>
+    consumer.dlqProducer.sent.map((message) => JSON.parse(message.value.toString()));
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-'));
+    config.privacy.file = path.join(dir, 'policy.json');
+    config.privacy.hmacKey = 'test-hmac-key';
+    fs.writeFileSync(
+      config.privacy.file,
+      JSON.stringify({
+        policies: {
+          [type]: [
+            { path: '$.data.email', action: 'hash' },
+            { path: '$.data.phone', action: 'mask', keep: 3 },
+          ],
+        },
+      })
+    );
+    privacyPolicy.load();
+  });
+
+  beforeEach(async () => {
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(() => {
+    config.mongodb.storeMetadata = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    Object.assign(config.privacy, defaults);
+    privacyPolicy.load();
+    fs.rmSync(dir, { recursive: true, force: true });
+    await mongoWriter.close();
+  });
+
+  it('stores the protected event', async () => {
+    const event = registered();
+
+    await runBatch(consumer, [structuredMessage(event)]);
+
+    const [stored] = collection.all();
+    expect(stored.data).toEqual({
+      email: expect.stringMatching(/^hmac-sha256:[0-9a-f]{64}$/),
+      phone: '********123',
+    });
+  });
+
+  it('dead-letters the protected event when MongoDB rejects it', async () => {
+    jest.spyOn(collection, 'bulkWrite').mockImplementation(async () => {
+      throw bulkWriteError([{ index: 0, code: 121, errmsg: 'invalid' }], { upsertedIds: {} });
+    });
+
+    await runBatch(consumer, [structuredMessage(registered())]);
+
+    expect(deadLetters()).toEqual([
+      expect.objectContaining({
+        data: { email: expect.stringMatching(/^hmac/), phone: '********123' },
+      }),
+    ]);
+  });
+
+  it('dead-letters an incomplete event with its fields protected', async () => {
+    await runBatch(consumer, [structuredMessage(registered({ source: undefined }))]);
+
+    expect(JSON.stringify(deadLetters())).not.toContain('ada@example.com');
+    expect(deadLetters()[0].data.phone).toBe('********123');
+  });
+
+  it('keeps binary-mode attributes of a protected event out of the stored headers', async () => {
+    config.mongodb.storeMetadata = true;
+    const message = {
+      offset: '0',
+      key: null,
+      value: Buffer.from(JSON.stringify({ email: 'ada@example.com' })),
+      timestamp: '1735689601000',
+      headers: toHeaders({
+        ce_specversion: '1.0',
+        ce_id: 'evt-binary-pii',
+        ce_type: type,
+        ce_source: '/customers',
+        ce_time: '2025-01-01T00:00:00.000Z',
+        'content-type': 'application/json',
+        'x-request-id': 'r-1',
+      }),
+    };
+
+    await runBatch(consumer, [message]);
+
+    const [stored] = collection.all();
+    expect(Object.keys(stored._meta.headers).sort()).toEqual(['content-type', 'x-request-id']);
+    expect(JSON.stringify(stored)).not.toContain('ada@example.com');
+  });
+
+  it('stores every header of events no policy covers', async () => {
+    config.mongodb.storeMetadata = true;
+    const message = {
+      ...structuredMessage(null),
+      value: Buffer.from('{}'),
+      headers: toHeaders({
+        ce_specversion: '1.0',
+        ce_id: 'evt-binary-other',
+        ce_type: 'com.example.order.created',
+        ce_source: '/orders',
+        ce_time: '2025-01-01T00:00:00.000Z',
+        'content-type': 'application/json',
+      }),
+    };
+
+    await runBatch(consumer, [message]);
+
+    expect(collection.all()[0]._meta.headers).toHaveProperty('ce_id', 'evt-binary-other');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tiered retry topics with delayed redelivery
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage } = require('../../helpers/events');
+
+describe('KafkaEventConsumer retry topics', () => {
+  const topic = 'events-v1-test';
+  const [firstTier, secondTier] = config.kafka.retryTopics.tiers;
+  let collection;
+  let consumer;
+
+  // Every bulk write rejects its documents, as a validator would
+  const rejectDocuments = () =>
+    jest.spyOn(collection, 'bulkWrite').mockImplementation(async (operations) => {
+      throw bulkWriteError(
+        operations.map((operation, index) => ({ index, code: 121, errmsg: 'invalid' })),
+        { upsertedIds: {} }
+      );
+    });
+
+  const header = (message, name) => message.headers[name] && message.headers[name].toString();
+
+  beforeEach(async () => {
+    config.kafka.retryTopics.enabled = true;
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(() => {
+    config.kafka.retryTopics.enabled = false;
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('sends a failed event to the first retry tier, due after its delay', async () => {
+    rejectDocuments();
+    const writeBatchWithRetry = jest.spyOn(mongoWriter, 'writeBatchWithRetry');
+    const before = Date.now();
+
+    const { resolved } = await runBatch(consumer, [structuredMessage(cloudEvent())]);
+
+    expect(writeBatchWithRetry).not.toHaveBeenCalled();
+    expect(consumer.dlqProducer.sent).toHaveLength(1);
+    const [retry] = consumer.dlqProducer.sent;
+    expect(retry.topic).toBe(firstTier.topic);
+    expect(header(retry, 'x-retry-attempt')).toBe('1');
+    expect(header(retry, 'x-original-topic')).toBe(topic);
+    expect(header(retry, 'x-error-reason')).toBe('invalid');
+    expect(Number(header(retry, 'x-retry-not-before'))).toBeGreaterThanOrEqual(
+      before + firstTier.delayMs
+    );
+    expect(resolved).toEqual(['0']);
+    expect(consumer.getTopicMetrics()).toEqual(
+      expect.arrayContaining([expect.objectContaining({ topic, retried: 1 })])
+    );
+  });
+
+  it('moves a due retry to the next tier and then to the DLQ of the original topic', async () => {
+    rejectDocuments();
+    const retried = (attempt) =>
+      structuredMessage(cloudEvent(), {
+        headers: {
+          'x-original-topic': topic,
+          'x-retry-attempt': attempt,
+          'x-retry-not-before': Date.now() - 1,
+        },
+      });
+
+    await runBatch(consumer, [retried(1)], { topic: firstTier.topic });
+    await runBatch(consumer, [retried(2)], { topic: secondTier.topic });
+
+    const [second, dead] = consumer.dlqProducer.sent;
+    expect(second.topic).toBe(secondTier.topic);
+    expect(header(second, 'x-retry-attempt')).toBe('2');
+    expect(dead.topic).toBe(config.kafka.dlqTopic);
+    expect(header(dead, 'x-original-topic')).toBe(topic);
+  });
+
+  it('routes a retried event by the topic it was first published to', async () => {
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatch');
+    const message = structuredMessage(cloudEvent(), {
+      headers: { 'x-original-topic': 'orders', 'x-retry-attempt': 1 },
+    });
+
+    await runBatch(consumer, [message], { topic: firstTier.topic });
+
+    expect(writeBatch).toHaveBeenCalledWith(expect.any(Array), { topics: ['orders'] });
+  });
+
+  it('pauses a retry partition until its head message is due', async () => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate', 'nextTick'] });
+    const notBefore = Date.now() + 30000;
+    const message = structuredMessage(cloudEvent(), {
+      headers: { 'x-original-topic': topic, 'x-retry-attempt': 1, 'x-retry-not-before': notBefore },
+    });
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatch');
+
+    const { resolved } = await runBatch(consumer, [message], { topic: firstTier.topic });
+
+    expect(writeBatch).not.toHaveBeenCalled();
+    expect(resolved).toEqual([]);
+    expect(consumer.consumer.pause).toHaveBeenCalledWith([
+      { topic: firstTier.topic, partitions: [0] },
+    ]);
+
+    consumer.assignment = { [firstTier.topic]: [0] };
+    expect(consumer.getAssignments().partitions[0].pausedBy).toBe('retry-delay');
+
+    jest.advanceTimersByTime(30000);
+
+    expect(consumer.consumer.resume).toHaveBeenCalledWith([
+      { topic: firstTier.topic, partitions: [0] },
+    ]);
+    expect(consumer.delayedPartitions.size).toBe(0);
+  });
+
+  it('does not resume a delayed partition revoked in a rebalance', () => {
+    jest.useFakeTimers();
+    consumer.delayPartition(firstTier.topic, 0, Date.now() + 30000);
+    consumer.delayPartition(firstTier.topic, 1, Date.now() + 30000);
+
+    consumer.retainAssignedPartitions({ [firstTier.topic]: [1] });
+    jest.advanceTimersByTime(30000);
+
+    expect(consumer.consumer.resume).toHaveBeenCalledTimes(1);
+    expect(consumer.consumer.resume).toHaveBeenCalledWith([
+      { topic: firstTier.topic, partitions: [1] },
+    ]);
+  });
+
+  it('leaves a delayed partition paused when an operator paused it meanwhile', () => {
+    jest.useFakeTimers();
+    consumer.assignment = { [firstTier.topic]: [0] };
+    consumer.delayPartition(firstTier.topic, 0, Date.now() + 1000);
+    consumer.pauseByOperator(firstTier.topic, [0]);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(consumer.consumer.resume).not.toHaveBeenCalled();
+  });
+
+  it('has no retry tiers while retry topics are disabled', () => {
+    config.kafka.retryTopics.enabled = false;
+
+    expect(consumer.getRetryTiers()).toEqual([]);
+    expect(consumer.isRetryTopic(firstTier.topic)).toBe(false);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Spooling chunks MongoDB can't take to local disk
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const diskSpool = require('../../../src/spool/diskSpool');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer disk spool', () => {
+  const topic = 'events-v1-test';
+  const defaults = { ...config.spool };
+  let collection;
+  let consumer;
+
+  beforeEach(async () => {
+    config.spool.enabled = true;
+    config.spool.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-'));
+    await diskSpool.initialize();
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    consumer = createConsumer(kafkaConsumer);
+    consumer.assignment = { [topic]: [0] };
+  });
+
+  afterEach(async () => {
+    await diskSpool.stop();
+    fs.rmSync(config.spool.dir, { recursive: true, force: true });
+    Object.assign(config.spool, defaults);
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('spools a chunk that failed to write and commits its offsets', async () => {
+    jest.spyOn(collection, 'bulkWrite').mockRejectedValue(new Error('not primary'));
+    const events = [cloudEvent(), cloudEvent()];
+
+    const { resolved } = await runBatch(consumer, structuredMessages(events));
+
+    expect(resolved[resolved.length - 1]).toBe('1');
+    expect(consumer.dlqProducer.sent).toEqual([]);
+    expect(consumer.metrics.messagesSpooled).toBe(2);
+    expect(consumer.getTopicMetrics()).toEqual([expect.objectContaining({ topic, spooled: 2 })]);
+    const items = await diskSpool.readItems(diskSpool.records[0]);
+    expect(items.map((item) => item.event.id)).toEqual(events.map((event) => event.id));
+    expect(items[0]).toMatchObject({ topic, sourceTopic: topic, partition: 0 });
+  });
+
+  it('spools instead of pausing while the circuit breaker is OPEN', async () => {
+    mongoWriter.forceCircuitState('OPEN');
+
+    const { resolved } = await runBatch(consumer, structuredMessages([cloudEvent()]));
+
+    expect(resolved).toEqual(['0']);
+    expect(consumer.consumer.pause).not.toHaveBeenCalled();
+    expect(diskSpool.getEventCount()).toBe(1);
+  });
+
+  it('falls back to pausing when the spool is full', async () => {
+    config.spool.maxBytes = 0;
+    mongoWriter.forceCircuitState('OPEN');
+
+    const { resolved } = await runBatch(consumer, structuredMessages([cloudEvent()]));
+
+    expect(resolved).toEqual([]);
+    expect(consumer.consumer.pause).toHaveBeenCalledWith([{ topic, partitions: [0] }]);
+  });
+
+  it('falls back to the DLQ when the spool cannot be written', async () => {
+    jest.spyOn(collection, 'bulkWrite').mockRejectedValue(new Error('not primary'));
+    jest.spyOn(diskSpool, 'append').mockRejectedValue(new Error('ENOSPC'));
+
+    await runBatch(consumer, structuredMessages([cloudEvent()]));
+
+    expect(consumer.dlqProducer.sent).toHaveLength(1);
+    expect(consumer.metrics.messagesSpooled).toBe(0);
+  });
+
+  it('reports degraded health while events wait in the spool', async () => {
+    consumer.isRunning = true;
+    mongoWriter.forceCircuitState('OPEN');
+    await runBatch(consumer, structuredMessages([cloudEvent()]));
+    mongoWriter.forceCircuitState('CLOSED');
+
+    const health = await consumer.healthCheck();
+
+    expect(health.status).toBe('degraded');
+    expect(health.reason).toBe('1 event(s) waiting in the disk spool');
+    expect(consumer.getMetrics().spool).toMatchObject({ pendingEvents: 1 });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Consuming several topics and topic patterns
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer topics', () => {
+  const { topics, topicOverrides } = config.kafka;
+  let consumer;
+
+  const existing = (...names) => consumer.admin.listTopics.mockResolvedValue(names);
+
+  beforeEach(async () => {
+    await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(() => {
+    config.kafka.topics = topics;
+    config.kafka.topicOverrides = topicOverrides;
+    config.kafka.retryTopics.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  describe('resolveTopics', () => {
+    it('returns listed topics without asking the cluster', async () => {
+      config.kafka.topics = ['events-v1', 'audit-v1'];
+
+      expect(await consumer.resolveTopics()).toEqual(['events-v1', 'audit-v1']);
+      expect(consumer.admin.listTopics).not.toHaveBeenCalled();
+    });
+
+    it('adds existing topics matching a pattern, in name order', async () => {
+      config.kafka.topics = ['events-v1', /events-v1$/];
+      existing('shipping-events-v1', 'events-v1', 'billing-events-v1', 'billing-v1');
+
+      expect(await consumer.resolveTopics()).toEqual([
+        'events-v1',
+        'billing-events-v1',
+        'shipping-events-v1',
+      ]);
+    });
+
+    it('never matches DLQ, retry or internal topics', async () => {
+      config.kafka.topics = [/events/];
+      config.kafka.retryTopics.enabled = true;
+      config.kafka.topicOverrides = {
+        ...topicOverrides,
+        dlqTopics: { orders: 'orders-events-dlq' },
+      };
+      existing(
+        'billing-events-v1',
+        config.kafka.dlqTopic,
+        'orders-events-dlq',
+        config.kafka.retryTopics.tiers[0].topic,
+        '__consumer_events'
+      );
+
+      expect(await consumer.resolveTopics()).toEqual(['billing-events-v1']);
+    });
+
+    it('fails when no topic matches', async () => {
+      config.kafka.topics = [/-events-v1$/];
+      existing('orders');
+
+      await expect(consumer.resolveTopics()).rejects.toThrow('No topics match /-events-v1$/');
+    });
+  });
+
+  it('dead-letters to the DLQ configured for the original topic', async () => {
+    config.kafka.topicOverrides = {
+      ...topicOverrides,
+      dlqTopics: { 'billing-events-v1': 'billing-events-v1-dlq' },
+    };
+    const [billing, other] = structuredMessages([cloudEvent(), cloudEvent()]);
+
+    await consumer.sendToDLQ(billing, 'invalid', { topic: 'billing-events-v1' });
+    await consumer.sendToDLQ(other, 'invalid', { topic: 'events-v1-test' });
+
+    expect(consumer.dlqProducer.sent.map((message) => message.topic)).toEqual([
+      'billing-events-v1-dlq',
+      config.kafka.dlqTopic,
+    ]);
+  });
+
+  it('breaks metrics and health down by topic', async () => {
+    consumer.topics = ['events-v1-test', 'billing-events-v1', 'idle-v1'];
+    consumer.isRunning = true;
+
+    await runBatch(consumer, structuredMessages([cloudEvent(), cloudEvent()]));
+    await runBatch(consumer, structuredMessages([cloudEvent()]), { topic: 'billing-events-v1' });
+
+    const counters = (topic) =>
+      consumer.getMetrics().topics.find((metrics) => metrics.topic === topic);
+    expect(counters('events-v1-test')).toMatchObject({ received: 2, processed: 2 });
+    expect(counters('billing-events-v1')).toMatchObject({ received: 1, processed: 1 });
+    expect(counters('idle-v1')).toMatchObject({ received: 0, processed: 0, lag: 0 });
+    const health = await consumer.healthCheck();
+    expect(health.lag.topics.map(({ topic }) => topic)).toEqual(consumer.topics);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Spans for consumed messages, MongoDB writes and DLQ publishes
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { InMemorySpanExporter } = require('@opentelemetry/sdk-trace-base');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const tracing = require('../../../src/tracing/tracer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage } = require('../../helpers/events');
+
+describe('KafkaEventConsumer tracing', () => {
+  const traceId = '0af7651916cd43dd8448eb211c80319c';
+  const traceparent = `00-${traceId}-b7ad6b7169203331-01`;
+  let client;
+  let consumer;
+  let exporter;
+
+  const spans = (name) => exporter.getFinishedSpans().filter((span) => span.name === name);
+
+  beforeEach(async () => {
+    config.tracing.enabled = true;
+    exporter = new InMemorySpanExporter();
+    tracing.initialize(exporter);
+    client = await connectWriter(mongoWriter, MongoClient);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(async () => {
+    await tracing.shutdown();
+    config.tracing.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('traces a message from the producer through parsing to the MongoDB write', async () => {
+    const event = cloudEvent();
+
+    await runBatch(consumer, [structuredMessage(event, { offset: 4, headers: { traceparent } })]);
+
+    const [consume] = spans('process events-v1-test');
+    const [parse] = spans('parse');
+    const [write] = spans('mongodb write');
+    expect(consume.kind).toBe(SpanKind.CONSUMER);
+    expect(consume.spanContext().traceId).toBe(traceId);
+    expect(consume.attributes).toMatchObject({
+      'messaging.destination.partition.id': '0',
+      'messaging.kafka.offset': 4,
+      'cloudevents.event_id': event.id,
+    });
+    expect(parse.parentSpanContext.spanId).toBe(consume.spanContext().spanId);
+    expect(write.kind).toBe(SpanKind.CLIENT);
+    expect(write.links.map((link) => link.context.spanId)).toEqual([consume.spanContext().spanId]);
+    expect(write.attributes).toMatchObject({
+      'db.operation.batch.size': 1,
+      'events_consumer.inserted': 1,
+    });
+
+    const [stored] = client.collection(config.mongodb.database, config.mongodb.collection).all();
+    expect(stored._trace).toEqual({ traceId, spanId: consume.spanContext().spanId });
+  });
+
+  it('publishes to the DLQ in a child span whose context the message carries', async () => {
+    const message = {
+      ...structuredMessage(null, { headers: { traceparent } }),
+      value: Buffer.from('{'),
+    };
+
+    await runBatch(consumer, [message]);
+
+    const [consume] = spans('process events-v1-test');
+    const [send] = spans(`send ${config.kafka.dlqTopic}`);
+    expect(consume.status.code).toBe(SpanStatusCode.ERROR);
+    expect(send.kind).toBe(SpanKind.PRODUCER);
+    expect(send.parentSpanContext.spanId).toBe(consume.spanContext().spanId);
+    const [dead] = consumer.dlqProducer.sent;
+    expect(dead.headers.traceparent).toBe(`00-${traceId}-${send.spanContext().spanId}-01`);
+  });
+
+  it('stores no trace ids while tracing is disabled', async () => {
+    await tracing.shutdown();
+    config.tracing.enabled = false;
+
+    await runBatch(consumer, [structuredMessage(cloudEvent(), { headers: { traceparent } })]);
+
+    const [stored] = client.collection(config.mongodb.database, config.mongodb.collection).all();
+    expect(stored).not.toHaveProperty('_trace');
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Schema validation modes of consumed events
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { createConsumer, runBatch } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessages } = require('../../helpers/events');
+
+describe('KafkaEventConsumer schema validation', () => {
+  const original = { ...config.validation };
+  let collection;
+  let consumer;
+
+  const invalidEvent = () => cloudEvent({ time: 'last tuesday' });
+
+  beforeEach(async () => {
+    Object.assign(config.validation, { enabled: true, defaultMode: 'warn', modes: {} });
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    consumer = createConsumer(kafkaConsumer);
+  });
+
+  afterEach(() => {
+    Object.assign(config.validation, original);
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('sends events of a reject-mode type to the DLQ and stores the rest', async () => {
+    config.validation.modes = { 'com.example.order.created': 'reject' };
+    const valid = cloudEvent();
+
+    const { resolved } = await runBatch(consumer, structuredMessages([invalidEvent(), valid]));
+
+    expect(collection.all().map((document) => document.id)).toEqual([valid.id]);
+    expect(consumer.dlqProducer.sent).toHaveLength(1);
+    expect(consumer.dlqProducer.sent[0].headers['x-error-reason'].toString()).toBe(
+      'Schema validation failed: /time must match format "date-time"'
+    );
+    expect(resolved[resolved.length - 1]).toBe('1');
+  });
+
+  it('stores events of an annotate-mode type with their validation errors', async () => {
+    config.validation.defaultMode = 'annotate';
+
+    await runBatch(consumer, structuredMessages([invalidEvent()]));
+
+    const [stored] = collection.all();
+    expect(stored._validation).toEqual({
+      valid: false,
+      errors: [{ path: '/time', message: 'must match format "date-time"' }],
+      validatedAt: expect.any(String),
+    });
+    expect(consumer.dlqProducer.sent).toEqual([]);
+  });
+
+  it('stores events of a warn-mode type unchanged', async () => {
+    await runBatch(consumer, structuredMessages([invalidEvent()]));
+
+    const [stored] = collection.all();
+    expect(stored).not.toHaveProperty('_validation');
+    expect(consumer.dlqProducer.sent).toEqual([]);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Offset tracking for concurrently processed messages
+ */
+
+const { OffsetTracker } = require('../../../src/consumer/offsetTracker');
+
+describe('OffsetTracker', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = new OffsetTracker();
+    ['10', '11', '12', '13'].forEach((offset) => tracker.track(offset));
+  });
+
+  it('resolves offsets completed in order one at a time', () => {
+    expect(tracker.complete('10')).toBe('10');
+    expect(tracker.complete('11')).toBe('11');
+    expect(tracker.pendingCount()).toBe(2);
+  });
+
+  it('holds back offsets completed ahead of an earlier message in flight', () => {
+    expect(tracker.complete('12')).toBeNull();
+    expect(tracker.complete('11')).toBeNull();
+    expect(tracker.lastResolved).toBeNull();
+    expect(tracker.pendingCount()).toBe(4);
+
+    expect(tracker.complete('10')).toBe('12');
+    expect(tracker.lastResolved).toBe('12');
+    expect(tracker.pendingCount()).toBe(1);
+  });
+
+  it('keeps the last resolved offset while later completions wait', () => {
+    tracker.complete('10');
+
+    expect(tracker.complete('13')).toBeNull();
+    expect(tracker.lastResolved).toBe('10');
+
+    expect(tracker.complete('12')).toBeNull();
+    expect(tracker.complete('11')).toBe('13');
+    expect(tracker.pendingCount()).toBe(0);
+  });
+
+  it('only resolves offsets that were tracked', () => {
+    expect(tracker.complete('9')).toBeNull();
+    expect(tracker.pendingCount()).toBe(4);
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Confluent wire format decoding
+ */
+
+const avro = require('avsc');
+const protobuf = require('protobufjs');
+const wireFormatDecoder = require('../../../src/consumer/wireFormat');
+const { decodeMessage } = require('../../../src/consumer/codec');
+const { toHeaders } = require('../../helpers/events');
+
+const ORDER_AVRO = {
+  type: 'record',
+  name: 'Order',
+  fields: [
+    { name: 'orderId', type: 'string' },
+    { name: 'amount', type: 'long' },
+    { name: 'signature', type: 'bytes' },
+  ],
+};
+
+const EVENT_AVRO = {
+  type: 'record',
+  name: 'OrderEvent',
+  fields: [
+    { name: 'specversion', type: 'string' },
+    { name: 'id', type: 'string' },
+    { name: 'type', type: 'string' },
+    { name: 'source', type: 'string' },
+    { name: 'time', type: 'long' },
+  ],
+};
+
+const ORDER_PROTO = `
+  syntax = "proto3";
+  package shop;
+  message Order { string orderId = 1; int64 amount = 2; }
+  message Refund { string refundId = 1; Status status = 2; }
+  enum Status { PENDING = 0; DONE = 1; }
+`;
+
+/**
+ * Frame a payload in the Confluent wire format
+ */
+function frame(schemaId, ...payload) {
+  const header = Buffer.alloc(5);
+  header.writeUInt32BE(schemaId, 1);
+  return Buffer.concat([header, ...payload]);
+}
+
+/**
+ * Encode a Protobuf message of the test schema
+ */
+function protobufPayload(name, value) {
+  const type = protobuf.parse(ORDER_PROTO, { keepCase: true }).root.lookupType(`shop.${name}`);
+  return Buffer.from(type.encode(type.create(value)).finish());
+}
+
+describe('WireFormatDecoder', () => {
+  const schemas = {
+    1: { schemaType: 'AVRO', schema: JSON.stringify(ORDER_AVRO) },
+    2: { schemaType: 'PROTOBUF', schema: ORDER_PROTO },
+    3: { schemaType: 'JSON', schema: '{}' },
+    4: { schemaType: 'AVRO', schema: JSON.stringify(EVENT_AVRO) },
+  };
+  let registry;
+  let decoder;
+
+  beforeEach(() => {
+    registry = {
+      getSchema: jest.fn(async (id) => {
+        if (!schemas[id]) {
+          throw new Error(`Schema ${id} not found`);
+        }
+        return schemas[id];
+      }),
+    };
+    decoder = new wireFormatDecoder.constructor(registry);
+  });
+
+  it('recognises values that start with the magic byte and a schema id', () => {
+    expect(decoder.isWireFormat(frame(1, Buffer.from([1])))).toBe(true);
+    expect(decoder.isWireFormat(Buffer.from('{"id":1}'))).toBe(false);
+    expect(decoder.isWireFormat(frame(1))).toBe(false);
+    expect(decoder.isWireFormat(null)).toBe(false);
+  });
+
+  it('decodes Avro into plain JSON values', async () => {
+    const payload = avro.Type.forSchema(ORDER_AVRO).toBuffer({
+      orderId: 'o-1',
+      amount: 25,
+      signature: Buffer.from('sig'),
+    });
+
+    expect(await decoder.decode(frame(1, payload))).toEqual({
+      orderId: 'o-1',
+      amount: 25,
+      signature: Buffer.from('sig').toString('base64'),
+    });
+  });
+
+  it('decodes Protobuf, selecting the message by its indexes', async () => {
+    const first = frame(
+      2,
+      Buffer.from([0]),
+      protobufPayload('Order', { orderId: 'o-1', amount: 9 })
+    );
+    const second = frame(
+      2,
+      Buffer.from([2, 2]),
+      protobufPayload('Refund', { refundId: 'r-1', status: 1 })
+    );
+
+    expect(await decoder.decode(first)).toEqual({ orderId: 'o-1', amount: '9' });
+    expect(await decoder.decode(second)).toEqual({ refundId: 'r-1', status: 'DONE' });
+  });
+
+  it('rejects message indexes that name no message', async () => {
+    await expect(decoder.decode(frame(2, Buffer.from([2, 8])))).rejects.toThrow(
+      'No Protobuf message at index path 4'
+    );
+    await expect(decoder.decode(frame(2, Buffer.from([0x82])))).rejects.toThrow(
+      'Truncated Protobuf message indexes'
+    );
+  });
+
+  it('compiles each schema once, even for concurrent lookups', async () => {
+    const payload = avro.Type.forSchema(ORDER_AVRO).toBuffer({
+      orderId: 'o-1',
+      amount: 1,
+      signature: Buffer.alloc(0),
+    });
+
+    await Promise.all([decoder.decode(frame(1, payload)), decoder.decode(frame(1, payload))]);
+    await decoder.decode(frame(1, payload));
+
+    expect(registry.getSchema).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a schema whose lookup failed', async () => {
+    registry.getSchema.mockRejectedValueOnce(new Error('registry unavailable'));
+    const value = frame(2, Buffer.from([0]), protobufPayload('Order', { orderId: 'o-1' }));
+
+    await expect(decoder.decode(value)).rejects.toThrow('registry unavailable');
+    await expect(decoder.decode(value)).resolves.toEqual({ orderId: 'o-1' });
+    expect(registry.getSchema).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects unsupported schema types', async () => {
+    await expect(decoder.decode(frame(3, Buffer.from([0])))).rejects.toThrow(
+      'Unsupported schema type JSON for schema 3'
+    );
+  });
+
+  it('drops compiled schemas when the registry is replaced', async () => {
+    const value = frame(2, Buffer.from([0]), protobufPayload('Order', { orderId: 'o-1' }));
+    await decoder.decode(value);
+
+    decoder.setRegistry(registry);
+    await decoder.decode(value);
+
+    expect(registry.getSchema).toHaveBeenCalledTimes(2);
+  });
+
+  describe('through the codec', () => {
+    const originalRegistry = wireFormatDecoder.registry;
+
+    beforeEach(() => {
+      wireFormatDecoder.setRegistry(registry);
+    });
+
+    afterAll(() => {
+      wireFormatDecoder.setRegistry(originalRegistry);
+    });
+
+    it('decodes a structured Avro event and converts an epoch time to RFC 3339', async () => {
+      const payload = avro.Type.forSchema(EVENT_AVRO).toBuffer({
+        specversion: '1.0',
+        id: 'evt-avro',
+        type: 'com.example.order.created',
+        source: '/orders',
+        time: Date.parse('2025-01-01T00:00:00Z'),
+      });
+
+      const [{ event }] = await decodeMessage({ value: frame(4, payload), headers: {} });
+
+      expect(event).toEqual({
+        specversion: '1.0',
+        id: 'evt-avro',
+        type: 'com.example.order.created',
+        source: '/orders',
+        time: '2025-01-01T00:00:00.000Z',
+      });
+    });
+
+    it('decodes the data of a binary-mode event', async () => {
+      const message = {
+        value: frame(2, Buffer.from([0]), protobufPayload('Order', { orderId: 'o-2', amount: 3 })),
+        headers: toHeaders({
+          ce_specversion: '1.0',
+          ce_id: 'evt-proto',
+          'content-type': 'application/x-protobuf',
+        }),
+      };
+
+      const [{ event }] = await decodeMessage(message);
+
+      expect(event.data).toEqual({ orderId: 'o-2', amount: '3' });
+    });
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Collection routing table
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../src/config');
+const eventRouter = require('../../../src/database/eventRouter');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('EventRouter', () => {
+  const originalCollections = config.kafka.topicOverrides.collections;
+  const originalStorage = { ...config.mongodb.storage };
+  let dir;
+  let router;
+
+  /**
+   * Write a routing table and load it into a fresh router
+   */
+  const loadTable = (name, contents) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof contents === 'string' ? contents : JSON.stringify(contents));
+    config.routing.file = file;
+    router.load();
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+  });
+
+  beforeEach(() => {
+    router = new eventRouter.constructor();
+  });
+
+  afterEach(() => {
+    config.routing.file = undefined;
+    config.kafka.topicOverrides.collections = originalCollections;
+    Object.assign(config.mongodb.storage, originalStorage);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('routes everything to the configured collection without a routing table', () => {
+    router.load();
+
+    expect(router.resolve(cloudEvent())).toMatchObject({
+      name: 'default',
+      database: config.mongodb.database,
+      collection: config.mongodb.collection,
+      indexes: null,
+    });
+    expect(router.getRoutes()).toHaveLength(1);
+  });
+
+  it('loads a YAML table and routes by type pattern, source prefix and extension', () => {
+    loadTable(
+      'routes.yaml',
+      [
+        'routes:',
+        '  - name: audit',
+        "    match: { type: ['com.example.audit.*'] }",
+        '    target: { database: audit, collection: audit_events }',
+        '    indexes:',
+        "      - { key: { 'data.actor': 1 }, options: { sparse: true } }",
+        '  - name: telemetry',
+        "    match: { source: ['/devices', '/sensors'] }",
+        '    target: { collection: telemetry }',
+        '  - name: acme',
+        '    match: { extensions: { tenant: [acme, acme-eu] } }',
+        '    target: { collection: acme_events }',
+        'fallback:',
+        '  collection: other_events',
+      ].join('\n')
+    );
+
+    const audit = router.resolve(cloudEvent({ type: 'com.example.audit.login' }));
+    expect(audit).toMatchObject({ name: 'audit', database: 'audit', collection: 'audit_events' });
+    expect(audit.indexes).toEqual([{ key: { 'data.actor': 1 }, options: { sparse: true } }]);
+    expect(router.resolve(cloudEvent({ source: '/sensors/7' })).name).toBe('telemetry');
+    expect(router.resolve(cloudEvent({ tenant: 'acme-eu' })).name).toBe('acme');
+    expect(router.resolve(cloudEvent({ tenant: 'globex' }))).toMatchObject({
+      name: 'default',
+      database: config.mongodb.database,
+      collection: 'other_events',
+    });
+  });
+
+  it('uses the first matching route and requires every criterion to hold', () => {
+    loadTable('routes.json', {
+      routes: [
+        {
+          name: 'eu-orders',
+          match: { type: 'com.example.order.*', source: '/orders/eu' },
+          target: { collection: 'eu_orders' },
+        },
+        { name: 'orders', match: { type: 'com.example.order.*' }, collection: 'orders' },
+      ],
+    });
+
+    expect(router.resolve(cloudEvent({ source: '/orders/eu/1' })).name).toBe('eu-orders');
+    expect(router.resolve(cloudEvent({ source: '/orders/us' })).name).toBe('orders');
+    expect(router.resolve(cloudEvent({ type: 'com.example.orderly' })).name).toBe('default');
+  });
+
+  it('treats type patterns as globs, not regular expressions', () => {
+    loadTable('routes.json', {
+      routes: [{ match: { type: 'a.b' }, collection: 'ab' }],
+    });
+
+    expect(router.resolve(cloudEvent({ type: 'a.b' })).name).toBe('route-0');
+    expect(router.resolve(cloudEvent({ type: 'axb' })).name).toBe('default');
+  });
+
+  it('rejects routes without match criteria', () => {
+    expect(() =>
+      loadTable('routes.json', { routes: [{ name: 'all', collection: 'everything' }] })
+    ).toThrow('Route all has no match criteria; use fallback for a catch-all');
+  });
+
+  it('gives topics with a collection override their own fallback route', () => {
+    config.kafka.topicOverrides.collections = { orders: 'order_events' };
+    loadTable('routes.json', {
+      routes: [{ name: 'audit', match: { type: 'audit.*' }, collection: 'audit' }],
+      fallback: { database: 'events', indexes: [{ key: { time: -1 } }] },
+    });
+
+    expect(router.resolve(cloudEvent(), 'orders')).toMatchObject({
+      name: 'topic:orders',
+      database: 'events',
+      collection: 'order_events',
+      indexes: [{ key: { time: -1 } }],
+    });
+    expect(router.resolve(cloudEvent({ type: 'audit.login' }), 'orders').name).toBe('audit');
+    expect(router.resolve(cloudEvent(), 'payments').name).toBe('default');
+    expect(router.getRoutes().map((route) => route.name)).toEqual([
+      'audit',
+      'topic:orders',
+      'default',
+    ]);
+  });
+
+  it('resolves the storage of each route over the configured defaults', () => {
+    Object.assign(config.mongodb.storage, { timeSeries: false, retention: '30d' });
+    loadTable('routes.json', {
+      routes: [
+        {
+          name: 'telemetry',
+          match: { source: '/devices' },
+          collection: 'telemetry',
+          storage: { timeSeries: true, granularity: 'hours', retention: '90d' },
+        },
+        {
+          name: 'audit',
+          match: { type: 'audit.*' },
+          collection: 'audit',
+          storage: { retention: 'none' },
+        },
+      ],
+    });
+
+    expect(router.resolve(cloudEvent({ source: '/devices/1' })).storage).toEqual({
+      timeSeries: true,
+      granularity: 'hours',
+      expireAfterSeconds: 90 * 86400,
+      dates: true,
+    });
+    expect(router.resolve(cloudEvent({ type: 'audit.login' })).storage).toEqual({
+      timeSeries: false,
+      granularity: 'seconds',
+      expireAfterSeconds: null,
+      dates: false,
+    });
+    expect(router.resolve(cloudEvent()).storage).toMatchObject({
+      expireAfterSeconds: 30 * 86400,
+      dates: true,
+    });
+  });
+
+  it.each([
+    [{ granularity: 'days' }, 'Route route-0 has an invalid granularity: days'],
+    [{ retention: 'forever' }, 'Route route-0 has an invalid retention: forever'],
+    [{ retention: '500ms' }, 'Route route-0 has an invalid retention: 500ms'],
+  ])('rejects invalid storage %j', (storage, message) => {
+    expect(() =>
+      loadTable('routes.json', { routes: [{ match: { type: 'a' }, collection: 'a', storage }] })
+    ).toThrow(message);
+  });
+});
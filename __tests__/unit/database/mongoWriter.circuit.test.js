@@ -0,0 +1,123 @@
+/**
+ * MongoDB writer circuit breaker
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('MongoDB writer circuit breaker', () => {
+  let collection;
+  let transitions;
+
+  const failWrites = () =>
+    jest.spyOn(collection, 'bulkWrite').mockRejectedValue(new Error('not primary'));
+
+  const failTimes = async (count) => {
+    for (let attempt = 0; attempt < count; attempt++) {
+      await mongoWriter.writeBatch([cloudEvent()]).catch(() => {});
+    }
+  };
+
+  beforeEach(async () => {
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    transitions = [];
+    mongoWriter.on('circuitStateChange', ({ state }) => transitions.push(state));
+  });
+
+  afterEach(() => {
+    mongoWriter.removeAllListeners('circuitStateChange');
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('opens after the failure threshold and rejects writes without trying them', async () => {
+    failWrites();
+
+    await failTimes(config.circuitBreaker.failureThreshold);
+
+    expect(mongoWriter.circuitState).toBe('OPEN');
+    expect(transitions).toEqual(['OPEN']);
+
+    collection.bulkWrite.mockClear();
+    await expect(mongoWriter.writeBatch([cloudEvent()])).rejects.toMatchObject({
+      name: 'CircuitOpenError',
+      code: 'CIRCUIT_OPEN',
+    });
+    await expect(mongoWriter.writeEvent(cloudEvent())).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+    });
+    expect(collection.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('does not retry against an open breaker', async () => {
+    mongoWriter.forceCircuitState('OPEN');
+    const writeBatch = jest.spyOn(mongoWriter, 'writeBatch');
+
+    await expect(mongoWriter.writeBatchWithRetry([cloudEvent()])).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+    });
+    await expect(mongoWriter.writeEventWithRetry(cloudEvent())).rejects.toMatchObject({
+      code: 'CIRCUIT_OPEN',
+    });
+    expect(writeBatch).toHaveBeenCalledTimes(1);
+  });
+
+  it('moves to HALF_OPEN on its own after the timeout and closes after enough successes', async () => {
+    jest.useFakeTimers();
+    const bulkWrite = collection.bulkWrite.bind(collection);
+    failWrites();
+    await failTimes(config.circuitBreaker.failureThreshold);
+
+    jest.advanceTimersByTime(config.circuitBreaker.timeoutMs);
+
+    expect(mongoWriter.circuitState).toBe('HALF_OPEN');
+
+    collection.bulkWrite.mockImplementation(bulkWrite);
+    for (let success = 0; success < config.circuitBreaker.successThreshold; success++) {
+      await mongoWriter.writeBatch([cloudEvent()]);
+    }
+
+    expect(mongoWriter.circuitState).toBe('CLOSED');
+    expect(transitions).toEqual(['OPEN', 'HALF_OPEN', 'CLOSED']);
+  });
+
+  it('reopens on a failure while HALF_OPEN', async () => {
+    jest.useFakeTimers();
+    failWrites();
+    await failTimes(config.circuitBreaker.failureThreshold);
+    jest.advanceTimersByTime(config.circuitBreaker.timeoutMs);
+
+    await failTimes(1);
+
+    expect(transitions).toEqual(['OPEN', 'HALF_OPEN', 'OPEN']);
+  });
+
+  it('keeps a breaker forced OPEN until an operator forces another state', async () => {
+    jest.useFakeTimers();
+
+    mongoWriter.forceCircuitState('OPEN');
+    jest.advanceTimersByTime(config.circuitBreaker.timeoutMs * 2);
+
+    expect(mongoWriter.canExecute()).toBe(false);
+    expect(mongoWriter.getMetrics()).toMatchObject({ circuitState: 'OPEN', circuitHeldOpen: true });
+
+    mongoWriter.forceCircuitState('CLOSED');
+
+    expect(mongoWriter.canExecute()).toBe(true);
+    expect(transitions).toEqual(['OPEN', 'CLOSED']);
+  });
+
+  it('rejects unknown states', () => {
+    expect(() => mongoWriter.forceCircuitState('AJAR')).toThrow('Unknown circuit breaker state');
+  });
+});
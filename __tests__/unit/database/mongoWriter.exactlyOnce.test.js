@@ -0,0 +1,148 @@
+/**
+ * Transactional writes with stored partition offsets
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const { bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('MongoDB writer exactly-once writes', () => {
+  const topic = 'events-v1-test';
+  const offsetId = `${config.kafka.groupId}:${topic}:0`;
+  let client;
+  let collection;
+  let offsets;
+
+  const offset = (expected, next) => ({ topic, partition: 0, expected, next });
+  const storedIds = () => collection.all().map((document) => document._id);
+  const storedOffset = () => offsets.all().find((document) => document._id === offsetId);
+
+  beforeEach(async () => {
+    config.exactlyOnce.enabled = true;
+    client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    offsets = client.collection(config.mongodb.database, config.exactlyOnce.offsetsCollection);
+  });
+
+  afterEach(() => {
+    config.exactlyOnce.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('commits the events and the next offset in one transaction', async () => {
+    const events = [cloudEvent(), cloudEvent()];
+
+    const result = await mongoWriter.writeBatch(events, { offset: offset(null, 2) });
+
+    expect(result).toMatchObject({ inserted: 2, failed: 0 });
+    expect(storedIds()).toEqual(events.map((event) => event.id));
+    expect(storedOffset()).toMatchObject({
+      groupId: config.kafka.groupId,
+      topic,
+      partition: 0,
+      offset: 2,
+    });
+    expect(client.sessions).toHaveLength(1);
+    expect(client.sessions[0]).toMatchObject({ transactions: 1, ended: true });
+  });
+
+  it('advances an offset that still holds the expected value', async () => {
+    await mongoWriter.writeBatch([cloudEvent()], { offset: offset(null, 1) });
+
+    await mongoWriter.writeBatch([cloudEvent()], { offset: offset(1, 2) });
+
+    expect(storedOffset().offset).toBe(2);
+    expect(await mongoWriter.getStoredOffsets([topic])).toEqual([
+      { topic, partition: 0, offset: 2 },
+    ]);
+  });
+
+  it.each([
+    ['was moved by another writer', 1],
+    ['is stored when none was expected', null],
+  ])('rolls back with OFFSET_CONFLICT when the offset %s', async (_, expected) => {
+    await mongoWriter.resetStoredOffset(topic, 0, 5);
+
+    await expect(
+      mongoWriter.writeBatch([cloudEvent()], { offset: offset(expected, 7) })
+    ).rejects.toMatchObject({ name: 'OffsetConflictError', code: 'OFFSET_CONFLICT' });
+
+    expect(storedIds()).toEqual([]);
+    expect(storedOffset().offset).toBe(5);
+  });
+
+  it('does not count offset conflicts against the circuit breaker', async () => {
+    await mongoWriter.resetStoredOffset(topic, 0, 5);
+
+    for (let attempt = 0; attempt < config.circuitBreaker.failureThreshold; attempt++) {
+      await mongoWriter.writeBatch([cloudEvent()], { offset: offset(1, 2) }).catch(() => {});
+    }
+
+    expect(mongoWriter.circuitState).toBe('CLOSED');
+    expect(mongoWriter.getMetrics().failedWrites).toBe(0);
+  });
+
+  it('hands rejected events to onFailed, then commits the rest without them', async () => {
+    const events = [cloudEvent(), cloudEvent(), cloudEvent()];
+    const bulkWrite = collection.bulkWrite.bind(collection);
+    jest
+      .spyOn(collection, 'bulkWrite')
+      .mockImplementationOnce(async () => {
+        throw bulkWriteError([{ index: 1, code: 121, errmsg: 'invalid' }], { upsertedIds: {} });
+      })
+      .mockImplementation(bulkWrite);
+    const onFailed = jest.fn(async () => {
+      // The failed events are handed off before the offset that skips them commits
+      expect(storedOffset()).toBeUndefined();
+    });
+
+    const result = await mongoWriter.writeBatch(events, { offset: offset(null, 3), onFailed });
+
+    expect(onFailed).toHaveBeenCalledTimes(1);
+    expect(onFailed).toHaveBeenCalledWith([
+      { index: 1, eventId: events[1].id, error: { code: 121, message: 'invalid' } },
+    ]);
+    expect(result.results.map(({ success, inserted }) => [success, inserted])).toEqual([
+      [true, true],
+      [false, undefined],
+      [true, true],
+    ]);
+    expect(storedIds()).toEqual([events[0].id, events[2].id]);
+    expect(storedOffset().offset).toBe(3);
+  });
+
+  it('rolls back the whole transaction when it fails', async () => {
+    await mongoWriter.writeBatch([cloudEvent()], { offset: offset(null, 1) });
+    jest.spyOn(offsets, 'updateOne').mockRejectedValue(new Error('WriteConflict'));
+
+    await expect(mongoWriter.writeBatch([cloudEvent()], { offset: offset(1, 2) })).rejects.toThrow(
+      'WriteConflict'
+    );
+
+    expect(storedIds()).toHaveLength(1);
+    expect(storedOffset().offset).toBe(1);
+  });
+
+  it('commits only the offset of a chunk without events', async () => {
+    const result = await mongoWriter.writeBatch([], { offset: offset(null, 4) });
+
+    expect(result.total).toBe(0);
+    expect(storedOffset().offset).toBe(4);
+  });
+
+  it('overwrites a stored offset on reset', async () => {
+    await mongoWriter.writeBatch([cloudEvent()], { offset: offset(null, 9) });
+
+    await mongoWriter.resetStoredOffset(topic, 0, 3);
+
+    expect(storedOffset().offset).toBe(3);
+  });
+});
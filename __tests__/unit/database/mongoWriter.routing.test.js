@@ -0,0 +1,119 @@
+/**
+ * Writing events to routed collections
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const { bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('MongoDB writer routing', () => {
+  let dir;
+  let client;
+
+  const collection = (database, name) => client.collection(database, name);
+  const storedIds = (database, name) =>
+    collection(database, name)
+      .all()
+      .map((doc) => doc._id);
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'routes-'));
+    config.routing.file = path.join(dir, 'routes.json');
+    fs.writeFileSync(
+      config.routing.file,
+      JSON.stringify({
+        routes: [
+          {
+            name: 'audit',
+            match: { type: 'com.example.audit.*' },
+            target: { database: 'audit', collection: 'audit_events' },
+            indexes: [{ key: { 'data.actor': 1 }, options: { sparse: true } }],
+          },
+          { name: 'telemetry', match: { source: '/devices' }, collection: 'telemetry' },
+        ],
+      })
+    );
+  });
+
+  beforeEach(async () => {
+    client = await connectWriter(mongoWriter, MongoClient);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    config.routing.file = undefined;
+    await mongoWriter.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('creates each route its own indexes, and the default ones where it has none', async () => {
+    const names = async (database, name) =>
+      (await collection(database, name).indexes()).map((index) => index.name);
+
+    expect(await names('audit', 'audit_events')).toEqual(['_id_', 'data.actor_1']);
+    expect(await names(config.mongodb.database, 'telemetry')).toEqual(
+      expect.arrayContaining(['time_-1', 'type_1', 'source_1'])
+    );
+  });
+
+  it('writes each event to the collection of its route', async () => {
+    const audit = cloudEvent({ type: 'com.example.audit.login' });
+    const reading = cloudEvent({ source: '/devices/7' });
+    const order = cloudEvent();
+
+    const result = await mongoWriter.writeBatch([audit, reading, order]);
+
+    expect(result.results.map(({ route, inserted }) => [route, inserted])).toEqual([
+      ['audit', true],
+      ['telemetry', true],
+      ['default', true],
+    ]);
+    expect(storedIds('audit', 'audit_events')).toEqual([audit.id]);
+    expect(storedIds(config.mongodb.database, 'telemetry')).toEqual([reading.id]);
+    expect(storedIds(config.mongodb.database, config.mongodb.collection)).toEqual([order.id]);
+  });
+
+  it('maps document errors in one collection back to their batch index', async () => {
+    const events = [
+      cloudEvent(),
+      cloudEvent({ source: '/devices/1' }),
+      cloudEvent({ source: '/devices/2' }),
+    ];
+    jest
+      .spyOn(collection(config.mongodb.database, 'telemetry'), 'bulkWrite')
+      .mockRejectedValue(
+        bulkWriteError([{ index: 1, code: 121, errmsg: 'invalid' }], { upsertedIds: { 0: 'x' } })
+      );
+
+    const result = await mongoWriter.writeBatch(events);
+
+    expect(result.results.map(({ success, inserted }) => [success, inserted])).toEqual([
+      [true, true],
+      [true, true],
+      [false, undefined],
+    ]);
+    expect(result.results[2]).toMatchObject({
+      eventId: events[2].id,
+      route: 'telemetry',
+      error: { code: 121, message: 'invalid' },
+    });
+  });
+
+  it('routes a single event', async () => {
+    const event = cloudEvent({ type: 'com.example.audit.logout' });
+
+    await mongoWriter.writeEvent(event);
+
+    expect(storedIds('audit', 'audit_events')).toEqual([event.id]);
+  });
+});
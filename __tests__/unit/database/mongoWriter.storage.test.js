@@ -0,0 +1,212 @@
+/**
+ * Time-series collections and TTL retention
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const { FakeMongoClient, connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('MongoDB writer storage', () => {
+  const original = { ...config.mongodb.storage };
+  const { database, collection: name } = config.mongodb;
+  const DAY = 86400;
+  let existing;
+
+  /**
+   * Connect over `existing`, which tests fill with collections created before startup
+   */
+  const connect = () => connectWriter(mongoWriter, MongoClient, existing);
+  const db = () => existing.db(database);
+  const info = async () => (await db().listCollections({ name }).toArray())[0];
+  const ttlIndex = async () =>
+    (await db().collection(name).indexes()).find((index) => index.name === 'time_ttl');
+
+  beforeEach(() => {
+    existing = new FakeMongoClient();
+  });
+
+  afterEach(() => {
+    Object.assign(config.mongodb.storage, original);
+    config.exactlyOnce.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  describe('regular collections', () => {
+    it('stores times in one UTC form without retention', async () => {
+      await connect();
+
+      await mongoWriter.writeBatch([cloudEvent({ time: '2025-01-01T01:00:00+01:00' })]);
+
+      expect(db().collection(name).all()[0].time).toBe('2025-01-01T00:00:00.000Z');
+      expect(await ttlIndex()).toBeUndefined();
+    });
+
+    it('stores times as dates under a TTL index when retention is set', async () => {
+      config.mongodb.storage.retention = '30d';
+      await connect();
+
+      await mongoWriter.writeBatch([cloudEvent()]);
+
+      expect(db().collection(name).all()[0].time).toEqual(new Date('2025-01-01T00:00:00Z'));
+      expect(await ttlIndex()).toMatchObject({ key: { time: 1 }, expireAfterSeconds: 30 * DAY });
+    });
+
+    it('updates the TTL index of an existing collection when retention changes', async () => {
+      await db().createCollection(name);
+      await db()
+        .collection(name)
+        .createIndex({ time: 1 }, { name: 'time_ttl', expireAfterSeconds: DAY });
+      config.mongodb.storage.retention = '7d';
+
+      await connect();
+
+      expect(db().commands).toContainEqual({
+        collMod: name,
+        index: { name: 'time_ttl', expireAfterSeconds: 7 * DAY },
+      });
+      expect((await ttlIndex()).expireAfterSeconds).toBe(7 * DAY);
+    });
+
+    it('drops the TTL index when retention is removed', async () => {
+      await db().createCollection(name);
+      await db()
+        .collection(name)
+        .createIndex({ time: 1 }, { name: 'time_ttl', expireAfterSeconds: DAY });
+
+      await connect();
+
+      expect(await ttlIndex()).toBeUndefined();
+    });
+  });
+
+  describe('time-series collections', () => {
+    beforeEach(() => {
+      Object.assign(config.mongodb.storage, { timeSeries: true, granularity: 'minutes' });
+    });
+
+    it('creates a time-series collection with its retention and series indexes', async () => {
+      config.mongodb.storage.retention = '90d';
+
+      await connect();
+
+      expect(await info()).toMatchObject({
+        type: 'timeseries',
+        options: {
+          timeseries: { timeField: 'time', metaField: '_series', granularity: 'minutes' },
+          expireAfterSeconds: 90 * DAY,
+        },
+      });
+      const keys = (await db().collection(name).indexes()).map((index) => index.key);
+      expect(keys).toEqual(
+        expect.arrayContaining([
+          { '_series.type': 1, time: -1 },
+          { '_series.source': 1, time: -1 },
+        ])
+      );
+    });
+
+    it('stores time as a date with the type and source as series metadata', async () => {
+      await connect();
+      const event = cloudEvent();
+
+      await mongoWriter.writeBatch([event]);
+
+      expect(db().collection(name).all()).toEqual([
+        {
+          _id: event.id,
+          ...event,
+          time: new Date(event.time),
+          _series: { type: event.type, source: event.source },
+        },
+      ]);
+    });
+
+    it('skips events already stored, and repeats within a batch', async () => {
+      await connect();
+      const first = cloudEvent();
+      const second = cloudEvent();
+      await mongoWriter.writeBatch([first]);
+
+      const result = await mongoWriter.writeBatch([first, second, second]);
+
+      expect(result).toMatchObject({ inserted: 1, duplicates: 2, failed: 0 });
+      expect(result.results.map((entry) => entry.inserted)).toEqual([false, true, false]);
+      expect(db().collection(name).all()).toHaveLength(2);
+    });
+
+    it('raises the granularity and changes the retention of an existing collection', async () => {
+      await db().createCollection(name, {
+        timeseries: { timeField: 'time', metaField: '_series', granularity: 'seconds' },
+        expireAfterSeconds: DAY,
+      });
+      config.mongodb.storage.retention = '2d';
+
+      await connect();
+
+      expect(db().commands).toEqual(
+        expect.arrayContaining([
+          { collMod: name, timeseries: { granularity: 'minutes' } },
+          { collMod: name, expireAfterSeconds: 2 * DAY },
+        ])
+      );
+    });
+
+    it('turns retention off on an existing collection', async () => {
+      await db().createCollection(name, {
+        timeseries: { timeField: 'time', metaField: '_series', granularity: 'minutes' },
+        expireAfterSeconds: DAY,
+      });
+
+      await connect();
+
+      expect(db().commands).toContainEqual({ collMod: name, expireAfterSeconds: 'off' });
+      expect((await info()).options).not.toHaveProperty('expireAfterSeconds');
+    });
+
+    it('uses a mismatched collection as it is when configured to warn', async () => {
+      await db().createCollection(name);
+
+      await connect();
+      await mongoWriter.writeBatch([cloudEvent()]);
+
+      const [stored] = db().collection(name).all();
+      expect(stored.time).toBeInstanceOf(Date);
+      expect(stored).not.toHaveProperty('_series');
+      expect(await info()).toMatchObject({ type: 'collection' });
+    });
+
+    it('does not lower the granularity of an existing collection', async () => {
+      await db().createCollection(name, {
+        timeseries: { timeField: 'time', metaField: '_series', granularity: 'hours' },
+      });
+      config.mongodb.storage.onMismatch = 'fail';
+
+      await expect(connect()).rejects.toThrow(
+        `Collection ${database}.${name} does not match its storage settings: granularity is hours and can't be changed to minutes`
+      );
+    });
+
+    it('fails startup on a regular collection when configured to', async () => {
+      await db().createCollection(name);
+      config.mongodb.storage.onMismatch = 'fail';
+
+      await expect(connect()).rejects.toThrow('it is not a time-series collection');
+    });
+
+    it('cannot be used with exactly-once writes', async () => {
+      config.exactlyOnce.enabled = true;
+
+      await expect(connect()).rejects.toThrow(
+        "Route default uses a time-series collection, which can't be written in the transactions exactly-once mode needs"
+      );
+    });
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * MongoDB writer: batch and single-event writes
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const { DUPLICATE_KEY_ERROR, bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('MongoDB writer', () => {
+  const { database, collection: events } = config.mongodb;
+  let client;
+  let collection;
+  let writes;
+
+  beforeEach(async () => {
+    client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(database, events);
+    writes = [];
+    mongoWriter.on('write', (write) => writes.push(write));
+  });
+
+  afterEach(() => {
+    mongoWriter.removeAllListeners('write');
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  describe('initialize', () => {
+    it('creates the default indexes on the events collection', async () => {
+      const names = (await collection.indexes()).map((index) => index.name);
+
+      expect(names).toEqual(expect.arrayContaining(['time_-1', 'type_1', 'source_1']));
+      expect(mongoWriter.isConnected).toBe(true);
+    });
+
+    it('reports healthy while connected and unhealthy after closing', async () => {
+      expect(await mongoWriter.healthCheck()).toMatchObject({
+        status: 'healthy',
+        circuitState: 'CLOSED',
+      });
+
+      await mongoWriter.close();
+
+      expect(await mongoWriter.healthCheck()).toEqual({
+        status: 'unhealthy',
+        reason: 'Not connected to MongoDB',
+      });
+    });
+  });
+
+  describe('writeBatch', () => {
+    it('inserts new events with their id as _id and reports redeliveries as duplicates', async () => {
+      const [first, second] = [cloudEvent(), cloudEvent()];
+      await mongoWriter.writeBatch([first]);
+
+      const result = await mongoWriter.writeBatch([first, second]);
+
+      expect(result).toMatchObject({
+        success: true,
+        inserted: 1,
+        duplicates: 1,
+        failed: 0,
+        total: 2,
+      });
+      expect(result.results).toEqual([
+        expect.objectContaining({ index: 0, eventId: first.id, inserted: false, duplicate: true }),
+        expect.objectContaining({ index: 1, eventId: second.id, inserted: true, duplicate: false }),
+      ]);
+      expect(collection.all().map((document) => document._id)).toEqual([first.id, second.id]);
+      expect(mongoWriter.getMetrics()).toMatchObject({
+        totalWrites: 3,
+        successfulWrites: 2,
+        duplicateWrites: 1,
+        batchWrites: 2,
+      });
+    });
+
+    it('maps document errors back to the index of the failed event', async () => {
+      const batch = [cloudEvent(), cloudEvent(), cloudEvent()];
+      jest.spyOn(collection, 'bulkWrite').mockRejectedValue(
+        bulkWriteError(
+          [
+            { index: 0, code: DUPLICATE_KEY_ERROR, errmsg: 'E11000 duplicate key' },
+            { index: 2, code: 121, errmsg: 'Document failed validation' },
+          ],
+          { upsertedIds: { 1: batch[1].id } }
+        )
+      );
+
+      const result = await mongoWriter.writeBatch(batch);
+
+      expect(result).toMatchObject({ success: false, inserted: 1, duplicates: 1, failed: 1 });
+      expect(result.results[2]).toMatchObject({
+        index: 2,
+        eventId: batch[2].id,
+        success: false,
+        error: { code: 121, message: 'Document failed validation' },
+      });
+      expect(mongoWriter.circuitState).toBe('CLOSED');
+      expect(writes).toEqual([
+        expect.objectContaining({ operation: 'batch', outcome: 'success', total: 3, failed: 1 }),
+      ]);
+    });
+
+    it('returns an empty result without writing when there are no events', async () => {
+      const bulkWrite = jest.spyOn(collection, 'bulkWrite');
+
+      expect(await mongoWriter.writeBatch([])).toEqual({
+        success: true,
+        inserted: 0,
+        duplicates: 0,
+        failed: 0,
+        total: 0,
+        results: [],
+      });
+      expect(bulkWrite).not.toHaveBeenCalled();
+      expect(writes).toEqual([]);
+    });
+
+    it('throws and counts a failure when the whole bulk write fails', async () => {
+      jest.spyOn(collection, 'bulkWrite').mockRejectedValue(new Error('not primary'));
+
+      await expect(mongoWriter.writeBatch([cloudEvent(), cloudEvent()])).rejects.toThrow(
+        'not primary'
+      );
+
+      expect(mongoWriter.failureCount).toBe(1);
+      expect(mongoWriter.metrics.failedWrites).toBe(2);
+      expect(writes).toEqual([
+        expect.objectContaining({ operation: 'batch', outcome: 'failure', total: 2, failed: 2 }),
+      ]);
+    });
+  });
+
+  describe('writeBatchWithRetry', () => {
+    const retry = { ...config.retry };
+
+    beforeEach(() => {
+      config.retry.initialDelay = 1;
+      config.retry.maxDelay = 1;
+    });
+
+    afterEach(() => {
+      Object.assign(config.retry, retry);
+    });
+
+    it('retries a failed batch and returns the result of the attempt that succeeded', async () => {
+      const bulkWrite = collection.bulkWrite.bind(collection);
+      jest
+        .spyOn(collection, 'bulkWrite')
+        .mockRejectedValueOnce(new Error('socket timeout'))
+        .mockImplementation(bulkWrite);
+
+      const result = await mongoWriter.writeBatchWithRetry([cloudEvent()]);
+
+      expect(collection.bulkWrite).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ success: true, inserted: 1 });
+    });
+
+    it('gives up after the configured attempts', async () => {
+      jest.spyOn(collection, 'bulkWrite').mockRejectedValue(new Error('socket timeout'));
+
+      await expect(mongoWriter.writeBatchWithRetry([cloudEvent()])).rejects.toThrow(
+        'socket timeout'
+      );
+      expect(collection.bulkWrite).toHaveBeenCalledTimes(config.retry.maxAttempts);
+    });
+
+    it('backs off exponentially up to the maximum delay', () => {
+      Object.assign(config.retry, retry);
+
+      expect(mongoWriter.getRetryDelay(1)).toBe(config.retry.initialDelay);
+      expect(mongoWriter.getRetryDelay(2)).toBe(
+        config.retry.initialDelay * config.retry.backoffMultiplier
+      );
+      expect(mongoWriter.getRetryDelay(50)).toBe(config.retry.maxDelay);
+    });
+  });
+
+  describe('writeEvent', () => {
+    it('inserts an event once and reports the redelivery as a duplicate', async () => {
+      const event = cloudEvent();
+
+      expect(await mongoWriter.writeEvent(event)).toEqual({
+        success: true,
+        inserted: true,
+        eventId: event.id,
+      });
+      expect(await mongoWriter.writeEvent(event)).toEqual({
+        success: true,
+        inserted: false,
+        eventId: event.id,
+        duplicate: true,
+      });
+      expect(writes.map((write) => [write.operation, write.inserted, write.duplicates])).toEqual([
+        ['single', 1, 0],
+        ['single', 0, 1],
+      ]);
+    });
+
+    it('throws document errors other than duplicates', async () => {
+      jest
+        .spyOn(collection, 'bulkWrite')
+        .mockRejectedValue(
+          bulkWriteError([{ index: 0, code: 121, errmsg: 'Document failed validation' }], {})
+        );
+
+      await expect(mongoWriter.writeEvent(cloudEvent())).rejects.toMatchObject({
+        message: 'Document failed validation',
+        code: 121,
+      });
+      expect(mongoWriter.metrics.failedWrites).toBe(1);
+    });
+  });
+});
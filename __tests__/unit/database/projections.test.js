@@ -0,0 +1,254 @@
+/**
+ * Entity state projections
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const projections = require('../../../src/database/projections');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+const TABLE = `
+projections:
+  - name: orders
+    collection: order_state
+    key: data.orderId
+    rules:
+      com.example.order.created:
+        set: { status: created, customer: $data.customer }
+      com.example.order.item_added:
+        inc: { itemCount: 1, total: $data.price }
+        push: { items: $data.sku }
+      com.example.order.shipped:
+        set: { status: shipped }
+        unset: [discount]
+      com.example.order.deleted:
+        delete: true
+  - name: devices
+    database: telemetry
+    collection: device_state
+    sequence: seq
+    rules:
+      com.example.device.reported:
+        set: { reading: $data.reading }
+`;
+
+describe('Entity projections', () => {
+  let dir;
+  let client;
+
+  const order = (minute, type, data = {}) =>
+    cloudEvent({
+      type: `com.example.order.${type}`,
+      time: `2025-01-01T00:${String(minute).padStart(2, '0')}:00.000Z`,
+      data: { orderId: 'o-1', ...data },
+    });
+
+  /**
+   * The entity document without its bookkeeping, or undefined
+   */
+  const state = (collection = 'order_state', database = config.mongodb.database) => {
+    const [document] = client.collection(database, collection).all();
+    if (!document) {
+      return undefined;
+    }
+    const fields = { ...document };
+    delete fields._projection;
+    return fields;
+  };
+
+  const bookkeeping = () =>
+    client.collection(config.mongodb.database, 'order_state').all()[0]._projection;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'projections-'));
+    config.projections.file = path.join(dir, 'projections.yaml');
+    fs.writeFileSync(config.projections.file, TABLE);
+  });
+
+  beforeEach(async () => {
+    client = await connectWriter(mongoWriter, MongoClient);
+  });
+
+  afterEach(() => {
+    config.exactlyOnce.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    config.projections.file = undefined;
+    await mongoWriter.close();
+    projections.load();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reduces events into the latest state of their entity', async () => {
+    const shipped = order(5, 'shipped');
+    await mongoWriter.writeBatch([
+      order(1, 'created', { customer: 'c-1' }),
+      order(2, 'item_added', { price: 5, sku: 'a' }),
+      order(3, 'item_added', { price: 7.5, sku: 'b' }),
+    ]);
+    await client
+      .collection(config.mongodb.database, 'order_state')
+      .updateOne({ _id: 'o-1' }, { $set: { discount: 10 } });
+
+    await mongoWriter.writeBatch([shipped]);
+
+    expect(state()).toEqual({
+      _id: 'o-1',
+      status: 'shipped',
+      customer: 'c-1',
+      itemCount: 2,
+      total: 12.5,
+      items: ['a', 'b'],
+    });
+    expect(bookkeeping()).toEqual({
+      position: new Date(shipped.time),
+      eventId: shipped.id,
+      type: shipped.type,
+      deleted: false,
+      updatedAt: expect.any(Date),
+    });
+  });
+
+  it('never lets an older event overwrite newer state, but still accumulates it', async () => {
+    const shipped = order(5, 'shipped');
+    await mongoWriter.writeBatch([shipped]);
+
+    await mongoWriter.writeBatch([
+      order(1, 'created', { customer: 'c-1' }),
+      order(2, 'item_added', { price: 5, sku: 'a' }),
+    ]);
+
+    expect(state()).toEqual({
+      _id: 'o-1',
+      status: 'shipped',
+      itemCount: 1,
+      total: 5,
+      items: ['a'],
+    });
+    expect(bookkeeping().eventId).toBe(shipped.id);
+  });
+
+  it('leaves a tombstone that older events cannot bring back', async () => {
+    await mongoWriter.writeBatch([order(1, 'created'), order(9, 'deleted')]);
+
+    await mongoWriter.writeBatch([order(2, 'item_added', { price: 5, sku: 'a' })]);
+    await mongoWriter.writeBatch([order(3, 'shipped')]);
+
+    expect(state()).toEqual({ _id: 'o-1' });
+    expect(bookkeeping()).toMatchObject({ deleted: true, type: 'com.example.order.deleted' });
+  });
+
+  it('recreates a deleted entity from a newer event', async () => {
+    await mongoWriter.writeBatch([order(1, 'deleted')]);
+
+    await mongoWriter.writeBatch([order(2, 'created', { customer: 'c-2' })]);
+
+    expect(state()).toEqual({ _id: 'o-1', status: 'created', customer: 'c-2' });
+    expect(bookkeeping().deleted).toBe(false);
+  });
+
+  it('orders by a sequence extension when configured', async () => {
+    const reported = (seq, reading) =>
+      cloudEvent({ type: 'com.example.device.reported', subject: 'd-1', seq, data: { reading } });
+
+    await mongoWriter.writeBatch([reported('2', 20), reported(1, 10), reported('x', 99)]);
+
+    expect(state('device_state', 'telemetry')).toEqual({ _id: 'd-1', reading: 20 });
+  });
+
+  it('ignores events without a rule, an entity id or a position', async () => {
+    await mongoWriter.writeBatch([
+      cloudEvent({ type: 'com.example.order.refunded', data: { orderId: 'o-1' } }),
+      order(1, 'created', { orderId: '' }),
+      order(1, 'created', { orderId: { nested: true } }),
+      { ...order(1, 'created'), time: 'yesterday' },
+    ]);
+
+    expect(state()).toBeUndefined();
+  });
+
+  it('does not apply a redelivered event twice', async () => {
+    const added = order(2, 'item_added', { price: 5, sku: 'a' });
+    await mongoWriter.writeBatch([added]);
+
+    await mongoWriter.writeBatch([added]);
+
+    expect(state()).toMatchObject({ itemCount: 1, items: ['a'] });
+  });
+
+  it('keeps the events and counts a failure when the projection update fails', async () => {
+    jest
+      .spyOn(client.collection(config.mongodb.database, 'order_state'), 'bulkWrite')
+      .mockRejectedValue(new Error('projections unavailable'));
+
+    const result = await mongoWriter.writeBatch([order(1, 'created')]);
+
+    expect(result.inserted).toBe(1);
+    expect(mongoWriter.getMetrics().projectionFailures).toBe(1);
+  });
+
+  it('rolls back the events with a projection failure in exactly-once mode', async () => {
+    config.exactlyOnce.enabled = true;
+    jest
+      .spyOn(client.collection(config.mongodb.database, 'order_state'), 'bulkWrite')
+      .mockRejectedValue(new Error('projections unavailable'));
+    const offset = { topic: 'events-v1-test', partition: 0, expected: null, next: 1 };
+
+    await expect(mongoWriter.writeBatch([order(1, 'created')], { offset })).rejects.toThrow(
+      'projections unavailable'
+    );
+
+    expect(client.collection(config.mongodb.database, config.mongodb.collection).all()).toEqual([]);
+  });
+
+  describe('load', () => {
+    const invalid = (rules, definition = { collection: 'c' }) => {
+      fs.writeFileSync(
+        config.projections.file,
+        JSON.stringify({ projections: [{ name: 'p', ...definition, rules }] })
+      );
+      return () => projections.load();
+    };
+
+    afterEach(() => {
+      fs.writeFileSync(config.projections.file, TABLE);
+    });
+
+    it.each([
+      [
+        { t: { replace: {} } },
+        'Projection p rule for t must use only: set, inc, push, unset, delete',
+      ],
+      [
+        { t: { delete: true, set: { a: 1 } } },
+        'Projection p rule for t must be delete: true on its own',
+      ],
+      [{ t: { unset: 'a' } }, 'Projection p rule for t must list unset fields in an array'],
+      [
+        { t: { set: { _projection: 1 } } },
+        'Projection p rule for t has an invalid field: _projection',
+      ],
+      [{ t: { set: { 'a.$b': 1 } } }, 'Projection p rule for t has an invalid field: a.$b'],
+      [
+        { t: { set: { a: 1 }, unset: ['a'] } },
+        'Projection p rule for t updates a field more than once',
+      ],
+      [{}, 'Projection p has no rules'],
+    ])('rejects the rules %j', (rules, message) => {
+      expect(invalid(rules)).toThrow(message);
+    });
+
+    it('rejects projections without a collection', () => {
+      expect(invalid({ t: { set: { a: 1 } } }, {})).toThrow('Projection p has no collection');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Rollups maintained from inserted events
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const { connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('Event rollups', () => {
+  const original = { ...config.rollups };
+  let client;
+  let rollups;
+
+  /**
+   * Rollup documents of one granularity as `[bucket, type, count, sums]`, oldest first
+   */
+  const rows = (granularity) =>
+    rollups
+      .all()
+      .filter((rollup) => rollup.granularity === granularity)
+      .sort((a, b) => a.bucket - b.bucket || a.type.localeCompare(b.type))
+      .map(({ bucket, type, count, sums }) => [bucket.toISOString(), type, count, sums]);
+
+  const at = (time, overrides = {}) => cloudEvent({ time, ...overrides });
+
+  beforeEach(async () => {
+    Object.assign(config.rollups, { enabled: true, sums: { amount: 'data.amount' } });
+    client = await connectWriter(mongoWriter, MongoClient);
+    rollups = client.collection(config.mongodb.database, config.rollups.collection);
+  });
+
+  afterEach(() => {
+    Object.assign(config.rollups, original);
+    config.exactlyOnce.enabled = false;
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('creates the unique bucket index', async () => {
+    expect(await rollups.indexes()).toContainEqual(
+      expect.objectContaining({
+        key: { granularity: 1, bucket: -1, type: 1, source: 1 },
+        unique: true,
+      })
+    );
+  });
+
+  it('counts events per type and source in minute, hour and day buckets', async () => {
+    await mongoWriter.writeBatch([
+      at('2025-01-01T10:00:05Z'),
+      at('2025-01-01T10:00:50Z', { data: { amount: 2.5 } }),
+      at('2025-01-01T10:01:00Z'),
+      at('2025-01-01T11:30:00+01:00', { type: 'com.example.order.deleted' }),
+      at('2025-01-02T00:00:00Z'),
+    ]);
+
+    expect(rows('minute')).toEqual([
+      ['2025-01-01T10:00:00.000Z', 'com.example.order.created', 2, { amount: 12.5 }],
+      ['2025-01-01T10:01:00.000Z', 'com.example.order.created', 1, { amount: 10 }],
+      ['2025-01-01T10:30:00.000Z', 'com.example.order.deleted', 1, { amount: 10 }],
+      ['2025-01-02T00:00:00.000Z', 'com.example.order.created', 1, { amount: 10 }],
+    ]);
+    expect(rows('hour').map(([bucket, type, count]) => [bucket, type, count])).toEqual([
+      ['2025-01-01T10:00:00.000Z', 'com.example.order.created', 3],
+      ['2025-01-01T10:00:00.000Z', 'com.example.order.deleted', 1],
+      ['2025-01-02T00:00:00.000Z', 'com.example.order.created', 1],
+    ]);
+    expect(rows('day').map(([bucket, , count]) => [bucket, count])).toEqual([
+      ['2025-01-01T00:00:00.000Z', 3],
+      ['2025-01-01T00:00:00.000Z', 1],
+      ['2025-01-02T00:00:00.000Z', 1],
+    ]);
+  });
+
+  it('does not count redelivered events again', async () => {
+    const event = at('2025-01-01T10:00:00Z');
+    await mongoWriter.writeBatch([event]);
+
+    await mongoWriter.writeBatch([event, at('2025-01-01T10:00:30Z')]);
+    await mongoWriter.writeEvent(event);
+
+    expect(rows('minute')).toEqual([
+      ['2025-01-01T10:00:00.000Z', 'com.example.order.created', 2, { amount: 20 }],
+    ]);
+  });
+
+  it('skips events without a valid time and sums only numeric fields', async () => {
+    await mongoWriter.writeBatch([
+      at('not a time'),
+      at('2025-01-01T10:00:00Z', { data: { amount: '5' } }),
+    ]);
+
+    expect(rows('minute')).toEqual([
+      ['2025-01-01T10:00:00.000Z', 'com.example.order.created', 1, undefined],
+    ]);
+  });
+
+  it('keeps the events and counts a failure when the rollup update fails', async () => {
+    jest.spyOn(rollups, 'bulkWrite').mockRejectedValue(new Error('rollups unavailable'));
+
+    const result = await mongoWriter.writeBatch([cloudEvent()]);
+
+    expect(result.inserted).toBe(1);
+    expect(mongoWriter.getMetrics().rollupFailures).toBe(1);
+  });
+
+  it('rolls back the events with a rollup failure in exactly-once mode', async () => {
+    config.exactlyOnce.enabled = true;
+    jest.spyOn(rollups, 'bulkWrite').mockRejectedValue(new Error('rollups unavailable'));
+    const offset = { topic: 'events-v1-test', partition: 0, expected: null, next: 1 };
+
+    await expect(mongoWriter.writeBatch([cloudEvent()], { offset })).rejects.toThrow(
+      'rollups unavailable'
+    );
+
+    expect(client.collection(config.mongodb.database, config.mongodb.collection).all()).toEqual([]);
+  });
+
+  it('maintains only the configured granularities', async () => {
+    config.rollups.granularities = ['day'];
+
+    await mongoWriter.writeBatch([cloudEvent()]);
+
+    expect(rollups.all().map((rollup) => rollup.granularity)).toEqual(['day']);
+  });
+});
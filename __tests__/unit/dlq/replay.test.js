@@ -0,0 +1,237 @@
+/**
+ * DLQ replay
+ */
+
+jest.mock('kafkajs', () => ({ ...jest.requireActual('kafkajs'), Kafka: jest.fn() }));
+
+const { Kafka } = require('kafkajs');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const { DLQReplayer } = require('../../../src/dlq/replay');
+const privacyPolicy = require('../../../src/privacy/privacyPolicy');
+const { createFakeAdmin, createFakeProducer } = require('../../helpers/fakeKafka');
+const { cloudEvent, structuredMessage } = require('../../helpers/events');
+
+describe('DLQReplayer', () => {
+  const dlqTopic = config.kafka.dlqTopic;
+  let dlq;
+  let admin;
+  let producer;
+  let dlqConsumer;
+
+  /**
+   * A dead-lettered message as the consumer publishes it
+   */
+  const deadLetter = (event, { offset, reason = 'Document failed validation', failedAt } = {}) =>
+    structuredMessage(event, {
+      offset,
+      headers: {
+        'x-error-reason': reason,
+        'x-failed-timestamp': failedAt ?? Date.parse('2025-06-01T00:00:00Z'),
+        'x-original-topic': 'orders',
+        'x-retry-attempt': 2,
+      },
+    });
+
+  const replay = (options = {}) => new DLQReplayer({ rate: 100000, ...options }).run();
+
+  beforeEach(() => {
+    dlq = [];
+    admin = createFakeAdmin();
+    admin.fetchTopicOffsets.mockImplementation(async () => [
+      { partition: 0, low: '0', high: String(dlq.length) },
+    ]);
+    producer = createFakeProducer();
+    dlqConsumer = {
+      connect: jest.fn(async () => {}),
+      disconnect: jest.fn(async () => {}),
+      subscribe: jest.fn(async () => {}),
+      run: jest.fn(async ({ eachMessage }) => {
+        for (const message of dlq) {
+          await eachMessage({ topic: dlqTopic, partition: 0, message });
+        }
+      }),
+    };
+    Kafka.mockImplementation(() => ({
+      admin: () => admin,
+      consumer: () => dlqConsumer,
+      producer: () => producer,
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('republishes matching messages to their original topic without the failure headers', async () => {
+    const event = cloudEvent();
+    dlq.push(deadLetter(event, { offset: 0 }));
+
+    const summary = await replay();
+
+    expect(summary).toMatchObject({ scanned: 1, matched: 1, replayed: 1, failed: 0 });
+    expect(producer.sent).toHaveLength(1);
+    const [republished] = producer.sent;
+    expect(republished.topic).toBe('orders');
+    expect(JSON.parse(republished.value.toString())).toEqual(event);
+    expect(Object.keys(republished.headers).sort()).toEqual([
+      'content-type',
+      'x-replayed-timestamp',
+    ]);
+    expect(dlqConsumer.subscribe).toHaveBeenCalledWith({ topic: dlqTopic, fromBeginning: true });
+    expect(dlqConsumer.run).toHaveBeenCalledWith(expect.objectContaining({ autoCommit: false }));
+    expect(dlqConsumer.disconnect).toHaveBeenCalled();
+    expect(producer.disconnect).toHaveBeenCalled();
+  });
+
+  it('only reports what would be replayed in a dry run', async () => {
+    dlq.push(deadLetter(cloudEvent({ type: 'a' }), { offset: 0, reason: 'timeout' }));
+    dlq.push(deadLetter(cloudEvent({ type: 'b' }), { offset: 1, reason: 'timeout' }));
+    dlq.push({
+      ...deadLetter(null, { offset: 2, reason: 'Invalid message format' }),
+      value: Buffer.from('{'),
+    });
+
+    const summary = await replay({ dryRun: true });
+
+    expect(summary).toMatchObject({
+      scanned: 3,
+      matched: 3,
+      replayed: 0,
+      byReason: { timeout: 2, 'Invalid message format': 1 },
+      byType: { a: 1, b: 1, unparseable: 1 },
+    });
+    expect(producer.sent).toEqual([]);
+  });
+
+  it('filters by error reason, type, source prefix and failure time', async () => {
+    const match = cloudEvent({ type: 'order.created', source: '/orders/eu' });
+    dlq.push(deadLetter(match, { offset: 0, reason: 'Schema validation failed: x' }));
+    dlq.push(
+      deadLetter(cloudEvent({ type: 'order.created', source: '/orders/eu' }), {
+        offset: 1,
+        reason: 'timeout',
+      })
+    );
+    dlq.push(
+      deadLetter(cloudEvent({ type: 'order.deleted', source: '/orders/eu' }), {
+        offset: 2,
+        reason: 'Schema validation failed: y',
+      })
+    );
+    dlq.push(
+      deadLetter(cloudEvent({ type: 'order.created', source: '/billing' }), {
+        offset: 3,
+        reason: 'Schema validation failed: z',
+      })
+    );
+    dlq.push(
+      deadLetter(cloudEvent({ type: 'order.created', source: '/orders/eu' }), {
+        offset: 4,
+        reason: 'Schema validation failed: w',
+        failedAt: Date.parse('2024-01-01T00:00:00Z'),
+      })
+    );
+
+    const summary = await replay({
+      reason: 'Schema validation',
+      type: 'order.created',
+      source: '/orders',
+      since: new Date('2025-01-01T00:00:00Z'),
+      until: new Date('2026-01-01T00:00:00Z'),
+    });
+
+    expect(summary).toMatchObject({ scanned: 5, matched: 1, replayed: 1 });
+    expect(JSON.parse(producer.sent[0].value.toString()).id).toBe(match.id);
+  });
+
+  it('skips records without a usable failure time when filtering by time', async () => {
+    dlq.push(deadLetter(cloudEvent(), { offset: 0, failedAt: 'not-a-timestamp' }));
+    const undated = deadLetter(cloudEvent(), { offset: 1 });
+    delete undated.headers['x-failed-timestamp'];
+    delete undated.timestamp;
+    dlq.push(undated);
+    dlq.push(deadLetter(cloudEvent(), { offset: 2 }));
+
+    const since = await replay({ since: new Date('2025-01-01T00:00:00Z'), dryRun: true });
+    const until = await replay({ until: new Date('2026-01-01T00:00:00Z'), dryRun: true });
+    const unfiltered = await replay({ dryRun: true });
+
+    expect(since).toMatchObject({ scanned: 3, matched: 1 });
+    expect(until).toMatchObject({ scanned: 3, matched: 1 });
+    expect(unfiltered).toMatchObject({ scanned: 3, matched: 3 });
+  });
+
+  it('skips records without a string source when filtering by source', async () => {
+    dlq.push(deadLetter(cloudEvent({ source: 42 }), { offset: 0 }));
+    dlq.push(deadLetter(cloudEvent({ source: '/orders' }), { offset: 1 }));
+
+    const summary = await replay({ source: '/orders' });
+
+    expect(summary).toMatchObject({ scanned: 2, matched: 1, replayed: 1 });
+  });
+
+  it('writes matching events straight to MongoDB, routed by their original topic', async () => {
+    const event = cloudEvent();
+    dlq.push(deadLetter(event, { offset: 0 }));
+    dlq.push({ ...deadLetter(null, { offset: 1 }), value: Buffer.from('{') });
+    jest.spyOn(mongoWriter, 'initialize').mockResolvedValue();
+    const write = jest
+      .spyOn(mongoWriter, 'writeEventWithRetry')
+      .mockResolvedValue({ success: true, inserted: true, eventId: event.id });
+
+    const summary = await replay({ target: 'mongodb' });
+
+    expect(write).toHaveBeenCalledWith(event, { topic: 'orders' });
+    expect(summary).toMatchObject({ scanned: 2, matched: 2, replayed: 1, skipped: 1 });
+    expect(producer.send).not.toHaveBeenCalled();
+  });
+
+  it('applies the privacy policy to events written straight to MongoDB', async () => {
+    const event = cloudEvent({ data: { email: 'ada@example.com' } });
+    const protectedEvent = { ...event, data: { email: 'hmac-sha256:...' } };
+    dlq.push(deadLetter(event, { offset: 0 }));
+    jest.spyOn(mongoWriter, 'initialize').mockResolvedValue();
+    const load = jest.spyOn(privacyPolicy, 'load').mockImplementation(() => {});
+    jest.spyOn(privacyPolicy, 'apply').mockReturnValue(protectedEvent);
+    const write = jest
+      .spyOn(mongoWriter, 'writeEventWithRetry')
+      .mockResolvedValue({ success: true, inserted: true, eventId: event.id });
+
+    await replay({ target: 'mongodb' });
+
+    expect(load).toHaveBeenCalled();
+    expect(privacyPolicy.apply).toHaveBeenCalledWith(event);
+    expect(write).toHaveBeenCalledWith(protectedEvent, { topic: 'orders' });
+  });
+
+  it('counts messages that fail to replay and carries on', async () => {
+    dlq.push(deadLetter(cloudEvent(), { offset: 0 }));
+    dlq.push(deadLetter(cloudEvent(), { offset: 1 }));
+    producer.send.mockRejectedValueOnce(new Error('not leader'));
+
+    const summary = await replay();
+
+    expect(summary).toMatchObject({ matched: 2, replayed: 1, failed: 1 });
+  });
+
+  it('ends without consuming when the DLQ is empty', async () => {
+    const summary = await replay();
+
+    expect(summary.scanned).toBe(0);
+    expect(dlqConsumer.run).not.toHaveBeenCalled();
+  });
+
+  it('ends after the idle timeout when the captured end offset is never reached', async () => {
+    dlq.push(deadLetter(cloudEvent(), { offset: 0 }));
+    admin.fetchTopicOffsets.mockResolvedValue([{ partition: 0, low: '0', high: '5' }]);
+
+    const summary = await replay({ idleTimeoutMs: 10 });
+
+    expect(summary.scanned).toBe(1);
+  });
+
+  it('rejects an unknown target', async () => {
+    await expect(replay({ target: 'postgres' })).rejects.toThrow('Unknown replay target');
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Structured logger
+ */
+
+const { logLevel } = require('kafkajs');
+const config = require('../../../src/config');
+const logger = require('../../../src/logging/logger');
+const { kafkaLogCreator } = require('../../../src/logging/kafkaLogCreator');
+
+describe('Logger', () => {
+  const { format, maxFieldLength } = config.logging;
+  const level = logger.getLevel();
+  let stdout;
+  let stderr;
+
+  /**
+   * Entries written to a stream, parsed from JSON
+   */
+  const entries = (stream = stdout) => stream.mock.calls.map(([line]) => JSON.parse(line));
+
+  beforeEach(() => {
+    stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+    stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    logger.setLevel('debug');
+  });
+
+  afterEach(() => {
+    logger.setLevel(level);
+    Object.assign(config.logging, { format, maxFieldLength });
+    jest.restoreAllMocks();
+  });
+
+  it('writes one JSON line per entry with the component and fields', () => {
+    logger.child({ component: 'Kafka Consumer' }).info('Batch flushed', { inserted: 3 });
+
+    expect(stdout).toHaveBeenCalledWith(expect.stringMatching(/^\{.*\}\n$/));
+    expect(entries()).toEqual([
+      {
+        time: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+        level: 'info',
+        component: 'Kafka Consumer',
+        msg: 'Batch flushed',
+        inserted: 3,
+      },
+    ]);
+  });
+
+  it('writes warnings and errors to stderr', () => {
+    logger.debug('debug');
+    logger.warn('warn');
+    logger.error('error');
+
+    expect(entries().map((entry) => entry.msg)).toEqual(['debug']);
+    expect(entries(stderr).map((entry) => entry.msg)).toEqual(['warn', 'error']);
+  });
+
+  it('drops entries below the level, shared by every child logger', () => {
+    const child = logger.child({ component: 'MongoDB Writer' });
+
+    child.setLevel('warn');
+    logger.info('skipped');
+    child.info('skipped');
+    logger.warn('kept');
+
+    expect(logger.getLevel()).toBe('warn');
+    expect(child.isLevelEnabled('error')).toBe(true);
+    expect(entries()).toEqual([]);
+    expect(entries(stderr)).toHaveLength(1);
+
+    logger.setLevel('silent');
+    logger.error('skipped');
+    expect(entries(stderr)).toHaveLength(1);
+  });
+
+  it('rejects unknown levels', () => {
+    expect(() => logger.setLevel('loud')).toThrow(
+      expect.objectContaining({
+        name: 'InvalidLogLevelError',
+        code: 'INVALID_LOG_LEVEL',
+        message: 'Log level must be one of: debug, info, warn, error, silent (got loud)',
+      })
+    );
+  });
+
+  it('adds context fields to every entry in the async scope', async () => {
+    await logger.withContext({ topic: 'orders', partition: 1 }, async () => {
+      await logger.withContext({ offset: '42' }, async () => {
+        await Promise.resolve();
+        logger.info('inner', { partition: 2 });
+      });
+      logger.info('outer');
+    });
+    logger.info('outside');
+
+    expect(entries()).toEqual([
+      expect.objectContaining({ msg: 'inner', topic: 'orders', partition: 2, offset: '42' }),
+      expect.objectContaining({ msg: 'outer', topic: 'orders', partition: 1 }),
+      expect.not.objectContaining({ topic: 'orders' }),
+    ]);
+    expect(entries()[1]).not.toHaveProperty('offset');
+  });
+
+  it('never lets fields overwrite the envelope', () => {
+    logger.info('real', { msg: 'fake', level: 'error', time: 'never' });
+
+    expect(entries()[0]).toMatchObject({ msg: 'real', level: 'info' });
+    expect(entries()[0].time).not.toBe('never');
+  });
+
+  it('redacts configured keys at any depth, whatever their case', () => {
+    logger.info('Request', {
+      Authorization: 'Bearer abc',
+      body: { user: { password: 'hunter2', name: 'Ada' } },
+    });
+
+    expect(entries()[0]).toMatchObject({
+      Authorization: '[REDACTED]',
+      body: { user: { password: '[REDACTED]', name: 'Ada' } },
+    });
+  });
+
+  it('truncates long strings and summarises buffers, deep objects and long arrays', () => {
+    config.logging.maxFieldLength = 16;
+
+    logger.info('Payload', {
+      text: 'x'.repeat(20),
+      value: Buffer.alloc(64),
+      deep: { a: { b: { c: { d: { e: 1 } } } } },
+      items: Array.from({ length: 25 }, (value, index) => index),
+      offset: 12n,
+      at: new Date('2025-01-01T00:00:00Z'),
+    });
+
+    const [entry] = entries();
+    expect(entry.text).toBe(`${'x'.repeat(16)}...[4 more chars]`);
+    expect(entry.value).toBe('[Buffer 64 bytes]');
+    expect(entry.deep).toEqual({ a: { b: { c: { d: '[Object]' } } } });
+    expect(entry.items).toHaveLength(21);
+    expect(entry.items[20]).toBe('...[5 more items]');
+    expect(entry.offset).toBe('12');
+    expect(entry.at).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('logs an error as the error field', () => {
+    const error = Object.assign(new Error('not primary'), { code: 10107 });
+
+    logger.error('Write failed', error);
+
+    expect(entries(stderr)[0].error).toEqual({
+      name: 'Error',
+      message: 'not primary',
+      code: 10107,
+      stack: expect.stringContaining('not primary'),
+    });
+  });
+
+  it('writes text lines when configured', () => {
+    config.logging.format = 'text';
+
+    logger.child({ component: 'Disk Spool' }).warn('Spool full', { count: 2, topics: ['a'] });
+
+    expect(stderr).toHaveBeenCalledWith(
+      expect.stringMatching(/^\S+ WARN {2}\[Disk Spool\] Spool full count=2 topics=\["a"\]\n$/)
+    );
+  });
+
+  it('writes kafkajs entries through the service logger', () => {
+    const log = kafkaLogCreator();
+
+    log({
+      namespace: 'Connection',
+      level: logLevel.ERROR,
+      label: 'ERROR',
+      log: {
+        timestamp: '2025-01-01T00:00:00.000Z',
+        logger: 'kafkajs',
+        level: 'ERROR',
+        message: 'Connection timeout',
+        broker: 'kafka:9092',
+      },
+    });
+    log({ namespace: 'Runner', level: 99, log: { message: 'Custom' } });
+
+    expect(entries(stderr)).toEqual([
+      {
+        time: expect.any(String),
+        level: 'error',
+        component: 'kafkajs',
+        msg: 'Connection timeout',
+        namespace: 'Connection',
+        broker: 'kafka:9092',
+      },
+    ]);
+    expect(entries()[0]).toMatchObject({ level: 'info', msg: 'Custom', namespace: 'Runner' });
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Prometheus metrics driven by instrumentation events
+ */
+
+const kafkaConsumer = require('../../../src/consumer/kafkaConsumer');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const schemaValidator = require('../../../src/validation/schemaValidator');
+const diskSpool = require('../../../src/spool/diskSpool');
+const backpressure = require('../../../src/consumer/backpressure');
+const { getMetrics, getRegister } = require('../../../src/metrics/prometheus');
+
+/**
+ * Value of a counter's or gauge's series with exactly these labels (0 when it has none yet)
+ */
+async function valueOf(name, labels = {}) {
+  const { values } = await getRegister().getSingleMetric(name).get();
+  const series = values.find(
+    (entry) =>
+      Object.keys(labels).length === Object.keys(entry.labels).length &&
+      Object.entries(labels).every(([label, value]) => entry.labels[label] === value)
+  );
+  return series ? series.value : 0;
+}
+
+describe('Prometheus metrics', () => {
+  beforeEach(() => {
+    getRegister().resetMetrics();
+  });
+
+  it('counts received messages and processed batches per partition', async () => {
+    kafkaConsumer.emit('received', { topic: 'orders', partition: 2, count: 5 });
+    kafkaConsumer.emit('batch', { topic: 'orders', partition: 2, count: 5, durationMs: 12 });
+
+    expect(
+      await valueOf('kafka_messages_received_total', { topic: 'orders', partition: '2' })
+    ).toBe(5);
+    expect(
+      await valueOf('kafka_batches_processed_total', { topic: 'orders', partition: '2' })
+    ).toBe(1);
+  });
+
+  it('counts messages by outcome and times them', async () => {
+    const labels = { topic: 'orders', partition: 0, type: 'com.example.order.created' };
+    kafkaConsumer.emit('message', { ...labels, outcome: 'inserted', durationMs: 20 });
+    kafkaConsumer.emit('message', { ...labels, outcome: 'duplicate', durationMs: 5 });
+    kafkaConsumer.emit('message', { ...labels, outcome: 'failed', durationMs: 40 });
+
+    const expected = { ...labels, partition: '0' };
+    expect(
+      await valueOf('kafka_messages_processed_total', { ...expected, outcome: 'inserted' })
+    ).toBe(1);
+    expect(
+      await valueOf('kafka_messages_processed_total', { ...expected, outcome: 'duplicate' })
+    ).toBe(1);
+    expect(await valueOf('kafka_messages_failed_total', expected)).toBe(1);
+
+    const { values } = await getRegister()
+      .getSingleMetric('kafka_message_processing_duration_seconds')
+      .get();
+    const sum = values.find(
+      (entry) =>
+        entry.metricName === 'kafka_message_processing_duration_seconds_sum' &&
+        entry.labels.outcome === 'failed'
+    );
+    expect(sum.value).toBeCloseTo(0.04);
+  });
+
+  it('labels dead-lettered messages without a known type as unknown', async () => {
+    kafkaConsumer.emit('dlq', { topic: 'orders', partition: 1 });
+
+    expect(
+      await valueOf('kafka_dlq_messages_total', {
+        topic: 'orders',
+        partition: '1',
+        type: 'unknown',
+      })
+    ).toBe(1);
+  });
+
+  it('counts messages republished to a retry topic by tier', async () => {
+    kafkaConsumer.emit('retry', {
+      topic: 'orders',
+      partition: 0,
+      type: 'com.example.order.created',
+      retryTopic: 'orders-retry-1m',
+      attempt: 1,
+    });
+
+    expect(
+      await valueOf('kafka_retry_messages_total', {
+        retry_topic: 'orders-retry-1m',
+        type: 'com.example.order.created',
+      })
+    ).toBe(1);
+  });
+
+  it('counts schema validation failures by type, mode and topic', async () => {
+    schemaValidator.emit('validationFailed', {
+      type: 'order.created',
+      mode: 'reject',
+      topic: 'orders',
+    });
+    schemaValidator.emit('validationFailed', { type: undefined, mode: 'warn' });
+
+    expect(
+      await valueOf('events_validation_failures_total', {
+        type: 'order.created',
+        mode: 'reject',
+        topic: 'orders',
+      })
+    ).toBe(1);
+    expect(
+      await valueOf('events_validation_failures_total', {
+        type: 'unknown',
+        mode: 'warn',
+        topic: 'unknown',
+      })
+    ).toBe(1);
+  });
+
+  it('counts MongoDB writes by document outcome', async () => {
+    mongoWriter.emit('write', {
+      operation: 'batch',
+      outcome: 'success',
+      durationMs: 15,
+      total: 10,
+      inserted: 7,
+      duplicates: 2,
+      failed: 1,
+    });
+    mongoWriter.emit('write', {
+      operation: 'single',
+      outcome: 'failure',
+      durationMs: 3,
+      total: 1,
+      inserted: 0,
+      duplicates: 0,
+      failed: 1,
+    });
+
+    expect(await valueOf('mongodb_writes_total', { operation: 'batch' })).toBe(10);
+    expect(await valueOf('mongodb_writes_successful_total', { operation: 'batch' })).toBe(7);
+    expect(await valueOf('mongodb_duplicates_total', { operation: 'batch' })).toBe(2);
+    expect(await valueOf('mongodb_writes_failed_total', { operation: 'batch' })).toBe(1);
+    expect(await valueOf('mongodb_writes_failed_total', { operation: 'single' })).toBe(1);
+    expect(await valueOf('mongodb_batch_writes_total')).toBe(1);
+  });
+
+  it('counts spooled events by what became of them', async () => {
+    diskSpool.emit('append', { records: 1, count: 4, bytes: 100 });
+    diskSpool.emit('drain', { count: 4, inserted: 2, duplicates: 1, failed: 1 });
+    diskSpool.emit('expire', { count: 3 });
+    diskSpool.emit('full', { count: 5 });
+    diskSpool.emit('corrupt', { count: 2 });
+
+    expect(await valueOf('spool_appended_events_total')).toBe(4);
+    expect(await valueOf('spool_drained_events_total', { outcome: 'inserted' })).toBe(2);
+    expect(await valueOf('spool_drained_events_total', { outcome: 'duplicate' })).toBe(1);
+    expect(await valueOf('spool_drained_events_total', { outcome: 'failed' })).toBe(1);
+    expect(await valueOf('spool_expired_events_total')).toBe(3);
+    expect(await valueOf('spool_refused_events_total')).toBe(5);
+    expect(await valueOf('spool_corrupt_events_total')).toBe(2);
+  });
+
+  it('samples the spool backlog on scrape', async () => {
+    jest.spyOn(diskSpool, 'getMetrics').mockReturnValue({
+      pendingEvents: 6,
+      pendingBytes: 2048,
+      oldestAgeMs: 1500,
+    });
+
+    try {
+      const text = await getMetrics();
+
+      expect(text).toContain('spool_pending_events 6');
+      expect(text).toContain('spool_pending_bytes 2048');
+      expect(text).toContain('spool_oldest_age_seconds 1.5');
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it('counts drains by outcome and the messages they abandoned', async () => {
+    kafkaConsumer.emit('drain', { reason: 'rebalance', timedOut: false, abandonedMessages: 0 });
+    kafkaConsumer.emit('drain', { reason: 'shutdown', timedOut: true, abandonedMessages: 7 });
+
+    expect(
+      await valueOf('kafka_consumer_drains_total', { reason: 'rebalance', outcome: 'complete' })
+    ).toBe(1);
+    expect(
+      await valueOf('kafka_consumer_drains_total', { reason: 'shutdown', outcome: 'deadline' })
+    ).toBe(1);
+    expect(
+      await valueOf('kafka_consumer_drain_abandoned_messages_total', { reason: 'shutdown' })
+    ).toBe(7);
+  });
+
+  it('counts backpressure adjustments and samples the current limits on scrape', async () => {
+    backpressure.emit('adjust', { direction: 'decrease' });
+    backpressure.emit('adjust', { direction: 'pause' });
+    jest.spyOn(backpressure, 'getState').mockReturnValue({
+      status: 'paused',
+      batchSize: 10,
+      concurrency: 1,
+      latencyP95Ms: 2500,
+      errorRate: 0.25,
+    });
+
+    try {
+      const text = await getMetrics();
+
+      expect(await valueOf('backpressure_adjustments_total', { direction: 'decrease' })).toBe(1);
+      expect(await valueOf('backpressure_adjustments_total', { direction: 'pause' })).toBe(1);
+      expect(text).toContain('backpressure_batch_size 10');
+      expect(text).toContain('backpressure_concurrency 1');
+      expect(text).toContain('backpressure_paused 1');
+      expect(text).toContain('backpressure_write_latency_p95_seconds 2.5');
+      expect(text).toContain('backpressure_write_error_rate 0.25');
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it('samples the circuit breaker and connection state on scrape', async () => {
+    mongoWriter.circuitState = 'OPEN';
+
+    try {
+      const text = await getMetrics();
+
+      expect(text).toContain('mongodb_circuit_breaker_state 2');
+      expect(text).toContain('mongodb_connected 0');
+      expect(text).toContain('consumer_running 0');
+    } finally {
+      mongoWriter.circuitState = 'CLOSED';
+    }
+  });
+});
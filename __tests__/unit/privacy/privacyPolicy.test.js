@@ -0,0 +1,248 @@
+/**
+ * Field-level privacy policy
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../src/config');
+const privacyPolicy = require('../../../src/privacy/privacyPolicy');
+const { cloudEvent, structuredMessage, toHeaders } = require('../../helpers/events');
+
+const POLICY = `
+policies:
+  com.example.customer.registered:
+    - { path: $.data.email, action: hash }
+    - { path: $.data.phone, action: mask, keep: 4 }
+    - { path: $.data.address, action: encrypt }
+    - { path: "$.data.cards[*].cvv", action: drop }
+    - { path: "data.tags[1]", action: drop }
+    - { path: "$['data']['pin']", action: mask }
+  com.example.customer.*:
+    - { path: $..email, action: hash }
+  com.example.*:
+    - { path: $.data.notes, action: drop }
+`;
+
+describe('PrivacyPolicy', () => {
+  const defaults = { ...config.privacy };
+  let dir;
+  let policy;
+
+  const registered = (data) => cloudEvent({ type: 'com.example.customer.registered', data });
+
+  const hmac = (value) =>
+    `hmac-sha256:${crypto.createHmac('sha256', config.privacy.hmacKey).update(value).digest('hex')}`;
+
+  /**
+   * A policy loaded from `contents` (YAML, or JSON when an object is given)
+   */
+  const load = (contents) => {
+    const yamlFile = typeof contents === 'string';
+    config.privacy.file = path.join(dir, yamlFile ? 'policy.yaml' : 'policy.json');
+    fs.writeFileSync(config.privacy.file, yamlFile ? contents : JSON.stringify(contents));
+    policy = new privacyPolicy.constructor();
+    policy.load();
+    return policy;
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'privacy-'));
+  });
+
+  beforeEach(() => {
+    Object.assign(config.privacy, {
+      hmacKey: 'test-hmac-key',
+      encryptionKey: crypto.randomBytes(32).toString('base64'),
+      encryptionKeyId: 'k1',
+    });
+    load(POLICY);
+  });
+
+  afterEach(() => {
+    Object.assign(config.privacy, defaults);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('applies the rules of the event type to a copy of the event', () => {
+    const event = registered({
+      email: 'ada@example.com',
+      phone: '+44 7700 900123',
+      address: { city: 'London', street: '1 Main St' },
+      cards: [{ last4: '4242', cvv: '123' }, { last4: '1881' }],
+      tags: ['a', 'b', 'c'],
+      pin: 1234,
+      notes: 'kept: only the exact policy applies',
+    });
+
+    const stored = policy.apply(event);
+
+    expect(stored).not.toBe(event);
+    expect(event.data.email).toBe('ada@example.com');
+    expect(stored.data).toEqual({
+      email: hmac('ada@example.com'),
+      phone: '***********0123',
+      address: expect.stringMatching(/^enc:v1:k1:[^:]+:[^:]+:[^:]+$/),
+      cards: [{ last4: '4242' }, { last4: '1881' }],
+      tags: ['a', 'c'],
+      pin: '****',
+      notes: 'kept: only the exact policy applies',
+    });
+    expect(policy.decrypt(stored.data.address)).toEqual({ city: 'London', street: '1 Main St' });
+  });
+
+  it('uses the longest matching pattern for other types', () => {
+    const updated = cloudEvent({
+      type: 'com.example.customer.updated',
+      data: { email: 'a@b.c', contacts: [{ email: 'c@d.e' }], notes: 'x' },
+    });
+    const shipped = cloudEvent({ type: 'com.example.order.shipped', data: { notes: 'x' } });
+
+    expect(policy.apply(updated).data).toEqual({
+      email: hmac('a@b.c'),
+      contacts: [{ email: hmac('c@d.e') }],
+      notes: 'x',
+    });
+    expect(policy.apply(shipped).data).toEqual({});
+    expect(policy.getTypes()).toHaveLength(3);
+  });
+
+  it('leaves events without a matching policy untouched', () => {
+    const event = cloudEvent({ type: 'org.other.thing', data: { email: 'a@b.c' } });
+
+    expect(policy.appliesTo(event)).toBe(false);
+    expect(policy.apply(event)).toBe(event);
+    expect(policy.appliesTo(null)).toBe(false);
+  });
+
+  it('skips null and missing fields', () => {
+    const stored = policy.apply(registered({ email: null }));
+
+    expect(stored.data).toEqual({ email: null });
+  });
+
+  it('never hashes or encrypts a value twice', () => {
+    const once = policy.apply(registered({ email: 'a@b.c', address: 'x' }));
+
+    const twice = policy.apply(once);
+
+    expect(twice.data).toEqual(once.data);
+  });
+
+  it('masks whole values shorter than what it keeps', () => {
+    expect(policy.apply(registered({ phone: '123' })).data.phone).toBe('***');
+    expect(policy.apply(registered({ phone: 5551234 })).data.phone).toBe('***1234');
+    expect(policy.apply(registered({ phone: { n: 1 } })).data.phone).toBe('****');
+  });
+
+  it('never touches the identifying attributes', () => {
+    load({ policies: { '*': [{ path: '$.*', action: 'mask' }] } });
+    const event = cloudEvent({ subject: 'customer-1' });
+
+    const stored = policy.apply(event);
+
+    expect(stored).toMatchObject({
+      id: event.id,
+      type: event.type,
+      source: event.source,
+      specversion: '1.0',
+      time: event.time,
+      subject: '**********',
+      data: '****',
+    });
+  });
+
+  it('refuses to decrypt foreign or tampered values', () => {
+    const value = policy.apply(registered({ address: 'x' })).data.address;
+
+    expect(() => policy.decrypt('plain')).toThrow('Value was not encrypted by the privacy policy');
+
+    config.privacy.encryptionKeyId = 'k2';
+    expect(() => policy.decrypt(value)).toThrow('Value was encrypted with key k1, not k2');
+
+    config.privacy.encryptionKeyId = 'k1';
+    const tampered = value.slice(0, -4) + (value.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    expect(() => policy.decrypt(tampered)).toThrow();
+  });
+
+  it('is disabled without a policy file', () => {
+    config.privacy.file = undefined;
+    policy.load();
+
+    expect(policy.isEnabled()).toBe(false);
+  });
+
+  describe('load', () => {
+    it.each([
+      [{ t: [] }, 'Privacy policy for t must list its field rules'],
+      [
+        { t: [{ path: 'data..', action: 'drop' }] },
+        'Privacy policy for t has an invalid path: data..',
+      ],
+      [{ t: [{ path: 42, action: 'drop' }] }, 'Privacy policy for t has an invalid path: 42'],
+      [
+        { t: [{ path: '$.id', action: 'drop' }] },
+        "Privacy policy for t can't change the id attribute",
+      ],
+      [
+        { t: [{ path: '$.data.a', action: 'shred' }] },
+        'Privacy policy for t at $.data.a must use one of: drop, mask, hash, encrypt',
+      ],
+      [
+        { t: [{ path: '$.data.a', action: 'mask', keep: -1 }] },
+        'Privacy policy for t at $.data.a has an invalid keep: -1',
+      ],
+    ])('rejects the rules %j', (policies, message) => {
+      expect(() => load({ policies })).toThrow(message);
+    });
+
+    it('requires the keys of the actions it uses', () => {
+      config.privacy.hmacKey = undefined;
+      expect(() => load({ policies: { t: [{ path: 'data.a', action: 'hash' }] } })).toThrow(
+        'Privacy policy for t hashes fields but PRIVACY_HMAC_KEY is not set'
+      );
+
+      config.privacy.encryptionKey = undefined;
+      expect(() => load({ policies: { t: [{ path: 'data.a', action: 'encrypt' }] } })).toThrow(
+        'Privacy policy for t encrypts fields but PRIVACY_ENCRYPTION_KEY is not set'
+      );
+    });
+  });
+
+  describe('protectRecord', () => {
+    it('re-encodes a covered binary-mode record as structured JSON', () => {
+      const event = registered({ email: 'a@b.c' });
+      const record = {
+        key: Buffer.from('customer-1'),
+        value: Buffer.from(JSON.stringify(event.data)),
+        headers: toHeaders({
+          ce_id: event.id,
+          ce_type: event.type,
+          ce_email: 'a@b.c',
+          'x-retry-attempt': '1',
+        }),
+      };
+
+      const protectedRecord = policy.protectRecord(record, event);
+
+      expect(JSON.parse(protectedRecord.value)).toEqual(policy.apply(event));
+      expect(Object.keys(protectedRecord.headers).sort()).toEqual([
+        'content-type',
+        'x-retry-attempt',
+      ]);
+      expect(protectedRecord.key).toBe(record.key);
+    });
+
+    it('returns other records unchanged', () => {
+      const event = cloudEvent({ type: 'org.other.thing' });
+      const record = structuredMessage(event);
+
+      expect(policy.protectRecord(record, event)).toBe(record);
+      expect(policy.protectRecord(record, null)).toBe(record);
+    });
+  });
+});
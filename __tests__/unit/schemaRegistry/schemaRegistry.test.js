@@ -0,0 +1,90 @@
+/**
+ * Schema registry clients
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../src/config');
+const {
+  FileSchemaRegistry,
+  HttpSchemaRegistry,
+  createSchemaRegistry,
+} = require('../../../src/schemaRegistry');
+
+describe('Schema registry', () => {
+  describe('FileSchemaRegistry', () => {
+    let dir;
+    let registry;
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-'));
+      fs.writeFileSync(path.join(dir, '1.json'), JSON.stringify({ schema: '"string"' }));
+      fs.writeFileSync(
+        path.join(dir, '2.json'),
+        JSON.stringify({ schemaType: 'PROTOBUF', schema: 'syntax = "proto3";' })
+      );
+      fs.writeFileSync(path.join(dir, '3.json'), JSON.stringify({ schemaType: 'AVRO' }));
+      registry = new FileSchemaRegistry(dir);
+    });
+
+    afterAll(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('reads schemas by id, defaulting the schema type to AVRO', async () => {
+      expect(await registry.getSchema(1)).toEqual({ schemaType: 'AVRO', schema: '"string"' });
+      expect(await registry.getSchema(2)).toEqual({
+        schemaType: 'PROTOBUF',
+        schema: 'syntax = "proto3";',
+      });
+    });
+
+    it('rejects unknown ids and files without a schema', async () => {
+      await expect(registry.getSchema(9)).rejects.toThrow(`Schema 9 not found in ${dir}`);
+      await expect(registry.getSchema(3)).rejects.toThrow('Schema 3 has no schema definition');
+    });
+  });
+
+  describe('HttpSchemaRegistry', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('fetches schemas by id from a Confluent-compatible registry', async () => {
+      const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({
+        ok: true,
+        json: async () => ({ schema: '"string"' }),
+      });
+
+      const schema = await new HttpSchemaRegistry('http://registry:8081/').getSchema(7);
+
+      expect(schema).toEqual({ schemaType: 'AVRO', schema: '"string"' });
+      expect(fetch).toHaveBeenCalledWith('http://registry:8081/schemas/ids/7', {
+        headers: { Accept: 'application/vnd.schemaregistry.v1+json' },
+      });
+    });
+
+    it('rejects error responses', async () => {
+      jest.spyOn(global, 'fetch').mockResolvedValue({ ok: false, status: 404 });
+
+      await expect(new HttpSchemaRegistry('http://registry').getSchema(7)).rejects.toThrow(
+        'Schema registry returned 404 for schema 7'
+      );
+    });
+  });
+
+  it('creates the client selected by configuration', () => {
+    const original = { ...config.schemaRegistry };
+
+    try {
+      Object.assign(config.schemaRegistry, { type: 'http', url: 'http://registry' });
+      expect(createSchemaRegistry()).toBeInstanceOf(HttpSchemaRegistry);
+
+      Object.assign(config.schemaRegistry, { type: 'file', dir: 'registry' });
+      expect(createSchemaRegistry()).toEqual(new FileSchemaRegistry('registry'));
+    } finally {
+      Object.assign(config.schemaRegistry, original);
+    }
+  });
+});
@@ -0,0 +1,268 @@
+/**
+ * Local disk spool
+ */
+
+jest.mock('mongodb', () => ({ ...jest.requireActual('mongodb'), MongoClient: jest.fn() }));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MongoClient } = require('mongodb');
+const config = require('../../../src/config');
+const mongoWriter = require('../../../src/database/mongoWriter');
+const diskSpool = require('../../../src/spool/diskSpool');
+const { bulkWriteError, connectWriter } = require('../../helpers/fakeMongo');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('DiskSpool', () => {
+  const defaults = { ...config.spool };
+  let collection;
+  let spool;
+  let handlers;
+
+  const item = (event = cloudEvent()) => ({
+    event,
+    topic: 'events-v1-test',
+    sourceTopic: 'events-v1-test',
+    partition: 0,
+    record: { key: null, value: Buffer.from(JSON.stringify(event)), headers: {} },
+  });
+
+  const segments = () => fs.readdirSync(config.spool.dir).filter((name) => name.endsWith('.log'));
+
+  const segmentFile = (name = segments()[0]) => path.join(config.spool.dir, name);
+
+  /**
+   * A spool recovered from the directory, as after a restart
+   */
+  const restart = async () => {
+    if (spool) {
+      await spool.stop();
+    }
+    spool = new diskSpool.constructor();
+    await spool.initialize();
+    return spool;
+  };
+
+  beforeEach(async () => {
+    config.spool.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'spool-'));
+    const client = await connectWriter(mongoWriter, MongoClient);
+    collection = client.collection(config.mongodb.database, config.mongodb.collection);
+    handlers = { onRejected: jest.fn(async () => {}), onExpired: jest.fn(async () => {}) };
+    spool = null;
+    await restart();
+  });
+
+  afterEach(async () => {
+    await spool.stop();
+    fs.rmSync(config.spool.dir, { recursive: true, force: true });
+    Object.assign(config.spool, defaults);
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await mongoWriter.close();
+  });
+
+  it('recovers appended chunks after a restart', async () => {
+    const events = [cloudEvent(), cloudEvent(), cloudEvent()];
+    const appended = jest.fn();
+    spool.on('append', appended);
+
+    expect(await spool.append(events.slice(0, 2).map(item))).toBe(true);
+    expect(await spool.append([item(events[2])])).toBe(true);
+
+    expect(appended).toHaveBeenCalledWith({ records: 1, count: 2, bytes: expect.any(Number) });
+    await restart();
+    expect(spool.getMetrics()).toMatchObject({ pendingEvents: 3, pendingRecords: 2 });
+    const [first] = await spool.readItems(spool.records[0]);
+    expect(first.event).toEqual(events[0]);
+    expect(first.record.value).toEqual(Buffer.from(JSON.stringify(events[0])));
+  });
+
+  it('truncates a torn write after the last intact record', async () => {
+    await spool.append([item()]);
+    await spool.stop();
+    const intact = fs.statSync(segmentFile()).size;
+    fs.appendFileSync(segmentFile(), Buffer.from([0, 0, 1, 0, 1, 2, 3]));
+
+    await restart();
+
+    expect(spool.getMetrics()).toMatchObject({ pendingEvents: 1, truncatedBytes: 7 });
+    expect(fs.statSync(segmentFile()).size).toBe(intact);
+  });
+
+  it('drops records whose checksum does not match', async () => {
+    await spool.append([item()]);
+    await spool.append([item()]);
+    const [, second] = spool.records;
+    await spool.stop();
+    const buffer = fs.readFileSync(segmentFile());
+    buffer[second.offset + second.bytes - 2] ^= 0xff;
+    fs.writeFileSync(segmentFile(), buffer);
+
+    await restart();
+
+    expect(spool.getMetrics()).toMatchObject({ pendingRecords: 1, truncatedBytes: second.bytes });
+  });
+
+  it('starts a new segment once the active one is full', async () => {
+    config.spool.segmentBytes = 1;
+
+    await spool.append([item()]);
+    await spool.append([item()]);
+
+    expect(segments()).toEqual(['segment-000000000000.log', 'segment-000000000001.log']);
+  });
+
+  it('refuses appends that would grow the spool past its size limit', async () => {
+    const full = jest.fn();
+    spool.on('full', full);
+    await spool.append([item()]);
+    config.spool.maxBytes = spool.bytes + 10;
+
+    expect(await spool.append([item(), item()])).toBe(false);
+
+    expect(full).toHaveBeenCalledWith({ count: 2 });
+    expect(spool.getMetrics()).toMatchObject({ pendingEvents: 1, refusedEvents: 2 });
+  });
+
+  it('replays spooled events into MongoDB and forgets them', async () => {
+    const drained = jest.fn();
+    spool.on('drain', drained);
+    const event = cloudEvent();
+    await spool.append([item(event)]);
+
+    spool.start(handlers);
+    await spool.drain();
+
+    expect(collection.all().map((document) => document._id)).toEqual([event.id]);
+    expect(drained).toHaveBeenCalledWith({ count: 1, inserted: 1, duplicates: 0, failed: 0 });
+    expect(spool.getMetrics()).toMatchObject({ pendingEvents: 0, drainedEvents: 1 });
+    expect(segments()).toEqual([]);
+    await restart();
+    expect(spool.getEventCount()).toBe(0);
+  });
+
+  it('resumes draining from the cursor after a restart', async () => {
+    const [first, second] = [cloudEvent(), cloudEvent()];
+    await spool.append([item(first)]);
+    config.spool.segmentBytes = 1;
+    await spool.append([item(second)]);
+    await spool.append([item()]);
+    const bulkWrite = collection.bulkWrite.bind(collection);
+    jest
+      .spyOn(collection, 'bulkWrite')
+      .mockImplementationOnce(bulkWrite)
+      .mockRejectedValueOnce(new Error('not primary'));
+
+    spool.start(handlers);
+    await spool.drain();
+
+    expect(segments()).toEqual(['segment-000000000001.log', 'segment-000000000002.log']);
+    await restart();
+    expect(spool.getMetrics()).toMatchObject({ pendingEvents: 2, pendingRecords: 2 });
+    const [pending] = await spool.readItems(spool.records[0]);
+    expect(pending.event.id).toBe(second.id);
+  });
+
+  it('skips a record that is corrupted after startup and drains the ones behind it', async () => {
+    const corrupt = jest.fn();
+    spool.on('corrupt', corrupt);
+    const [first, lost, last] = [cloudEvent(), cloudEvent(), cloudEvent()];
+    await spool.append([item(first)]);
+    await spool.append([item(lost)]);
+    await spool.append([item(last)]);
+    const [, middle] = spool.records;
+    const fd = fs.openSync(segmentFile(), 'r+');
+    fs.writeSync(fd, Buffer.from([0xff]), 0, 1, middle.offset + middle.bytes - 2);
+    fs.closeSync(fd);
+
+    spool.start(handlers);
+    await spool.drain();
+
+    expect(collection.all().map((document) => document._id)).toEqual([first.id, last.id]);
+    expect(corrupt).toHaveBeenCalledWith({ count: 1 });
+    expect(spool.getMetrics()).toMatchObject({
+      pendingEvents: 0,
+      drainedEvents: 2,
+      corruptEvents: 1,
+    });
+  });
+
+  it('waits while the circuit breaker is OPEN and drains once it closes', async () => {
+    mongoWriter.forceCircuitState('OPEN');
+    await spool.append([item()]);
+
+    spool.start(handlers);
+    await spool.drain();
+
+    expect(spool.getEventCount()).toBe(1);
+
+    mongoWriter.forceCircuitState('CLOSED');
+    await spool.drain();
+
+    expect(spool.getEventCount()).toBe(0);
+    expect(collection.all()).toHaveLength(1);
+  });
+
+  it('hands off the documents MongoDB rejects', async () => {
+    jest.spyOn(collection, 'bulkWrite').mockImplementation(async () => {
+      throw bulkWriteError([{ index: 0, code: 121, errmsg: 'Document failed validation' }], {
+        upsertedIds: {},
+      });
+    });
+    const rejected = item();
+    await spool.append([rejected]);
+
+    spool.start(handlers);
+    await spool.drain();
+
+    expect(handlers.onRejected).toHaveBeenCalledWith(
+      expect.objectContaining({ event: rejected.event }),
+      'Document failed validation'
+    );
+    expect(spool.getEventCount()).toBe(0);
+  });
+
+  it('keeps a record whose replay failed for the next drain', async () => {
+    jest.spyOn(collection, 'bulkWrite').mockRejectedValueOnce(new Error('not primary'));
+    await spool.append([item()]);
+
+    spool.start(handlers);
+    await spool.drain();
+
+    expect(spool.getEventCount()).toBe(1);
+
+    await spool.drain();
+
+    expect(spool.getEventCount()).toBe(0);
+  });
+
+  it('expires records older than the age limit, even while MongoDB is unavailable', async () => {
+    const expired = jest.fn();
+    spool.on('expire', expired);
+    mongoWriter.forceCircuitState('OPEN');
+    await spool.append([item(), item()]);
+    config.spool.maxAge = '1ms';
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    spool.start(handlers);
+    await spool.drain();
+
+    expect(handlers.onExpired).toHaveBeenCalledTimes(2);
+    expect(expired).toHaveBeenCalledWith({ count: 2 });
+    expect(spool.getMetrics()).toMatchObject({ pendingEvents: 0, expiredEvents: 2 });
+    expect(collection.all()).toEqual([]);
+  });
+
+  it('ignores an unreadable cursor', async () => {
+    await spool.append([item()]);
+    await spool.stop();
+    fs.writeFileSync(path.join(config.spool.dir, 'cursor.json'), '{');
+
+    await restart();
+
+    expect(spool.getEventCount()).toBe(1);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tracing with spans continued from Kafka headers
+ */
+
+const { SpanStatusCode } = require('@opentelemetry/api');
+const { InMemorySpanExporter } = require('@opentelemetry/sdk-trace-base');
+const config = require('../../../src/config');
+const tracing = require('../../../src/tracing/tracer');
+const { cloudEvent, structuredMessage } = require('../../helpers/events');
+
+describe('Tracing', () => {
+  const defaults = { ...config.tracing };
+  const traceId = '0af7651916cd43dd8448eb211c80319c';
+  const parentId = 'b7ad6b7169203331';
+  const traceparent = `00-${traceId}-${parentId}-01`;
+  let tracer;
+  let exporter;
+
+  const finished = () => exporter.getFinishedSpans();
+
+  beforeEach(() => {
+    config.tracing.enabled = true;
+    tracer = new tracing.constructor();
+    exporter = new InMemorySpanExporter();
+    tracer.initialize(exporter);
+  });
+
+  afterEach(async () => {
+    await tracer.shutdown();
+    Object.assign(config.tracing, defaults);
+  });
+
+  describe('startMessageSpan', () => {
+    it('continues the trace of the traceparent header', () => {
+      const message = structuredMessage(cloudEvent(), { headers: { traceparent } });
+
+      tracer.startMessageSpan('process orders', message, [], {}).end();
+
+      const [span] = finished();
+      expect(span.spanContext().traceId).toBe(traceId);
+      expect(span.parentSpanContext.spanId).toBe(parentId);
+    });
+
+    it('reads the CloudEvents binary-mode header', () => {
+      const message = structuredMessage(cloudEvent(), { headers: { ce_traceparent: traceparent } });
+
+      tracer.startMessageSpan('process orders', message, []).end();
+
+      expect(finished()[0].spanContext().traceId).toBe(traceId);
+    });
+
+    it('continues the trace of a single event without trace headers', () => {
+      const event = cloudEvent({ traceparent });
+
+      tracer.startMessageSpan('process orders', structuredMessage(event), [event], {}, true).end();
+
+      const [span] = finished();
+      expect(span.spanContext().traceId).toBe(traceId);
+      expect(span.links).toEqual([]);
+    });
+
+    it('links the traces of batched events', () => {
+      const otherTrace = '4bf92f3577b34da6a3ce929d0e0e4736';
+      const events = [
+        cloudEvent({ traceparent }),
+        cloudEvent({ traceparent: `00-${otherTrace}-00f067aa0ba902b7-01` }),
+        cloudEvent({ traceparent: 'garbage' }),
+        cloudEvent(),
+      ];
+
+      tracer.startMessageSpan('process orders', structuredMessage(events), events).end();
+
+      const [span] = finished();
+      expect(span.parentSpanContext).toBeUndefined();
+      expect(
+        span.links.map((link) => [link.context.traceId, link.attributes['cloudevents.event_id']])
+      ).toEqual([
+        [traceId, events[0].id],
+        [otherTrace, events[1].id],
+      ]);
+    });
+
+    it('starts a new trace without any trace context', () => {
+      tracer.startMessageSpan('process orders', structuredMessage(cloudEvent()), []).end();
+
+      const [span] = finished();
+      expect(span.spanContext().traceId).not.toBe(traceId);
+      expect(span.parentSpanContext).toBeUndefined();
+    });
+  });
+
+  it('ends a run span and records what it threw', async () => {
+    const parent = tracer.startSpan('process orders');
+
+    await expect(
+      tracer.run('send dlq', {}, parent, async () => {
+        throw new Error('not leader');
+      })
+    ).rejects.toThrow('not leader');
+    parent.end();
+
+    const [send] = finished();
+    expect(send.name).toBe('send dlq');
+    expect(send.parentSpanContext.spanId).toBe(parent.spanContext().spanId);
+    expect(send.status).toEqual({ code: SpanStatusCode.ERROR, message: 'not leader' });
+    expect(send.events.map((event) => event.name)).toEqual(['exception']);
+  });
+
+  it('replaces the trace context of published headers with the span', () => {
+    const span = tracer.startSpan('send dlq');
+
+    const headers = tracer.injectHeaders(span, {
+      traceparent,
+      tracestate: 'vendor=1',
+      'x-error-reason': 'invalid',
+    });
+
+    const { traceId: spanTrace, spanId } = span.spanContext();
+    expect(headers).toEqual({
+      traceparent: `00-${spanTrace}-${spanId}-01`,
+      'x-error-reason': 'invalid',
+    });
+  });
+
+  it('gives the trace fields to store with an event', () => {
+    const span = tracer.startSpan('process orders');
+
+    const { traceId: spanTrace, spanId } = span.spanContext();
+    expect(tracer.getTraceFields(span)).toEqual({ traceId: spanTrace, spanId });
+    expect(tracer.getTraceFields(null)).toBeNull();
+  });
+
+  it('follows the sample ratio for new traces and the parent for continued ones', async () => {
+    await tracer.shutdown();
+    config.tracing.sampleRatio = 0;
+    exporter = new InMemorySpanExporter();
+    tracer.initialize(exporter);
+
+    tracer.startMessageSpan('process orders', structuredMessage(cloudEvent()), []).end();
+    tracer
+      .startMessageSpan(
+        'process orders',
+        structuredMessage(cloudEvent(), { headers: { traceparent } }),
+        []
+      )
+      .end();
+
+    expect(finished()).toHaveLength(1);
+  });
+
+  it('creates the configured exporter', () => {
+    config.tracing.exporter = 'memory';
+    expect(tracer.createExporter()).toBeInstanceOf(InMemorySpanExporter);
+    config.tracing.exporter = 'console';
+    expect(tracer.createExporter().constructor.name).toBe('ConsoleSpanExporter');
+    config.tracing.exporter = 'otlp';
+    expect(tracer.createExporter().constructor.name).toBe('OTLPTraceExporter');
+  });
+
+  it('records nothing and leaves headers untouched while disabled', async () => {
+    await tracer.shutdown();
+    config.tracing.enabled = false;
+    exporter = new InMemorySpanExporter();
+    tracer.initialize(exporter);
+
+    const span = tracer.startMessageSpan('process orders', structuredMessage(cloudEvent()), []);
+    span.end();
+    const headers = { traceparent };
+
+    expect(tracer.isEnabled()).toBe(false);
+    expect(tracer.injectHeaders(span, headers)).toBe(headers);
+    expect(tracer.getTraceFields(span)).toBeNull();
+    expect(finished()).toEqual([]);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * CloudEvents schema validation
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../../../src/config');
+const schemaValidator = require('../../../src/validation/schemaValidator');
+const { cloudEvent } = require('../../helpers/events');
+
+describe('SchemaValidator', () => {
+  const original = { ...config.validation };
+  const originalTopicModes = config.kafka.topicOverrides.validationModes;
+  let schemaDir;
+  let validator;
+
+  beforeAll(() => {
+    schemaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schemas-'));
+    fs.writeFileSync(
+      path.join(schemaDir, 'com.example.order.created.json'),
+      JSON.stringify({
+        type: 'object',
+        required: ['orderId', 'amount'],
+        properties: { orderId: { type: 'string' }, amount: { type: 'number', minimum: 0 } },
+      })
+    );
+    fs.writeFileSync(
+      path.join(schemaDir, 'order-v2.json'),
+      JSON.stringify({
+        $id: 'https://schemas.example.com/order/v2',
+        type: 'object',
+        required: ['orderRef'],
+      })
+    );
+    fs.writeFileSync(path.join(schemaDir, 'README.md'), 'not a schema');
+  });
+
+  beforeEach(() => {
+    Object.assign(config.validation, {
+      enabled: true,
+      schemaDir,
+      defaultMode: 'warn',
+      modes: {},
+    });
+    config.kafka.topicOverrides.validationModes = {};
+    validator = new schemaValidator.constructor();
+    validator.initialize();
+  });
+
+  afterEach(() => {
+    Object.assign(config.validation, original);
+    config.kafka.topicOverrides.validationModes = originalTopicModes;
+  });
+
+  afterAll(() => {
+    fs.rmSync(schemaDir, { recursive: true, force: true });
+  });
+
+  it('loads the JSON schemas of the schema directory by type and $id', () => {
+    expect([...validator.schemasByType.keys()].sort()).toEqual([
+      'com.example.order.created',
+      'order-v2',
+    ]);
+    expect([...validator.schemasById.keys()]).toEqual(['https://schemas.example.com/order/v2']);
+  });
+
+  it('accepts a valid event', () => {
+    expect(validator.validate(cloudEvent())).toEqual({ valid: true, errors: [] });
+  });
+
+  it('checks the envelope: specversion, required attributes and an RFC 3339 time', () => {
+    const { valid, errors } = validator.validate(
+      cloudEvent({ specversion: '0.3', time: 'yesterday', source: undefined })
+    );
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(
+      expect.arrayContaining([
+        { path: '/', message: "must have required property 'source'" },
+        { path: '/specversion', message: 'must be equal to constant' },
+        { path: '/time', message: 'must match format "date-time"' },
+      ])
+    );
+  });
+
+  it('validates data against the schema of the event type', () => {
+    const { valid, errors } = validator.validate(cloudEvent({ data: { orderId: 7, amount: -1 } }));
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      { path: '/data/orderId', message: 'must be string' },
+      { path: '/data/amount', message: 'must be >= 0' },
+    ]);
+  });
+
+  it('prefers the schema named by dataschema over the one for the type', () => {
+    const event = cloudEvent({
+      dataschema: 'https://schemas.example.com/order/v2',
+      data: { orderRef: 'r-1' },
+    });
+
+    expect(validator.validate(event).valid).toBe(true);
+  });
+
+  it('only validates the envelope of types without a schema', () => {
+    expect(validator.validate(cloudEvent({ type: 'com.example.unknown', data: 1 })).valid).toBe(
+      true
+    );
+  });
+
+  it('resolves the mode from exact types, then the longest prefix, then the topic', () => {
+    config.validation.modes = {
+      'com.example.order.created': 'reject',
+      'com.example.*': 'warn',
+      'com.example.audit.*': 'annotate',
+    };
+    config.kafka.topicOverrides.validationModes = { audit: 'reject' };
+
+    expect(validator.getMode('com.example.order.created')).toBe('reject');
+    expect(validator.getMode('com.example.audit.login')).toBe('annotate');
+    expect(validator.getMode('com.example.user.created', 'audit')).toBe('warn');
+    expect(validator.getMode('org.other', 'audit')).toBe('reject');
+    expect(validator.getMode('org.other', 'orders')).toBe('warn');
+  });
+
+  it('reports failures with their mode', () => {
+    config.validation.modes = { 'com.example.order.created': 'annotate' };
+    const failures = [];
+    validator.on('validationFailed', (failure) => failures.push(failure));
+
+    const result = validator.validate(cloudEvent({ data: {} }), 'orders');
+
+    expect(result.mode).toBe('annotate');
+    expect(failures).toEqual([
+      { type: 'com.example.order.created', mode: 'annotate', topic: 'orders' },
+    ]);
+  });
+
+  it('accepts everything while disabled', () => {
+    config.validation.enabled = false;
+
+    expect(validator.validate({ id: 1 })).toEqual({ valid: true, errors: [] });
+  });
+
+  it('validates envelopes only when the schema directory is missing', () => {
+    config.validation.schemaDir = path.join(schemaDir, 'missing');
+    const envelopeOnly = new schemaValidator.constructor();
+    envelopeOnly.initialize();
+
+    expect(envelopeOnly.schemasByType.size).toBe(0);
+    expect(envelopeOnly.validate(cloudEvent({ data: {} })).valid).toBe(true);
+  });
+});
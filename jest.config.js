@@ -2,6 +2,7 @@ module.exports = {
   testEnvironment: 'node',
   coverageDirectory: 'coverage',
   passWithNoTests: true,
+  setupFiles: ['<rootDir>/__tests__/setup.js'],
   collectCoverageFrom: [
     'src/**/*.js',
     '!**/node_modules/**',
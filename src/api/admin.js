@@ -0,0 +1,235 @@
+/**
+ * Admin Control Plane
+ *
+ * Authenticated operator endpoints, mounted at `/admin` when `ADMIN_API_TOKEN` is set:
+ * - `GET  /admin/consumer/assignments` - partitions assigned to this instance, with pause
+ *                                        state and positions
+ * - `POST /admin/consumer/pause`       - pause partitions until resumed
+ * - `POST /admin/consumer/resume`      - resume partitions paused here
+ * - `POST /admin/consumer/seek`        - move partitions to an offset or timestamp
+ * - `POST /admin/circuit-breaker`      - force the MongoDB circuit breaker state
+ * - `GET  /admin/log-level`            - current log level
+ * - `PUT  /admin/log-level`            - change the log level until restart
+ *
+ * Consumer bodies are `{ topic, partitions }`; omitting `partitions` selects every partition
+ * of the topic assigned to this instance. Consumer operations only affect partitions this
+ * instance owns, so with several replicas each one has to be called (see the assignments).
+ *
+ * Requests must send `Authorization: Bearer <ADMIN_API_TOKEN>`. Every accepted request is
+ * logged.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const config = require('../config');
+const kafkaConsumer = require('../consumer/kafkaConsumer');
+const mongoWriter = require('../database/mongoWriter');
+const logger = require('../logging/logger');
+
+const log = logger.child({ component: 'Admin API' });
+
+/**
+ * Error thrown for invalid request bodies
+ */
+class InvalidRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidRequestError';
+    this.code = 'INVALID_REQUEST';
+  }
+}
+
+/**
+ * Require the admin bearer token (compared in constant time)
+ */
+function authenticate(req, res, next) {
+  const header = req.get('authorization') || '';
+  const given = Buffer.from(header.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(config.admin.token);
+
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  log.info('Admin request', { method: req.method, url: req.originalUrl, body: req.body || {} });
+  next();
+}
+
+/**
+ * `{ topic, partitions }` from a request body
+ */
+function parseTopicPartitions(body = {}) {
+  const { topic, partitions } = body;
+
+  if (typeof topic !== 'string' || topic.length === 0) {
+    throw new InvalidRequestError('topic is required');
+  }
+
+  if (
+    partitions !== undefined &&
+    (!Array.isArray(partitions) ||
+      !partitions.every((partition) => Number.isInteger(partition) && partition >= 0))
+  ) {
+    throw new InvalidRequestError('partitions must be an array of partition numbers');
+  }
+
+  return { topic, partitions };
+}
+
+/**
+ * Seek target: `{ offset }` or `{ timestamp }` in epoch milliseconds
+ */
+function parseSeekTarget(body = {}) {
+  const { offset, timestamp } = body;
+
+  if ((offset === undefined) === (timestamp === undefined)) {
+    throw new InvalidRequestError('Exactly one of offset or timestamp is required');
+  }
+
+  if (offset !== undefined) {
+    if (offset === 'earliest' || offset === 'latest' || /^\d+$/.test(String(offset))) {
+      return { offset: String(offset) };
+    }
+    throw new InvalidRequestError('offset must be a non-negative integer, earliest or latest');
+  }
+
+  const time = typeof timestamp === 'number' ? timestamp : Date.parse(timestamp);
+  if (!Number.isFinite(time) || time < 0) {
+    throw new InvalidRequestError('timestamp must be an RFC 3339 string or epoch milliseconds');
+  }
+
+  return { timestamp: time };
+}
+
+/**
+ * Respond with an operation result, or 409 when no partition was affected
+ * @param {Array} affected - Partitions (or seek targets) the operation applied to
+ */
+function sendResult(res, topic, affected, result) {
+  const body = { instanceId: config.kafka.instanceId, topic, ...result };
+
+  if (affected.length === 0) {
+    res.status(409).json({
+      error: `No requested partitions of ${topic} are assigned to this instance`,
+      ...body,
+    });
+    return;
+  }
+
+  res.json(body);
+}
+
+/**
+ * Wrap a handler with error responses
+ * @param {boolean} requiresConsumer - Whether the Kafka consumer must be running
+ */
+function handle(handler, requiresConsumer = true) {
+  return async (req, res) => {
+    if (requiresConsumer && !kafkaConsumer.isRunning) {
+      res.status(503).json({ error: 'Consumer is not running' });
+      return;
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof InvalidRequestError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+
+      log.error('Request failed', { method: req.method, url: req.originalUrl, error });
+      res.status(500).json({ error: error.message });
+    }
+  };
+}
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Partition assignment and positions
+router.get(
+  '/consumer/assignments',
+  handle(async (req, res) => {
+    res.json(kafkaConsumer.getAssignments());
+  })
+);
+
+// Pause partitions until an operator resumes them
+router.post(
+  '/consumer/pause',
+  handle(async (req, res) => {
+    const { topic, partitions } = parseTopicPartitions(req.body);
+    const result = kafkaConsumer.pauseByOperator(topic, partitions);
+    sendResult(res, topic, result.paused, result);
+  })
+);
+
+// Resume partitions paused by an operator
+router.post(
+  '/consumer/resume',
+  handle(async (req, res) => {
+    const { topic, partitions } = parseTopicPartitions(req.body);
+    const result = kafkaConsumer.resumeByOperator(topic, partitions);
+    sendResult(res, topic, [...result.resumed, ...result.stillHeld, ...result.notPaused], result);
+  })
+);
+
+// Move partitions to an offset or timestamp
+router.post(
+  '/consumer/seek',
+  handle(async (req, res) => {
+    const { topic, partitions } = parseTopicPartitions(req.body);
+    const result = await kafkaConsumer.seek(topic, partitions, parseSeekTarget(req.body));
+    sendResult(res, topic, result.sought, result);
+  })
+);
+
+// Force the MongoDB circuit breaker state
+router.post(
+  '/circuit-breaker',
+  handle(async (req, res) => {
+    const { state } = req.body || {};
+
+    if (!['OPEN', 'HALF_OPEN', 'CLOSED'].includes(state)) {
+      throw new InvalidRequestError('state must be OPEN, HALF_OPEN or CLOSED');
+    }
+
+    mongoWriter.forceCircuitState(state);
+    res.json({
+      circuitState: mongoWriter.circuitState,
+      circuitHeldOpen: mongoWriter.circuitHeldOpen,
+    });
+  }, false)
+);
+
+// Current log level
+router.get(
+  '/log-level',
+  handle(async (req, res) => {
+    res.json({ level: logger.getLevel() });
+  }, false)
+);
+
+// Change the log level of every component until the next restart
+router.put(
+  '/log-level',
+  handle(async (req, res) => {
+    const { level } = req.body || {};
+
+    if (!Object.hasOwn(logger.LEVELS, level)) {
+      throw new InvalidRequestError(
+        `level must be one of: ${Object.keys(logger.LEVELS).join(', ')}`
+      );
+    }
+
+    const previous = logger.getLevel();
+    logger.setLevel(level);
+    log.warn('Log level changed', { previous, current: level });
+    res.json({ level, previous });
+  }, false)
+);
+
+module.exports = router;
@@ -0,0 +1,313 @@
+/**
+ * Event Query API
+ *
+ * Read-only endpoints over stored events, mounted at `/events` when `EVENTS_API_ENABLED=true`.
+ * They are not authenticated, so they are off by default:
+ * - `GET /events`       - list events newest first, filtered by `type`, `source`, `subject`
+ *                         and a `since`/`until` time range, with cursor pagination
+ * - `GET /events/stats` - event counts per type in time buckets
+ * - `GET /events/:id`   - a single event, searched across every routed collection
+ *
+ * List and stats queries run against one routed collection, chosen with `route` (the
+ * fallback collection by default). `fields` limits the returned fields. Every query is
+ * bounded by a page size limit, a server-side time limit and, for stats, a maximum range.
+ */
+
+const express = require('express');
+const config = require('../config');
+const { parseDuration } = require('../config/duration');
+const eventReader = require('../database/eventReader');
+const eventRouter = require('../database/eventRouter');
+const mongoWriter = require('../database/mongoWriter');
+const log = require('../logging/logger').child({ component: 'Events API' });
+
+const MAX_FIELDS = 50;
+const MAX_BUCKETS = 1000;
+const DEFAULT_STATS_RANGE_MS = 24 * 3600000;
+const FIELD_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+const INTERVAL_UNITS = { m: 'minute', h: 'hour', d: 'day' };
+
+/**
+ * MongoDB error code for queries that exceed maxTimeMS
+ */
+const MAX_TIME_EXPIRED = 50;
+
+/**
+ * Error thrown for invalid query parameters
+ */
+class InvalidQueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidQueryError';
+    this.code = 'INVALID_QUERY';
+  }
+}
+
+/**
+ * Single string parameter
+ *
+ * Bracketed query strings (e.g. `type[$ne]=x`) parse into objects; they are rejected so
+ * no operator can reach MongoDB.
+ */
+function parseString(query, name) {
+  const value = query[name];
+
+  if (value !== undefined && typeof value !== 'string') {
+    throw new InvalidQueryError(`${name} must be a single value`);
+  }
+
+  return value;
+}
+
+/**
+ * Comma-separated or repeated string parameter
+ */
+function parseList(query, name) {
+  const values = [].concat(query[name] === undefined ? [] : query[name]);
+
+  if (!values.every((value) => typeof value === 'string')) {
+    throw new InvalidQueryError(`${name} must be a list of values`);
+  }
+
+  return values
+    .flatMap((value) => value.split(','))
+    .map((value) => value.trim())
+    .filter(Boolean);
+}
+
+/**
+ * RFC 3339 timestamp parameter
+ */
+function parseTime(query, name) {
+  const value = parseString(query, name);
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new InvalidQueryError(`${name} must be an RFC 3339 timestamp`);
+  }
+
+  return date;
+}
+
+/**
+ * Field paths for projection
+ */
+function parseFields(query) {
+  const fields = parseList(query, 'fields');
+
+  if (fields.length > MAX_FIELDS) {
+    throw new InvalidQueryError(`fields accepts at most ${MAX_FIELDS} paths`);
+  }
+
+  const invalid = fields.find((field) => !FIELD_PATTERN.test(field));
+  if (invalid) {
+    throw new InvalidQueryError(`Invalid field path: ${invalid}`);
+  }
+
+  return fields;
+}
+
+/**
+ * Page size, capped at the configured maximum
+ */
+function parseLimit(query) {
+  const value = parseString(query, 'limit');
+  if (value === undefined) {
+    return config.api.defaultLimit;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > config.api.maxLimit) {
+    throw new InvalidQueryError(`limit must be an integer from 1 to ${config.api.maxLimit}`);
+  }
+
+  return limit;
+}
+
+/**
+ * Route selected by name, or the fallback route
+ */
+function parseRoute(query) {
+  const name = parseString(query, 'route');
+  if (!name) {
+    return eventRouter.fallback;
+  }
+
+  const route = eventRouter.getRoutes().find((candidate) => candidate.name === name);
+  if (!route) {
+    throw new InvalidQueryError(`Unknown route: ${name}`);
+  }
+
+  return route;
+}
+
+/**
+ * Filters shared by list and stats queries
+ */
+function parseFilters(query) {
+  const filters = {
+    types: parseList(query, 'type'),
+    sources: parseList(query, 'source'),
+    subjects: parseList(query, 'subject'),
+    since: parseTime(query, 'since'),
+    until: parseTime(query, 'until'),
+  };
+
+  if (filters.since && filters.until && filters.since >= filters.until) {
+    throw new InvalidQueryError('since must be before until');
+  }
+
+  return filters;
+}
+
+/**
+ * Encode the position after the last event of a page as an opaque cursor
+ */
+function encodeCursor(last) {
+  return Buffer.from(JSON.stringify([last.time, last.id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ */
+function decodeCursor(cursor) {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+
+    if (typeof time === 'string' && !Number.isNaN(Date.parse(time)) && typeof id === 'string') {
+      return { time, id };
+    }
+  } catch (error) {
+    // Fall through to the error below
+  }
+
+  throw new InvalidQueryError('Invalid cursor');
+}
+
+/**
+ * Stats bucket interval (e.g. `15m`, `1h`, `1d`) as `$dateTrunc` options
+ */
+function parseInterval(query) {
+  const value = parseString(query, 'interval') || '1h';
+  const match = /^(\d+)([mhd])$/.exec(value);
+
+  if (!match || parseInt(match[1], 10) < 1) {
+    throw new InvalidQueryError('interval must be a duration in minutes, hours or days (e.g. 1h)');
+  }
+
+  return {
+    unit: INTERVAL_UNITS[match[2]],
+    binSize: parseInt(match[1], 10),
+    intervalMs: parseDuration(value),
+  };
+}
+
+/**
+ * Wrap a handler with connection checks and error responses
+ */
+function handle(handler) {
+  return async (req, res) => {
+    if (!mongoWriter.isConnected) {
+      res.status(503).json({ error: 'MongoDB is not connected' });
+      return;
+    }
+
+    try {
+      await handler(req, res);
+    } catch (error) {
+      if (error instanceof InvalidQueryError) {
+        res.status(400).json({ error: error.message });
+        return;
+      }
+
+      if (error.code === MAX_TIME_EXPIRED) {
+        res.status(504).json({ error: 'Query exceeded the time limit; narrow the filters' });
+        return;
+      }
+
+      log.error('Query failed', { path: req.path, query: req.query, error });
+      res.status(500).json({ error: 'Failed to query events' });
+    }
+  };
+}
+
+const router = express.Router();
+
+// List events
+router.get(
+  '/',
+  handle(async (req, res) => {
+    const route = parseRoute(req.query);
+    const cursor = parseString(req.query, 'cursor');
+    const limit = parseLimit(req.query);
+
+    const { events, last } = await eventReader.find(route, {
+      ...parseFilters(req.query),
+      after: cursor ? decodeCursor(cursor) : null,
+      limit,
+      fields: parseFields(req.query),
+    });
+
+    res.json({
+      route: route.name,
+      events,
+      nextCursor: last ? encodeCursor(last) : null,
+    });
+  })
+);
+
+// Event counts per type over time buckets
+router.get(
+  '/stats',
+  handle(async (req, res) => {
+    const route = parseRoute(req.query);
+    const filters = parseFilters(req.query);
+    const { unit, binSize, intervalMs } = parseInterval(req.query);
+
+    const until = filters.until || new Date();
+    const since = filters.since || new Date(until.getTime() - DEFAULT_STATS_RANGE_MS);
+    const rangeMs = until.getTime() - since.getTime();
+
+    if (rangeMs <= 0) {
+      throw new InvalidQueryError('since must be before until');
+    }
+
+    if (rangeMs > parseDuration(config.api.maxStatsRange)) {
+      throw new InvalidQueryError(`Time range must not exceed ${config.api.maxStatsRange}`);
+    }
+
+    if (rangeMs / intervalMs > MAX_BUCKETS) {
+      throw new InvalidQueryError(`Time range must not span more than ${MAX_BUCKETS} intervals`);
+    }
+
+    const buckets = await eventReader.stats(route, { ...filters, since, until, unit, binSize });
+
+    res.json({
+      route: route.name,
+      since: since.toISOString(),
+      until: until.toISOString(),
+      interval: `${binSize}${unit[0]}`,
+      buckets,
+    });
+  })
+);
+
+// Get event by id
+router.get(
+  '/:id',
+  handle(async (req, res) => {
+    const found = await eventReader.findById(req.params.id, parseFields(req.query));
+
+    if (!found) {
+      res.status(404).json({ error: `Event ${req.params.id} not found` });
+      return;
+    }
+
+    res.json(found);
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,144 @@
+/**
+ * Event Consumer CLI
+ *
+ * Operational commands that run alongside the service:
+ *
+ *   node src/cli.js dlq replay [options]
+ *
+ * Related: ADR-0034 (Kafka Event Streaming Integration)
+ */
+
+const { DLQReplayer } = require('./dlq/replay');
+
+const USAGE = `Usage: node src/cli.js dlq replay [options]
+
+Replay messages from the dead-letter queue.
+
+Filters:
+  --reason <text>     Match messages whose x-error-reason contains <text>
+  --type <type>       Match events with this CloudEvent type
+  --source <prefix>   Match events whose CloudEvent source starts with <prefix>
+  --since <time>      Match messages dead-lettered at or after <time> (ISO 8601)
+  --until <time>      Match messages dead-lettered before <time> (ISO 8601)
+
+Replay:
+  --target <target>   kafka (republish to x-original-topic, default) or mongodb
+  --dry-run           Print a summary of matching messages without replaying
+  --rate <n>          Max messages replayed per second (default 100)
+  --dlq-topic <topic> DLQ topic to read (default KAFKA_DLQ_TOPIC)
+  --group <id>        Consumer group used to read the DLQ
+  --commit            Commit DLQ offsets so the next run skips handled messages
+  --idle-timeout <ms> Stop after this long without new messages (default 10000)
+  --help              Show this help`;
+
+/**
+ * Parse `--flag value` / `--switch` arguments into replay options
+ * @param {Array<string>} args - Arguments after the command name
+ * @returns {Object} DLQReplayer options
+ */
+function parseReplayArgs(args) {
+  const options = {};
+  const switches = { '--dry-run': 'dryRun', '--commit': 'commit' };
+  const values = {
+    '--reason': 'reason',
+    '--type': 'type',
+    '--source': 'source',
+    '--since': 'since',
+    '--until': 'until',
+    '--target': 'target',
+    '--rate': 'rate',
+    '--dlq-topic': 'dlqTopic',
+    '--group': 'groupId',
+    '--idle-timeout': 'idleTimeoutMs',
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+
+    if (switches[arg]) {
+      options[switches[arg]] = true;
+    } else if (values[arg]) {
+      if (args[i + 1] === undefined) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      options[values[arg]] = args[++i];
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  for (const key of ['since', 'until']) {
+    if (options[key] !== undefined) {
+      options[key] = new Date(options[key]);
+      if (Number.isNaN(options[key].getTime())) {
+        throw new Error(`Invalid --${key} time`);
+      }
+    }
+  }
+
+  for (const key of ['rate', 'idleTimeoutMs']) {
+    if (options[key] !== undefined) {
+      options[key] = Number(options[key]);
+      if (!(options[key] > 0)) {
+        throw new Error(`Invalid numeric value for ${key}`);
+      }
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Print a replay summary
+ */
+function printSummary(summary, options) {
+  console.log(`\n[DLQ Replay] ${options.dryRun ? 'Dry run' : 'Replay'} summary`);
+  console.log(`  Scanned:  ${summary.scanned}`);
+  console.log(`  Matched:  ${summary.matched}`);
+
+  if (!options.dryRun) {
+    console.log(`  Replayed: ${summary.replayed} (target: ${options.target || 'kafka'})`);
+    console.log(`  Skipped:  ${summary.skipped}`);
+    console.log(`  Failed:   ${summary.failed}`);
+  }
+
+  console.log('  By error reason:');
+  for (const [reason, count] of Object.entries(summary.byReason)) {
+    console.log(`    ${count}\t${reason}`);
+  }
+
+  console.log('  By event type:');
+  for (const [type, count] of Object.entries(summary.byType)) {
+    console.log(`    ${count}\t${type}`);
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after `node src/cli.js`
+ * @returns {Promise<number>} Process exit code
+ */
+async function main(argv) {
+  const [group, command, ...args] = argv;
+
+  if (args.includes('--help') || group !== 'dlq' || command !== 'replay') {
+    console.log(USAGE);
+    return args.includes('--help') ? 0 : 1;
+  }
+
+  try {
+    const options = parseReplayArgs(args);
+    const summary = await new DLQReplayer(options).run();
+    printSummary(summary, options);
+    return summary.failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('[DLQ Replay] Failed:', error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = { main, parseReplayArgs };
@@ -0,0 +1,19 @@
+/**
+ * Duration Parsing
+ */
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+/**
+ * Parse a duration like `30s`, `1m`, `2h` or `30d` into milliseconds (NaN if invalid)
+ */
+function parseDuration(value) {
+  const match = /^(\d+)(ms|s|m|h|d)$/.exec(String(value).trim());
+  if (!match) {
+    return NaN;
+  }
+
+  return parseInt(match[1], 10) * UNITS[match[2]];
+}
+
+module.exports = { parseDuration };
@@ -0,0 +1,252 @@
+/**
+ * Adaptive Backpressure
+ *
+ * Slows the consumer down while MongoDB is slow but still answering, before the circuit
+ * breaker has to open. Every `config.backpressure.intervalMs` the controller looks at the
+ * writes of the last `config.backpressure.windowMs` (from the MongoDB writer's `write`
+ * events) and adjusts three limits, AIMD style:
+ * - p95 latency above `targetLatencyMs` or error rate above `targetErrorRate`: batch size
+ *   and write concurrency are multiplied by `decreaseFactor`
+ * - p95 latency above `pauseLatencyMs`: fetching is also paused for one interval, then
+ *   resumes at the minimum limits
+ * - otherwise: batch size grows by `batchIncrease` and concurrency by 1, up to
+ *   `config.batch.size` and the number of lanes that can write at once
+ *
+ * Errors are whole writes that failed; documents MongoDB rejects don't count.
+ *
+ * Emits `adjust` { direction: 'increase' | 'decrease' | 'pause' | 'resume', batchSize,
+ * concurrency, latencyP95Ms, errorRate } whenever the limits change.
+ */
+
+const EventEmitter = require('events');
+const config = require('../config');
+const mongoWriter = require('../database/mongoWriter');
+const log = require('../logging/logger').child({ component: 'Backpressure' });
+
+/**
+ * Writes needed in the window before the limits are adjusted
+ */
+const MIN_SAMPLES = 5;
+
+/**
+ * Adaptive Backpressure Class
+ */
+class AdaptiveBackpressure extends EventEmitter {
+  constructor() {
+    super();
+    this.samples = [];
+    this.timer = null;
+    this.inFlight = 0;
+    this.waiting = [];
+    this.latencyP95Ms = null;
+    this.errorRate = null;
+    this.onWrite = this.onWrite.bind(this);
+    this.reset();
+  }
+
+  /**
+   * Upper limits: the configured batch size, and every lane of every concurrent partition
+   */
+  getMaximums() {
+    const { partitionsConcurrency, keyLanes } = config.kafka.consumer;
+    return { batchSize: config.batch.size, concurrency: partitionsConcurrency * keyLanes };
+  }
+
+  /**
+   * Start at the maximum limits
+   */
+  reset() {
+    const maximums = this.getMaximums();
+    this.batchSize = maximums.batchSize;
+    this.concurrency = maximums.concurrency;
+    this.paused = false;
+  }
+
+  /**
+   * Start sampling writes and adjusting the limits
+   */
+  start() {
+    if (!config.backpressure.enabled || this.timer) {
+      return;
+    }
+
+    this.reset();
+    mongoWriter.on('write', this.onWrite);
+    this.timer = setInterval(() => this.adjust(), config.backpressure.intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop adjusting and let every waiting write through
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    mongoWriter.off('write', this.onWrite);
+    this.reset();
+    this.wake();
+  }
+
+  /**
+   * Record a write from the MongoDB writer
+   */
+  onWrite({ durationMs, outcome }) {
+    this.samples.push({ at: Date.now(), durationMs, failed: outcome === 'failure' });
+  }
+
+  /**
+   * Adjust the limits from the writes in the window
+   */
+  adjust() {
+    const {
+      windowMs,
+      targetLatencyMs,
+      pauseLatencyMs,
+      targetErrorRate,
+      minBatchSize,
+      batchIncrease,
+      decreaseFactor,
+    } = config.backpressure;
+    const maximums = this.getMaximums();
+
+    const since = Date.now() - windowMs;
+    this.samples = this.samples.filter((sample) => sample.at >= since);
+
+    // Paused for one interval: probe again at the minimum limits
+    if (this.paused) {
+      this.paused = false;
+      this.samples = [];
+      this.update('resume');
+      return;
+    }
+
+    if (this.samples.length < MIN_SAMPLES) {
+      return;
+    }
+
+    const durations = this.samples.map((sample) => sample.durationMs).sort((a, b) => a - b);
+    this.latencyP95Ms = durations[Math.ceil(durations.length * 0.95) - 1];
+    this.errorRate = this.samples.filter((sample) => sample.failed).length / this.samples.length;
+
+    if (this.latencyP95Ms > targetLatencyMs || this.errorRate > targetErrorRate) {
+      this.batchSize = Math.max(minBatchSize, Math.floor(this.batchSize * decreaseFactor));
+      this.concurrency = Math.max(1, Math.floor(this.concurrency * decreaseFactor));
+
+      if (this.latencyP95Ms > pauseLatencyMs) {
+        this.batchSize = minBatchSize;
+        this.concurrency = 1;
+        this.paused = true;
+        this.update('pause');
+        return;
+      }
+
+      this.update('decrease');
+      return;
+    }
+
+    if (this.batchSize < maximums.batchSize || this.concurrency < maximums.concurrency) {
+      this.batchSize = Math.min(maximums.batchSize, this.batchSize + batchIncrease);
+      this.concurrency = Math.min(maximums.concurrency, this.concurrency + 1);
+      this.update('increase');
+    }
+  }
+
+  /**
+   * Announce new limits and let waiting writes through if concurrency allows
+   * @param {string} direction - 'increase', 'decrease', 'pause' or 'resume'
+   */
+  update(direction) {
+    log[direction === 'increase' ? 'info' : 'warn']('Adjusted write limits', {
+      direction,
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      latencyP95Ms: this.latencyP95Ms,
+      errorRate: this.errorRate,
+    });
+
+    this.emit('adjust', {
+      direction,
+      batchSize: this.batchSize,
+      concurrency: this.concurrency,
+      latencyP95Ms: this.latencyP95Ms,
+      errorRate: this.errorRate,
+    });
+    this.wake();
+  }
+
+  /**
+   * Effective batch size
+   */
+  getBatchSize() {
+    return config.backpressure.enabled ? this.batchSize : config.batch.size;
+  }
+
+  /**
+   * Whether fetching should be paused
+   */
+  isPaused() {
+    return config.backpressure.enabled && this.paused;
+  }
+
+  /**
+   * Run a write once the concurrency limit allows it
+   * @param {Function} write - Async function performing the write
+   */
+  async run(write) {
+    if (!config.backpressure.enabled) {
+      return write();
+    }
+
+    while (this.timer && this.inFlight >= this.concurrency) {
+      await new Promise((resolve) => this.waiting.push(resolve));
+    }
+
+    this.inFlight++;
+    try {
+      return await write();
+    } finally {
+      this.inFlight--;
+      this.wake();
+    }
+  }
+
+  /**
+   * Let waiting writes re-check the concurrency limit
+   */
+  wake() {
+    const waiting = this.waiting;
+    this.waiting = [];
+    waiting.forEach((resolve) => resolve());
+  }
+
+  /**
+   * Current limits and the measurements behind them
+   */
+  getState() {
+    const maximums = this.getMaximums();
+
+    return {
+      enabled: config.backpressure.enabled,
+      status: this.paused
+        ? 'paused'
+        : this.batchSize < maximums.batchSize || this.concurrency < maximums.concurrency
+          ? 'throttled'
+          : 'normal',
+      batchSize: this.batchSize,
+      maxBatchSize: maximums.batchSize,
+      concurrency: this.concurrency,
+      maxConcurrency: maximums.concurrency,
+      inFlight: this.inFlight,
+      waiting: this.waiting.length,
+      latencyP95Ms: this.latencyP95Ms,
+      errorRate: this.errorRate,
+      samples: this.samples.length,
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new AdaptiveBackpressure();
@@ -0,0 +1,205 @@
+/**
+ * CloudEvents Kafka Codec
+ *
+ * Decodes Kafka records into CloudEvents according to the CloudEvents Kafka protocol
+ * binding. The content mode is detected from the `content-type` header:
+ * - `application/cloudevents-batch+json` - batched: a JSON array of structured events
+ * - `application/cloudevents+json`       - structured: one JSON event in the value
+ * - any other type with `ce_*` headers    - binary: attributes in headers, `data` in the value
+ * - no content type and no `ce_*` headers - structured (legacy producers)
+ *
+ * Values framed in the Confluent wire format (Avro or Protobuf, see ./wireFormat.js) are
+ * decoded through the schema registry: in binary mode the decoded value becomes `data`, in
+ * structured mode it is the event itself. Binary-mode values are only treated as framed when
+ * the content type is an Avro or Protobuf one, or is missing.
+ *
+ * Every decoded event comes with a `record`: a Kafka message holding that event alone, used
+ * when the event has to be republished to a retry topic or the DLQ. For structured and binary
+ * records this is the original message. Events fanned out of a batch get a derived
+ * structured message that carries the original offset and an `x-batch-index` header.
+ */
+
+const { getHeader } = require('./headers');
+const wireFormatDecoder = require('./wireFormat');
+
+/**
+ * Content modes
+ */
+const ContentMode = {
+  STRUCTURED: 'structured',
+  BINARY: 'binary',
+  BATCH: 'batch',
+};
+
+const STRUCTURED_CONTENT_TYPE = 'application/cloudevents+json';
+const BATCH_CONTENT_TYPE = 'application/cloudevents-batch+json';
+const BINARY_HEADER_PREFIX = 'ce_';
+
+/**
+ * Media type without parameters, lower-cased (e.g. `application/json; charset=utf-8`)
+ */
+function mediaType(contentType) {
+  return (contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Whether a media type carries JSON
+ */
+function isJson(type) {
+  return type === 'application/json' || type.endsWith('+json');
+}
+
+/**
+ * Whether a media type names an Avro or Protobuf encoding (e.g. `application/x-protobuf`,
+ * `avro/binary`); JSON encodings of either schema language don't count
+ */
+function isSchemaEncoded(type) {
+  return /\b(avro|protobuf)\b/.test(type) && !isJson(type);
+}
+
+/**
+ * Detect the content mode of a Kafka message
+ * @param {Object} message - Kafka message
+ * @returns {string} ContentMode
+ */
+function detectMode(message) {
+  const type = mediaType(getHeader(message, 'content-type'));
+
+  if (type === BATCH_CONTENT_TYPE) {
+    return ContentMode.BATCH;
+  }
+
+  if (type !== STRUCTURED_CONTENT_TYPE && getHeader(message, 'ce_specversion') !== undefined) {
+    return ContentMode.BINARY;
+  }
+
+  return ContentMode.STRUCTURED;
+}
+
+/**
+ * Decode a structured-mode value (JSON, or Avro/Protobuf in the Confluent wire format)
+ */
+async function decodeStructuredValue(value) {
+  if (!wireFormatDecoder.isWireFormat(value)) {
+    return JSON.parse(value.toString());
+  }
+
+  const event = await wireFormatDecoder.decode(value);
+
+  // Avro/Protobuf schemas commonly carry `time` as epoch milliseconds
+  if (event && /^\d+$/.test(String(event.time))) {
+    event.time = new Date(Number(event.time)).toISOString();
+  }
+
+  return event;
+}
+
+/**
+ * Build a CloudEvent from a binary-mode message
+ */
+async function decodeBinary(message) {
+  const event = {};
+
+  for (const name of Object.keys(message.headers || {})) {
+    if (name.startsWith(BINARY_HEADER_PREFIX)) {
+      event[name.slice(BINARY_HEADER_PREFIX.length)] = getHeader(message, name);
+    }
+  }
+
+  const contentType = getHeader(message, 'content-type');
+  if (contentType) {
+    event.datacontenttype = contentType;
+  }
+
+  if (message.value !== null && message.value !== undefined) {
+    const type = mediaType(contentType);
+
+    // A leading zero byte only means the wire format when the content type allows for it
+    const framed = wireFormatDecoder.isWireFormat(message.value);
+
+    if (framed && (!type || isSchemaEncoded(type))) {
+      event.data = await wireFormatDecoder.decode(message.value);
+    } else if (!type || isJson(type)) {
+      event.data = JSON.parse(message.value.toString());
+    } else if (type.startsWith('text/') || type.endsWith('/xml')) {
+      event.data = message.value.toString();
+    } else {
+      event.data_base64 = Buffer.from(message.value).toString('base64');
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Structured-mode message holding `event`, in place of `message`
+ *
+ * Keeps the key, offset and headers of `message` apart from binary-mode `ce_*` attributes,
+ * which the structured value carries instead.
+ * @param {Object} message - Kafka message the event came from
+ * @param {Object} event - CloudEvent
+ * @param {Object} [headers] - Headers to add
+ */
+function encodeStructured(message, event, headers = {}) {
+  const kept = Object.entries(message.headers || {}).filter(
+    ([name]) => !name.startsWith(BINARY_HEADER_PREFIX)
+  );
+
+  return {
+    key: message.key,
+    value: Buffer.from(JSON.stringify(event)),
+    timestamp: message.timestamp,
+    offset: message.offset,
+    headers: {
+      ...Object.fromEntries(kept),
+      'content-type': STRUCTURED_CONTENT_TYPE,
+      ...headers,
+    },
+  };
+}
+
+/**
+ * Single-event structured message standing in for one element of a batch
+ */
+function batchElementRecord(message, event, index) {
+  return encodeStructured(message, event, { 'x-batch-index': String(index) });
+}
+
+/**
+ * Decode a Kafka message into CloudEvents
+ *
+ * Rejects if the value cannot be decoded at all. Attribute checks are left to the caller.
+ * @param {Object} message - Kafka message
+ * @returns {Promise<Array<Object>>} `{ event, record, mode, batchIndex }` items, in batch order
+ */
+async function decodeMessage(message) {
+  const mode = detectMode(message);
+
+  if (mode === ContentMode.BINARY) {
+    return [{ event: await decodeBinary(message), record: message, mode }];
+  }
+
+  if (mode === ContentMode.BATCH) {
+    const value = JSON.parse(message.value.toString());
+
+    if (!Array.isArray(value)) {
+      throw new Error('CloudEvents batch must be a JSON array');
+    }
+
+    return value.map((event, index) => ({
+      event,
+      record: batchElementRecord(message, event, index),
+      mode,
+      batchIndex: index,
+    }));
+  }
+
+  return [{ event: await decodeStructuredValue(message.value), record: message, mode }];
+}
+
+module.exports = {
+  ContentMode,
+  detectMode,
+  decodeMessage,
+  encodeStructured,
+};
@@ -0,0 +1,18 @@
+/**
+ * Kafka Header Helpers
+ *
+ * kafkajs delivers header values as Buffers (or arrays of Buffers for repeated keys).
+ */
+
+/**
+ * Read a Kafka message header as a string
+ * @param {Object} message - Kafka message
+ * @param {string} name - Header name
+ * @returns {string|undefined} Header value, or undefined if not present
+ */
+function getHeader(message, name) {
+  const value = message.headers && message.headers[name];
+  return value === undefined || value === null ? undefined : value.toString();
+}
+
+module.exports = { getHeader };
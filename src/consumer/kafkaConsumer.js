@@ -1,41 +1,161 @@
 /**
  * Kafka Consumer
  *
- * Consumes events from Kafka topic and writes them to MongoDB.
+ * Consumes events from Kafka topics and writes them to MongoDB.
  * Features:
  * - Consumer group for horizontal scaling
+ * - Several topics and topic patterns, with per-topic DLQ, collection and validation mode
  * - Batch processing for performance
+ * - Partitions processed concurrently, with parallel per-key lanes within a partition
  * - Dead-letter queue for failed messages
- * - Graceful shutdown
+ * - CloudEvents structured, binary and batched content modes
+ * - Avro/Protobuf payloads in the Confluent wire format via a schema registry
+ * - CloudEvents schema validation (reject, annotate or warn per event type)
+ * - Field-level privacy policy applied before events are stored or republished
+ *   (see src/privacy/privacyPolicy.js)
+ * - Optional retry topics with delayed redelivery before the DLQ
+ * - Partition pausing while the MongoDB circuit breaker is OPEN
+ * - Optional adaptive backpressure from MongoDB write latency (see ./backpressure.js)
+ * - Operator pause/resume/seek of assigned partitions (see src/api/admin.js)
+ * - Optional exactly-once mode: offsets committed with the writes in MongoDB
+ * - Optional disk spool for chunks MongoDB can't take (see src/spool/diskSpool.js)
+ * - Graceful shutdown and rebalances: in-flight batches are flushed and committed within a
+ *   deadline
+ * - OpenTelemetry spans continuing the producer's trace (see src/tracing/tracer.js)
  * - Prometheus metrics
  *
+ * Instrumentation events (consumed by src/metrics/prometheus.js):
+ * - `received` { topic, partition, count }
+ * - `message`  { topic, partition, type, outcome: 'inserted' | 'duplicate' | 'spooled' | 'failed',
+ *                durationMs }
+ * - `dlq`      { topic, partition, type }
+ * - `retry`    { topic, partition, type, retryTopic, attempt }
+ * - `batch`    { topic, partition, count, durationMs }
+ * - `drain`    { reason: 'shutdown' | 'rebalance', durationMs, timedOut, batches,
+ *                completedMessages, abandonedMessages, partitions, commitError }
+ *
  * Related: ADR-0034 (Kafka Event Streaming Integration)
  */
 
+const EventEmitter = require('events');
+const zlib = require('zlib');
 const { Kafka, logLevel } = require('kafkajs');
+const { SpanKind } = require('@opentelemetry/api');
 const config = require('../config');
+const logger = require('../logging/logger');
+const { kafkaLogCreator } = require('../logging/kafkaLogCreator');
 const mongoWriter = require('../database/mongoWriter');
+const backpressure = require('./backpressure');
+const diskSpool = require('../spool/diskSpool');
+const privacyPolicy = require('../privacy/privacyPolicy');
+const schemaValidator = require('../validation/schemaValidator');
+const tracing = require('../tracing/tracer');
+const { decodeMessage } = require('./codec');
+const { getHeader } = require('./headers');
+const { OffsetTracker } = require('./offsetTracker');
+
+const log = logger.child({ component: 'Kafka Consumer' });
+
+/**
+ * Heartbeat errors that mean the group is rebalancing
+ */
+const REBALANCE_ERRORS = [
+  'REBALANCE_IN_PROGRESS',
+  'NOT_COORDINATOR_FOR_GROUP',
+  'ILLEGAL_GENERATION',
+];
+
+/**
+ * CloudEvent attributes every event must have to be stored
+ */
+const REQUIRED_ATTRIBUTES = ['id', 'type', 'source', 'time'];
+
+/**
+ * Log fields identifying a message and, once parsed, its event; the topic and partition
+ * come from the batch's log context. Spooled events have no Kafka message.
+ */
+function eventFields(message, event) {
+  return {
+    ...(message && { offset: message.offset }),
+    ...(event && { eventId: event.id, eventType: event.type }),
+  };
+}
+
+/**
+ * Span options for publishing a failed message to a retry topic or DLQ
+ */
+function sendSpanOptions(topic, errorReason) {
+  return {
+    kind: SpanKind.PRODUCER,
+    attributes: {
+      'messaging.system': 'kafka',
+      'messaging.operation.type': 'send',
+      'messaging.destination.name': topic,
+      'events_consumer.error_reason': errorReason,
+    },
+  };
+}
 
 /**
  * Kafka Consumer Class
  */
-class KafkaEventConsumer {
+class KafkaEventConsumer extends EventEmitter {
   constructor() {
+    super();
     this.kafka = null;
     this.consumer = null;
     this.dlqProducer = null;
+    this.admin = null;
     this.isRunning = false;
     this.isShuttingDown = false;
 
-    // Batch processing
-    this.messageBatch = [];
-    this.batchTimer = null;
+    // Batches being processed, and the drain (shutdown or rebalance) waiting for them
+    this.activeBatches = new Set();
+    this.drain = null;
+    this.lastDrain = null;
+
+    // Lag tracking, keyed by `${topic}:${partition}`
+    this.partitionOffsets = new Map();
+    this.lagTimer = null;
+
+    // Partitions paused while the MongoDB circuit breaker is OPEN, keyed by `${topic}:${partition}`
+    this.pausedPartitions = new Map();
+
+    // Retry-topic partitions waiting for their head message to become due, keyed like above
+    this.delayedPartitions = new Map();
+
+    // Partitions paused by an operator, keyed like above; only an operator resumes them
+    this.operatorPausedPartitions = new Map();
+
+    // Whether every assigned partition is paused by adaptive backpressure
+    this.backpressurePaused = false;
+
+    // Exactly-once mode: next offset to consume per partition as stored in MongoDB (null if
+    // none stored yet), keyed like above
+    this.storedOffsets = new Map();
+
+    // Exactly-once mode, keyed like above: operator seeks so far, the seek being applied, and
+    // the transactional write in flight. Chunks buffered before a seek are never written.
+    this.seekEpochs = new Map();
+    this.pendingSeeks = new Map();
+    this.inflightWrites = new Map();
+
+    // Current group membership, from GROUP_JOIN: `{ [topic]: [partition, ...] }`
+    this.memberId = null;
+    this.assignment = {};
+
+    // Event topics subscribed to, with patterns resolved at start
+    this.topics = [];
+
+    // Per-topic message counters, keyed by consumed topic
+    this.topicMetrics = new Map();
 
     // Metrics
     this.metrics = {
       messagesReceived: 0,
       messagesProcessed: 0,
       messagesFailed: 0,
+      messagesSpooled: 0,
       batchesProcessed: 0,
       dlqMessages: 0,
       lastProcessedTimestamp: null,
@@ -48,7 +168,7 @@ class KafkaEventConsumer {
    */
   async initialize() {
     try {
-      console.log('[Kafka Consumer] Initializing...');
+      log.info('Initializing');
 
       // Create Kafka client
       this.kafka = new Kafka({
@@ -63,6 +183,7 @@ class KafkaEventConsumer {
           multiplier: 2,
         },
         logLevel: config.env === 'production' ? logLevel.ERROR : logLevel.WARN,
+        logCreator: kafkaLogCreator,
       });
 
       // Create consumer
@@ -92,9 +213,50 @@ class KafkaEventConsumer {
         },
       });
 
-      console.log('[Kafka Consumer] Initialization complete');
+      // Admin client for reading committed offsets (lag tracking)
+      this.admin = this.kafka.admin();
+
+      // Resume paused partitions once the breaker lets test writes through again
+      mongoWriter.on('circuitStateChange', ({ state }) => {
+        if (state !== 'OPEN') {
+          this.resumePartitions();
+        }
+      });
+
+      // Pause or resume fetching as adaptive backpressure decides
+      backpressure.on('adjust', () => this.setBackpressurePaused(backpressure.isPaused()));
+
+      // Flush and commit in-flight batches before the group moves partitions
+      this.consumer.on(this.consumer.events.REBALANCING, () => {
+        if (!this.isShuttingDown) {
+          this.beginDrain('rebalance');
+        }
+      });
+
+      // Forget partitions that were revoked in a rebalance
+      this.consumer.on(this.consumer.events.GROUP_JOIN, ({ payload }) => {
+        this.logRevokedPartitions(payload.memberAssignment || {});
+        this.memberId = payload.memberId;
+        this.assignment = payload.memberAssignment || {};
+        this.retainAssignedPartitions(payload.memberAssignment);
+
+        // Newly assigned partitions start out paused while backpressure holds fetching
+        if (this.backpressurePaused) {
+          this.consumer.pause(this.getAssignedTopicPartitions());
+        }
+
+        // Continue newly assigned partitions from the offsets committed with their writes
+        if (config.exactlyOnce.enabled) {
+          this.storedOffsets.clear();
+          this.restoreStoredOffsets(this.assignment).catch((error) => {
+            log.error('Failed to restore stored offsets', { error });
+          });
+        }
+      });
+
+      log.info('Initialization complete');
     } catch (error) {
-      console.error('[Kafka Consumer] Initialization failed:', error);
+      log.error('Initialization failed', { error });
       throw error;
     }
   }
@@ -104,23 +266,51 @@ class KafkaEventConsumer {
    */
   async start() {
     try {
-      console.log('[Kafka Consumer] Starting...');
+      log.info('Starting');
 
       // Connect consumer
       await this.consumer.connect();
-      console.log('[Kafka Consumer] Consumer connected');
+      log.info('Consumer connected');
 
       // Connect DLQ producer
       await this.dlqProducer.connect();
-      console.log('[Kafka Consumer] DLQ producer connected');
+      log.info('DLQ producer connected');
 
-      // Subscribe to topic
+      // Recover the disk spool and replay it as MongoDB allows; what can't be replayed goes
+      // the same way as failed live events
+      if (config.spool.enabled) {
+        await diskSpool.initialize();
+        diskSpool.start({
+          onRejected: (item, reason) => this.handleFailedMessage(item, reason),
+          onExpired: (item) =>
+            this.sendToDLQ(
+              item.record,
+              `Spool age limit of ${config.spool.maxAge} exceeded`,
+              this.entryContext(item)
+            ),
+        });
+      }
+
+      backpressure.start();
+
+      // Connect admin client and start refreshing committed offsets
+      await this.admin.connect();
+      this.lagTimer = setInterval(() => {
+        this.refreshCommittedOffsets().catch((error) => {
+          log.error('Failed to refresh committed offsets', { error });
+        });
+      }, config.kafka.lag.refreshIntervalMs);
+      this.lagTimer.unref();
+
+      // Subscribe to the events topics and, when enabled, the retry topics
+      this.topics = await this.resolveTopics();
+      const topics = [...this.topics, ...this.getRetryTiers().map((tier) => tier.topic)];
       await this.consumer.subscribe({
-        topic: config.kafka.topic,
+        topics,
         fromBeginning: false, // Start from latest on first run
       });
 
-      console.log(`[Kafka Consumer] Subscribed to topic: ${config.kafka.topic}`);
+      log.info('Subscribed to topics', { topics });
 
       this.isRunning = true;
 
@@ -128,215 +318,1809 @@ class KafkaEventConsumer {
       await this.consumer.run({
         autoCommit: config.kafka.consumer.autoCommit,
         autoCommitInterval: config.kafka.consumer.autoCommitInterval,
-        eachBatchAutoResolve: true,
-        eachBatch: async ({ batch, resolveOffset, heartbeat, isRunning }) => {
-          await this.processBatch(batch, resolveOffset, heartbeat, isRunning);
+        partitionsConsumedConcurrently: config.kafka.consumer.partitionsConcurrency,
+        // Offsets are resolved by processBatch once each chunk has been flushed
+        eachBatchAutoResolve: false,
+        eachBatch: async ({
+          batch,
+          resolveOffset,
+          heartbeat,
+          isRunning,
+          isStale,
+          commitOffsetsIfNecessary,
+          uncommittedOffsets,
+        }) => {
+          // Everything logged while processing the batch carries its topic and partition
+          await logger.withContext({ topic: batch.topic, partition: batch.partition }, () =>
+            this.processBatch(batch, resolveOffset, heartbeat, isRunning, isStale, () =>
+              commitOffsetsIfNecessary(uncommittedOffsets())
+            )
+          );
         },
       });
 
-      console.log('[Kafka Consumer] Started successfully');
+      log.info('Started');
     } catch (error) {
-      console.error('[Kafka Consumer] Failed to start:', error);
+      log.error('Failed to start', { error });
       this.isRunning = false;
       throw error;
     }
   }
 
+  /**
+   * Resolve the configured topics and patterns against the cluster
+   *
+   * Patterns are matched once, so topics created later are picked up on the next start. DLQ,
+   * retry and internal topics never match a pattern.
+   * @returns {Promise<Array<string>>} Event topics to subscribe to
+   */
+  async resolveTopics() {
+    const topics = config.kafka.topics.filter((topic) => typeof topic === 'string');
+    const patterns = config.kafka.topics.filter((topic) => topic instanceof RegExp);
+
+    if (patterns.length > 0) {
+      const excluded = new Set([
+        config.kafka.dlqTopic,
+        ...Object.values(config.kafka.topicOverrides.dlqTopics),
+        ...config.kafka.retryTopics.tiers.map((tier) => tier.topic),
+      ]);
+      const existing = await this.admin.listTopics();
+
+      for (const topic of existing.sort()) {
+        if (
+          !topic.startsWith('__') &&
+          !excluded.has(topic) &&
+          !topics.includes(topic) &&
+          patterns.some((pattern) => pattern.test(topic))
+        ) {
+          topics.push(topic);
+        }
+      }
+    }
+
+    if (topics.length === 0) {
+      throw new Error(`No topics match ${config.kafka.topics.join(', ')}`);
+    }
+
+    return topics;
+  }
+
+  /**
+   * Topic a message was originally published to: the consumed topic, or for a retry topic
+   * the one recorded in `x-original-topic`
+   */
+  sourceTopic(message, topic) {
+    return (this.isRetryTopic(topic) && getHeader(message, 'x-original-topic')) || topic;
+  }
+
   /**
    * Process a batch of messages
+   *
+   * Messages are spread over `config.kafka.consumer.keyLanes` lanes by Kafka key, so
+   * messages with the same key stay in order while different keys are written in parallel.
+   * In each lane, parsed events are buffered into chunks of `config.batch.size` and flushed
+   * to MongoDB with a single bulk write when a chunk fills, when `config.batch.timeoutMs`
+   * expires, or when the Kafka batch ends. Offsets are only resolved up to the lowest offset
+   * below which every message has been flushed.
+   *
+   * Processing stops early when the partition is paused, or sought by an operator
+   * (`isStale`): the remaining messages are fetched again from the new position. During a
+   * drain (shutdown or rebalance) it stops taking new messages, flushes what is buffered and
+   * commits the resolved offsets, unless the drain deadline passes first.
+   * @param {Function} [commitResolved] - Commits the resolved offsets to Kafka
    */
-  async processBatch(batch, resolveOffset, heartbeat, isRunning) {
+  async processBatch(
+    batch,
+    resolveOffset,
+    heartbeat,
+    isRunning,
+    isStale = () => false,
+    commitResolved = async () => {}
+  ) {
     const { topic, partition, messages } = batch;
 
-    console.log(
-      `[Kafka Consumer] Processing batch: ${messages.length} messages from ${topic}[${partition}]`
-    );
+    log.debug('Processing batch', {
+      count: messages.length,
+      firstOffset: messages.length > 0 ? messages[0].offset : null,
+      highWatermark: batch.highWatermark,
+    });
 
+    const startTime = Date.now();
     this.metrics.messagesReceived += messages.length;
+    this.countTopic(topic, 'received', messages.length);
+    this.emit('received', { topic, partition, count: messages.length });
+    this.updateHighWatermark(topic, partition, batch.highWatermark);
+
+    const lanes = Array.from({ length: config.kafka.consumer.keyLanes }, () => ({
+      entries: [],
+      timer: null,
+      chain: Promise.resolve(),
+    }));
+    const offsets = new OffsetTracker();
+
+    // Active batch, so a drain can wait for it or abandon it at its deadline
+    const context = { topic, partition, offsets, completed: 0, abandoned: false };
+    context.whenAbandoned = new Promise((resolve) => {
+      context.abandon = () => {
+        context.abandoned = true;
+        resolve();
+      };
+    });
+    this.activeBatches.add(context);
 
-    for (const message of messages) {
-      if (!isRunning() || this.isShuttingDown) {
-        console.log('[Kafka Consumer] Shutdown detected, stopping batch processing');
-        break;
+    // Message spans by offset, ended when the message is completed
+    const spans = new Map();
+
+    // Offsets completed after an abandoned drain are left for the next owner to redo
+    const complete = (offset) => {
+      if (context.abandoned) {
+        return;
+      }
+
+      if (spans.has(offset)) {
+        spans.get(offset).end();
+        spans.delete(offset);
+      }
+
+      context.completed++;
+      const resolvable = offsets.complete(offset);
+      if (resolvable !== null) {
+        resolveOffset(resolvable);
+        this.updatePosition(topic, partition, resolvable);
       }
+    };
 
+    // A rebalance shows up as a failed heartbeat: drain instead of failing the batch
+    const beat = async () => {
       try {
-        // Parse CloudEvent
-        const event = this.parseMessage(message);
+        await heartbeat();
+      } catch (error) {
+        if (!REBALANCE_ERRORS.includes(error.type)) {
+          throw error;
+        }
+        this.beginDrain('rebalance');
+      }
+    };
+
+    const untilAbandoned = (promise) => Promise.race([promise, context.whenAbandoned]);
+
+    try {
+      // A batch fetched before an operator seek finishes waiting for it as a stale batch
+      if (this.pendingSeeks.has(`${topic}:${partition}`)) {
+        await this.pendingSeeks.get(`${topic}:${partition}`).catch(() => {});
+      }
+      context.seekEpoch = this.seekEpochs.get(`${topic}:${partition}`) || 0;
+
+      const storedOffset = config.exactlyOnce.enabled
+        ? await this.getStoredOffset(topic, partition)
+        : null;
+
+      for (const message of messages) {
+        if (!isRunning() || this.isShuttingDown || this.drain) {
+          log.info('Draining, stopping batch processing', { offset: message.offset });
+          break;
+        }
+
+        const key = `${topic}:${partition}`;
+        if (
+          this.pausedPartitions.has(key) ||
+          this.operatorPausedPartitions.has(key) ||
+          this.backpressurePaused ||
+          isStale()
+        ) {
+          break;
+        }
+
+        // Retry topics are ordered by due time, so stop at the first message not yet due
+        const notBefore = Number(getHeader(message, 'x-retry-not-before') || 0);
+        if (notBefore > Date.now() && this.isRetryTopic(topic)) {
+          this.delayPartition(topic, partition, notBefore);
+          break;
+        }
+
+        offsets.track(message.offset);
 
-        if (!event) {
-          console.error('[Kafka Consumer] Failed to parse message, sending to DLQ');
-          await this.sendToDLQ(message, 'Invalid message format');
-          resolveOffset(message.offset);
+        // Already committed in MongoDB: fetched again because the Kafka offset lags behind
+        if (storedOffset !== null && Number(message.offset) < storedOffset) {
+          complete(message.offset);
           continue;
         }
 
-        // Write to MongoDB
-        const result = await mongoWriter.writeEventWithRetry(event);
+        // Parse and validate CloudEvents (a batched message fans out into several). The
+        // message span can continue the trace of the event, so it starts after parsing.
+        const parseStart = Date.now();
+        const items = await this.parseMessage(message);
+        const span = this.startMessageSpan(message, topic, partition, items, parseStart);
+        spans.set(message.offset, span);
+        tracing.startSpan('parse', { startTime: parseStart }, span).end();
 
-        if (result.success) {
-          this.metrics.messagesProcessed++;
-          this.metrics.lastProcessedTimestamp = Date.now();
+        const sourceTopic = this.sourceTopic(message, topic);
+        const lane = lanes[this.laneFor(message, lanes.length)];
+
+        for (const [index, item] of items.entries()) {
+          let { event } = item;
+
+          // parseMessage has logged why
+          if (!event) {
+            await this.sendToDLQ(item.record, 'Invalid message format', { topic, partition }, span);
+          } else {
+            event = await this.applyValidation(
+              event,
+              item.record,
+              topic,
+              partition,
+              sourceTopic,
+              span
+            );
 
-          if (!result.duplicate) {
-            console.log(`[Kafka Consumer] Event processed: ${event.id} (${event.type})`);
+            // Validation sees the event as produced; only the protected copy is stored
+            event = event && privacyPolicy.apply(event);
           }
-        }
 
-        // Commit offset
-        resolveOffset(message.offset);
+          // Invalid messages stay in the buffer so their offsets are resolved in order
+          lane.entries.push({
+            message,
+            record: item.record,
+            batchIndex: item.batchIndex,
+            lastInMessage: index === items.length - 1,
+            event,
+            topic,
+            sourceTopic,
+            partition,
+            span,
+            seekEpoch: context.seekEpoch,
+            receivedAt: Date.now(),
+          });
 
-        // Send heartbeat periodically
-        await heartbeat();
-      } catch (error) {
-        this.metrics.messagesFailed++;
-        console.error('[Kafka Consumer] Failed to process message:', error);
-
-        // Send failed message to DLQ
-        try {
-          await this.sendToDLQ(message, error.message);
-          resolveOffset(message.offset); // Commit even if failed (already in DLQ)
-        } catch (dlqError) {
-          console.error('[Kafka Consumer] Failed to send message to DLQ:', dlqError);
-          // Don't commit offset - will retry on next poll
-          throw dlqError;
+          if (lane.entries.length === 1) {
+            lane.timer = setTimeout(() => {
+              this.flushLane(lane, complete, beat).catch(() => {
+                // Surfaced when the lane's chain is next awaited
+              });
+            }, config.batch.timeoutMs);
+          }
+
+          // Each lane has at most one chunk in flight while the next one fills
+          if (lane.entries.length >= backpressure.getBatchSize()) {
+            await untilAbandoned(lane.chain);
+            this.flushLane(lane, complete, beat).catch(() => {});
+          }
         }
       }
+
+      const flushed = Promise.all(lanes.map((lane) => this.flushLane(lane, complete, beat)));
+      flushed.catch(() => {
+        // Awaited below unless the drain deadline passes first
+      });
+      await untilAbandoned(flushed);
+
+      if (context.abandoned) {
+        lanes.forEach((lane) => this.resetLane(lane));
+      }
+    } catch (error) {
+      // Drop unflushed messages; they are redelivered from the last resolved offset
+      lanes.forEach((lane) => this.resetLane(lane));
+      await untilAbandoned(Promise.all(lanes.map((lane) => lane.chain.catch(() => {}))));
+
+      // An open circuit is backpressure, not a failure: stop fetching this partition
+      // and leave the unflushed offsets uncommitted until MongoDB recovers
+      if (error.code === 'CIRCUIT_OPEN') {
+        this.pausePartition(topic, partition);
+        return;
+      }
+
+      // Another member committed this partition's offset: continue from what it stored
+      if (error.code === 'OFFSET_CONFLICT') {
+        log.warn('Stored offset changed by another member, reloading it', { error });
+        this.storedOffsets.delete(`${topic}:${partition}`);
+        await this.restoreStoredOffsets({ [topic]: [partition] });
+        return;
+      }
+
+      throw error;
+    } finally {
+      // Messages not completed are consumed again later
+      for (const span of spans.values()) {
+        span.addEvent('left for redelivery');
+        span.end();
+      }
+
+      this.activeBatches.delete(context);
+      if (this.drain) {
+        await this.settleDrainedBatch(context, commitResolved);
+      }
     }
 
     this.metrics.batchesProcessed++;
+    this.emit('batch', {
+      topic,
+      partition,
+      count: messages.length,
+      durationMs: Date.now() - startTime,
+    });
   }
 
   /**
-   * Parse Kafka message to CloudEvent
+   * Start draining in-flight batches, unless a drain is already under way
+   *
+   * Batches stop taking new messages, flush what they buffered and commit their resolved
+   * offsets. Batches still busy after `config.kafka.consumer.drainTimeoutMs` are abandoned:
+   * their unresolved messages are consumed again by whoever owns the partition next.
+   * @param {string} reason - 'shutdown' or 'rebalance'
+   * @returns {Promise<Object>} Drain summary, once every active batch has settled
    */
-  parseMessage(message) {
-    try {
-      const value = message.value.toString();
-      const event = JSON.parse(value);
+  beginDrain(reason) {
+    if (this.drain) {
+      return this.drain.done;
+    }
+
+    log.info('Draining in-flight batches', { reason, batches: this.activeBatches.size });
+
+    const drain = {
+      summary: {
+        reason,
+        startedAt: Date.now(),
+        timedOut: false,
+        batches: 0,
+        completedMessages: 0,
+        abandonedMessages: 0,
+        partitions: [],
+        commitError: null,
+      },
+    };
+    drain.done = new Promise((resolve) => {
+      drain.resolve = resolve;
+    });
+    drain.timer = setTimeout(() => {
+      drain.summary.timedOut = true;
+      log.warn('Drain deadline passed, abandoning in-flight batches', {
+        reason,
+        drainTimeoutMs: config.kafka.consumer.drainTimeoutMs,
+        batches: this.activeBatches.size,
+      });
+      this.activeBatches.forEach((context) => context.abandon());
+    }, config.kafka.consumer.drainTimeoutMs);
+    drain.timer.unref();
+
+    this.drain = drain;
+
+    if (this.activeBatches.size === 0) {
+      this.finishDrain();
+    }
+
+    return drain.done;
+  }
+
+  /**
+   * Commit a drained batch's offsets and add it to the drain summary
+   * @param {Object} context - Active batch context from processBatch
+   * @param {Function} commitResolved - Commits the resolved offsets to Kafka
+   */
+  async settleDrainedBatch(context, commitResolved) {
+    const drain = this.drain;
+    const { summary } = drain;
 
-      // Validate required CloudEvent fields
-      if (!event.id || !event.type || !event.source || !event.time) {
-        console.error('[Kafka Consumer] Invalid CloudEvent format:', event);
-        return null;
+    if (config.kafka.consumer.autoCommit) {
+      try {
+        await commitResolved();
+      } catch (error) {
+        summary.commitError = error.message;
+        log.warn('Failed to commit drained offsets', { error });
       }
+    }
 
-      return event;
-    } catch (error) {
-      console.error('[Kafka Consumer] Failed to parse message:', error);
-      return null;
+    summary.batches++;
+    summary.completedMessages += context.completed;
+    summary.abandonedMessages += context.offsets.pendingCount();
+    summary.partitions.push({
+      topic: context.topic,
+      partition: context.partition,
+      resolvedOffset: context.offsets.lastResolved,
+      abandoned: context.offsets.pendingCount(),
+    });
+
+    if (this.activeBatches.size === 0 && this.drain === drain) {
+      this.finishDrain();
     }
   }
 
   /**
-   * Send failed message to dead-letter queue
+   * Report the drain summary and let consumption continue (after a rebalance)
    */
-  async sendToDLQ(message, errorReason) {
-    try {
-      this.metrics.dlqMessages++;
+  finishDrain() {
+    const { summary, timer, resolve } = this.drain;
+    clearTimeout(timer);
 
-      const dlqMessage = {
-        key: message.key,
-        value: message.value,
-        headers: {
-          ...message.headers,
-          'x-error-reason': errorReason,
-          'x-failed-timestamp': Date.now().toString(),
-          'x-original-topic': config.kafka.topic,
-        },
-      };
+    summary.durationMs = Date.now() - summary.startedAt;
+    this.drain = null;
+    this.lastDrain = summary;
 
-      await this.dlqProducer.send({
-        topic: config.kafka.dlqTopic,
-        messages: [dlqMessage],
-      });
+    log[summary.timedOut ? 'warn' : 'info']('Drain complete', {
+      reason: summary.reason,
+      durationMs: summary.durationMs,
+      timedOut: summary.timedOut,
+      batches: summary.batches,
+      completedMessages: summary.completedMessages,
+      abandonedMessages: summary.abandonedMessages,
+    });
 
-      console.log(`[Kafka Consumer] Message sent to DLQ: ${errorReason}`);
-    } catch (error) {
-      console.error('[Kafka Consumer] Failed to send message to DLQ:', error);
-      throw error;
+    this.emit('drain', summary);
+    resolve(summary);
+  }
+
+  /**
+   * Lane of a message: by a hash of its key, or spread by offset when it has none
+   * @param {Object} message - Kafka message
+   * @param {number} count - Number of lanes
+   */
+  laneFor(message, count) {
+    if (count === 1) {
+      return 0;
     }
+
+    return message.key
+      ? zlib.crc32(message.key) % count
+      : Number(BigInt(message.offset) % BigInt(count));
   }
 
   /**
-   * Get consumer metrics
+   * Flush a lane's buffered messages to MongoDB
+   *
+   * Flushes of a lane are chained so its messages are always written in order, even when
+   * the batch timer fires while an earlier flush is still in flight.
+   * @param {Object} lane - `{ entries, timer, chain }`
+   * @param {Function} complete - Marks a message offset as completed
+   * @returns {Promise<void>} Resolves once every flush of the lane scheduled so far has
+   *   completed
    */
-  getMetrics() {
-    return {
-      ...this.metrics,
-      isRunning: this.isRunning,
-      isShuttingDown: this.isShuttingDown,
-    };
+  flushLane(lane, complete, heartbeat) {
+    if (lane.timer) {
+      clearTimeout(lane.timer);
+      lane.timer = null;
+    }
+
+    // In exactly-once mode a batched message is never split across flushes, so stored
+    // offsets always fall on message boundaries
+    const cut = config.exactlyOnce.enabled
+      ? lane.entries.findLastIndex((entry) => entry.lastInMessage) + 1
+      : lane.entries.length;
+    const entries = lane.entries.slice(0, cut);
+    lane.entries = lane.entries.slice(cut);
+
+    if (entries.length > 0) {
+      lane.chain = lane.chain.then(() =>
+        backpressure.run(() => this.writeEntries(entries, complete, heartbeat))
+      );
+    }
+
+    return lane.chain;
   }
 
   /**
-   * Health check
+   * Discard a lane's buffered messages that have not been flushed yet
    */
-  async healthCheck() {
-    try {
-      if (!this.isRunning) {
-        return {
-          status: 'unhealthy',
-          reason: 'Consumer is not running',
-        };
+  resetLane(lane) {
+    if (lane.timer) {
+      clearTimeout(lane.timer);
+      lane.timer = null;
+    }
+
+    lane.entries = [];
+  }
+
+  /**
+   * Write one chunk of buffered messages and mark its messages completed
+   * @param {Array<Object>} entries - Buffered `{ message, record, event, topic, sourceTopic,
+   *   partition }` entries of one lane, in offset order
+   * @param {Function} complete - Marks a message offset as completed
+   */
+  async writeEntries(entries, complete, heartbeat) {
+    if (config.exactlyOnce.enabled) {
+      await this.writeEntriesExactlyOnce(entries, complete, heartbeat);
+      return;
+    }
+
+    const pending = entries.filter((entry) => entry.event);
+
+    if (pending.length > 0) {
+      try {
+        // With retry topics, failures are retried from there instead of blocking the partition
+        const events = pending.map((entry) => this.withMetadata(entry));
+        const options = { topics: pending.map((entry) => entry.sourceTopic) };
+        const result = await this.traceWrite(pending, () =>
+          config.kafka.retryTopics.enabled
+            ? mongoWriter.writeBatch(events, options)
+            : mongoWriter.writeBatchWithRetry(events, options)
+        );
+
+        for (const itemResult of result.results) {
+          const entry = pending[itemResult.index];
+
+          if (itemResult.success) {
+            this.metrics.messagesProcessed++;
+            this.metrics.lastProcessedTimestamp = Date.now();
+            this.emitMessage(entry, itemResult.inserted ? 'inserted' : 'duplicate');
+            continue;
+          }
+
+          // Only the documents MongoDB rejected go to the DLQ
+          this.metrics.messagesFailed++;
+          this.emitMessage(entry, 'failed');
+          log.error('Failed to write event', {
+            ...eventFields(entry.message, entry.event),
+            error: itemResult.error,
+          });
+          await this.handleFailedMessage(entry, itemResult.error.message);
+        }
+
+        if (result.inserted > 0) {
+          log.debug('Batch flushed', { inserted: result.inserted });
+        }
+      } catch (error) {
+        // Parked on disk: the offsets are committed and the spool replays the chunk later
+        if (await this.spoolEntries(pending)) {
+          pending.forEach((entry) => this.emitMessage(entry, 'spooled'));
+        } else if (error.code === 'CIRCUIT_OPEN') {
+          throw error;
+        } else {
+          this.metrics.messagesFailed += pending.length;
+          pending.forEach((entry) => this.emitMessage(entry, 'failed'));
+          log.error('Failed to write batch', { count: pending.length, error });
+
+          // Send every message in the chunk to a retry topic or the DLQ. If that fails the
+          // offsets stay unresolved and the messages are redelivered on the next poll.
+          for (const entry of pending) {
+            await this.handleFailedMessage(entry, error.message);
+          }
+        }
       }
+    }
 
-      // Check if consumer is still processing messages
-      const now = Date.now();
-      const timeSinceLastMessage = this.metrics.lastProcessedTimestamp
-        ? now - this.metrics.lastProcessedTimestamp
-        : null;
+    // Complete the messages (failed ones are already in a retry topic, the DLQ or the spool).
+    // A batched message is only completed once its last event has been flushed.
+    entries
+      .filter((entry) => entry.lastInMessage)
+      .forEach((entry) => complete(entry.message.offset));
 
-      // Alert if no messages processed in last 5 minutes
-      if (timeSinceLastMessage && timeSinceLastMessage > 300000) {
-        return {
-          status: 'degraded',
-          reason: `No messages processed in ${Math.round(timeSinceLastMessage / 1000)}s`,
-          metrics: this.metrics,
-        };
+    // Send heartbeat after each flush
+    await heartbeat();
+  }
+
+  /**
+   * Append entries whose write failed to the disk spool
+   * @returns {Promise<boolean>} Whether they were spooled; false when the spool is disabled,
+   *   full or failing, in which case the caller falls back to pausing or the DLQ
+   */
+  async spoolEntries(entries) {
+    if (!config.spool.enabled) {
+      return false;
+    }
+
+    try {
+      const spooled = await diskSpool.append(
+        entries.map((entry) => ({
+          event: this.withMetadata(entry),
+          topic: entry.topic,
+          sourceTopic: entry.sourceTopic,
+          partition: entry.partition,
+          record: {
+            key: entry.record.key,
+            value: entry.record.value,
+            headers: entry.record.headers,
+          },
+        }))
+      );
+
+      if (spooled) {
+        this.metrics.messagesSpooled += entries.length;
+        entries.forEach((entry) => this.countTopic(entry.topic, 'spooled'));
+        log.warn('Spooled events to disk', { count: entries.length });
+      } else {
+        log.warn('Disk spool is full, not spooling events', { count: entries.length });
       }
 
-      return {
-        status: 'healthy',
-        metrics: this.metrics,
-      };
+      return spooled;
     } catch (error) {
-      return {
-        status: 'unhealthy',
-        reason: error.message,
-      };
+      log.error('Failed to append to the disk spool', { count: entries.length, error });
+      return false;
     }
   }
 
   /**
-   * Graceful shutdown
+   * Write one chunk of buffered messages and its partition offset in one transaction
+   *
+   * The chunk always ends with a complete message. Events MongoDB rejects are sent to a
+   * retry topic or the DLQ before the transaction commits. The Kafka offset is still
+   * resolved afterwards so Kafka-side lag stays meaningful, but MongoDB's offset wins.
+   * @param {Array<Object>} entries - Buffered entries of one partition, in offset order
+   * @param {Function} complete - Marks a message offset as completed
    */
-  async shutdown() {
-    if (this.isShuttingDown) {
-      console.log('[Kafka Consumer] Shutdown already in progress');
+  async writeEntriesExactlyOnce(entries, complete, heartbeat) {
+    const pending = entries.filter((entry) => entry.event);
+    const last = entries[entries.length - 1];
+    const key = `${last.topic}:${last.partition}`;
+    const next = Number(last.message.offset) + 1;
+
+    // Written now, this chunk would move the stored offset back past the seek target. Its
+    // messages are left uncompleted; the seek has already moved consumption elsewhere.
+    if (last.seekEpoch !== (this.seekEpochs.get(key) || 0)) {
+      log.info('Dropping messages buffered before an operator seek', {
+        topic: last.topic,
+        partition: last.partition,
+        count: entries.length,
+      });
       return;
     }
 
-    this.isShuttingDown = true;
-    console.log('[Kafka Consumer] Shutting down gracefully...');
+    // Entries already sent to a retry topic or the DLQ by onFailed
+    const handedOff = new Set();
 
     try {
-      // Stop consuming new messages
-      if (this.consumer) {
-        await this.consumer.disconnect();
-        console.log('[Kafka Consumer] Consumer disconnected');
+      const events = pending.map((entry) => this.withMetadata(entry));
+      const write = this.traceWrite(pending, () =>
+        mongoWriter.writeBatch(events, {
+          topics: pending.map((entry) => entry.sourceTopic),
+          offset: {
+            topic: last.topic,
+            partition: last.partition,
+            expected: this.storedOffsets.get(key) ?? null,
+            next,
+          },
+          onFailed: async (failures) => {
+            for (const failure of failures) {
+              const entry = pending[failure.index];
+              log.error('Failed to write event', {
+                ...eventFields(entry.message, entry.event),
+                error: failure.error,
+              });
+              await this.handleFailedMessage(entry, failure.error.message);
+              handedOff.add(entry);
+            }
+          },
+        })
+      );
+      this.inflightWrites.set(key, write);
+
+      let result;
+      try {
+        result = await write;
+      } finally {
+        if (this.inflightWrites.get(key) === write) {
+          this.inflightWrites.delete(key);
+        }
       }
 
-      // Close DLQ producer
-      if (this.dlqProducer) {
-        await this.dlqProducer.disconnect();
-        console.log('[Kafka Consumer] DLQ producer disconnected');
+      this.storedOffsets.set(key, next);
+
+      for (const itemResult of result.results) {
+        const entry = pending[itemResult.index];
+
+        if (itemResult.success) {
+          this.metrics.messagesProcessed++;
+          this.metrics.lastProcessedTimestamp = Date.now();
+          this.emitMessage(entry, itemResult.inserted ? 'inserted' : 'duplicate');
+        } else {
+          // Already handed off by onFailed
+          this.metrics.messagesFailed++;
+          this.emitMessage(entry, 'failed');
+        }
+      }
+
+      if (result.inserted > 0) {
+        log.debug('Batch committed', { inserted: result.inserted, nextOffset: next });
+      }
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN' || error.code === 'OFFSET_CONFLICT') {
+        throw error;
+      }
+
+      // Nothing was committed. As in at-least-once mode the chunk goes to a retry topic or
+      // the DLQ, apart from events onFailed already sent there before a retry of the
+      // transaction; the stored offset moves past it with the next commit.
+      this.metrics.messagesFailed += pending.length;
+      pending.forEach((entry) => this.emitMessage(entry, 'failed'));
+      log.error('Failed to write batch', { count: pending.length, error });
+
+      for (const entry of pending.filter((item) => !handedOff.has(item))) {
+        await this.handleFailedMessage(entry, error.message);
+      }
+    }
+
+    entries
+      .filter((entry) => entry.lastInMessage)
+      .forEach((entry) => complete(entry.message.offset));
+    await heartbeat();
+  }
+
+  /**
+   * Stored offset of a partition, loaded from MongoDB on first use
+   * @returns {Promise<number|null>} Next offset to consume, or null if none is stored
+   */
+  async getStoredOffset(topic, partition) {
+    const key = `${topic}:${partition}`;
+
+    if (!this.storedOffsets.has(key)) {
+      const stored = await mongoWriter.getStoredOffsets([topic]);
+      const entry = stored.find((offset) => offset.partition === partition);
+      this.storedOffsets.set(key, entry ? entry.offset : null);
+    }
+
+    return this.storedOffsets.get(key);
+  }
+
+  /**
+   * Load stored offsets for partitions and seek to them
+   * @param {Object} assignment - `{ [topic]: [partition, ...] }`
+   */
+  async restoreStoredOffsets(assignment) {
+    const topics = Object.keys(assignment);
+    if (topics.length === 0) {
+      return;
+    }
+
+    const stored = await mongoWriter.getStoredOffsets(topics);
+
+    for (const topic of topics) {
+      for (const partition of assignment[topic]) {
+        const entry = stored.find(
+          (offset) => offset.topic === topic && offset.partition === partition
+        );
+        this.storedOffsets.set(`${topic}:${partition}`, entry ? entry.offset : null);
+
+        if (entry) {
+          this.consumer.seek({ topic, partition, offset: String(entry.offset) });
+          log.info('Restored stored offset', { topic, partition, offset: entry.offset });
+        }
+      }
+    }
+  }
+
+  /**
+   * Write buffered entries in a `mongodb write` span linked to their message spans
+   * @param {Array<Object>} entries - Entries being written
+   * @param {Function} write - Performs the write and returns the batch result
+   */
+  traceWrite(entries, write) {
+    const links = [...new Set(entries.map((entry) => entry.span).filter(Boolean))].map((span) => ({
+      context: span.spanContext(),
+    }));
+
+    return tracing.run(
+      'mongodb write',
+      {
+        kind: SpanKind.CLIENT,
+        attributes: {
+          'db.system.name': 'mongodb',
+          'db.namespace': config.mongodb.database,
+          'db.operation.batch.size': entries.length,
+        },
+        links,
+      },
+      null,
+      async (span) => {
+        const result = await write();
+        span.setAttributes({
+          'events_consumer.inserted': result.inserted,
+          'events_consumer.duplicates': result.duplicates,
+          'events_consumer.failed': result.failed,
+        });
+        return result;
+      }
+    );
+  }
+
+  /**
+   * Start the span of a consumed message, backdated to when its parsing started
+   * @param {Object} message - Kafka message
+   * @param {Array<Object>} items - Items from parseMessage
+   * @param {number} startTime - Epoch milliseconds parsing started at
+   */
+  startMessageSpan(message, topic, partition, items, startTime) {
+    const events = items.map((item) => item.event).filter(Boolean);
+    const single = items.length === 1 && events.length === 1;
+
+    return tracing.startMessageSpan(
+      `process ${topic}`,
+      message,
+      events,
+      {
+        kind: SpanKind.CONSUMER,
+        startTime,
+        attributes: {
+          'messaging.system': 'kafka',
+          'messaging.operation.type': 'process',
+          'messaging.destination.name': topic,
+          'messaging.destination.partition.id': String(partition),
+          'messaging.kafka.offset': Number(message.offset),
+          'messaging.consumer.group.name': config.kafka.groupId,
+          ...(single
+            ? {
+                'cloudevents.event_id': events[0].id,
+                'cloudevents.event_type': events[0].type,
+                'cloudevents.event_source': events[0].source,
+              }
+            : { 'messaging.batch.message_count': items.length }),
+        },
+      },
+      single
+    );
+  }
+
+  /**
+   * Event to write for a buffered entry, with `_trace` ids while tracing and a `_meta`
+   * provenance sub-document when `config.mongodb.storeMetadata` is enabled
+   */
+  withMetadata(entry) {
+    const traceFields = tracing.getTraceFields(entry.span);
+    const event = traceFields ? { ...entry.event, _trace: traceFields } : entry.event;
+
+    if (!config.mongodb.storeMetadata) {
+      return event;
+    }
+
+    const { message } = entry;
+    const ingestedAt = new Date();
+    const kafkaTimestamp = message.timestamp ? new Date(Number(message.timestamp)) : null;
+    const headers = {};
+    const protectedEvent = privacyPolicy.appliesTo(entry.event);
+
+    for (const name of Object.keys(message.headers || {})) {
+      // Binary-mode attributes are stored in the event, where the privacy policy covers them
+      if (!(protectedEvent && name.startsWith('ce_'))) {
+        headers[name] = getHeader(message, name);
+      }
+    }
+
+    return {
+      ...event,
+      _meta: {
+        topic: entry.topic,
+        partition: entry.partition,
+        offset: Number(message.offset),
+        ...(entry.batchIndex !== undefined && { batchIndex: entry.batchIndex }),
+        kafkaTimestamp,
+        key: message.key ? message.key.toString() : null,
+        headers,
+        ingestedAt,
+        consumerId: config.kafka.instanceId,
+        // Producer timestamp to ingestion, and consumer receipt to ingestion
+        endToEndLatencyMs: kafkaTimestamp ? ingestedAt - kafkaTimestamp : null,
+        processingLatencyMs: ingestedAt - entry.receivedAt,
+      },
+    };
+  }
+
+  /**
+   * Pause fetching from a partition while the circuit breaker is OPEN
+   */
+  pausePartition(topic, partition) {
+    const key = `${topic}:${partition}`;
+
+    if (!this.pausedPartitions.has(key)) {
+      log.warn('Circuit breaker OPEN, pausing partition', { topic, partition });
+      this.consumer.pause([{ topic, partitions: [partition] }]);
+      this.pausedPartitions.set(key, { topic, partition, pausedAt: Date.now() });
+    }
+
+    // The breaker may have moved on while the failed flush was settling
+    if (mongoWriter.circuitState !== 'OPEN') {
+      this.resumePartitions();
+    }
+  }
+
+  /**
+   * Resume every partition paused by the circuit breaker
+   */
+  resumePartitions() {
+    if (this.pausedPartitions.size === 0) {
+      return;
+    }
+
+    // Partitions an operator paused stay paused until the operator resumes them
+    const byTopic = new Map();
+    for (const [key, { topic, partition }] of this.pausedPartitions) {
+      if (!this.operatorPausedPartitions.has(key) && !this.backpressurePaused) {
+        byTopic.set(topic, [...(byTopic.get(topic) || []), partition]);
+      }
+    }
+
+    const topicPartitions = [...byTopic].map(([topic, partitions]) => ({ topic, partitions }));
+    this.pausedPartitions.clear();
+
+    if (topicPartitions.length === 0) {
+      return;
+    }
+
+    this.consumer.resume(topicPartitions);
+
+    log.info('Resumed partitions', { topicPartitions });
+  }
+
+  /**
+   * Split requested partitions into those assigned to this member and the rest
+   * @param {string} topic - Topic name
+   * @param {Array<number>} [partitions] - Partitions; every assigned partition when omitted
+   * @returns {Object} `{ assigned, notAssigned }` partition lists
+   */
+  selectPartitions(topic, partitions) {
+    const owned = this.assignment[topic] || [];
+    const requested = partitions || owned;
+
+    return {
+      assigned: requested.filter((partition) => owned.includes(partition)),
+      notAssigned: requested.filter((partition) => !owned.includes(partition)),
+    };
+  }
+
+  /**
+   * Pause fetching from partitions until an operator resumes them
+   *
+   * Only partitions assigned to this member can be paused. A partition that moves to another
+   * member in a rebalance is not paused there.
+   * @param {string} topic - Topic name
+   * @param {Array<number>} [partitions] - Partitions; every assigned partition when omitted
+   * @returns {Object} `{ paused, notAssigned }` partition lists
+   */
+  pauseByOperator(topic, partitions) {
+    const { assigned, notAssigned } = this.selectPartitions(topic, partitions);
+
+    if (assigned.length > 0) {
+      this.consumer.pause([{ topic, partitions: assigned }]);
+      for (const partition of assigned) {
+        this.operatorPausedPartitions.set(`${topic}:${partition}`, {
+          topic,
+          partition,
+          pausedAt: Date.now(),
+        });
+      }
+      log.info('Operator paused partitions', { topic, partitions: assigned });
+    }
+
+    return { paused: assigned, notAssigned };
+  }
+
+  /**
+   * Resume partitions paused by an operator
+   *
+   * Partitions that are also held by the circuit breaker or a retry delay stay paused until
+   * that clears.
+   * @param {string} topic - Topic name
+   * @param {Array<number>} [partitions] - Partitions; every assigned partition when omitted
+   * @returns {Object} `{ resumed, stillHeld, notPaused, notAssigned }` partition lists
+   */
+  resumeByOperator(topic, partitions) {
+    const { assigned, notAssigned } = this.selectPartitions(topic, partitions);
+    const wasPaused = assigned.filter((partition) =>
+      this.operatorPausedPartitions.delete(`${topic}:${partition}`)
+    );
+
+    const stillHeld = wasPaused.filter((partition) => this.isHeld(`${topic}:${partition}`));
+    const resumed = wasPaused.filter((partition) => !stillHeld.includes(partition));
+    const notPaused = assigned.filter((partition) => !wasPaused.includes(partition));
+
+    if (resumed.length > 0) {
+      this.consumer.resume([{ topic, partitions: resumed }]);
+      log.info('Operator resumed partitions', { topic, partitions: resumed });
+    }
+
+    return { resumed, stillHeld, notPaused, notAssigned };
+  }
+
+  /**
+   * Whether a partition is paused by the circuit breaker, a retry delay or backpressure
+   */
+  isHeld(key) {
+    return (
+      this.pausedPartitions.has(key) || this.delayedPartitions.has(key) || this.backpressurePaused
+    );
+  }
+
+  /**
+   * Assigned partitions as kafkajs `{ topic, partitions }` entries
+   */
+  getAssignedTopicPartitions() {
+    return Object.entries(this.assignment)
+      .map(([topic, partitions]) => ({ topic, partitions }))
+      .filter(({ partitions }) => partitions.length > 0);
+  }
+
+  /**
+   * Pause or resume fetching every assigned partition for adaptive backpressure
+   *
+   * Resuming leaves partitions paused by an operator, the circuit breaker or a retry delay
+   * paused.
+   */
+  setBackpressurePaused(paused) {
+    if (paused === this.backpressurePaused || !this.consumer) {
+      return;
+    }
+
+    this.backpressurePaused = paused;
+
+    if (paused) {
+      this.consumer.pause(this.getAssignedTopicPartitions());
+      log.warn('Backpressure paused fetching while MongoDB is slow');
+      return;
+    }
+
+    const topicPartitions = this.getAssignedTopicPartitions()
+      .map(({ topic, partitions }) => ({
+        topic,
+        partitions: partitions.filter(
+          (partition) =>
+            !this.isHeld(`${topic}:${partition}`) &&
+            !this.operatorPausedPartitions.has(`${topic}:${partition}`)
+        ),
+      }))
+      .filter(({ partitions }) => partitions.length > 0);
+
+    if (topicPartitions.length > 0) {
+      this.consumer.resume(topicPartitions);
+    }
+    log.info('Backpressure resumed fetching');
+  }
+
+  /**
+   * Move the consumer position of assigned partitions
+   *
+   * The new position is committed (to MongoDB as well in exactly-once mode) and fetching
+   * restarts there. Messages buffered from the old position are still written, which is
+   * harmless since writes are idempotent, except in exactly-once mode: their offset commit
+   * would overwrite the target, so they are dropped instead (see seekStoredOffset).
+   * @param {string} topic - Topic name
+   * @param {Array<number>} [partitions] - Partitions; every assigned partition when omitted
+   * @param {Object} target - `{ offset }` (a number, `earliest` or `latest`) or `{ timestamp }`
+   *   (epoch ms); a timestamp seeks to the first message at or after it
+   * @returns {Promise<Object>} `{ sought: [{ partition, offset }], notAssigned }`
+   */
+  async seek(topic, partitions, { offset, timestamp }) {
+    const { assigned, notAssigned } = this.selectPartitions(topic, partitions);
+
+    if (assigned.length === 0) {
+      return { sought: [], notAssigned };
+    }
+
+    const offsets = new Map();
+
+    if (timestamp !== undefined) {
+      const watermarks = await this.admin.fetchTopicOffsets(topic);
+      const byTimestamp = await this.admin.fetchTopicOffsetsByTimestamp(topic, timestamp);
+
+      for (const { partition, offset: found } of byTimestamp) {
+        // -1: no message at or after the timestamp, so start after the last one
+        const high = watermarks.find((watermark) => watermark.partition === partition);
+        offsets.set(partition, Number(found) >= 0 ? found : high.high);
+      }
+    } else if (offset === 'earliest' || offset === 'latest') {
+      for (const watermark of await this.admin.fetchTopicOffsets(topic)) {
+        offsets.set(watermark.partition, offset === 'earliest' ? watermark.low : watermark.high);
+      }
+    } else {
+      assigned.forEach((partition) => offsets.set(partition, String(offset)));
+    }
+
+    const sought = assigned.map((partition) => ({
+      partition,
+      offset: String(offsets.get(partition)),
+    }));
+
+    for (const target of sought) {
+      if (config.exactlyOnce.enabled) {
+        await this.seekStoredOffset(topic, target.partition, target.offset);
+      } else {
+        this.consumer.seek({ topic, partition: target.partition, offset: target.offset });
+      }
+    }
+
+    log.info('Operator moved partitions', { topic, targets: sought });
+
+    return { sought, notAssigned };
+  }
+
+  /**
+   * Exactly-once mode: move a partition's stored offset, which decides where consumption
+   * continues, then seek to it
+   *
+   * Chunks buffered before the seek are dropped (see writeEntriesExactlyOnce) and a write
+   * already in flight settles before the reset, so neither can store the old position over
+   * the target. Batches starting meanwhile wait and then find themselves stale.
+   * @param {string} topic - Topic name
+   * @param {number} partition - Partition number
+   * @param {string} offset - Next offset to consume
+   */
+  async seekStoredOffset(topic, partition, offset) {
+    const key = `${topic}:${partition}`;
+    this.seekEpochs.set(key, (this.seekEpochs.get(key) || 0) + 1);
+
+    const seeking = (async () => {
+      await (this.inflightWrites.get(key) || Promise.resolve()).catch(() => {});
+      await mongoWriter.resetStoredOffset(topic, partition, Number(offset));
+      this.storedOffsets.set(key, Number(offset));
+      this.consumer.seek({ topic, partition, offset });
+    })();
+    this.pendingSeeks.set(key, seeking);
+
+    try {
+      await seeking;
+    } finally {
+      if (this.pendingSeeks.get(key) === seeking) {
+        this.pendingSeeks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Partitions assigned to this member with their pause state and positions
+   * @returns {Object} `{ memberId, instanceId, partitions }`
+   */
+  getAssignments() {
+    const partitions = [];
+
+    for (const [topic, assigned] of Object.entries(this.assignment)) {
+      for (const partition of assigned) {
+        const key = `${topic}:${partition}`;
+        const offsets = this.partitionOffsets.get(key) || {};
+
+        partitions.push({
+          topic,
+          partition,
+          pausedBy: this.operatorPausedPartitions.has(key)
+            ? 'operator'
+            : this.pausedPartitions.has(key)
+              ? 'circuit-breaker'
+              : this.delayedPartitions.has(key)
+                ? 'retry-delay'
+                : this.backpressurePaused
+                  ? 'backpressure'
+                  : null,
+          position: offsets.position ?? null,
+          committedOffset: offsets.committedOffset ?? null,
+          highWatermark: offsets.highWatermark ?? null,
+          lag: offsets.lag ?? null,
+        });
+      }
+    }
+
+    return { memberId: this.memberId, instanceId: config.kafka.instanceId, partitions };
+  }
+
+  /**
+   * Configured retry tiers, or none when retry topics are disabled
+   * @returns {Array<Object>} `{ topic, delayMs }` tiers in the order they are tried
+   */
+  getRetryTiers() {
+    return config.kafka.retryTopics.enabled ? config.kafka.retryTopics.tiers : [];
+  }
+
+  /**
+   * Whether a topic is one of the retry tiers
+   */
+  isRetryTopic(topic) {
+    return this.getRetryTiers().some((tier) => tier.topic === topic);
+  }
+
+  /**
+   * Pause a retry-topic partition until its head message is due
+   */
+  delayPartition(topic, partition, notBefore) {
+    const key = `${topic}:${partition}`;
+
+    if (this.delayedPartitions.has(key)) {
+      return;
+    }
+
+    const delay = notBefore - Date.now();
+    log.debug('Delaying retry partition', { topic, partition, delayMs: delay });
+    this.consumer.pause([{ topic, partitions: [partition] }]);
+
+    const timer = setTimeout(() => {
+      this.delayedPartitions.delete(key);
+      if (!this.operatorPausedPartitions.has(key) && !this.backpressurePaused) {
+        this.consumer.resume([{ topic, partitions: [partition] }]);
+      }
+    }, delay);
+    timer.unref();
+
+    this.delayedPartitions.set(key, timer);
+  }
+
+  /**
+   * Route a message that failed to write to the next retry tier, or the DLQ once the tiers
+   * are exhausted
+   * @param {Object} entry - Buffered entry
+   * @param {string} errorReason - Why the write failed
+   */
+  async handleFailedMessage(entry, errorReason) {
+    const message = entry.record;
+    const context = this.entryContext(entry);
+    const attempt = Number(getHeader(message, 'x-retry-attempt') || 0);
+    const tier = this.getRetryTiers()[attempt];
+
+    if (!tier) {
+      await this.sendToDLQ(message, errorReason, context, entry.span);
+      return;
+    }
+
+    await tracing.run(
+      `send ${tier.topic}`,
+      sendSpanOptions(tier.topic, errorReason),
+      entry.span,
+      async (span) => {
+        const retryMessage = {
+          key: message.key,
+          value: message.value,
+          headers: tracing.injectHeaders(span, {
+            ...message.headers,
+            'x-error-reason': errorReason,
+            'x-failed-timestamp': Date.now().toString(),
+            'x-original-topic': getHeader(message, 'x-original-topic') || entry.topic,
+            'x-retry-attempt': String(attempt + 1),
+            'x-retry-not-before': String(Date.now() + tier.delayMs),
+          }),
+        };
+
+        await this.dlqProducer.send({
+          topic: tier.topic,
+          messages: [retryMessage],
+        });
+      }
+    );
+
+    this.countTopic(entry.topic, 'retried');
+    this.emit('retry', { ...context, retryTopic: tier.topic, attempt: attempt + 1 });
+    log.warn('Message sent to retry topic', {
+      ...eventFields(entry.message, entry.event),
+      topic: entry.topic,
+      partition: entry.partition,
+      retryTopic: tier.topic,
+      attempt: attempt + 1,
+      reason: errorReason,
+    });
+  }
+
+  /**
+   * Instrumentation context for a buffered entry
+   */
+  entryContext(entry) {
+    return {
+      topic: entry.topic,
+      partition: entry.partition,
+      type: entry.event ? entry.event.type : undefined,
+    };
+  }
+
+  /**
+   * Emit a `message` instrumentation event for a buffered entry
+   * @param {Object} entry - Buffered entry
+   * @param {string} outcome - 'inserted', 'duplicate' or 'failed'
+   */
+  emitMessage(entry, outcome) {
+    if (entry.span) {
+      entry.span.setAttribute('events_consumer.outcome', outcome);
+    }
+
+    if (outcome !== 'spooled') {
+      this.countTopic(entry.topic, outcome === 'failed' ? 'failed' : 'processed');
+    }
+
+    this.emit('message', {
+      ...this.entryContext(entry),
+      outcome,
+      durationMs: Date.now() - entry.receivedAt,
+    });
+  }
+
+  /**
+   * Parse Kafka message to CloudEvents
+   *
+   * Structured and binary messages yield one item, batched messages one item per event.
+   * Items whose event is missing required attributes have `event: null`; a message that
+   * cannot be decoded at all yields a single such item.
+   *
+   * The `record` of an event covered by the privacy policy holds the protected event, so
+   * retry topics and the DLQ never get the original fields. Messages that can't be decoded
+   * are kept as received.
+   * @param {Object} message - Kafka message
+   * @returns {Promise<Array<Object>>} `{ event, record, mode, batchIndex }` items (see ./codec.js)
+   */
+  async parseMessage(message) {
+    let items;
+
+    try {
+      items = await decodeMessage(message);
+    } catch (error) {
+      log.error('Failed to decode message', { ...eventFields(message), error });
+      return [{ event: null, record: message }];
+    }
+
+    if (items.length === 0) {
+      log.error('Empty CloudEvents batch', eventFields(message));
+      return [{ event: null, record: message }];
+    }
+
+    return items.map((item) => {
+      const { event } = item;
+      const record = privacyPolicy.protectRecord(item.record, event);
+
+      const missing = REQUIRED_ATTRIBUTES.filter((attribute) => !event || !event[attribute]);
+      if (missing.length > 0) {
+        // Only identifying attributes: the payload may be large or sensitive
+        log.error('Invalid CloudEvent: missing required attributes', {
+          ...eventFields(message, event),
+          batchIndex: item.batchIndex,
+          missing,
+        });
+        return { ...item, event: null, record };
+      }
+
+      return { ...item, record };
+    });
+  }
+
+  /**
+   * Validate an event and apply its type's (or source topic's) validation mode
+   * @returns {Promise<Object|null>} Event to store (annotated if configured), or null if it
+   *   was rejected to the DLQ
+   */
+  async applyValidation(event, message, topic, partition, sourceTopic = topic, span = null) {
+    const validation = schemaValidator.validate(event, sourceTopic);
+
+    if (validation.valid) {
+      return event;
+    }
+
+    const summary = validation.errors.map((error) => `${error.path} ${error.message}`).join('; ');
+    log.warn('Event failed schema validation', {
+      ...eventFields(message, event),
+      mode: validation.mode,
+      errors: summary,
+    });
+
+    if (validation.mode === 'reject') {
+      await this.sendToDLQ(
+        message,
+        `Schema validation failed: ${summary}`,
+        { topic, partition, type: event.type },
+        span
+      );
+      return null;
+    }
+
+    if (validation.mode === 'annotate') {
+      return {
+        ...event,
+        _validation: {
+          valid: false,
+          errors: validation.errors,
+          validatedAt: new Date().toISOString(),
+        },
+      };
+    }
+
+    return event;
+  }
+
+  /**
+   * Send failed message to dead-letter queue
+   *
+   * The DLQ is the one configured for the message's original topic, if any.
+   * @param {Object} message - Original Kafka message
+   * @param {string} errorReason - Stored in the `x-error-reason` header
+   * @param {Object} context - `{ topic, partition, type }` for instrumentation
+   * @param {Span} [span] - Span of the message, marked as failed
+   */
+  async sendToDLQ(message, errorReason, context = {}, span = null) {
+    try {
+      this.metrics.dlqMessages++;
+
+      const originalTopic =
+        getHeader(message, 'x-original-topic') || context.topic || config.kafka.topic;
+      const dlqTopic =
+        config.kafka.topicOverrides.dlqTopics[originalTopic] || config.kafka.dlqTopic;
+
+      if (span) {
+        tracing.recordError(span, errorReason);
+      }
+
+      await tracing.run(
+        `send ${dlqTopic}`,
+        sendSpanOptions(dlqTopic, errorReason),
+        span,
+        async (sendSpan) => {
+          const dlqMessage = {
+            key: message.key,
+            value: message.value,
+            headers: tracing.injectHeaders(sendSpan, {
+              ...message.headers,
+              'x-error-reason': errorReason,
+              'x-failed-timestamp': Date.now().toString(),
+              'x-original-topic': originalTopic,
+            }),
+          };
+
+          await this.dlqProducer.send({
+            topic: dlqTopic,
+            messages: [dlqMessage],
+          });
+        }
+      );
+
+      this.countTopic(context.topic || originalTopic, 'dlq');
+      this.emit('dlq', context);
+      log.warn('Message sent to DLQ', {
+        topic: context.topic,
+        partition: context.partition,
+        offset: message.offset,
+        eventType: context.type,
+        dlqTopic,
+        reason: errorReason,
+      });
+    } catch (error) {
+      log.error('Failed to send message to DLQ', { offset: message.offset, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Record the latest high-watermark seen for a partition
+   */
+  updateHighWatermark(topic, partition, highWatermark) {
+    const key = `${topic}:${partition}`;
+    const state = this.partitionOffsets.get(key) || { topic, partition, committedOffset: null };
+
+    state.highWatermark = Number(highWatermark);
+    this.partitionOffsets.set(key, state);
+    this.updateLag();
+  }
+
+  /**
+   * Record the next offset to process after resolving a partition's offset
+   */
+  updatePosition(topic, partition, resolvedOffset) {
+    const state = this.partitionOffsets.get(`${topic}:${partition}`);
+
+    if (state) {
+      state.position = Number(resolvedOffset) + 1;
+    }
+  }
+
+  /**
+   * Fetch the group's committed offsets for the partitions we have seen
+   */
+  async refreshCommittedOffsets() {
+    if (this.partitionOffsets.size === 0) {
+      return;
+    }
+
+    const topics = [...new Set([...this.partitionOffsets.values()].map((state) => state.topic))];
+    const responses = await this.admin.fetchOffsets({ groupId: config.kafka.groupId, topics });
+
+    for (const { topic, partitions } of responses) {
+      for (const { partition, offset } of partitions) {
+        const state = this.partitionOffsets.get(`${topic}:${partition}`);
+
+        // -1 means nothing committed yet for this group
+        if (state && Number(offset) >= 0) {
+          state.committedOffset = Number(offset);
+        }
+      }
+    }
+
+    this.updateLag();
+  }
+
+  /**
+   * Log the partitions a new assignment takes away from this member
+   * @param {Object} memberAssignment - `{ [topic]: [partition, ...] }` from GROUP_JOIN
+   */
+  logRevokedPartitions(memberAssignment) {
+    const revoked = Object.entries(this.assignment)
+      .map(([topic, partitions]) => ({
+        topic,
+        partitions: partitions.filter(
+          (partition) => !(memberAssignment[topic] || []).includes(partition)
+        ),
+      }))
+      .filter(({ partitions }) => partitions.length > 0);
+
+    if (revoked.length > 0) {
+      log.info('Partitions revoked', { topicPartitions: revoked });
+    }
+  }
+
+  /**
+   * Drop lag state, operator pauses and retry delays of partitions no longer assigned to this
+   * member
+   * @param {Object} memberAssignment - `{ [topic]: [partition, ...] }` from GROUP_JOIN
+   */
+  retainAssignedPartitions(memberAssignment = {}) {
+    for (const [key, state] of this.partitionOffsets) {
+      const assigned = memberAssignment[state.topic] || [];
+
+      if (!assigned.includes(state.partition)) {
+        this.partitionOffsets.delete(key);
+      }
+    }
+
+    for (const [key, { topic, partition }] of this.operatorPausedPartitions) {
+      if (!(memberAssignment[topic] || []).includes(partition)) {
+        log.info('Partition revoked, dropping its operator pause', { topic, partition });
+        this.operatorPausedPartitions.delete(key);
+      }
+    }
+
+    // A revoked retry partition must not be resumed (or reported as delayed) by its timer;
+    // its new owner delays it again if the head message is still not due
+    for (const [key, timer] of this.delayedPartitions) {
+      const separator = key.lastIndexOf(':');
+      const topic = key.slice(0, separator);
+      const partition = Number(key.slice(separator + 1));
+
+      if (!(memberAssignment[topic] || []).includes(partition)) {
+        clearTimeout(timer);
+        this.delayedPartitions.delete(key);
+      }
+    }
+
+    this.updateLag();
+  }
+
+  /**
+   * Recompute per-partition and total lag (high-watermark minus committed offset)
+   */
+  updateLag() {
+    let total = 0;
+
+    for (const state of this.partitionOffsets.values()) {
+      state.lag =
+        state.committedOffset === null
+          ? null
+          : Math.max(state.highWatermark - state.committedOffset, 0);
+      total += state.lag || 0;
+    }
+
+    this.metrics.consumerLag = total;
+  }
+
+  /**
+   * Per-partition lag snapshot
+   * @returns {Array<Object>} `{ topic, partition, highWatermark, committedOffset, lag }` entries
+   */
+  getPartitionLag() {
+    return [...this.partitionOffsets.values()].map((state) => ({ ...state }));
+  }
+
+  /**
+   * Add to a per-topic message counter
+   * @param {string} topic - Consumed topic
+   * @param {string} counter - 'received', 'processed', 'failed', 'spooled', 'retried' or 'dlq'
+   */
+  countTopic(topic, counter, count = 1) {
+    if (!this.topicMetrics.has(topic)) {
+      this.topicMetrics.set(topic, {
+        received: 0,
+        processed: 0,
+        failed: 0,
+        spooled: 0,
+        retried: 0,
+        dlq: 0,
+      });
+    }
+
+    this.topicMetrics.get(topic)[counter] += count;
+  }
+
+  /**
+   * Per-topic message counters and lag, for every subscribed topic
+   * @returns {Array<Object>} `{ topic, received, processed, failed, spooled, retried, dlq,
+   *   lag }` entries; `lag` sums the partitions of the topic assigned here
+   */
+  getTopicMetrics() {
+    const topics = new Set([
+      ...this.topics,
+      ...this.getRetryTiers().map((tier) => tier.topic),
+      ...this.topicMetrics.keys(),
+    ]);
+
+    return [...topics].map((topic) => {
+      const counters = this.topicMetrics.get(topic) || {};
+      let lag = 0;
+
+      for (const state of this.partitionOffsets.values()) {
+        if (state.topic === topic) {
+          lag += state.lag || 0;
+        }
+      }
+
+      return {
+        topic,
+        received: counters.received || 0,
+        processed: counters.processed || 0,
+        failed: counters.failed || 0,
+        spooled: counters.spooled || 0,
+        retried: counters.retried || 0,
+        dlq: counters.dlq || 0,
+        lag,
+      };
+    });
+  }
+
+  /**
+   * Get consumer metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      topics: this.getTopicMetrics(),
+      partitionLag: this.getPartitionLag(),
+      ...(config.spool.enabled && { spool: diskSpool.getMetrics() }),
+      ...(config.backpressure.enabled && { backpressure: backpressure.getState() }),
+      pausedPartitions: [...this.pausedPartitions.values()],
+      operatorPausedPartitions: [...this.operatorPausedPartitions.values()],
+      lastDrain: this.lastDrain,
+      isRunning: this.isRunning,
+      isShuttingDown: this.isShuttingDown,
+    };
+  }
+
+  /**
+   * Health check
+   */
+  async healthCheck() {
+    try {
+      if (!this.isRunning) {
+        return {
+          status: 'unhealthy',
+          reason: 'Consumer is not running',
+        };
+      }
+
+      // Check if consumer is still processing messages
+      const now = Date.now();
+      const timeSinceLastMessage = this.metrics.lastProcessedTimestamp
+        ? now - this.metrics.lastProcessedTimestamp
+        : null;
+
+      const lag = {
+        total: this.metrics.consumerLag,
+        threshold: config.kafka.lag.degradedThreshold,
+        topics: this.getTopicMetrics().map(({ topic, lag: topicLag }) => ({
+          topic,
+          lag: topicLag,
+        })),
+        partitions: this.getPartitionLag(),
+      };
+
+      // Alert if no messages processed in last 5 minutes
+      if (timeSinceLastMessage && timeSinceLastMessage > 300000) {
+        return {
+          status: 'degraded',
+          reason: `No messages processed in ${Math.round(timeSinceLastMessage / 1000)}s`,
+          metrics: this.metrics,
+          lag,
+        };
+      }
+
+      if (this.pausedPartitions.size > 0) {
+        return {
+          status: 'degraded',
+          reason: `${this.pausedPartitions.size} partition(s) paused while MongoDB circuit breaker is OPEN`,
+          pausedPartitions: [...this.pausedPartitions.values()],
+          metrics: this.metrics,
+          lag,
+        };
+      }
+
+      if (this.operatorPausedPartitions.size > 0) {
+        return {
+          status: 'degraded',
+          reason: `${this.operatorPausedPartitions.size} partition(s) paused by an operator`,
+          operatorPausedPartitions: [...this.operatorPausedPartitions.values()],
+          metrics: this.metrics,
+          lag,
+        };
+      }
+
+      if (this.backpressurePaused) {
+        return {
+          status: 'degraded',
+          reason: 'Fetching paused by adaptive backpressure while MongoDB is slow',
+          backpressure: backpressure.getState(),
+          metrics: this.metrics,
+          lag,
+        };
+      }
+
+      const spool = config.spool.enabled ? diskSpool.getMetrics() : null;
+      if (spool && spool.pendingEvents > 0) {
+        return {
+          status: 'degraded',
+          reason: `${spool.pendingEvents} event(s) waiting in the disk spool`,
+          spool,
+          metrics: this.metrics,
+          lag,
+        };
+      }
+
+      if (lag.total > lag.threshold) {
+        return {
+          status: 'degraded',
+          reason: `Consumer lag ${lag.total} exceeds threshold ${lag.threshold}`,
+          metrics: this.metrics,
+          lag,
+        };
+      }
+
+      return {
+        status: 'healthy',
+        metrics: this.metrics,
+        lag,
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        reason: error.message,
+      };
+    }
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async shutdown() {
+    if (this.isShuttingDown) {
+      log.info('Shutdown already in progress');
+      return;
+    }
+
+    this.isShuttingDown = true;
+    log.info('Shutting down gracefully');
+
+    if (this.lagTimer) {
+      clearInterval(this.lagTimer);
+      this.lagTimer = null;
+    }
+
+    for (const timer of this.delayedPartitions.values()) {
+      clearTimeout(timer);
+    }
+    this.delayedPartitions.clear();
+
+    // Let writes waiting for a concurrency slot finish the in-flight batches
+    backpressure.stop();
+
+    try {
+      // Flush and commit in-flight batches before leaving the group
+      await this.beginDrain('shutdown');
+
+      // Stop consuming new messages
+      if (this.consumer) {
+        await this.consumer.disconnect();
+        log.info('Consumer disconnected');
+      }
+
+      // Finish the record being drained; the rest stays spooled for the next start
+      if (config.spool.enabled) {
+        await diskSpool.stop();
+        log.info('Disk spool closed');
+      }
+
+      // Close DLQ producer
+      if (this.dlqProducer) {
+        await this.dlqProducer.disconnect();
+        log.info('DLQ producer disconnected');
+      }
+
+      // Close admin client
+      if (this.admin) {
+        await this.admin.disconnect();
+        log.info('Admin client disconnected');
       }
 
       this.isRunning = false;
-      console.log('[Kafka Consumer] Shutdown complete');
+      log.info('Shutdown complete');
     } catch (error) {
-      console.error('[Kafka Consumer] Error during shutdown:', error);
+      log.error('Error during shutdown', { error });
       throw error;
     }
   }
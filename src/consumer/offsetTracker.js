@@ -0,0 +1,59 @@
+/**
+ * Offset Tracker
+ *
+ * Tracks the messages of one partition that are being processed concurrently, so offsets
+ * are only resolved up to the lowest offset below which every message has completed.
+ */
+
+/**
+ * Offset Tracker Class
+ */
+class OffsetTracker {
+  constructor() {
+    // Offsets in the order they were dispatched; `head` is the oldest not yet resolved
+    this.offsets = [];
+    this.head = 0;
+    this.completed = new Set();
+    this.lastResolved = null;
+  }
+
+  /**
+   * Record a dispatched message; offsets must be tracked in partition order
+   * @param {string} offset - Kafka message offset
+   */
+  track(offset) {
+    this.offsets.push(offset);
+  }
+
+  /**
+   * Mark a message as completed
+   * @param {string} offset - Kafka message offset
+   * @returns {string|null} Highest offset that can now be resolved, or null if an earlier
+   *   message is still in flight
+   */
+  complete(offset) {
+    this.completed.add(offset);
+
+    let resolvable = null;
+    while (this.head < this.offsets.length && this.completed.has(this.offsets[this.head])) {
+      resolvable = this.offsets[this.head];
+      this.completed.delete(resolvable);
+      this.head++;
+    }
+
+    if (resolvable !== null) {
+      this.lastResolved = resolvable;
+    }
+
+    return resolvable;
+  }
+
+  /**
+   * Number of tracked messages that are not resolved yet
+   */
+  pendingCount() {
+    return this.offsets.length - this.head;
+  }
+}
+
+module.exports = { OffsetTracker };
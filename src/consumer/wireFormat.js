@@ -0,0 +1,177 @@
+/**
+ * Confluent Wire Format Decoder
+ *
+ * Decodes Avro and Protobuf payloads framed in the Confluent wire format:
+ *
+ *   [0x00 magic byte][4-byte big-endian schema id][payload]
+ *
+ * Protobuf payloads are additionally prefixed with the message-indexes array (zigzag
+ * varints) that selects the message type within the schema. Schemas are resolved through a
+ * pluggable registry client (see ../schemaRegistry) and compiled once per schema id.
+ *
+ * Decoded values are converted to plain JSON-compatible objects: bytes become base64
+ * strings, dates become ISO 8601 strings and 64-bit integers become numbers or strings.
+ */
+
+const avro = require('avsc');
+const protobuf = require('protobufjs');
+const { createSchemaRegistry } = require('../schemaRegistry');
+
+const MAGIC_BYTE = 0;
+const HEADER_LENGTH = 5;
+
+/**
+ * Read a zigzag-encoded varint
+ * @returns {Array<number>} `[value, nextOffset]`
+ */
+function readZigZagVarint(buffer, offset) {
+  let result = 0;
+  let shift = 0;
+  let byte;
+
+  do {
+    if (offset >= buffer.length) {
+      throw new Error('Truncated Protobuf message indexes');
+    }
+    byte = buffer[offset++];
+    result += (byte & 0x7f) * Math.pow(2, shift);
+    shift += 7;
+  } while (byte & 0x80);
+
+  return [result % 2 === 0 ? result / 2 : -(result + 1) / 2, offset];
+}
+
+/**
+ * Convert decoded values into plain JSON-compatible data
+ */
+function toPlain(value) {
+  if (Buffer.isBuffer(value)) {
+    return value.toString('base64');
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(toPlain);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, val]) => [key, toPlain(val)]));
+  }
+
+  return value;
+}
+
+/**
+ * Compile an Avro schema into a decoder
+ */
+function compileAvro(schema) {
+  const type = avro.Type.forSchema(JSON.parse(schema));
+  return (payload) => type.fromBuffer(payload);
+}
+
+/**
+ * Compile a Protobuf schema into a decoder
+ */
+function compileProtobuf(schema) {
+  const parsed = protobuf.parse(schema, { keepCase: true });
+  const namespace = parsed.package ? parsed.root.lookup(parsed.package) : parsed.root;
+  const messagesOf = (ns) => ns.nestedArray.filter((nested) => nested instanceof protobuf.Type);
+
+  return (payload) => {
+    // Message indexes: a count followed by that many indexes; a lone 0 means [0]
+    let [count, offset] = readZigZagVarint(payload, 0);
+    const indexes = [];
+
+    if (count === 0) {
+      indexes.push(0);
+    }
+
+    for (let i = 0; i < count; i++) {
+      let index;
+      [index, offset] = readZigZagVarint(payload, offset);
+      indexes.push(index);
+    }
+
+    let type = namespace;
+    for (const index of indexes) {
+      type = messagesOf(type)[index];
+      if (!type) {
+        throw new Error(`No Protobuf message at index path ${indexes.join('.')}`);
+      }
+    }
+
+    return type.toObject(type.decode(payload.subarray(offset)), {
+      longs: String,
+      enums: String,
+      bytes: String,
+    });
+  };
+}
+
+/**
+ * Wire Format Decoder Class
+ */
+class WireFormatDecoder {
+  constructor(registry) {
+    this.registry = registry;
+    this.decoders = new Map();
+  }
+
+  /**
+   * Replace the registry client and drop compiled schemas
+   */
+  setRegistry(registry) {
+    this.registry = registry;
+    this.decoders.clear();
+  }
+
+  /**
+   * Whether a message value is framed in the Confluent wire format
+   * @param {Buffer} value - Kafka message value
+   */
+  isWireFormat(value) {
+    return Buffer.isBuffer(value) && value.length > HEADER_LENGTH && value[0] === MAGIC_BYTE;
+  }
+
+  /**
+   * Decode a wire-format message value
+   * @param {Buffer} value - Kafka message value
+   * @returns {Promise<Object>} Decoded payload as a plain object
+   */
+  async decode(value) {
+    const schemaId = value.readUInt32BE(1);
+    const decode = await this.getDecoder(schemaId);
+    return toPlain(decode(value.subarray(HEADER_LENGTH)));
+  }
+
+  /**
+   * Resolve and compile the decoder for a schema id, caching the result
+   *
+   * The pending promise is cached so concurrent lookups for a new id hit the registry once.
+   * Failed lookups are evicted so they can be retried.
+   */
+  getDecoder(schemaId) {
+    if (!this.decoders.has(schemaId)) {
+      const pending = this.registry.getSchema(schemaId).then(({ schemaType, schema }) => {
+        if (schemaType === 'AVRO') {
+          return compileAvro(schema);
+        }
+        if (schemaType === 'PROTOBUF') {
+          return compileProtobuf(schema);
+        }
+        throw new Error(`Unsupported schema type ${schemaType} for schema ${schemaId}`);
+      });
+
+      pending.catch(() => this.decoders.delete(schemaId));
+      this.decoders.set(schemaId, pending);
+    }
+
+    return this.decoders.get(schemaId);
+  }
+}
+
+// Export singleton instance
+module.exports = new WireFormatDecoder(createSchemaRegistry());
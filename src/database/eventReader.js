@@ -0,0 +1,229 @@
+/**
+ * Event Reader
+ *
+ * Read-only queries over stored events, used by the `/events` API. Collections and storage
+ * settings come from the event router and the MongoDB writer, so queries see the same
+ * routing table and the same `time` representation (ISO string or BSON Date) as writes.
+ *
+ * Lists are sorted newest first on `time` then `_id`, which the default `{ time: -1 }` and
+ * `{ time: -1, type: 1 }` indexes (or the `_series` indexes of time-series collections)
+ * serve. A page continues after the `{ time, id }` of the previous page's last event. String
+ * times are written in canonical `toISOString()` form, so bounds use that form too.
+ *
+ * `_meta.key` and `_meta.headers` carry whatever the producer put in the Kafka record and
+ * are only returned with `config.api.exposeRecordMetadata`.
+ */
+
+const config = require('../config');
+const eventRouter = require('./eventRouter');
+const mongoWriter = require('./mongoWriter');
+
+/**
+ * Strip storage-only fields from a stored document
+ */
+function toEvent(document) {
+  const event = { ...document };
+  delete event._id;
+  delete event._series;
+
+  if (event._meta && !config.api.exposeRecordMetadata) {
+    event._meta = { ...event._meta };
+    delete event._meta.key;
+    delete event._meta.headers;
+  }
+
+  return event;
+}
+
+/**
+ * Query bound for a `time` field in a collection's representation
+ * @param {Object} storage - Effective storage settings of the collection
+ * @param {Date} date - Bound
+ */
+function toStoredTime(storage, date) {
+  return storage.dates ? date : date.toISOString();
+}
+
+/**
+ * Event Reader Class
+ */
+class EventReader {
+  /**
+   * Find an event by id across every routed collection
+   * @param {string} id - CloudEvent id
+   * @param {Array<string>} fields - Fields to return (all when empty)
+   * @returns {Promise<Object|null>} `{ route, event }` or null
+   */
+  async findById(id, fields = []) {
+    const searched = new Set();
+
+    for (const route of eventRouter.getRoutes()) {
+      const key = `${route.database}.${route.collection}`;
+      if (searched.has(key)) {
+        continue;
+      }
+      searched.add(key);
+
+      const document = await mongoWriter
+        .getCollection(route)
+        .findOne(
+          { _id: id },
+          { projection: this.buildProjection(fields), maxTimeMS: config.api.maxTimeMs }
+        );
+
+      if (document) {
+        return { route: route.name, event: toEvent(document) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * List events in a route's collection, newest first
+   * @param {Object} route - Route from the event router
+   * @param {Object} query - `{ types, sources, subjects, since, until, after, limit, fields }`
+   * @returns {Promise<Object>} `{ events, last }`; `last` is the `{ time, id }` to continue
+   *   after, or null on the last page
+   */
+  async find(route, query) {
+    const storage = mongoWriter.getStorage(route);
+    const filter = this.buildFilter(storage, query);
+
+    if (query.after) {
+      const time = toStoredTime(storage, new Date(query.after.time));
+      filter.$and = [{ $or: [{ time: { $lt: time } }, { time, _id: { $lt: query.after.id } }] }];
+    }
+
+    // One extra document tells whether there is another page
+    const documents = await mongoWriter
+      .getCollection(route)
+      .find(filter, {
+        projection: this.buildProjection(query.fields),
+        sort: { time: -1, _id: -1 },
+        limit: query.limit + 1,
+        maxTimeMS: config.api.maxTimeMs,
+      })
+      .toArray();
+
+    const page = documents.slice(0, query.limit);
+    const lastDocument = documents.length > query.limit ? page[page.length - 1] : null;
+
+    return {
+      events: page.map(toEvent),
+      last: lastDocument && {
+        time:
+          lastDocument.time instanceof Date ? lastDocument.time.toISOString() : lastDocument.time,
+        id: lastDocument._id,
+      },
+    };
+  }
+
+  /**
+   * Count events per type in time buckets
+   * @param {Object} route - Route from the event router
+   * @param {Object} query - `{ types, sources, subjects, since, until, unit, binSize }` where
+   *   `unit`/`binSize` are `$dateTrunc` options
+   * @returns {Promise<Array<Object>>} `{ time, total, types }` buckets, oldest first
+   */
+  async stats(route, query) {
+    const storage = mongoWriter.getStorage(route);
+    const typeField = storage.timeSeries ? '$_series.type' : '$type';
+
+    const rows = await mongoWriter
+      .getCollection(route)
+      .aggregate(
+        [
+          { $match: this.buildFilter(storage, query) },
+          {
+            $group: {
+              _id: {
+                bucket: {
+                  $dateTrunc: {
+                    // String times are converted; unparseable ones fall into a null bucket
+                    date: { $convert: { input: '$time', to: 'date', onError: null, onNull: null } },
+                    unit: query.unit,
+                    binSize: query.binSize,
+                  },
+                },
+                type: typeField,
+              },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { '_id.bucket': 1 } },
+        ],
+        { maxTimeMS: config.api.maxTimeMs }
+      )
+      .toArray();
+
+    const buckets = new Map();
+    for (const { _id, count } of rows) {
+      const time = _id.bucket ? _id.bucket.toISOString() : null;
+
+      if (!buckets.has(time)) {
+        buckets.set(time, { time, total: 0, types: {} });
+      }
+
+      const bucket = buckets.get(time);
+      bucket.total += count;
+      bucket.types[_id.type] = count;
+    }
+
+    return [...buckets.values()];
+  }
+
+  /**
+   * Build a filter on type, source, subject and time range
+   * @param {Object} storage - Effective storage settings of the collection
+   */
+  buildFilter(storage, { types = [], sources = [], subjects = [], since, until }) {
+    const filter = {};
+
+    // Time-series collections index the metaField copies of type and source
+    if (types.length > 0) {
+      filter[storage.timeSeries ? '_series.type' : 'type'] = { $in: types };
+    }
+
+    if (sources.length > 0) {
+      filter[storage.timeSeries ? '_series.source' : 'source'] = { $in: sources };
+    }
+
+    if (subjects.length > 0) {
+      filter.subject = { $in: subjects };
+    }
+
+    if (since || until) {
+      filter.time = {};
+      if (since) {
+        filter.time.$gte = toStoredTime(storage, since);
+      }
+      if (until) {
+        filter.time.$lt = toStoredTime(storage, until);
+      }
+    }
+
+    return filter;
+  }
+
+  /**
+   * Projection for the requested fields; `_id`, `id` and `time` are always returned
+   * @param {Array<string>} fields - Dotted field paths (all fields when empty)
+   */
+  buildProjection(fields = []) {
+    if (fields.length === 0) {
+      return { _series: 0 };
+    }
+
+    // MongoDB rejects a path alongside one of its parents (e.g. `data` and `data.amount`)
+    const paths = ['_id', 'id', 'time', ...fields];
+    return Object.fromEntries(
+      paths
+        .filter((field) => !paths.some((other) => field.startsWith(`${other}.`)))
+        .map((field) => [field, 1])
+    );
+  }
+}
+
+// Export singleton instance
+module.exports = new EventReader();
@@ -0,0 +1,200 @@
+/**
+ * Event Router
+ *
+ * Maps events to target MongoDB databases and collections using a declarative routing
+ * table loaded from `config.routing.file` (JSON or YAML):
+ *
+ *   routes:
+ *     - name: audit
+ *       match:
+ *         type: ['com.example.audit.*']   # glob patterns, `*` matches anything
+ *         source: ['/audit']              # prefixes
+ *         extensions: { tenant: acme }    # exact attribute values
+ *       target: { database: audit, collection: audit_events }
+ *       indexes:
+ *         - { key: { time: -1 } }
+ *         - { key: { 'data.actor': 1 }, options: { sparse: true } }
+ *       storage: { timeSeries: true, granularity: minutes, retention: 90d }
+ *   fallback:
+ *     collection: events
+ *
+ * Routes are evaluated in order and the first match wins. Every criterion in `match` must
+ * hold; within a criterion any listed value may match. Unmatched events go to the fallback,
+ * which defaults to `config.mongodb.database`/`config.mongodb.collection`. Targets without
+ * `indexes` get the default event indexes.
+ *
+ * `storage` overrides `config.mongodb.storage` setting by setting; `retention: none` turns
+ * off a default retention for that route.
+ *
+ * Topics with a collection in `config.kafka.topicOverrides.collections` get a `topic:<name>`
+ * route that takes the place of the fallback for their events: it has the fallback's
+ * database, indexes and storage but its own collection. Table routes still win.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const { parseDuration } = require('../config/duration');
+const log = require('../logging/logger').child({ component: 'Event Router' });
+
+const GRANULARITIES = ['seconds', 'minutes', 'hours'];
+
+/**
+ * Convert a `*` glob into an anchored regular expression
+ */
+function globToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Normalise a criterion value into an array
+ */
+function toArray(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Resolve a route's storage settings over the configured defaults
+ * @returns {Object} `{ timeSeries, granularity, expireAfterSeconds, dates }`
+ */
+function resolveStorage(name, overrides = {}) {
+  const { timeSeries, granularity, retention } = { ...config.mongodb.storage, ...overrides };
+
+  if (!GRANULARITIES.includes(granularity)) {
+    throw new Error(`Route ${name} has an invalid granularity: ${granularity}`);
+  }
+
+  let expireAfterSeconds = null;
+  if (retention && retention !== 'none') {
+    const retentionMs = parseDuration(retention);
+    if (Number.isNaN(retentionMs) || retentionMs < 1000) {
+      throw new Error(`Route ${name} has an invalid retention: ${retention}`);
+    }
+    expireAfterSeconds = Math.floor(retentionMs / 1000);
+  }
+
+  return {
+    timeSeries: timeSeries === true,
+    granularity,
+    expireAfterSeconds,
+    // Time-series collections and TTL indexes both need `time` as a BSON Date
+    dates: timeSeries === true || expireAfterSeconds !== null,
+  };
+}
+
+/**
+ * Event Router Class
+ */
+class EventRouter {
+  constructor() {
+    this.routes = [];
+    this.fallback = this.buildRoute({ name: 'default' });
+    this.topicRoutes = new Map();
+  }
+
+  /**
+   * Load the routing table, if one is configured
+   */
+  load() {
+    const { file } = config.routing;
+
+    if (!file) {
+      this.routes = [];
+      this.fallback = this.buildRoute({ name: 'default' });
+      this.topicRoutes = this.buildTopicRoutes({});
+      return;
+    }
+
+    const contents = fs.readFileSync(file, 'utf8');
+    const table = ['.yaml', '.yml'].includes(path.extname(file))
+      ? yaml.load(contents)
+      : JSON.parse(contents);
+
+    this.routes = (table.routes || []).map((route, index) =>
+      this.buildRoute({ name: `route-${index}`, ...route }, true)
+    );
+    this.fallback = this.buildRoute({ name: 'default', ...table.fallback });
+    this.topicRoutes = this.buildTopicRoutes(table.fallback || {});
+
+    log.info('Loaded routes', { count: this.routes.length, file });
+  }
+
+  /**
+   * Validate and compile a route definition
+   * @param {Object} definition - Route from the routing table
+   * @param {boolean} requireMatch - Whether the route must have match criteria
+   */
+  buildRoute(definition, requireMatch = false) {
+    const { name, match = {}, target = {}, indexes, storage } = definition;
+    const collection = target.collection || definition.collection || config.mongodb.collection;
+    const database = target.database || definition.database || config.mongodb.database;
+
+    const types = toArray(match.type).map(globToRegExp);
+    const sources = toArray(match.source);
+    const extensions = Object.entries(match.extensions || {});
+
+    if (requireMatch && types.length === 0 && sources.length === 0 && extensions.length === 0) {
+      throw new Error(`Route ${name} has no match criteria; use fallback for a catch-all`);
+    }
+
+    return {
+      name,
+      database,
+      collection,
+      indexes: indexes || null,
+      storage: resolveStorage(name, storage),
+      matches: (event) =>
+        (types.length === 0 || types.some((pattern) => pattern.test(event.type))) &&
+        (sources.length === 0 ||
+          sources.some((prefix) => String(event.source).startsWith(prefix))) &&
+        extensions.every(([attribute, value]) => toArray(value).includes(event[attribute])),
+    };
+  }
+
+  /**
+   * Fallback routes for topics with a collection override
+   * @param {Object} fallback - Fallback definition from the routing table
+   * @returns {Map<string, Object>} Routes by topic
+   */
+  buildTopicRoutes(fallback) {
+    return new Map(
+      Object.entries(config.kafka.topicOverrides.collections).map(([topic, collection]) => [
+        topic,
+        this.buildRoute({
+          ...fallback,
+          name: `topic:${topic}`,
+          target: { ...fallback.target, collection },
+        }),
+      ])
+    );
+  }
+
+  /**
+   * Route for an event
+   * @param {Object} event - CloudEvent
+   * @param {string} [topic] - Topic the event was consumed from
+   * @returns {Object} `{ name, database, collection, indexes, storage }`
+   */
+  resolve(event, topic) {
+    return (
+      this.routes.find((route) => route.matches(event)) ||
+      this.topicRoutes.get(topic) ||
+      this.fallback
+    );
+  }
+
+  /**
+   * Every route including the topic routes and the fallback
+   */
+  getRoutes() {
+    return [...this.routes, ...this.topicRoutes.values(), this.fallback];
+  }
+}
+
+// Export singleton instance
+module.exports = new EventRouter();
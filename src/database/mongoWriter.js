@@ -7,12 +7,30 @@
  * - Circuit breaker for failure protection
  * - Retry logic with exponential backoff
  * - Dead-letter queue for failed events
+ * - Routing of events to per-type/source collections (see ./eventRouter.js)
+ * - Optional time-series storage and TTL retention per routed collection
+ * - Optional exactly-once writes: events and partition offsets in one transaction
+ *
+ * Emits a `write` event after every single or batch write attempt so metrics can be
+ * recorded without the writer depending on the metrics module:
+ *   { operation: 'single' | 'batch', outcome: 'success' | 'failure', durationMs,
+ *     total, inserted, duplicates, failed }
+ *
+ * Emits `circuitStateChange` with `{ previousState, state }` whenever the circuit breaker
+ * transitions. An OPEN breaker moves to HALF_OPEN on its own after the timeout, so
+ * subscribers that stop writing while it is open still see it recover. A breaker forced
+ * OPEN by an operator stays open until the operator forces another state.
  *
  * Related: ADR-0034 (Kafka Event Streaming Integration)
  */
 
+const EventEmitter = require('events');
 const { MongoClient } = require('mongodb');
 const config = require('../config');
+const eventRouter = require('./eventRouter');
+const projections = require('./projections');
+const rollups = require('./rollups');
+const log = require('../logging/logger').child({ component: 'MongoDB Writer' });
 
 /**
  * Circuit breaker states
@@ -23,14 +41,132 @@ const CircuitState = {
   HALF_OPEN: 'HALF_OPEN', // Testing if service recovered
 };
 
+/**
+ * Server error code for duplicate key violations
+ */
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Time-series metaField holding `{ type, source }`
+ */
+const SERIES_FIELD = '_series';
+
+/**
+ * Time-series granularities, coarsest last; granularity can only ever be raised
+ */
+const GRANULARITIES = ['seconds', 'minutes', 'hours'];
+
+/**
+ * Name of the TTL index that applies retention to regular collections
+ */
+const TTL_INDEX_NAME = 'time_ttl';
+
+/**
+ * Views maintained from newly inserted events, with the metric counting their failures
+ */
+const DERIVED_VIEWS = [
+  { name: 'rollups', view: rollups, failures: 'rollupFailures' },
+  { name: 'projections', view: projections, failures: 'projectionFailures' },
+];
+
+/**
+ * Indexes for targets that don't define their own
+ */
+const DEFAULT_INDEXES = [
+  // Index on timestamp for time-based queries
+  { key: { time: -1 } },
+  // Index on type for filtering
+  { key: { type: 1 } },
+  // Index on source for filtering
+  { key: { source: 1 } },
+  // Compound index for common queries
+  { key: { time: -1, type: 1 } },
+];
+
+/**
+ * Indexes for time-series targets that don't define their own
+ */
+const TIME_SERIES_INDEXES = [
+  { key: { [`${SERIES_FIELD}.type`]: 1, time: -1 } },
+  { key: { [`${SERIES_FIELD}.source`]: 1, time: -1 } },
+];
+
+/**
+ * Indexes on the `_meta` provenance sub-document
+ */
+const METADATA_INDEXES = [
+  { key: { '_meta.topic': 1, '_meta.partition': 1, '_meta.offset': 1 } },
+  { key: { '_meta.ingestedAt': -1 } },
+];
+
+/**
+ * Error thrown when a write is rejected because the circuit breaker is OPEN
+ */
+class CircuitOpenError extends Error {
+  constructor() {
+    super('Circuit breaker is OPEN - MongoDB writes are temporarily disabled');
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+  }
+}
+
+/**
+ * Build the document stored for an event
+ * @param {Object} event - CloudEvent
+ * @param {Object} storage - Effective storage settings of the target collection
+ */
+function toDocument(event, storage) {
+  // Use event ID as MongoDB _id for idempotency
+  const document = { _id: event.id, ...event };
+
+  // String times are stored in one UTC form (`2025-01-01T00:00:00.000Z`), so that they sort
+  // and compare chronologically whatever precision or offset the producer used
+  if (typeof event.time === 'string') {
+    const time = new Date(event.time);
+    if (!Number.isNaN(time.getTime())) {
+      document.time = storage.dates ? time : time.toISOString();
+    }
+  }
+
+  if (storage.timeSeries) {
+    document[SERIES_FIELD] = { type: event.type, source: event.source };
+  }
+
+  return document;
+}
+
+/**
+ * Error thrown when a partition's stored offset was moved by another writer
+ */
+class OffsetConflictError extends Error {
+  constructor(topic, partition) {
+    super(`Stored offset of ${topic}[${partition}] was changed by another consumer`);
+    this.name = 'OffsetConflictError';
+    this.code = 'OFFSET_CONFLICT';
+  }
+}
+
+/**
+ * Aborts a transaction whose bulk write had document errors
+ */
+class DocumentWriteError extends Error {
+  constructor() {
+    super('Document write errors');
+    this.name = 'DocumentWriteError';
+  }
+}
+
 /**
  * MongoDB Writer Class
  */
-class MongoDBWriter {
+class MongoDBWriter extends EventEmitter {
   constructor() {
+    super();
     this.client = null;
     this.db = null;
     this.collection = null;
+    this.collections = new Map();
+    this.storage = new Map();
     this.isConnected = false;
     this.isConnecting = false;
 
@@ -39,6 +175,8 @@ class MongoDBWriter {
     this.failureCount = 0;
     this.successCount = 0;
     this.lastFailureTime = null;
+    this.halfOpenTimer = null;
+    this.circuitHeldOpen = false;
 
     // Metrics
     this.metrics = {
@@ -47,6 +185,8 @@ class MongoDBWriter {
       failedWrites: 0,
       duplicateWrites: 0,
       batchWrites: 0,
+      rollupFailures: 0,
+      projectionFailures: 0,
     };
   }
 
@@ -69,7 +209,7 @@ class MongoDBWriter {
     this.isConnecting = true;
 
     try {
-      console.log('[MongoDB Writer] Connecting to MongoDB...');
+      log.info('Connecting to MongoDB');
 
       const clientOptions = {
         maxPoolSize: 10,
@@ -87,49 +227,253 @@ class MongoDBWriter {
       // Verify connection
       await this.client.db('admin').command({ ping: 1 });
 
+      // Load the routing table; the fallback route is the default collection
+      eventRouter.load();
+      projections.load();
+      this.collections.clear();
+      this.storage.clear();
+
       this.db = this.client.db(config.mongodb.database);
-      this.collection = this.db.collection(config.mongodb.collection);
+      this.collection = this.getCollection(eventRouter.fallback);
 
-      // Create indexes for performance
-      await this.createIndexes();
+      // Reconcile storage settings and create indexes for performance
+      await this.prepareCollections();
 
       this.isConnected = true;
       this.isConnecting = false;
 
-      console.log(
-        `[MongoDB Writer] Successfully connected to ${config.mongodb.database}.${config.mongodb.collection}`
-      );
+      log.info('Connected to MongoDB', {
+        database: config.mongodb.database,
+        collection: config.mongodb.collection,
+      });
     } catch (error) {
       this.isConnecting = false;
-      console.error('[MongoDB Writer] Failed to connect:', error);
+      log.error('Failed to connect', { error });
       throw error;
     }
   }
 
   /**
-   * Create necessary indexes
+   * Reconcile storage settings and create indexes on every routed collection
+   *
+   * Storage mismatches that can't be fixed in place throw when `MONGODB_STORAGE_MISMATCH` is
+   * `fail`; index failures are only logged.
    */
-  async createIndexes() {
-    try {
-      // Index on timestamp for time-based queries
-      await this.collection.createIndex({ time: -1 });
+  async prepareCollections() {
+    for (const route of eventRouter.getRoutes()) {
+      const key = `${route.database}.${route.collection}`;
+      if (this.storage.has(key)) {
+        continue;
+      }
+
+      if (config.exactlyOnce.enabled && route.storage.timeSeries) {
+        throw new Error(
+          `Route ${route.name} uses a time-series collection, which can't be written in the transactions exactly-once mode needs`
+        );
+      }
 
-      // Index on type for filtering
-      await this.collection.createIndex({ type: 1 });
+      const storage = await this.ensureStorage(route);
+      this.storage.set(key, storage);
+      await this.createIndexes(route, storage);
+    }
 
-      // Index on source for filtering
-      await this.collection.createIndex({ source: 1 });
+    if (config.rollups.enabled) {
+      try {
+        await rollups.createIndexes(this.client);
+      } catch (error) {
+        log.error('Failed to create rollup indexes', { error });
+      }
+    }
+  }
 
-      // Compound index for common queries
-      await this.collection.createIndex({ time: -1, type: 1 });
+  /**
+   * Create or reconcile a collection to match its route's storage settings
+   *
+   * Missing time-series collections are created; retention and granularity increases are
+   * applied to existing ones with `collMod`. A regular collection can't become time-series
+   * (or the reverse), and granularity can't be lowered. Such mismatches fail startup when
+   * configured to, otherwise the collection is used as it is.
+   * @param {Object} route - Route from the event router
+   * @returns {Promise<Object>} Effective storage settings for writes
+   */
+  async ensureStorage(route) {
+    const requested = route.storage;
+    const key = `${route.database}.${route.collection}`;
+    const db = this.client.db(route.database);
+    const [info] = await db.listCollections({ name: route.collection }).toArray();
+
+    if (!info && requested.timeSeries) {
+      await db.createCollection(route.collection, {
+        timeseries: {
+          timeField: 'time',
+          metaField: SERIES_FIELD,
+          granularity: requested.granularity,
+        },
+        ...(requested.expireAfterSeconds !== null && {
+          expireAfterSeconds: requested.expireAfterSeconds,
+        }),
+      });
+      log.info('Created time-series collection', { collection: key });
+      return requested;
+    }
+
+    const timeSeries = info ? info.type === 'timeseries' : false;
+    const mismatches = [];
+
+    if (timeSeries && requested.timeSeries) {
+      mismatches.push(...(await this.reconcileTimeSeries(route, info.options)));
+    } else if (timeSeries !== requested.timeSeries) {
+      mismatches.push(
+        timeSeries ? 'it is a time-series collection' : 'it is not a time-series collection'
+      );
+    }
+
+    if (!timeSeries) {
+      await this.ensureTtlIndex(route, requested.expireAfterSeconds, Boolean(info));
+    }
+
+    if (mismatches.length === 0) {
+      return requested;
+    }
+
+    const message = `Collection ${key} does not match its storage settings: ${mismatches.join('; ')}`;
+    if (config.mongodb.storage.onMismatch === 'fail') {
+      throw new Error(message);
+    }
+
+    log.warn('Collection does not match its storage settings, using it as it is', {
+      collection: key,
+      mismatches,
+    });
+    return { ...requested, timeSeries, dates: timeSeries || requested.dates };
+  }
+
+  /**
+   * Apply granularity and retention changes to an existing time-series collection
+   * @param {Object} route - Route from the event router
+   * @param {Object} options - Collection options from listCollections
+   * @returns {Promise<Array<string>>} Mismatches that can't be fixed in place
+   */
+  async reconcileTimeSeries(route, options) {
+    const { timeseries, expireAfterSeconds = null } = options;
+    const { granularity, expireAfterSeconds: wantedExpiry } = route.storage;
+    const key = `${route.database}.${route.collection}`;
+    const db = this.client.db(route.database);
+    const mismatches = [];
 
-      console.log('[MongoDB Writer] Indexes created successfully');
+    if (timeseries.timeField !== 'time' || timeseries.metaField !== SERIES_FIELD) {
+      mismatches.push(
+        `timeField/metaField are ${timeseries.timeField}/${timeseries.metaField}, expected time/${SERIES_FIELD}`
+      );
+    }
+
+    const current = GRANULARITIES.indexOf(timeseries.granularity);
+    const wanted = GRANULARITIES.indexOf(granularity);
+
+    if (current === -1 || wanted < current) {
+      mismatches.push(
+        `granularity is ${timeseries.granularity || 'custom'} and can't be changed to ${granularity}`
+      );
+    } else if (wanted > current) {
+      await db.command({ collMod: route.collection, timeseries: { granularity } });
+      log.info('Raised time-series granularity', { collection: key, granularity });
+    }
+
+    if (expireAfterSeconds !== wantedExpiry) {
+      await db.command({ collMod: route.collection, expireAfterSeconds: wantedExpiry ?? 'off' });
+      log.info('Retention changed', { collection: key, expireAfterSeconds: wantedExpiry });
+    }
+
+    return mismatches;
+  }
+
+  /**
+   * Create, update or drop the TTL index that applies retention to a regular collection
+   * @param {Object} route - Route from the event router
+   * @param {number|null} expireAfterSeconds - Retention, or null for none
+   * @param {boolean} exists - Whether the collection exists yet
+   */
+  async ensureTtlIndex(route, expireAfterSeconds, exists) {
+    const key = `${route.database}.${route.collection}`;
+    const collection = this.getCollection(route);
+    const ttlIndex = exists
+      ? (await collection.indexes()).find((index) => index.name === TTL_INDEX_NAME)
+      : undefined;
+
+    if (expireAfterSeconds === null) {
+      if (ttlIndex) {
+        await collection.dropIndex(TTL_INDEX_NAME);
+        log.info('Retention removed', { collection: key });
+      }
+      return;
+    }
+
+    if (!ttlIndex) {
+      await collection.createIndex({ time: 1 }, { name: TTL_INDEX_NAME, expireAfterSeconds });
+    } else if (ttlIndex.expireAfterSeconds !== expireAfterSeconds) {
+      await this.client.db(route.database).command({
+        collMod: route.collection,
+        index: { name: TTL_INDEX_NAME, expireAfterSeconds },
+      });
+    } else {
+      return;
+    }
+
+    log.info('Retention changed', { collection: key, expireAfterSeconds });
+  }
+
+  /**
+   * Create the indexes of a routed collection
+   * @param {Object} route - Route from the event router
+   * @param {Object} storage - Effective storage settings of the collection
+   */
+  async createIndexes(route, storage) {
+    const key = `${route.database}.${route.collection}`;
+
+    try {
+      const indexes = [
+        ...(route.indexes || (storage.timeSeries ? TIME_SERIES_INDEXES : DEFAULT_INDEXES)),
+      ];
+
+      // Kafka provenance: trace a document back to its record, and ingestion-time queries
+      if (config.mongodb.storeMetadata) {
+        indexes.push(...METADATA_INDEXES);
+      }
+
+      const collection = this.getCollection(route);
+      for (const index of indexes) {
+        await collection.createIndex(index.key, index.options || {});
+      }
+
+      log.info('Indexes created', { collection: key });
     } catch (error) {
-      console.error('[MongoDB Writer] Failed to create indexes:', error);
+      log.error('Failed to create indexes', { collection: key, error });
       // Don't throw - indexes are optional for functionality
     }
   }
 
+  /**
+   * Collection handle for a route, cached per database/collection
+   * @param {Object} route - Route from the event router
+   */
+  getCollection(route) {
+    const key = `${route.database}.${route.collection}`;
+
+    if (!this.collections.has(key)) {
+      this.collections.set(key, this.client.db(route.database).collection(route.collection));
+    }
+
+    return this.collections.get(key);
+  }
+
+  /**
+   * Effective storage settings for a route's collection
+   * @param {Object} route - Route from the event router
+   */
+  getStorage(route) {
+    return this.storage.get(`${route.database}.${route.collection}`) || route.storage;
+  }
+
   /**
    * Check if circuit breaker allows requests
    */
@@ -139,13 +483,15 @@ class MongoDBWriter {
     }
 
     if (this.circuitState === CircuitState.OPEN) {
+      if (this.circuitHeldOpen) {
+        return false;
+      }
+
       const now = Date.now();
       const timeSinceLastFailure = now - this.lastFailureTime;
 
       if (timeSinceLastFailure >= config.circuitBreaker.timeoutMs) {
-        console.log('[MongoDB Writer] Circuit breaker entering HALF_OPEN state');
-        this.circuitState = CircuitState.HALF_OPEN;
-        this.successCount = 0;
+        this.enterHalfOpen();
         return true;
       }
 
@@ -156,6 +502,67 @@ class MongoDBWriter {
     return true;
   }
 
+  /**
+   * Move an OPEN breaker to HALF_OPEN so test requests are allowed through
+   */
+  enterHalfOpen() {
+    log.info('Circuit breaker entering HALF_OPEN state');
+    this.successCount = 0;
+    this.setCircuitState(CircuitState.HALF_OPEN);
+  }
+
+  /**
+   * Transition the circuit breaker and notify subscribers
+   * @param {string} state - New CircuitState
+   */
+  setCircuitState(state) {
+    const previousState = this.circuitState;
+    this.circuitState = state;
+
+    if (this.halfOpenTimer) {
+      clearTimeout(this.halfOpenTimer);
+      this.halfOpenTimer = null;
+    }
+
+    if (state === CircuitState.OPEN && !this.circuitHeldOpen) {
+      this.halfOpenTimer = setTimeout(() => {
+        this.halfOpenTimer = null;
+        if (this.circuitState === CircuitState.OPEN) {
+          this.enterHalfOpen();
+        }
+      }, config.circuitBreaker.timeoutMs);
+      this.halfOpenTimer.unref();
+    }
+
+    if (previousState !== state) {
+      this.emit('circuitStateChange', { previousState, state });
+    }
+  }
+
+  /**
+   * Force the circuit breaker into a state
+   *
+   * OPEN is held, without moving to HALF_OPEN, until another state is forced. CLOSED and
+   * HALF_OPEN reset the counters and then behave as usual.
+   * @param {string} state - CircuitState
+   */
+  forceCircuitState(state) {
+    if (!Object.values(CircuitState).includes(state)) {
+      throw new Error(`Unknown circuit breaker state: ${state}`);
+    }
+
+    log.warn('Circuit breaker forced', { state });
+    this.failureCount = 0;
+    this.successCount = 0;
+    this.circuitHeldOpen = state === CircuitState.OPEN;
+
+    if (state === CircuitState.OPEN) {
+      this.lastFailureTime = Date.now();
+    }
+
+    this.setCircuitState(state);
+  }
+
   /**
    * Record successful operation
    */
@@ -166,9 +573,9 @@ class MongoDBWriter {
       this.successCount++;
 
       if (this.successCount >= config.circuitBreaker.successThreshold) {
-        console.log('[MongoDB Writer] Circuit breaker closing after successful operations');
-        this.circuitState = CircuitState.CLOSED;
+        log.info('Circuit breaker closing after successful operations');
         this.successCount = 0;
+        this.setCircuitState(CircuitState.CLOSED);
       }
     }
   }
@@ -181,147 +588,660 @@ class MongoDBWriter {
     this.lastFailureTime = Date.now();
 
     if (this.circuitState === CircuitState.HALF_OPEN) {
-      console.log('[MongoDB Writer] Circuit breaker reopening after failure in HALF_OPEN state');
-      this.circuitState = CircuitState.OPEN;
+      log.warn('Circuit breaker reopening after failure in HALF_OPEN state');
+      this.setCircuitState(CircuitState.OPEN);
       return;
     }
 
     if (this.failureCount >= config.circuitBreaker.failureThreshold) {
-      console.log(`[MongoDB Writer] Circuit breaker opening after ${this.failureCount} failures`);
-      this.circuitState = CircuitState.OPEN;
+      // Already OPEN: restart the timeout from this failure
+      if (this.circuitState !== CircuitState.OPEN) {
+        log.warn('Circuit breaker opening', { failures: this.failureCount });
+      }
+      this.setCircuitState(CircuitState.OPEN);
     }
   }
 
   /**
    * Write a single event to MongoDB
    * @param {Object} event - CloudEvent to write
+   * @param {Object} [options] - `topic`: topic the event was consumed from, for routing
    * @returns {Promise<Object>} Write result
    */
-  async writeEvent(event) {
+  async writeEvent(event, options = {}) {
     if (!this.canExecute()) {
-      throw new Error('Circuit breaker is OPEN - MongoDB writes are temporarily disabled');
+      throw new CircuitOpenError();
     }
 
+    const startTime = Date.now();
+
     try {
       this.metrics.totalWrites++;
 
-      // Use event ID as MongoDB _id for idempotency
-      const document = {
-        _id: event.id,
-        ...event,
-      };
-
-      // Upsert to handle duplicates gracefully
-      const result = await this.collection.updateOne(
-        { _id: document._id },
-        { $setOnInsert: document },
-        { upsert: true }
+      const { upsertedIds, writeErrors } = await this.writeDocuments(
+        eventRouter.resolve(event, options.topic),
+        [event]
       );
+      const [writeError] = writeErrors;
+
+      if (writeError && writeError.code !== DUPLICATE_KEY_ERROR) {
+        throw Object.assign(new Error(writeError.errmsg), { code: writeError.code });
+      }
+
+      const inserted = !writeError && upsertedIds[0] !== undefined;
 
-      if (result.upsertedCount > 0) {
+      if (inserted) {
         this.metrics.successfulWrites++;
-        this.recordSuccess();
-        return { success: true, inserted: true, eventId: event.id };
+        await this.updateDerived([event]);
       } else {
         // Document already exists (duplicate)
         this.metrics.duplicateWrites++;
-        this.recordSuccess();
-        return { success: true, inserted: false, eventId: event.id, duplicate: true };
       }
+
+      this.recordSuccess();
+      this.emitWrite('single', startTime, {
+        total: 1,
+        inserted: inserted ? 1 : 0,
+        duplicates: inserted ? 0 : 1,
+      });
+
+      return inserted
+        ? { success: true, inserted: true, eventId: event.id }
+        : { success: true, inserted: false, eventId: event.id, duplicate: true };
     } catch (error) {
       this.metrics.failedWrites++;
       this.recordFailure();
-      console.error('[MongoDB Writer] Failed to write event:', error);
+      this.emitWrite('single', startTime, { total: 1, failed: 1 });
+      log.error('Failed to write event', {
+        eventId: event.id,
+        eventType: event.type,
+        topic: options.topic,
+        error,
+      });
       throw error;
     }
   }
 
   /**
    * Write multiple events in a batch
+   *
+   * Events are grouped by routed collection and each group is written with an unordered
+   * bulkWrite, so one bad document doesn't stop the rest. Per-document write errors are
+   * mapped back to the index of the originating event in `results`, so callers can
+   * dead-letter only the events that actually failed.
+   *
+   * With `options.offset` the writes and the partition offset are committed in one
+   * transaction (see writeTransaction).
+   *
    * @param {Array<Object>} events - Array of CloudEvents to write
+   * @param {Object} [options] - `topics`: topic each event was consumed from, for routing;
+   *   `{ offset, onFailed }` for a transactional write
    * @returns {Promise<Object>} Batch write result
    */
-  async writeBatch(events) {
+  async writeBatch(events, options = {}) {
     if (!this.canExecute()) {
-      throw new Error('Circuit breaker is OPEN - MongoDB writes are temporarily disabled');
+      throw new CircuitOpenError();
     }
 
-    if (!events || events.length === 0) {
-      return { success: true, inserted: 0, duplicates: 0, failed: 0 };
+    if ((!events || events.length === 0) && !options.offset) {
+      return { success: true, inserted: 0, duplicates: 0, failed: 0, total: 0, results: [] };
     }
 
-    try {
-      this.metrics.totalWrites += events.length;
-      this.metrics.batchWrites++;
-
-      // Prepare bulk operations
-      const operations = events.map((event) => ({
-        updateOne: {
-          filter: { _id: event.id },
-          update: { $setOnInsert: { _id: event.id, ...event } },
-          upsert: true,
-        },
-      }));
+    const startTime = Date.now();
+    this.metrics.totalWrites += events.length;
+    this.metrics.batchWrites++;
 
-      // Execute bulk write
-      const result = await this.collection.bulkWrite(operations, { ordered: false });
+    let outcome;
 
-      const inserted = result.upsertedCount || 0;
-      const duplicates = events.length - inserted;
+    try {
+      outcome = options.offset
+        ? await this.writeTransaction(events, options)
+        : await this.writeGroups(events, undefined, options.topics);
+    } catch (error) {
+      // Another writer moved the offset: nothing is wrong with MongoDB
+      if (error instanceof OffsetConflictError) {
+        throw error;
+      }
 
-      this.metrics.successfulWrites += inserted;
-      this.metrics.duplicateWrites += duplicates;
+      this.metrics.failedWrites += events.length;
+      this.recordFailure();
+      this.emitWrite('batch', startTime, { total: events.length, failed: events.length });
+      log.error('Batch write failed', { count: events.length, error });
+      throw error;
+    }
 
-      this.recordSuccess();
+    const { routes, upserted, errorsByIndex } = outcome;
 
-      console.log(
-        `[MongoDB Writer] Batch write complete: ${inserted} inserted, ${duplicates} duplicates`
-      );
+    const results = events.map((event, index) => {
+      const writeError = errorsByIndex.get(index);
+
+      // A concurrent upsert of the same _id loses the race with a duplicate key error
+      if (writeError && writeError.code !== DUPLICATE_KEY_ERROR) {
+        return {
+          index,
+          eventId: event.id,
+          route: routes[index],
+          success: false,
+          error: { code: writeError.code, message: writeError.errmsg },
+        };
+      }
 
+      const inserted = !writeError && upserted.has(index);
       return {
+        index,
+        eventId: event.id,
+        route: routes[index],
         success: true,
         inserted,
-        duplicates,
-        failed: 0,
-        total: events.length,
+        duplicate: !inserted,
       };
+    });
+
+    // Transactional writes updated their derived views in the transaction
+    if (!options.offset) {
+      await this.updateDerived(events.filter((event, index) => results[index].inserted));
+    }
+
+    const inserted = results.filter((result) => result.inserted).length;
+    const failed = results.filter((result) => !result.success).length;
+    const duplicates = events.length - inserted - failed;
+
+    this.metrics.successfulWrites += inserted;
+    this.metrics.duplicateWrites += duplicates;
+    this.metrics.failedWrites += failed;
+
+    // Partial failures are document-level problems, not an unhealthy MongoDB
+    this.recordSuccess();
+
+    if (events.length > 0) {
+      this.emitWrite('batch', startTime, { total: events.length, inserted, duplicates, failed });
+      log.debug('Batch write complete', { inserted, duplicates, failed });
+    }
+
+    return {
+      success: failed === 0,
+      inserted,
+      duplicates,
+      failed,
+      total: events.length,
+      results,
+    };
+  }
+
+  /**
+   * Write events grouped by routed collection
+   * @param {Array<Object>} events - CloudEvents to write
+   * @param {ClientSession} [session] - Session of an active transaction
+   * @param {Array<string>} [topics] - Topic each event was consumed from
+   * @returns {Promise<Object>} `{ routes, upserted, errorsByIndex }` by batch index
+   */
+  async writeGroups(events, session, topics = []) {
+    // Group events by target collection, remembering each event's position in the batch
+    const groups = new Map();
+    events.forEach((event, index) => {
+      const route = eventRouter.resolve(event, topics[index]);
+      const key = `${route.database}.${route.collection}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { route, indexes: [] });
+      }
+      groups.get(key).indexes.push(index);
+    });
+
+    const routes = new Array(events.length);
+    const upserted = new Set();
+    const errorsByIndex = new Map();
+
+    // Operations in a transaction share one session and must not run concurrently
+    const writeGroup = async ({ route, indexes }) => {
+      const { upsertedIds, writeErrors } = await this.writeDocuments(
+        route,
+        indexes.map((index) => events[index]),
+        session
+      );
+
+      // Map per-collection operation indexes back to batch indexes
+      indexes.forEach((index, position) => {
+        routes[index] = route.name;
+        if (upsertedIds[position] !== undefined) {
+          upserted.add(index);
+        }
+      });
+      writeErrors.forEach((writeError) => errorsByIndex.set(indexes[writeError.index], writeError));
+    };
+
+    if (session) {
+      for (const group of groups.values()) {
+        await writeGroup(group);
+      }
+    } else {
+      await Promise.all([...groups.values()].map(writeGroup));
+    }
+
+    return { routes, upserted, errorsByIndex };
+  }
+
+  /**
+   * Write events and advance a partition's stored offset in one transaction
+   *
+   * A document error aborts a transaction, so documents that fail are excluded and the
+   * transaction is run again without them. `onFailed` is awaited with the failures before
+   * that retry, so failed events are handed off (to a retry topic or the DLQ) before the
+   * offset that skips them is committed. If the retry then fails as a whole, the caller must
+   * not hand those events off again.
+   *
+   * @param {Array<Object>} events - CloudEvents to write
+   * @param {Object} options - `offset`: `{ topic, partition, expected, next }` where
+   *   `expected` is the stored offset this write continues from (null if none),
+   *   `onFailed`: async callback receiving `{ index, eventId, error }` failures, and
+   *   `topics`: topic each event was consumed from
+   * @returns {Promise<Object>} `{ routes, upserted, errorsByIndex }` by batch index
+   */
+  async writeTransaction(events, { offset, onFailed = async () => {}, topics = [] }) {
+    const session = this.client.startSession();
+    const excluded = new Map();
+
+    try {
+      for (;;) {
+        const included = events
+          .map((event, index) => index)
+          .filter((index) => !excluded.has(index));
+        let outcome;
+
+        try {
+          await session.withTransaction(async () => {
+            outcome = await this.writeGroups(
+              included.map((index) => events[index]),
+              session,
+              included.map((index) => topics[index])
+            );
+
+            if (outcome.errorsByIndex.size > 0) {
+              throw new DocumentWriteError();
+            }
+
+            await this.updateDerived(
+              included
+                .filter((index, position) => outcome.upserted.has(position))
+                .map((index) => events[index]),
+              session
+            );
+            await this.storeOffset(offset, session);
+          });
+        } catch (error) {
+          if (!(error instanceof DocumentWriteError)) {
+            throw error;
+          }
+
+          const failures = [];
+          for (const [position, writeError] of outcome.errorsByIndex) {
+            const index = included[position];
+            excluded.set(index, writeError);
+
+            if (writeError.code !== DUPLICATE_KEY_ERROR) {
+              failures.push({
+                index,
+                eventId: events[index].id,
+                error: { code: writeError.code, message: writeError.errmsg },
+              });
+            }
+          }
+
+          await onFailed(failures);
+          continue;
+        }
+
+        // Map the committed attempt back to batch indexes
+        const routes = events.map((event, index) => eventRouter.resolve(event, topics[index]).name);
+        const upserted = new Set(
+          included.filter((index, position) => outcome.upserted.has(position))
+        );
+
+        return { routes, upserted, errorsByIndex: excluded };
+      }
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Update rollups and projections for newly inserted events
+   *
+   * Only inserts count: a redelivered event is a duplicate and leaves the views alone.
+   * Outside a transaction the events are already stored, so a failure is logged and counted
+   * rather than failing the write, which would redeliver the events as duplicates and still
+   * not apply them. Inside a transaction a failure aborts the writes with it.
+   * @param {Array<Object>} events - Newly inserted CloudEvents, in batch order
+   * @param {ClientSession} [session] - Session of an active transaction
+   */
+  async updateDerived(events, session) {
+    if (events.length === 0) {
+      return;
+    }
+
+    for (const { name, view, failures } of DERIVED_VIEWS) {
+      if (!view.isEnabled()) {
+        continue;
+      }
+
+      if (session) {
+        await view.apply(this.client, events, session);
+        continue;
+      }
+
+      try {
+        await view.apply(this.client, events);
+      } catch (error) {
+        this.metrics[failures]++;
+        log.error('Failed to update derived view', { view: name, count: events.length, error });
+      }
+    }
+  }
+
+  /**
+   * Compare-and-set a partition's stored offset within a transaction
+   *
+   * Fails with OffsetConflictError when the stored offset is not the one this writer
+   * continued from, which fences out a previous owner of the partition after a rebalance.
+   * @param {Object} offset - `{ topic, partition, expected, next }`
+   * @param {ClientSession} session - Session of the active transaction
+   */
+  async storeOffset({ topic, partition, expected, next }, session) {
+    const collection = this.getOffsetsCollection();
+    const _id = `${config.kafka.groupId}:${topic}:${partition}`;
+    const document = {
+      groupId: config.kafka.groupId,
+      topic,
+      partition,
+      offset: next,
+      updatedAt: new Date(),
+    };
+
+    if (expected === null) {
+      try {
+        await collection.insertOne({ _id, ...document }, { session });
+      } catch (error) {
+        if (error.code === DUPLICATE_KEY_ERROR) {
+          throw new OffsetConflictError(topic, partition);
+        }
+        throw error;
+      }
+      return;
+    }
+
+    const result = await collection.updateOne(
+      { _id, offset: expected },
+      { $set: document },
+      { session }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new OffsetConflictError(topic, partition);
+    }
+  }
+
+  /**
+   * Overwrite a partition's stored offset, e.g. when an operator seeks
+   * @param {string} topic - Topic name
+   * @param {number} partition - Partition number
+   * @param {number} offset - Next offset to consume
+   */
+  async resetStoredOffset(topic, partition, offset) {
+    await this.getOffsetsCollection().updateOne(
+      { _id: `${config.kafka.groupId}:${topic}:${partition}` },
+      {
+        $set: {
+          groupId: config.kafka.groupId,
+          topic,
+          partition,
+          offset,
+          updatedAt: new Date(),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Stored offsets of this consumer group
+   * @param {Array<string>} topics - Topics to read offsets for
+   * @returns {Promise<Array<Object>>} `{ topic, partition, offset }` entries; `offset` is the
+   *   next offset to consume
+   */
+  async getStoredOffsets(topics) {
+    return this.getOffsetsCollection()
+      .find(
+        { groupId: config.kafka.groupId, topic: { $in: topics } },
+        { projection: { _id: 0, topic: 1, partition: 1, offset: 1 } }
+      )
+      .toArray();
+  }
+
+  /**
+   * Collection holding transactionally committed partition offsets
+   */
+  getOffsetsCollection() {
+    return this.client.db(config.mongodb.database).collection(config.exactlyOnce.offsetsCollection);
+  }
+
+  /**
+   * Write events to a route's collection, skipping events that are already stored
+   *
+   * Per-document write errors are returned rather than thrown; anything else throws.
+   * @param {Object} route - Route from the event router
+   * @param {Array<Object>} events - CloudEvents for this route
+   * @param {ClientSession} [session] - Session of an active transaction
+   * @returns {Promise<Object>} `{ upsertedIds, writeErrors }` keyed by event position
+   */
+  async writeDocuments(route, events, session) {
+    const storage = this.getStorage(route);
+    const collection = this.getCollection(route);
+    const documents = events.map((event) => toDocument(event, storage));
+
+    return storage.timeSeries
+      ? this.insertNew(collection, documents)
+      : this.bulkUpsert(collection, documents, session);
+  }
+
+  /**
+   * Upsert documents into a regular collection with an unordered bulkWrite
+   */
+  async bulkUpsert(collection, documents, session) {
+    const operations = documents.map((document) => ({
+      updateOne: {
+        filter: { _id: document._id },
+        update: { $setOnInsert: document },
+        upsert: true,
+      },
+    }));
+
+    try {
+      const result = await collection.bulkWrite(operations, { ordered: false, session });
+      return { upsertedIds: result.upsertedIds || {}, writeErrors: [] };
     } catch (error) {
-      this.metrics.failedWrites += events.length;
-      this.recordFailure();
-      console.error('[MongoDB Writer] Batch write failed:', error);
-      throw error;
+      if (error.name !== 'MongoBulkWriteError' || !error.writeErrors || !error.result) {
+        throw error;
+      }
+
+      return {
+        upsertedIds: error.result.upsertedIds || {},
+        writeErrors: [].concat(error.writeErrors),
+      };
+    }
+  }
+
+  /**
+   * Insert documents into a time-series collection, skipping ones already stored
+   *
+   * Time-series collections can't enforce a unique `_id` or upsert, so existing ids are
+   * looked up within the batch's time range first. Writers racing on the same event can
+   * still both insert it.
+   */
+  async insertNew(collection, documents) {
+    const times = documents
+      .map((document) => document.time)
+      .filter((time) => time instanceof Date)
+      .map((time) => time.getTime());
+    const seen = new Set();
+
+    if (times.length > 0) {
+      const existing = await collection
+        .find(
+          {
+            _id: { $in: documents.map((document) => document._id) },
+            time: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) },
+          },
+          { projection: { _id: 1 } }
+        )
+        .toArray();
+      existing.forEach((document) => seen.add(document._id));
+    }
+
+    // Positions of documents to insert; repeats within the batch count as duplicates
+    const positions = [];
+    documents.forEach((document, position) => {
+      if (!seen.has(document._id)) {
+        seen.add(document._id);
+        positions.push(position);
+      }
+    });
+
+    let writeErrors = [];
+
+    if (positions.length > 0) {
+      try {
+        await collection.insertMany(
+          positions.map((position) => documents[position]),
+          { ordered: false }
+        );
+      } catch (error) {
+        if (error.name !== 'MongoBulkWriteError' || !error.writeErrors) {
+          throw error;
+        }
+
+        writeErrors = [].concat(error.writeErrors).map((writeError) => ({
+          index: positions[writeError.index],
+          code: writeError.code,
+          errmsg: writeError.errmsg,
+        }));
+      }
+    }
+
+    const failed = new Set(writeErrors.map((writeError) => writeError.index));
+    const upsertedIds = Object.fromEntries(
+      positions
+        .filter((position) => !failed.has(position))
+        .map((position) => [position, documents[position]._id])
+    );
+
+    return { upsertedIds, writeErrors };
+  }
+
+  /**
+   * Write a batch of events with retry logic
+   *
+   * Only whole-batch failures are retried; per-document failures are returned in `results`.
+   * @param {Array<Object>} events - Array of CloudEvents to write
+   * @param {Object} [options] - `topics`: topic each event was consumed from, for routing
+   * @param {number} attempt - Current attempt number
+   * @returns {Promise<Object>} Batch write result
+   */
+  async writeBatchWithRetry(events, options = {}, attempt = 1) {
+    try {
+      return await this.writeBatch(events, { topics: options.topics });
+    } catch (error) {
+      if (error instanceof CircuitOpenError) {
+        throw error;
+      }
+
+      if (attempt >= config.retry.maxAttempts) {
+        log.error('Batch write failed after retries', { attempts: attempt, error });
+        throw error;
+      }
+
+      const delay = this.getRetryDelay(attempt);
+
+      log.warn('Retrying batch write', {
+        attempt: attempt + 1,
+        maxAttempts: config.retry.maxAttempts,
+        delayMs: delay,
+      });
+
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      return this.writeBatchWithRetry(events, options, attempt + 1);
     }
   }
 
   /**
    * Write event with retry logic
    * @param {Object} event - CloudEvent to write
+   * @param {Object} [options] - `topic`: topic the event was consumed from, for routing
    * @param {number} attempt - Current attempt number
    * @returns {Promise<Object>} Write result
    */
-  async writeEventWithRetry(event, attempt = 1) {
+  async writeEventWithRetry(event, options = {}, attempt = 1) {
     try {
-      return await this.writeEvent(event);
+      return await this.writeEvent(event, options);
     } catch (error) {
+      // Retrying against an open breaker only burns the backoff delay
+      if (error instanceof CircuitOpenError) {
+        throw error;
+      }
+
       if (attempt >= config.retry.maxAttempts) {
-        console.error(`[MongoDB Writer] Event write failed after ${attempt} attempts:`, error);
+        log.error('Event write failed after retries', {
+          eventId: event.id,
+          eventType: event.type,
+          attempts: attempt,
+          error,
+        });
         throw error;
       }
 
-      const delay = Math.min(
-        config.retry.initialDelay * Math.pow(config.retry.backoffMultiplier, attempt - 1),
-        config.retry.maxDelay
-      );
+      const delay = this.getRetryDelay(attempt);
 
-      console.log(
-        `[MongoDB Writer] Retrying event write (attempt ${attempt + 1}/${config.retry.maxAttempts}) after ${delay}ms`
-      );
+      log.warn('Retrying event write', {
+        eventId: event.id,
+        attempt: attempt + 1,
+        maxAttempts: config.retry.maxAttempts,
+        delayMs: delay,
+      });
 
       await new Promise((resolve) => setTimeout(resolve, delay));
-      return this.writeEventWithRetry(event, attempt + 1);
+      return this.writeEventWithRetry(event, options, attempt + 1);
     }
   }
 
+  /**
+   * Emit a `write` instrumentation event
+   * @param {string} operation - 'single' or 'batch'
+   * @param {number} startTime - Write start timestamp (ms)
+   * @param {Object} counts - Document counts for the write
+   */
+  emitWrite(operation, startTime, { total, inserted = 0, duplicates = 0, failed = 0 }) {
+    this.emit('write', {
+      operation,
+      outcome: failed === total ? 'failure' : 'success',
+      durationMs: Date.now() - startTime,
+      total,
+      inserted,
+      duplicates,
+      failed,
+    });
+  }
+
+  /**
+   * Exponential backoff delay before the next attempt
+   * @param {number} attempt - Attempt number that just failed
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    return Math.min(
+      config.retry.initialDelay * Math.pow(config.retry.backoffMultiplier, attempt - 1),
+      config.retry.maxDelay
+    );
+  }
+
   /**
    * Get current metrics
    * @returns {Object} Current metrics
@@ -330,6 +1250,7 @@ class MongoDBWriter {
     return {
       ...this.metrics,
       circuitState: this.circuitState,
+      circuitHeldOpen: this.circuitHeldOpen,
       isConnected: this.isConnected,
     };
   }
@@ -353,6 +1274,7 @@ class MongoDBWriter {
       return {
         status: 'healthy',
         circuitState: this.circuitState,
+        circuitHeldOpen: this.circuitHeldOpen,
         metrics: this.metrics,
       };
     } catch (error) {
@@ -367,14 +1289,21 @@ class MongoDBWriter {
    * Close MongoDB connection
    */
   async close() {
+    if (this.halfOpenTimer) {
+      clearTimeout(this.halfOpenTimer);
+      this.halfOpenTimer = null;
+    }
+
     if (this.client) {
-      console.log('[MongoDB Writer] Closing connection...');
+      log.info('Closing connection');
       await this.client.close();
       this.isConnected = false;
       this.client = null;
       this.db = null;
       this.collection = null;
-      console.log('[MongoDB Writer] Connection closed');
+      this.collections.clear();
+      this.storage.clear();
+      log.info('Connection closed');
     }
   }
 }
@@ -0,0 +1,308 @@
+/**
+ * Entity Projections
+ *
+ * Maintains a latest-state document per entity alongside the raw events, using reducer
+ * rules per event type from `config.projections.file` (JSON or YAML):
+ *
+ *   projections:
+ *     - name: orders
+ *       collection: order_state
+ *       key: data.orderId          # event path of the entity id (default: subject)
+ *       sequence: seq              # numeric extension to order by (default: time)
+ *       rules:
+ *         com.example.order.created:
+ *           set: { status: created, customer: $data.customer }
+ *         com.example.order.item_added:
+ *           inc: { itemCount: 1, total: $data.price }
+ *           push: { items: $data.sku }
+ *         com.example.order.discount_removed:
+ *           unset: [discount]
+ *         com.example.order.deleted:
+ *           delete: true
+ *
+ * String values starting with `$` are event paths; anything else is a literal. Fields whose
+ * path is missing from the event are left unchanged.
+ *
+ * Entity documents keep the state fields at the top level and bookkeeping in `_projection`:
+ * `{ position, eventId, type, deleted, updatedAt }`. `position` is the time or sequence of
+ * the newest event applied. Events can arrive out of order across partitions, so:
+ * - `set`, `unset` and `delete` only apply when the event is at or after `position`
+ * - `inc` and `push` accumulate whatever the order, unless a newer event deleted the entity
+ * - `delete` leaves a tombstone (`_projection.deleted: true`) so older events can't bring
+ *   the entity back
+ *
+ * The checks run server-side in one pipeline update per event, so a stale event is a no-op
+ * rather than a write error. Callers must only pass newly inserted events, otherwise a
+ * redelivered event would accumulate twice.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const log = require('../logging/logger').child({ component: 'Entity Projections' });
+
+const OPERATIONS = ['set', 'inc', 'push', 'unset', 'delete'];
+const RESERVED_FIELDS = ['_id', '_projection'];
+const FIELD_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+/**
+ * Value at a dotted path
+ */
+function getPath(object, dottedPath) {
+  return dottedPath
+    .split('.')
+    .reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Resolve a rule value against an event: `$path` references read the event
+ */
+function resolveValue(event, value) {
+  return typeof value === 'string' && value.startsWith('$')
+    ? getPath(event, value.slice(1))
+    : value;
+}
+
+/**
+ * Numeric sequence from an extension attribute (NaN when missing or not a number)
+ */
+function toSequence(value) {
+  return (typeof value === 'string' && value.trim() !== '') || typeof value === 'number'
+    ? Number(value)
+    : NaN;
+}
+
+/**
+ * Validate the reducer rule for one event type
+ */
+function validateRule(name, type, rule) {
+  const operations = Object.keys(rule || {});
+  const unknown = operations.find((operation) => !OPERATIONS.includes(operation));
+
+  if (operations.length === 0 || unknown) {
+    throw new Error(`Projection ${name} rule for ${type} must use only: ${OPERATIONS.join(', ')}`);
+  }
+
+  if (rule.delete !== undefined && (rule.delete !== true || operations.length > 1)) {
+    throw new Error(`Projection ${name} rule for ${type} must be delete: true on its own`);
+  }
+
+  if (rule.unset !== undefined && !Array.isArray(rule.unset)) {
+    throw new Error(`Projection ${name} rule for ${type} must list unset fields in an array`);
+  }
+
+  const fields = [
+    ...Object.keys(rule.set || {}),
+    ...Object.keys(rule.inc || {}),
+    ...Object.keys(rule.push || {}),
+    ...(rule.unset || []),
+  ];
+
+  for (const field of fields) {
+    if (!FIELD_PATTERN.test(field) || RESERVED_FIELDS.includes(field.split('.')[0])) {
+      throw new Error(`Projection ${name} rule for ${type} has an invalid field: ${field}`);
+    }
+  }
+
+  if (new Set(fields).size !== fields.length) {
+    throw new Error(`Projection ${name} rule for ${type} updates a field more than once`);
+  }
+}
+
+/**
+ * Entity Projections Class
+ */
+class EntityProjections {
+  constructor() {
+    this.projections = [];
+  }
+
+  /**
+   * Load the projection table, if one is configured
+   */
+  load() {
+    const { file } = config.projections;
+
+    if (!file) {
+      this.projections = [];
+      return;
+    }
+
+    const contents = fs.readFileSync(file, 'utf8');
+    const table = ['.yaml', '.yml'].includes(path.extname(file))
+      ? yaml.load(contents)
+      : JSON.parse(contents);
+
+    this.projections = (table.projections || []).map((definition, index) =>
+      this.buildProjection({ name: `projection-${index}`, ...definition })
+    );
+
+    log.info('Loaded projections', { count: this.projections.length, file });
+  }
+
+  /**
+   * Validate a projection definition
+   * @param {Object} definition - Projection from the projection table
+   */
+  buildProjection(definition) {
+    const { name, collection, key = 'subject', sequence = null, rules = {} } = definition;
+
+    if (!collection) {
+      throw new Error(`Projection ${name} has no collection`);
+    }
+
+    if (Object.keys(rules).length === 0) {
+      throw new Error(`Projection ${name} has no rules`);
+    }
+
+    for (const [type, rule] of Object.entries(rules)) {
+      validateRule(name, type, rule);
+    }
+
+    return {
+      name,
+      database: definition.database || config.mongodb.database,
+      collection,
+      key,
+      sequence,
+      rules,
+    };
+  }
+
+  /**
+   * Whether any projection is configured
+   */
+  isEnabled() {
+    return this.projections.length > 0;
+  }
+
+  /**
+   * Apply newly inserted events to their projections
+   * @param {MongoClient} client - Connected MongoDB client
+   * @param {Array<Object>} events - Newly inserted CloudEvents, in partition order
+   * @param {ClientSession} [session] - Session of an active transaction
+   */
+  async apply(client, events, session) {
+    for (const projection of this.projections) {
+      const operations = events
+        .map((event) => this.buildOperation(projection, event))
+        .filter(Boolean);
+
+      // Ordered, so events for the same entity apply in the order they were consumed
+      if (operations.length > 0) {
+        await client
+          .db(projection.database)
+          .collection(projection.collection)
+          .bulkWrite(operations, { ordered: true, session });
+      }
+    }
+  }
+
+  /**
+   * Pipeline upsert applying one event to its entity
+   * @param {Object} projection - Projection definition
+   * @param {Object} event - CloudEvent
+   * @returns {Object|null} bulkWrite operation, or null if the projection ignores the event
+   */
+  buildOperation(projection, event) {
+    const rule = projection.rules[event.type];
+    if (!rule) {
+      return null;
+    }
+
+    const id = getPath(event, projection.key);
+    const position = projection.sequence
+      ? toSequence(event[projection.sequence])
+      : new Date(event.time);
+
+    // Events without an entity id or a position can't be placed in the entity's history
+    if (
+      (typeof id !== 'string' && typeof id !== 'number') ||
+      String(id) === '' ||
+      Number.isNaN(position.valueOf())
+    ) {
+      return null;
+    }
+
+    // Ties go to the later delivery, which within a partition is the later event
+    const current = { $lte: ['$_projection.position', { $literal: position }] };
+    const accumulate = { $or: [current, { $ne: ['$_projection.deleted', true] }] };
+    const bookkeeping = (deleted) => ({
+      position: { $literal: position },
+      eventId: { $literal: event.id },
+      type: { $literal: event.type },
+      deleted,
+      updatedAt: '$$NOW',
+    });
+
+    if (rule.delete) {
+      return {
+        updateOne: {
+          filter: { _id: String(id) },
+          update: [
+            {
+              $replaceWith: {
+                $cond: [current, { _id: '$_id', _projection: bookkeeping(true) }, '$$ROOT'],
+              },
+            },
+          ],
+          upsert: true,
+        },
+      };
+    }
+
+    const fields = {};
+    const whenCurrent = (field, value) => ({ $cond: [current, value, `$${field}`] });
+    const whenAccumulating = (field, value) => ({ $cond: [accumulate, value, `$${field}`] });
+
+    for (const [field, value] of Object.entries(rule.set || {})) {
+      const resolved = resolveValue(event, value);
+      if (resolved !== undefined) {
+        fields[field] = whenCurrent(field, { $literal: resolved });
+      }
+    }
+
+    for (const field of rule.unset || []) {
+      fields[field] = whenCurrent(field, '$$REMOVE');
+    }
+
+    for (const [field, value] of Object.entries(rule.inc || {})) {
+      const resolved = resolveValue(event, value);
+      if (typeof resolved === 'number' && Number.isFinite(resolved)) {
+        fields[field] = whenAccumulating(field, {
+          $add: [{ $ifNull: [`$${field}`, 0] }, { $literal: resolved }],
+        });
+      }
+    }
+
+    for (const [field, value] of Object.entries(rule.push || {})) {
+      const resolved = resolveValue(event, value);
+      if (resolved !== undefined) {
+        fields[field] = whenAccumulating(field, {
+          $concatArrays: [{ $ifNull: [`$${field}`, []] }, [{ $literal: resolved }]],
+        });
+      }
+    }
+
+    // Every expression in one $set sees the entity as it was before this event
+    fields._projection = {
+      $cond: [
+        current,
+        bookkeeping(false),
+        { $mergeObjects: ['$_projection', { updatedAt: '$$NOW' }] },
+      ],
+    };
+
+    return {
+      updateOne: {
+        filter: { _id: String(id) },
+        update: [{ $set: fields }],
+        upsert: true,
+      },
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new EntityProjections();
@@ -0,0 +1,128 @@
+/**
+ * Event Rollups
+ *
+ * Maintains pre-aggregated event counts alongside the raw events, so dashboards don't have
+ * to aggregate the events collection. Each rollup document covers one type and source in
+ * one time bucket:
+ *
+ *   { granularity: 'hour', bucket: ISODate, type, source, count, sums: { amount }, updatedAt }
+ *
+ * Buckets are UTC minutes, hours or days of the event `time`. Events without a valid `time`
+ * are not counted. `sums` totals the numeric `data` fields configured in
+ * `config.rollups.sums`; events where a field is missing or not a number add nothing to it.
+ *
+ * Callers must only pass newly inserted events: rollups are incremented, so applying a
+ * duplicate would count it twice.
+ */
+
+const config = require('../config');
+
+/**
+ * Truncate a date to the start of its UTC bucket
+ */
+const TRUNCATE = {
+  minute: (date) => new Date(Math.floor(date.getTime() / 60000) * 60000),
+  hour: (date) => new Date(Math.floor(date.getTime() / 3600000) * 3600000),
+  day: (date) => new Date(Math.floor(date.getTime() / 86400000) * 86400000),
+};
+
+/**
+ * Value at a dotted path
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Event Rollups Class
+ */
+class EventRollups {
+  /**
+   * Whether rollups are enabled
+   */
+  isEnabled() {
+    return config.rollups.enabled;
+  }
+
+  /**
+   * Rollups collection
+   * @param {MongoClient} client - Connected MongoDB client
+   */
+  getCollection(client) {
+    return client.db(config.mongodb.database).collection(config.rollups.collection);
+  }
+
+  /**
+   * Create the unique bucket index that upserts match on
+   * @param {MongoClient} client - Connected MongoDB client
+   */
+  async createIndexes(client) {
+    await this.getCollection(client).createIndex(
+      { granularity: 1, bucket: -1, type: 1, source: 1 },
+      { unique: true }
+    );
+  }
+
+  /**
+   * Increment the rollups for newly inserted events
+   * @param {MongoClient} client - Connected MongoDB client
+   * @param {Array<Object>} events - Newly inserted CloudEvents
+   * @param {ClientSession} [session] - Session of an active transaction
+   */
+  async apply(client, events, session) {
+    const operations = this.buildOperations(events);
+
+    if (operations.length > 0) {
+      await this.getCollection(client).bulkWrite(operations, { ordered: false, session });
+    }
+  }
+
+  /**
+   * Aggregate events into one `$inc` upsert per rollup document
+   * @param {Array<Object>} events - Newly inserted CloudEvents
+   * @returns {Array<Object>} bulkWrite operations
+   */
+  buildOperations(events) {
+    const rollups = new Map();
+
+    for (const event of events) {
+      const time = new Date(event.time);
+      if (Number.isNaN(time.getTime())) {
+        continue;
+      }
+
+      for (const granularity of config.rollups.granularities) {
+        const bucket = TRUNCATE[granularity](time);
+        const key = `${granularity}|${bucket.getTime()}|${event.type}|${event.source}`;
+
+        if (!rollups.has(key)) {
+          rollups.set(key, {
+            filter: { granularity, bucket, type: event.type, source: event.source },
+            inc: { count: 0 },
+          });
+        }
+
+        const { inc } = rollups.get(key);
+        inc.count++;
+
+        for (const [name, path] of Object.entries(config.rollups.sums)) {
+          const value = getPath(event, path);
+          if (typeof value === 'number' && Number.isFinite(value)) {
+            inc[`sums.${name}`] = (inc[`sums.${name}`] || 0) + value;
+          }
+        }
+      }
+    }
+
+    return [...rollups.values()].map(({ filter, inc }) => ({
+      updateOne: {
+        filter,
+        update: { $inc: inc, $set: { updatedAt: new Date() } },
+        upsert: true,
+      },
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new EventRollups();
@@ -0,0 +1,338 @@
+/**
+ * DLQ Replay
+ *
+ * Reads the dead-letter queue with its own consumer group and replays matching messages,
+ * either by republishing them to their original topic (from `x-original-topic`) or by
+ * writing them straight to MongoDB through the MongoDB writer.
+ *
+ * Offsets are not committed unless `commit` is set, so every run scans the DLQ from the
+ * beginning and a dry run never changes anything. A run ends once every partition has been
+ * read up to the high-watermark captured at start, or after `idleTimeoutMs` without messages.
+ */
+
+const { Kafka, logLevel } = require('kafkajs');
+const config = require('../config');
+const kafkaConsumer = require('../consumer/kafkaConsumer');
+const { getHeader } = require('../consumer/headers');
+const { kafkaLogCreator } = require('../logging/kafkaLogCreator');
+const mongoWriter = require('../database/mongoWriter');
+const privacyPolicy = require('../privacy/privacyPolicy');
+const log = require('../logging/logger').child({ component: 'DLQ Replay' });
+
+/**
+ * Failure headers added by the consumer; stripped before republishing
+ */
+const FAILURE_HEADERS = [
+  'x-error-reason',
+  'x-failed-timestamp',
+  'x-original-topic',
+  'x-retry-attempt',
+  'x-retry-not-before',
+];
+
+/**
+ * Increment a counter in a plain object
+ */
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+/**
+ * DLQ Replayer Class
+ */
+class DLQReplayer {
+  /**
+   * @param {Object} options - Replay options
+   * @param {string} [options.reason] - Substring to match in `x-error-reason`
+   * @param {string} [options.type] - Exact CloudEvent `type` to match
+   * @param {string} [options.source] - CloudEvent `source` prefix to match
+   * @param {Date} [options.since] - Only messages dead-lettered at or after this time
+   * @param {Date} [options.until] - Only messages dead-lettered before this time
+   * @param {string} [options.target] - 'kafka' (republish) or 'mongodb' (write directly)
+   * @param {boolean} [options.dryRun] - Only report what would be replayed
+   * @param {number} [options.rate] - Max replayed messages per second
+   * @param {string} [options.dlqTopic] - DLQ topic to read (default `config.kafka.dlqTopic`)
+   * @param {string} [options.groupId] - Consumer group used to read the DLQ
+   * @param {boolean} [options.commit] - Commit DLQ offsets as messages are handled
+   * @param {number} [options.idleTimeoutMs] - Stop after this long without messages
+   */
+  constructor(options = {}) {
+    this.options = {
+      target: 'kafka',
+      dryRun: false,
+      rate: 100,
+      dlqTopic: config.kafka.dlqTopic,
+      groupId: `${config.kafka.groupId}-dlq-replay`,
+      commit: false,
+      idleTimeoutMs: 10000,
+      ...options,
+    };
+
+    this.kafka = null;
+    this.consumer = null;
+    this.producer = null;
+    this.admin = null;
+
+    this.lastReplayAt = 0;
+    this.endOffsets = new Map();
+
+    this.summary = {
+      scanned: 0,
+      matched: 0,
+      replayed: 0,
+      skipped: 0,
+      failed: 0,
+      byReason: {},
+      byType: {},
+    };
+  }
+
+  /**
+   * Run the replay to completion
+   * @returns {Promise<Object>} Replay summary
+   */
+  async run() {
+    const { target, dryRun } = this.options;
+
+    if (!['kafka', 'mongodb'].includes(target)) {
+      throw new Error(`Unknown replay target: ${target}`);
+    }
+
+    this.kafka = new Kafka({
+      clientId: `${config.kafka.clientId}-dlq-replay`,
+      brokers: config.kafka.brokers,
+      logLevel: logLevel.ERROR,
+      logCreator: kafkaLogCreator,
+    });
+
+    this.admin = this.kafka.admin();
+    this.consumer = this.kafka.consumer({ groupId: this.options.groupId });
+
+    try {
+      await this.admin.connect();
+      await this.captureEndOffsets();
+      await this.admin.disconnect();
+      this.admin = null;
+
+      if (!dryRun && target === 'kafka') {
+        this.producer = this.kafka.producer({ idempotent: true, maxInFlightRequests: 5 });
+        await this.producer.connect();
+      }
+
+      if (!dryRun && target === 'mongodb') {
+        await mongoWriter.initialize();
+        privacyPolicy.load();
+      }
+
+      await this.consumer.connect();
+      await this.consumer.subscribe({ topic: this.options.dlqTopic, fromBeginning: true });
+      await this.consumeUntilCaughtUp();
+    } finally {
+      await this.close();
+    }
+
+    return this.summary;
+  }
+
+  /**
+   * Record the DLQ high-watermarks at start so the run has a defined end
+   */
+  async captureEndOffsets() {
+    const offsets = await this.admin.fetchTopicOffsets(this.options.dlqTopic);
+
+    for (const { partition, high, low } of offsets) {
+      if (Number(high) > Number(low)) {
+        this.endOffsets.set(partition, Number(high));
+      }
+    }
+  }
+
+  /**
+   * Consume until every partition reaches its captured end offset or the run goes idle
+   */
+  async consumeUntilCaughtUp() {
+    let finish;
+    const done = new Promise((resolve) => {
+      finish = resolve;
+    });
+
+    let idleTimer = null;
+    const armIdleTimer = () => {
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(finish, this.options.idleTimeoutMs);
+    };
+
+    if (this.endOffsets.size === 0) {
+      return;
+    }
+
+    armIdleTimer();
+
+    await this.consumer.run({
+      autoCommit: this.options.commit && !this.options.dryRun,
+      eachMessage: async ({ partition, message }) => {
+        armIdleTimer();
+
+        if (this.endOffsets.has(partition)) {
+          await this.handleMessage(message);
+
+          if (Number(message.offset) + 1 >= this.endOffsets.get(partition)) {
+            this.endOffsets.delete(partition);
+          }
+        }
+
+        if (this.endOffsets.size === 0) {
+          finish();
+        }
+      },
+    });
+
+    await done;
+    clearTimeout(idleTimer);
+  }
+
+  /**
+   * Filter and replay a single DLQ message
+   *
+   * A batched message matches if any of its events do. Republishing sends the whole
+   * message; writing to MongoDB only writes the matching events.
+   */
+  async handleMessage(message) {
+    this.summary.scanned++;
+
+    const events = (await kafkaConsumer.parseMessage(message))
+      .map((item) => item.event)
+      .filter((event) => this.matches(message, event));
+
+    if (events.length === 0) {
+      return;
+    }
+
+    this.summary.matched++;
+    increment(this.summary.byReason, getHeader(message, 'x-error-reason') || 'unknown');
+    events.forEach((event) => increment(this.summary.byType, event ? event.type : 'unparseable'));
+
+    if (this.options.dryRun) {
+      return;
+    }
+
+    const writable = events.filter(Boolean);
+    if (this.options.target === 'mongodb' && writable.length === 0) {
+      this.summary.skipped++;
+      return;
+    }
+
+    await this.throttle();
+
+    try {
+      if (this.options.target === 'mongodb') {
+        // Route as the consumer would have for the topic the event was published to
+        const topic = getHeader(message, 'x-original-topic') || config.kafka.topic;
+        for (const event of writable) {
+          // Messages dead-lettered before the policy covered their type are still unprotected
+          await mongoWriter.writeEventWithRetry(privacyPolicy.apply(event), { topic });
+        }
+      } else {
+        await this.republish(message);
+      }
+      this.summary.replayed++;
+    } catch (error) {
+      this.summary.failed++;
+      log.error('Failed to replay message', { offset: message.offset, error });
+    }
+  }
+
+  /**
+   * Whether a DLQ message passes every configured filter
+   * @param {Object} message - DLQ Kafka message
+   * @param {Object|null} event - Parsed CloudEvent, or null if unparseable
+   */
+  matches(message, event) {
+    const { reason, type, source, since, until } = this.options;
+
+    if (reason && !(getHeader(message, 'x-error-reason') || '').includes(reason)) {
+      return false;
+    }
+
+    if ((type || source) && !event) {
+      return false;
+    }
+
+    if (type && event.type !== type) {
+      return false;
+    }
+
+    // DLQ records are often malformed: a missing or non-string source just doesn't match
+    if (source && !(typeof event.source === 'string' && event.source.startsWith(source))) {
+      return false;
+    }
+
+    const failedAt = Number(getHeader(message, 'x-failed-timestamp') || message.timestamp);
+
+    // Without a usable failure time a record can't be placed inside a time window
+    if ((since || until) && !Number.isFinite(failedAt)) {
+      return false;
+    }
+
+    if (since && failedAt < since.getTime()) {
+      return false;
+    }
+
+    if (until && failedAt >= until.getTime()) {
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Republish a DLQ message to its original topic without the failure headers
+   */
+  async republish(message) {
+    const headers = { ...message.headers };
+    FAILURE_HEADERS.forEach((name) => delete headers[name]);
+    headers['x-replayed-timestamp'] = Date.now().toString();
+
+    await this.producer.send({
+      topic: getHeader(message, 'x-original-topic') || config.kafka.topic,
+      messages: [{ key: message.key, value: message.value, headers }],
+    });
+  }
+
+  /**
+   * Wait long enough to stay under the configured replay rate
+   */
+  async throttle() {
+    const interval = 1000 / this.options.rate;
+    const wait = this.lastReplayAt + interval - Date.now();
+
+    if (wait > 0) {
+      await new Promise((resolve) => setTimeout(resolve, wait));
+    }
+
+    this.lastReplayAt = Date.now();
+  }
+
+  /**
+   * Disconnect every client that was opened
+   */
+  async close() {
+    if (this.consumer) {
+      await this.consumer.disconnect();
+    }
+
+    if (this.producer) {
+      await this.producer.disconnect();
+    }
+
+    if (this.admin) {
+      await this.admin.disconnect();
+    }
+
+    if (mongoWriter.isConnected) {
+      await mongoWriter.close();
+    }
+  }
+}
+
+module.exports = { DLQReplayer };
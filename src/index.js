@@ -9,10 +9,20 @@
 
 const express = require('express');
 const config = require('./config');
+const logger = require('./logging/logger');
+const backpressure = require('./consumer/backpressure');
 const kafkaConsumer = require('./consumer/kafkaConsumer');
 const mongoWriter = require('./database/mongoWriter');
+const eventRouter = require('./database/eventRouter');
+const schemaValidator = require('./validation/schemaValidator');
+const privacyPolicy = require('./privacy/privacyPolicy');
+const tracing = require('./tracing/tracer');
+const eventsApi = require('./api/events');
+const adminApi = require('./api/admin');
 const { getMetrics } = require('./metrics/prometheus');
 
+const log = logger.child({ component: 'Service' });
+
 const app = express();
 
 // Middleware
@@ -83,15 +93,36 @@ app.get('/health', async (req, res) => {
         mongodb: mongoHealth,
         consumer: consumerHealth,
       },
+      backpressure: backpressure.getState(),
       config: {
         kafka: {
           brokers: config.kafka.brokers,
-          topic: config.kafka.topic,
+          topics: config.kafka.topics.map(String),
+          subscribedTopics: kafkaConsumer.topics,
           groupId: config.kafka.groupId,
         },
         mongodb: {
           database: config.mongodb.database,
           collection: config.mongodb.collection,
+          routes: eventRouter.getRoutes().map((route) => ({
+            name: route.name,
+            database: route.database,
+            collection: route.collection,
+            storage: mongoWriter.getStorage(route),
+          })),
+        },
+        logging: {
+          level: logger.getLevel(),
+          format: config.logging.format,
+        },
+        privacy: {
+          file: config.privacy.file || null,
+          types: privacyPolicy.getTypes(),
+        },
+        tracing: {
+          enabled: tracing.isEnabled(),
+          exporter: config.tracing.exporter,
+          sampleRatio: config.tracing.sampleRatio,
         },
       },
       timestamp: new Date().toISOString(),
@@ -114,11 +145,25 @@ app.get('/metrics', async (req, res) => {
     res.set('Content-Type', 'text/plain');
     res.send(metrics);
   } catch (error) {
-    console.error('[Metrics] Failed to generate metrics:', error);
+    log.error('Failed to generate metrics', { error });
     res.status(500).json({ error: 'Failed to generate metrics' });
   }
 });
 
+/**
+ * Read-only event query API
+ */
+if (config.api.enabled) {
+  app.use('/events', eventsApi);
+}
+
+/**
+ * Authenticated admin control plane
+ */
+if (config.admin.token) {
+  app.use('/admin', adminApi);
+}
+
 /**
  * Service info endpoint
  */
@@ -134,6 +179,22 @@ app.get('/', (req, res) => {
         detailed: '/health',
       },
       metrics: '/metrics',
+      ...(config.api.enabled && {
+        events: {
+          list: '/events',
+          stats: '/events/stats',
+          get: '/events/:id',
+        },
+      }),
+      ...(config.admin.token && {
+        admin: {
+          assignments: '/admin/consumer/assignments',
+          pause: '/admin/consumer/pause',
+          resume: '/admin/consumer/resume',
+          seek: '/admin/consumer/seek',
+          circuitBreaker: '/admin/circuit-breaker',
+        },
+      }),
     },
     timestamp: new Date().toISOString(),
   });
@@ -144,44 +205,48 @@ app.get('/', (req, res) => {
  */
 async function start() {
   try {
-    console.log('[Service] Starting Event Consumer Service...');
-    console.log('[Service] Environment:', config.env);
-    console.log('[Service] Kafka Brokers:', config.kafka.brokers.join(', '));
-    console.log('[Service] Kafka Topic:', config.kafka.topic);
-    console.log('[Service] Kafka Group ID:', config.kafka.groupId);
-    console.log('[Service] MongoDB Database:', config.mongodb.database);
-    console.log('[Service] MongoDB Collection:', config.mongodb.collection);
+    log.info('Starting Event Consumer Service', {
+      env: config.env,
+      kafkaBrokers: config.kafka.brokers,
+      kafkaTopics: config.kafka.topics.map(String),
+      kafkaGroupId: config.kafka.groupId,
+      mongodbDatabase: config.mongodb.database,
+      mongodbCollection: config.mongodb.collection,
+      logLevel: logger.getLevel(),
+    });
+
+    // Start exporting spans before anything is consumed
+    tracing.initialize();
 
     // Initialize MongoDB connection
-    console.log('[Service] Connecting to MongoDB...');
     await mongoWriter.initialize();
-    console.log('[Service] MongoDB connected');
+
+    // Load CloudEvents schemas
+    schemaValidator.initialize();
+
+    // Load the privacy policy before any event is stored
+    privacyPolicy.load();
 
     // Initialize Kafka consumer
-    console.log('[Service] Initializing Kafka consumer...');
     await kafkaConsumer.initialize();
-    console.log('[Service] Kafka consumer initialized');
 
     // Start HTTP server for health checks
     const server = app.listen(config.port, () => {
-      console.log(`[Service] HTTP server listening on port ${config.port}`);
-      console.log(`[Service] Health check: http://localhost:${config.port}/health`);
-      console.log(`[Service] Metrics: http://localhost:${config.port}/metrics`);
+      log.info('HTTP server listening', { port: config.port });
     });
 
     // Start consuming messages
-    console.log('[Service] Starting message consumption...');
     await kafkaConsumer.start();
 
-    console.log('[Service] Service started successfully!');
+    log.info('Service started');
 
     // Graceful shutdown handlers
     const shutdown = async (signal) => {
-      console.log(`\n[Service] Received ${signal}, starting graceful shutdown...`);
+      log.info('Starting graceful shutdown', { signal });
 
       // Stop accepting new connections
       server.close(() => {
-        console.log('[Service] HTTP server closed');
+        log.info('HTTP server closed');
       });
 
       try {
@@ -191,10 +256,13 @@ async function start() {
         // Close MongoDB connection
         await mongoWriter.close();
 
-        console.log('[Service] Graceful shutdown complete');
+        // Export the spans still buffered
+        await tracing.shutdown();
+
+        log.info('Graceful shutdown complete');
         process.exit(0);
       } catch (error) {
-        console.error('[Service] Error during shutdown:', error);
+        log.error('Error during shutdown', { error });
         process.exit(1);
       }
     };
@@ -205,16 +273,16 @@ async function start() {
 
     // Handle uncaught errors
     process.on('uncaughtException', (error) => {
-      console.error('[Service] Uncaught exception:', error);
+      log.error('Uncaught exception', { error });
       shutdown('uncaughtException');
     });
 
-    process.on('unhandledRejection', (reason, promise) => {
-      console.error('[Service] Unhandled rejection at:', promise, 'reason:', reason);
+    process.on('unhandledRejection', (reason) => {
+      log.error('Unhandled rejection', { error: reason });
       shutdown('unhandledRejection');
     });
   } catch (error) {
-    console.error('[Service] Failed to start service:', error);
+    log.error('Failed to start service', { error });
     process.exit(1);
   }
 }
@@ -0,0 +1,36 @@
+/**
+ * KafkaJS Log Creator
+ *
+ * Writes the kafkajs client's own log entries through the service logger, so they come out
+ * in the same format, with `component: 'kafkajs'` and the kafkajs namespace. The kafkajs
+ * `logLevel` option still decides which entries kafkajs produces.
+ */
+
+const { logLevel } = require('kafkajs');
+const logger = require('./logger');
+
+const LEVELS = {
+  [logLevel.ERROR]: 'error',
+  [logLevel.WARN]: 'warn',
+  [logLevel.INFO]: 'info',
+  [logLevel.DEBUG]: 'debug',
+};
+
+/**
+ * kafkajs `logCreator`
+ */
+function kafkaLogCreator() {
+  const log = logger.child({ component: 'kafkajs' });
+
+  return ({ namespace, level, log: entry }) => {
+    // kafkajs adds its own level label, timestamp and logger name to every entry
+    const { message, ...fields } = entry;
+    delete fields.level;
+    delete fields.timestamp;
+    delete fields.logger;
+
+    log.write(LEVELS[level] || 'info', message, { namespace, ...fields });
+  };
+}
+
+module.exports = { kafkaLogCreator };
@@ -0,0 +1,215 @@
+/**
+ * Logger
+ *
+ * Structured logger writing one line per entry, as JSON by default:
+ *
+ *   {"time":"2025-12-01T10:00:00.000Z","level":"warn","component":"Kafka Consumer",
+ *    "msg":"Event failed schema validation","topic":"events-v1","partition":3,
+ *    "offset":"1042","eventId":"...","eventType":"com.example.order.created"}
+ *
+ * `LOG_FORMAT=text` writes `time LEVEL [component] msg key=value ...` instead, for local
+ * development.
+ *
+ * Components log through child loggers (`logger.child({ component: 'Kafka Consumer' })`).
+ * Fields set with `withContext()` are added to every entry logged in that async scope,
+ * which is how batch processing tags its log lines with the topic and partition.
+ *
+ * Field values are sanitised before they are written:
+ * - Keys in `config.logging.redact` (case-insensitive) are replaced by `[REDACTED]`
+ * - Strings longer than `config.logging.maxFieldLength` are truncated
+ * - Buffers, deep objects and long arrays are summarised
+ * - Errors become `{ name, message, code, stack }`
+ *
+ * The level starts at `config.logging.level` and can be changed at runtime with
+ * `setLevel()` (see `PUT /admin/log-level`). Warnings and errors go to stderr, everything
+ * else to stdout.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const MAX_DEPTH = 5;
+const MAX_ARRAY_LENGTH = 20;
+
+/**
+ * Error thrown for an unknown log level
+ */
+class InvalidLogLevelError extends Error {
+  constructor(level) {
+    super(`Log level must be one of: ${Object.keys(LEVELS).join(', ')} (got ${level})`);
+    this.name = 'InvalidLogLevelError';
+    this.code = 'INVALID_LOG_LEVEL';
+  }
+}
+
+/**
+ * Make a field value safe and compact to log
+ */
+function sanitize(value, depth = 0) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: sanitize(value.message, depth + 1),
+      ...(value.code !== undefined && { code: value.code }),
+      stack: value.stack,
+    };
+  }
+
+  if (typeof value === 'string') {
+    const { maxFieldLength } = config.logging;
+    return value.length > maxFieldLength
+      ? `${value.slice(0, maxFieldLength)}...[${value.length - maxFieldLength} more chars]`
+      : value;
+  }
+
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return `[Buffer ${value.length} bytes]`;
+  }
+
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : '[Object]';
+  }
+
+  if (Array.isArray(value)) {
+    const items = value.slice(0, MAX_ARRAY_LENGTH).map((item) => sanitize(item, depth + 1));
+    if (value.length > MAX_ARRAY_LENGTH) {
+      items.push(`...[${value.length - MAX_ARRAY_LENGTH} more items]`);
+    }
+    return items;
+  }
+
+  const redacted = config.logging.redact;
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = redacted.includes(key.toLowerCase()) ? '[REDACTED]' : sanitize(item, depth + 1);
+  }
+  return result;
+}
+
+/**
+ * Render an entry in the text format
+ */
+function formatText({ time, level, component, msg, ...fields }) {
+  const pairs = Object.entries(fields).map(
+    ([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`
+  );
+
+  return [time, level.toUpperCase().padEnd(5), component ? `[${component}]` : null, msg, ...pairs]
+    .filter((part) => part !== null)
+    .join(' ');
+}
+
+/**
+ * Logger Class
+ */
+class Logger {
+  /**
+   * @param {Object} state - `{ level, context }` shared by a logger and its children
+   * @param {Object} [bindings] - Fields added to every entry of this logger
+   */
+  constructor(state, bindings = {}) {
+    this.state = state;
+    this.bindings = bindings;
+  }
+
+  /**
+   * Logger adding `bindings` to every entry
+   */
+  child(bindings) {
+    return new Logger(this.state, { ...this.bindings, ...bindings });
+  }
+
+  /**
+   * Run `fn` with `fields` added to every entry logged in its async scope
+   * @param {Object} fields - Context fields, merged over the enclosing context
+   * @param {Function} fn - Function to run
+   */
+  withContext(fields, fn) {
+    return this.state.context.run({ ...this.state.context.getStore(), ...fields }, fn);
+  }
+
+  /**
+   * Current level
+   */
+  getLevel() {
+    return this.state.level;
+  }
+
+  /**
+   * Change the level of this logger and every other logger
+   * @param {string} level - 'debug', 'info', 'warn', 'error' or 'silent'
+   */
+  setLevel(level) {
+    if (!Object.hasOwn(LEVELS, level)) {
+      throw new InvalidLogLevelError(level);
+    }
+    this.state.level = level;
+  }
+
+  /**
+   * Whether entries at a level are written
+   */
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.state.level];
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  /**
+   * Write an entry
+   * @param {string} level - Entry level
+   * @param {string} msg - Message, without variable data where a field can hold it
+   * @param {Object|Error} [fields] - Extra fields; an Error is logged as `error`
+   */
+  write(level, msg, fields = {}) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    const extra = fields instanceof Error ? { error: fields } : fields;
+    const time = new Date().toISOString();
+    const entry = {
+      time,
+      level,
+      ...this.bindings,
+      msg,
+      ...sanitize({ ...this.state.context.getStore(), ...extra }),
+    };
+
+    // Fields can't overwrite the envelope
+    Object.assign(entry, { time, level, msg });
+
+    const line = config.logging.format === 'text' ? formatText(entry) : JSON.stringify(entry);
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+  }
+}
+
+// Export the root logger
+module.exports = new Logger({ level: config.logging.level, context: new AsyncLocalStorage() });
+module.exports.LEVELS = LEVELS;
+module.exports.InvalidLogLevelError = InvalidLogLevelError;
@@ -6,12 +6,20 @@
  * - Consumer lag
  * - MongoDB write performance
  * - Circuit breaker state
+ * - Disk spool backlog
+ * - Adaptive backpressure limits
+ *
+ * Counters and histograms are driven by the instrumentation events emitted by the
+ * consumer and writer; gauges are sampled on each scrape in updateMetrics().
  */
 
 const client = require('prom-client');
 const config = require('../config');
+const backpressure = require('../consumer/backpressure');
 const kafkaConsumer = require('../consumer/kafkaConsumer');
 const mongoWriter = require('../database/mongoWriter');
+const diskSpool = require('../spool/diskSpool');
+const schemaValidator = require('../validation/schemaValidator');
 
 // Create a Registry
 const register = new client.Registry();
@@ -25,43 +33,64 @@ const metrics = {
   messagesReceived: new client.Counter({
     name: 'kafka_messages_received_total',
     help: 'Total number of messages received from Kafka',
+    labelNames: ['topic', 'partition'],
     registers: [register],
   }),
 
   messagesProcessed: new client.Counter({
     name: 'kafka_messages_processed_total',
     help: 'Total number of messages successfully processed',
+    labelNames: ['topic', 'partition', 'type', 'outcome'],
     registers: [register],
   }),
 
   messagesFailed: new client.Counter({
     name: 'kafka_messages_failed_total',
     help: 'Total number of messages that failed processing',
+    labelNames: ['topic', 'partition', 'type'],
     registers: [register],
   }),
 
   dlqMessages: new client.Counter({
     name: 'kafka_dlq_messages_total',
     help: 'Total number of messages sent to dead-letter queue',
+    labelNames: ['topic', 'partition', 'type'],
+    registers: [register],
+  }),
+
+  retryMessages: new client.Counter({
+    name: 'kafka_retry_messages_total',
+    help: 'Total number of messages republished to a retry topic',
+    labelNames: ['retry_topic', 'type'],
     registers: [register],
   }),
 
   batchesProcessed: new client.Counter({
     name: 'kafka_batches_processed_total',
     help: 'Total number of batches processed',
+    labelNames: ['topic', 'partition'],
     registers: [register],
   }),
 
   messageProcessingDuration: new client.Histogram({
     name: 'kafka_message_processing_duration_seconds',
     help: 'Time to process a single message',
+    labelNames: ['topic', 'type', 'outcome'],
     buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 2, 5],
     registers: [register],
   }),
 
   consumerLag: new client.Gauge({
     name: 'kafka_consumer_lag',
-    help: 'Consumer lag (messages behind)',
+    help: 'Consumer lag (messages behind the high-watermark)',
+    labelNames: ['topic', 'partition'],
+    registers: [register],
+  }),
+
+  validationFailures: new client.Counter({
+    name: 'events_validation_failures_total',
+    help: 'Total number of events that failed schema validation',
+    labelNames: ['type', 'mode', 'topic'],
     registers: [register],
   }),
 
@@ -69,24 +98,28 @@ const metrics = {
   mongoWrites: new client.Counter({
     name: 'mongodb_writes_total',
     help: 'Total number of MongoDB write attempts',
+    labelNames: ['operation'],
     registers: [register],
   }),
 
   mongoWritesSuccessful: new client.Counter({
     name: 'mongodb_writes_successful_total',
     help: 'Total number of successful MongoDB writes',
+    labelNames: ['operation'],
     registers: [register],
   }),
 
   mongoWritesFailed: new client.Counter({
     name: 'mongodb_writes_failed_total',
     help: 'Total number of failed MongoDB writes',
+    labelNames: ['operation'],
     registers: [register],
   }),
 
   mongoDuplicates: new client.Counter({
     name: 'mongodb_duplicates_total',
     help: 'Total number of duplicate events skipped',
+    labelNames: ['operation'],
     registers: [register],
   }),
 
@@ -99,6 +132,7 @@ const metrics = {
   mongoWriteDuration: new client.Histogram({
     name: 'mongodb_write_duration_seconds',
     help: 'Time to write to MongoDB',
+    labelNames: ['operation', 'outcome'],
     buckets: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 2, 5],
     registers: [register],
   }),
@@ -109,6 +143,108 @@ const metrics = {
     registers: [register],
   }),
 
+  // Disk Spool Metrics
+  spoolAppended: new client.Counter({
+    name: 'spool_appended_events_total',
+    help: 'Total number of events appended to the disk spool',
+    registers: [register],
+  }),
+
+  spoolDrained: new client.Counter({
+    name: 'spool_drained_events_total',
+    help: 'Total number of spooled events replayed into MongoDB',
+    labelNames: ['outcome'],
+    registers: [register],
+  }),
+
+  spoolExpired: new client.Counter({
+    name: 'spool_expired_events_total',
+    help: 'Total number of spooled events sent to the DLQ after the spool age limit',
+    registers: [register],
+  }),
+
+  spoolRefused: new client.Counter({
+    name: 'spool_refused_events_total',
+    help: 'Total number of events not spooled because the spool was full',
+    registers: [register],
+  }),
+
+  spoolCorrupt: new client.Counter({
+    name: 'spool_corrupt_events_total',
+    help: 'Total number of spooled events lost to records that failed their checksum',
+    registers: [register],
+  }),
+
+  spoolPendingEvents: new client.Gauge({
+    name: 'spool_pending_events',
+    help: 'Events waiting in the disk spool',
+    registers: [register],
+  }),
+
+  spoolPendingBytes: new client.Gauge({
+    name: 'spool_pending_bytes',
+    help: 'Bytes of records waiting in the disk spool',
+    registers: [register],
+  }),
+
+  spoolOldestAge: new client.Gauge({
+    name: 'spool_oldest_age_seconds',
+    help: 'Age of the oldest record in the disk spool (0 when empty)',
+    registers: [register],
+  }),
+
+  consumerDrains: new client.Counter({
+    name: 'kafka_consumer_drains_total',
+    help: 'Total number of shutdown and rebalance drains of in-flight batches',
+    labelNames: ['reason', 'outcome'],
+    registers: [register],
+  }),
+
+  consumerDrainAbandoned: new client.Counter({
+    name: 'kafka_consumer_drain_abandoned_messages_total',
+    help: 'Total number of messages left for redelivery when a drain deadline passed',
+    labelNames: ['reason'],
+    registers: [register],
+  }),
+
+  // Adaptive Backpressure Metrics
+  backpressureAdjustments: new client.Counter({
+    name: 'backpressure_adjustments_total',
+    help: 'Total number of adaptive backpressure limit changes',
+    labelNames: ['direction'],
+    registers: [register],
+  }),
+
+  backpressureBatchSize: new client.Gauge({
+    name: 'backpressure_batch_size',
+    help: 'Effective batch size set by adaptive backpressure',
+    registers: [register],
+  }),
+
+  backpressureConcurrency: new client.Gauge({
+    name: 'backpressure_concurrency',
+    help: 'Concurrent MongoDB writes allowed by adaptive backpressure',
+    registers: [register],
+  }),
+
+  backpressurePaused: new client.Gauge({
+    name: 'backpressure_paused',
+    help: 'Whether adaptive backpressure has paused fetching (1=yes, 0=no)',
+    registers: [register],
+  }),
+
+  backpressureLatency: new client.Gauge({
+    name: 'backpressure_write_latency_p95_seconds',
+    help: 'p95 MongoDB write latency over the backpressure window',
+    registers: [register],
+  }),
+
+  backpressureErrorRate: new client.Gauge({
+    name: 'backpressure_write_error_rate',
+    help: 'Share of failed MongoDB writes over the backpressure window',
+    registers: [register],
+  }),
+
   // Service Health
   consumerRunning: new client.Gauge({
     name: 'consumer_running',
@@ -123,6 +259,108 @@ const metrics = {
   }),
 };
 
+/**
+ * Label set for a consumer instrumentation event
+ */
+function messageLabels({ topic, partition, type }) {
+  return {
+    topic: topic || 'unknown',
+    partition: partition === undefined ? 'unknown' : String(partition),
+    type: type || 'unknown',
+  };
+}
+
+/**
+ * Subscribe counters and histograms to consumer and writer instrumentation events
+ */
+function registerEventListeners() {
+  kafkaConsumer.on('received', ({ topic, partition, count }) => {
+    metrics.messagesReceived.inc({ topic, partition: String(partition) }, count);
+  });
+
+  kafkaConsumer.on('message', (event) => {
+    const labels = messageLabels(event);
+
+    if (event.outcome === 'failed') {
+      metrics.messagesFailed.inc(labels);
+    } else {
+      metrics.messagesProcessed.inc({ ...labels, outcome: event.outcome });
+    }
+
+    metrics.messageProcessingDuration.observe(
+      { topic: labels.topic, type: labels.type, outcome: event.outcome },
+      event.durationMs / 1000
+    );
+  });
+
+  kafkaConsumer.on('dlq', (event) => {
+    metrics.dlqMessages.inc(messageLabels(event));
+  });
+
+  kafkaConsumer.on('retry', (event) => {
+    metrics.retryMessages.inc({ retry_topic: event.retryTopic, type: messageLabels(event).type });
+  });
+
+  kafkaConsumer.on('batch', ({ topic, partition }) => {
+    metrics.batchesProcessed.inc({ topic, partition: String(partition) });
+  });
+
+  schemaValidator.on('validationFailed', ({ type, mode, topic }) => {
+    metrics.validationFailures.inc({ type: type || 'unknown', mode, topic: topic || 'unknown' });
+  });
+
+  diskSpool.on('append', ({ count }) => {
+    metrics.spoolAppended.inc(count);
+  });
+
+  diskSpool.on('drain', ({ inserted, duplicates, failed }) => {
+    metrics.spoolDrained.inc({ outcome: 'inserted' }, inserted);
+    metrics.spoolDrained.inc({ outcome: 'duplicate' }, duplicates);
+    metrics.spoolDrained.inc({ outcome: 'failed' }, failed);
+  });
+
+  diskSpool.on('expire', ({ count }) => {
+    metrics.spoolExpired.inc(count);
+  });
+
+  diskSpool.on('full', ({ count }) => {
+    metrics.spoolRefused.inc(count);
+  });
+
+  diskSpool.on('corrupt', ({ count }) => {
+    metrics.spoolCorrupt.inc(count);
+  });
+
+  kafkaConsumer.on('drain', ({ reason, timedOut, abandonedMessages }) => {
+    metrics.consumerDrains.inc({ reason, outcome: timedOut ? 'deadline' : 'complete' });
+    metrics.consumerDrainAbandoned.inc({ reason }, abandonedMessages);
+  });
+
+  backpressure.on('adjust', ({ direction }) => {
+    metrics.backpressureAdjustments.inc({ direction });
+  });
+
+  mongoWriter.on('write', (write) => {
+    const { operation } = write;
+
+    metrics.mongoWrites.inc({ operation }, write.total);
+    metrics.mongoWritesSuccessful.inc({ operation }, write.inserted);
+    metrics.mongoDuplicates.inc({ operation }, write.duplicates);
+    metrics.mongoWritesFailed.inc({ operation }, write.failed);
+
+    if (operation === 'batch') {
+      metrics.mongoBatchWrites.inc();
+    }
+
+    metrics.mongoWriteDuration.observe(
+      { operation, outcome: write.outcome },
+      write.durationMs / 1000
+    );
+  });
+}
+
+registerEventListeners();
+
 /**
  * Update metrics from service components
  */
@@ -130,7 +368,14 @@ function updateMetrics() {
   // Get consumer metrics
   const consumerMetrics = kafkaConsumer.getMetrics();
   metrics.consumerRunning.set(consumerMetrics.isRunning ? 1 : 0);
-  metrics.consumerLag.set(consumerMetrics.consumerLag || 0);
+
+  // Reset so partitions revoked in a rebalance stop being reported
+  metrics.consumerLag.reset();
+  for (const { topic, partition, lag } of consumerMetrics.partitionLag || []) {
+    if (lag !== null) {
+      metrics.consumerLag.set({ topic, partition: String(partition) }, lag);
+    }
+  }
 
   // Get MongoDB writer metrics
   const writerMetrics = mongoWriter.getMetrics();
@@ -143,6 +388,18 @@ function updateMetrics() {
     OPEN: 2,
   };
   metrics.mongoCircuitState.set(circuitStateMap[writerMetrics.circuitState] || 0);
+
+  const spoolMetrics = diskSpool.getMetrics();
+  metrics.spoolPendingEvents.set(spoolMetrics.pendingEvents);
+  metrics.spoolPendingBytes.set(spoolMetrics.pendingBytes);
+  metrics.spoolOldestAge.set((spoolMetrics.oldestAgeMs || 0) / 1000);
+
+  const backpressureState = backpressure.getState();
+  metrics.backpressureBatchSize.set(backpressureState.batchSize);
+  metrics.backpressureConcurrency.set(backpressureState.concurrency);
+  metrics.backpressurePaused.set(backpressureState.status === 'paused' ? 1 : 0);
+  metrics.backpressureLatency.set((backpressureState.latencyP95Ms || 0) / 1000);
+  metrics.backpressureErrorRate.set(backpressureState.errorRate || 0);
 }
 
 /**
@@ -0,0 +1,419 @@
+/**
+ * Privacy Policy
+ *
+ * Protects personal data in events before they are stored or republished, using field rules
+ * per event type from `config.privacy.file` (JSON or YAML):
+ *
+ *   policies:
+ *     com.example.customer.registered:
+ *       - { path: $.data.email, action: hash }
+ *       - { path: $.data.phone, action: mask, keep: 4 }
+ *       - { path: $.data.address, action: encrypt }
+ *       - { path: $.data.cards[*].cvv, action: drop }
+ *     com.example.customer.*:
+ *       - { path: $..email, action: hash }
+ *
+ * Types are matched like schema validation modes: an exact type wins over the longest
+ * `prefix*` pattern, and only that one rule list applies. Paths are JSONPath-style, from the
+ * event root: `.name` or `['name']` for a member, `[0]` for an array element, `.*` or `[*]`
+ * for every member or element, and `..name` for a member at any depth. The leading `$` is
+ * optional. `id`, `type`, `source`, `specversion` and `time` are never touched.
+ *
+ * Actions:
+ * - `drop`    - remove the field (or array element)
+ * - `mask`    - replace the characters of a string or number with `*`, keeping the last
+ *               `keep` (default 0); other values become `****`
+ * - `hash`    - `hmac-sha256:<hex>` keyed with `config.privacy.hmacKey`, so equal values can
+ *               still be matched without being readable
+ * - `encrypt` - `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>`, AES-256-GCM with
+ *               `config.privacy.encryptionKey`; `decrypt()` restores the original value
+ *
+ * Every action leaves its own output unchanged, so an event that comes back from a retry
+ * topic or the DLQ is not hashed or encrypted twice. Null and missing fields are skipped.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const config = require('../config');
+const { encodeStructured } = require('../consumer/codec');
+const log = require('../logging/logger').child({ component: 'Privacy Policy' });
+
+const ACTIONS = ['drop', 'mask', 'hash', 'encrypt'];
+const PROTECTED_ATTRIBUTES = ['id', 'type', 'source', 'specversion', 'time'];
+
+const HASH_PREFIX = 'hmac-sha256:';
+const HASH_PATTERN = /^hmac-sha256:[0-9a-f]{64}$/;
+const ENCRYPTED_PREFIX = 'enc:v1:';
+const MASK = '****';
+
+/**
+ * One step of a path: `.name`, `..name`, `.*`, `[n]`, `[*]`, `['name']` or `["name"]`
+ */
+const SEGMENT_PATTERN = /^(?:\.\.([\w$-]+)|\.([\w$-]+|\*)|\[(\d+|\*|'[^']+'|"[^"]+")\])/;
+
+/**
+ * Parse a JSONPath-style selector into `{ kind: 'child' | 'wildcard' | 'descendant', key }`
+ * segments
+ * @returns {Array<Object>|null} Segments, or null if the selector is invalid
+ */
+function parsePath(selector) {
+  let rest = selector.startsWith('$') ? selector.slice(1) : selector;
+  if (rest !== '' && !rest.startsWith('.') && !rest.startsWith('[')) {
+    rest = `.${rest}`;
+  }
+
+  const segments = [];
+  while (rest !== '') {
+    const match = SEGMENT_PATTERN.exec(rest);
+    if (!match) {
+      return null;
+    }
+
+    const [token, descendant, member, bracket] = match;
+    if (descendant) {
+      segments.push({ kind: 'descendant', key: descendant });
+    } else {
+      const key = member ?? bracket.replace(/^['"]|['"]$/g, '');
+      segments.push(
+        key === '*' && !/^\[['"]/.test(token) ? { kind: 'wildcard' } : { kind: 'child', key }
+      );
+    }
+    rest = rest.slice(token.length);
+  }
+
+  return segments.length > 0 ? segments : null;
+}
+
+/**
+ * Whether a value can hold members
+ */
+function isContainer(value) {
+  return value !== null && typeof value === 'object';
+}
+
+/**
+ * Collect every `{ parent, key }` under `value` (itself included) holding a member `key`
+ */
+function collectDescendants(value, key, matches) {
+  if (!isContainer(value)) {
+    return;
+  }
+
+  if (Object.hasOwn(value, key)) {
+    matches.push({ parent: value, key });
+  }
+
+  for (const child of Object.values(value)) {
+    collectDescendants(child, key, matches);
+  }
+}
+
+/**
+ * Fields of an event selected by parsed path segments
+ * @returns {Array<Object>} `{ parent, key }` of each selected field
+ */
+function select(event, segments) {
+  let matches = [{ parent: { $: event }, key: '$' }];
+
+  for (const segment of segments) {
+    const next = [];
+
+    for (const { parent, key } of matches) {
+      const value = parent[key];
+      if (!isContainer(value)) {
+        continue;
+      }
+
+      if (segment.kind === 'child' && Object.hasOwn(value, segment.key)) {
+        next.push({ parent: value, key: segment.key });
+      } else if (segment.kind === 'wildcard') {
+        Object.keys(value).forEach((member) => next.push({ parent: value, key: member }));
+      } else if (segment.kind === 'descendant') {
+        collectDescendants(value, segment.key, next);
+      }
+    }
+
+    matches = next;
+  }
+
+  return matches.filter(
+    ({ parent, key }) => !(parent === event && PROTECTED_ATTRIBUTES.includes(key))
+  );
+}
+
+/**
+ * Copy the plain objects and arrays of an event, so rules can change the copy in place
+ */
+function cloneEvent(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneEvent);
+  }
+
+  if (isContainer(value) && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, cloneEvent(item)]));
+  }
+
+  return value;
+}
+
+/**
+ * Privacy Policy Class
+ */
+class PrivacyPolicy {
+  constructor() {
+    this.policies = new Map();
+  }
+
+  /**
+   * Load the policy file, if one is configured
+   */
+  load() {
+    const { file } = config.privacy;
+    this.policies = new Map();
+
+    if (!file) {
+      return;
+    }
+
+    const contents = fs.readFileSync(file, 'utf8');
+    const table = ['.yaml', '.yml'].includes(path.extname(file))
+      ? yaml.load(contents)
+      : JSON.parse(contents);
+
+    for (const [type, fields] of Object.entries(table.policies || {})) {
+      this.policies.set(type, this.buildRules(type, fields));
+    }
+
+    log.info('Loaded privacy policy', { types: this.policies.size, file });
+  }
+
+  /**
+   * Validate the field rules for one event type
+   * @param {string} type - Event type or `prefix*` pattern
+   * @param {Array<Object>} fields - `{ path, action, keep }` rules
+   */
+  buildRules(type, fields) {
+    if (!Array.isArray(fields) || fields.length === 0) {
+      throw new Error(`Privacy policy for ${type} must list its field rules`);
+    }
+
+    return fields.map(({ path: selector, action, keep = 0 }) => {
+      const segments = typeof selector === 'string' ? parsePath(selector) : null;
+
+      if (!segments) {
+        throw new Error(`Privacy policy for ${type} has an invalid path: ${selector}`);
+      }
+
+      if (segments[0].kind === 'child' && PROTECTED_ATTRIBUTES.includes(segments[0].key)) {
+        throw new Error(`Privacy policy for ${type} can't change the ${segments[0].key} attribute`);
+      }
+
+      if (!ACTIONS.includes(action)) {
+        throw new Error(
+          `Privacy policy for ${type} at ${selector} must use one of: ${ACTIONS.join(', ')}`
+        );
+      }
+
+      if (action === 'mask' && !(Number.isInteger(keep) && keep >= 0)) {
+        throw new Error(`Privacy policy for ${type} at ${selector} has an invalid keep: ${keep}`);
+      }
+
+      if (action === 'hash' && !config.privacy.hmacKey) {
+        throw new Error(`Privacy policy for ${type} hashes fields but PRIVACY_HMAC_KEY is not set`);
+      }
+
+      if (action === 'encrypt' && !config.privacy.encryptionKey) {
+        throw new Error(
+          `Privacy policy for ${type} encrypts fields but PRIVACY_ENCRYPTION_KEY is not set`
+        );
+      }
+
+      return { path: selector, segments, action, keep };
+    });
+  }
+
+  /**
+   * Whether any policy is loaded
+   */
+  isEnabled() {
+    return this.policies.size > 0;
+  }
+
+  /**
+   * Event types and `prefix*` patterns that have a policy
+   */
+  getTypes() {
+    return [...this.policies.keys()];
+  }
+
+  /**
+   * Field rules for an event type
+   *
+   * Exact types win over `prefix*` patterns, and longer patterns over shorter ones.
+   * @param {string} [type] - CloudEvent type; events without one only match `*`
+   * @returns {Array<Object>|null} Rules, or null if no policy covers the type
+   */
+  getRules(type) {
+    const name = typeof type === 'string' ? type : '';
+
+    if (this.policies.has(name)) {
+      return this.policies.get(name);
+    }
+
+    const pattern = [...this.policies.keys()]
+      .filter((key) => key.endsWith('*') && name.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return pattern ? this.policies.get(pattern) : null;
+  }
+
+  /**
+   * Whether a policy covers an event
+   */
+  appliesTo(event) {
+    return this.isEnabled() && this.getRules(event?.type) !== null;
+  }
+
+  /**
+   * Event with its type's policy applied
+   * @param {Object} event - CloudEvent
+   * @returns {Object} A protected copy, or the event itself if no policy covers it
+   */
+  apply(event) {
+    const rules = this.isEnabled() ? this.getRules(event?.type) : null;
+
+    if (!rules) {
+      return event;
+    }
+
+    const protectedEvent = cloneEvent(event);
+
+    for (const rule of rules) {
+      const matches = select(protectedEvent, rule.segments).filter(
+        ({ parent, key }) => parent[key] !== null && parent[key] !== undefined
+      );
+
+      if (rule.action === 'drop') {
+        // Highest array indexes first, so removing one doesn't shift the others
+        matches
+          .sort((a, b) => Number(b.key) - Number(a.key))
+          .forEach(({ parent, key }) =>
+            Array.isArray(parent) ? parent.splice(Number(key), 1) : delete parent[key]
+          );
+      } else {
+        matches.forEach(({ parent, key }) => {
+          parent[key] = this.transform(rule, parent[key]);
+        });
+      }
+    }
+
+    return protectedEvent;
+  }
+
+  /**
+   * Value produced by a mask, hash or encrypt rule
+   */
+  transform(rule, value) {
+    if (rule.action === 'mask') {
+      if (!['string', 'number'].includes(typeof value)) {
+        return MASK;
+      }
+
+      const text = String(value);
+      const visible = rule.keep < text.length ? rule.keep : 0;
+      return '*'.repeat(text.length - visible) + text.slice(text.length - visible);
+    }
+
+    if (rule.action === 'hash') {
+      if (typeof value === 'string' && HASH_PATTERN.test(value)) {
+        return value;
+      }
+
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return `${HASH_PREFIX}${crypto.createHmac('sha256', config.privacy.hmacKey).update(text).digest('hex')}`;
+    }
+
+    if (typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX)) {
+      return value;
+    }
+
+    return this.encrypt(value);
+  }
+
+  /**
+   * Encrypt a value, keeping its JSON type for `decrypt()`
+   */
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(
+      'aes-256-gcm',
+      Buffer.from(config.privacy.encryptionKey, 'base64'),
+      iv
+    );
+    const ciphertext = Buffer.concat([
+      cipher.update(JSON.stringify(value), 'utf8'),
+      cipher.final(),
+    ]);
+
+    return [
+      `${ENCRYPTED_PREFIX}${config.privacy.encryptionKeyId}`,
+      iv.toString('base64'),
+      cipher.getAuthTag().toString('base64'),
+      ciphertext.toString('base64'),
+    ].join(':');
+  }
+
+  /**
+   * Original value of an `encrypt` result
+   * @param {string} value - `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>`
+   * @returns {*} Decrypted value
+   */
+  decrypt(value) {
+    const text = String(value);
+    const [keyId, iv, tag, ciphertext] = text.slice(ENCRYPTED_PREFIX.length).split(':');
+
+    if (!text.startsWith(ENCRYPTED_PREFIX) || ciphertext === undefined) {
+      throw new Error('Value was not encrypted by the privacy policy');
+    }
+
+    if (keyId !== config.privacy.encryptionKeyId) {
+      throw new Error(
+        `Value was encrypted with key ${keyId}, not ${config.privacy.encryptionKeyId}`
+      );
+    }
+
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      Buffer.from(config.privacy.encryptionKey, 'base64'),
+      Buffer.from(iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, 'base64')),
+      decipher.final(),
+    ]);
+    return JSON.parse(plaintext.toString('utf8'));
+  }
+
+  /**
+   * Kafka record to republish in place of `record`, holding its event with the policy applied
+   *
+   * Covered events are re-encoded as structured JSON, since binary-mode headers and Avro or
+   * Protobuf values can't hold the protected fields. Other records are returned unchanged.
+   * @param {Object} record - Kafka message holding one event (see src/consumer/codec.js)
+   * @param {Object|null} event - Its decoded event, even if incomplete
+   */
+  protectRecord(record, event) {
+    if (!event || !this.appliesTo(event)) {
+      return record;
+    }
+
+    return encodeStructured(record, this.apply(event));
+  }
+}
+
+// Export singleton instance
+module.exports = new PrivacyPolicy();
@@ -0,0 +1,103 @@
+/**
+ * Schema Registry Clients
+ *
+ * Resolve Confluent schema ids to schema definitions. A registry client is any object with
+ * `getSchema(id)` resolving to `{ schemaType, schema }`, the shape returned by the Confluent
+ * `GET /schemas/ids/{id}` endpoint (`schemaType` is `AVRO` when omitted).
+ *
+ * - FileSchemaRegistry - reads `<dir>/<id>.json` files in that shape (tests, air-gapped setups)
+ * - HttpSchemaRegistry - queries a Confluent-compatible registry over HTTP
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Normalise a registry response
+ */
+function toSchemaDefinition(id, body) {
+  if (!body || typeof body.schema !== 'string') {
+    throw new Error(`Schema ${id} has no schema definition`);
+  }
+
+  return { schemaType: body.schemaType || 'AVRO', schema: body.schema };
+}
+
+/**
+ * File-based schema registry
+ */
+class FileSchemaRegistry {
+  /**
+   * @param {string} dir - Directory holding `<id>.json` schema files
+   */
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  /**
+   * @param {number} id - Schema id
+   * @returns {Promise<Object>} `{ schemaType, schema }`
+   */
+  async getSchema(id) {
+    let contents;
+
+    try {
+      contents = await fs.readFile(path.join(this.dir, `${id}.json`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Schema ${id} not found in ${this.dir}`);
+      }
+      throw error;
+    }
+
+    return toSchemaDefinition(id, JSON.parse(contents));
+  }
+}
+
+/**
+ * Confluent-compatible HTTP schema registry
+ */
+class HttpSchemaRegistry {
+  /**
+   * @param {string} url - Registry base URL
+   */
+  constructor(url) {
+    this.url = url.replace(/\/+$/, '');
+  }
+
+  /**
+   * @param {number} id - Schema id
+   * @returns {Promise<Object>} `{ schemaType, schema }`
+   */
+  async getSchema(id) {
+    const response = await fetch(`${this.url}/schemas/ids/${id}`, {
+      headers: { Accept: 'application/vnd.schemaregistry.v1+json' },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Schema registry returned ${response.status} for schema ${id}`);
+    }
+
+    return toSchemaDefinition(id, await response.json());
+  }
+}
+
+/**
+ * Create the registry client selected by `config.schemaRegistry.type`
+ */
+function createSchemaRegistry() {
+  const { type, url, dir } = config.schemaRegistry;
+
+  if (type === 'http') {
+    return new HttpSchemaRegistry(url);
+  }
+
+  return new FileSchemaRegistry(dir);
+}
+
+module.exports = {
+  FileSchemaRegistry,
+  HttpSchemaRegistry,
+  createSchemaRegistry,
+};
@@ -0,0 +1,537 @@
+/**
+ * Disk Spool
+ *
+ * Bounded write-ahead spool for events that can't be written to MongoDB. The consumer
+ * appends a chunk here when its write fails (for example while the circuit breaker is OPEN)
+ * and then commits the chunk's offsets, so a MongoDB outage neither stalls the partitions
+ * nor floods the DLQ. A drainer replays spooled chunks into the MongoDB writer once the
+ * breaker lets writes through again.
+ *
+ * On disk the spool is a directory of append-only segment files (`segment-<seq>.log`).
+ * Each record is one chunk:
+ *
+ *   [ length: uint32 BE ][ crc32: uint32 BE ][ BSON { spooledAt, items } ]
+ *
+ * Appends are fsynced before they are acknowledged. `cursor.json` holds the position of
+ * the next record to drain and is replaced atomically after each drained record. On
+ * startup the segments are scanned and anything after the last intact record (a write torn
+ * by a crash) is truncated. A record drained just before a crash may be replayed again,
+ * which the idempotent writes turn into duplicates.
+ *
+ * A record that fails its checksum when it is drained (the file was damaged after startup)
+ * is logged and skipped so the records behind it still drain; its events are lost.
+ *
+ * Limits: appends that would grow the spool past `config.spool.maxBytes` are refused, and
+ * records older than `config.spool.maxAge` are handed to the `onExpired` callback (the
+ * consumer sends them to the DLQ) instead of waiting for MongoDB any longer.
+ *
+ * Emits `append` { records, count, bytes }, `drain` { count, inserted, duplicates, failed },
+ * `expire` { count }, `full` { count } and `corrupt` { count } for metrics.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { BSON } = require('mongodb');
+const config = require('../config');
+const { parseDuration } = require('../config/duration');
+const mongoWriter = require('../database/mongoWriter');
+const log = require('../logging/logger').child({ component: 'Disk Spool' });
+
+const HEADER_BYTES = 8;
+const SEGMENT_PATTERN = /^segment-(\d+)\.log$/;
+const CURSOR_FILE = 'cursor.json';
+
+/**
+ * Segment file name for a sequence number
+ */
+function segmentName(seq) {
+  return `segment-${String(seq).padStart(12, '0')}.log`;
+}
+
+/**
+ * Frame a chunk of items as one record
+ * @returns {Object} `{ buffer, count }`
+ */
+function encodeRecord(items, spooledAt) {
+  const payload = BSON.serialize({ spooledAt, items });
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.writeUInt32BE(payload.length, 0);
+  header.writeUInt32BE(zlib.crc32(payload), 4);
+  return { buffer: Buffer.concat([header, payload]), count: items.length };
+}
+
+/**
+ * Frame items as records, splitting chunks too large for a single BSON document
+ */
+function encodeRecords(items, spooledAt) {
+  try {
+    return [encodeRecord(items, spooledAt)];
+  } catch (error) {
+    if (items.length === 1) {
+      throw error;
+    }
+
+    const middle = Math.ceil(items.length / 2);
+    return [
+      ...encodeRecords(items.slice(0, middle), spooledAt),
+      ...encodeRecords(items.slice(middle), spooledAt),
+    ];
+  }
+}
+
+/**
+ * Decode the record at an offset of a segment buffer
+ * @returns {Object|null} `{ spooledAt, items, bytes }`, or null if the record is torn or
+ *   corrupt
+ */
+function decodeRecord(buffer, offset) {
+  if (offset + HEADER_BYTES > buffer.length) {
+    return null;
+  }
+
+  const length = buffer.readUInt32BE(offset);
+  const checksum = buffer.readUInt32BE(offset + 4);
+  const start = offset + HEADER_BYTES;
+
+  if (start + length > buffer.length) {
+    return null;
+  }
+
+  const payload = buffer.subarray(start, start + length);
+  if (zlib.crc32(payload) !== checksum) {
+    return null;
+  }
+
+  const { spooledAt, items } = BSON.deserialize(payload, { promoteBuffers: true });
+  return { spooledAt, items, bytes: HEADER_BYTES + length };
+}
+
+/**
+ * Disk Spool Class
+ */
+class DiskSpool extends EventEmitter {
+  constructor() {
+    super();
+    this.dir = null;
+
+    // Pending records in drain order: `{ seq, offset, bytes, count, spooledAt }`
+    this.records = [];
+    this.bytes = 0;
+
+    // Segment currently appended to
+    this.activeSeq = 0;
+    this.activeHandle = null;
+    this.activeBytes = 0;
+
+    // Appends and segment rotation run one at a time
+    this.lock = Promise.resolve();
+    this.draining = null;
+    this.drainTimer = null;
+    this.handlers = null;
+
+    // Start replaying as soon as the breaker closes rather than on the next tick
+    this.onCircuitStateChange = ({ state }) => {
+      if (state === 'CLOSED') {
+        this.drain();
+      }
+    };
+
+    this.metrics = {
+      appendedEvents: 0,
+      drainedEvents: 0,
+      expiredEvents: 0,
+      refusedEvents: 0,
+      corruptEvents: 0,
+      truncatedBytes: 0,
+    };
+  }
+
+  /**
+   * Recover spooled records left by a previous run
+   */
+  async initialize() {
+    this.dir = path.resolve(config.spool.dir);
+    await fs.promises.mkdir(this.dir, { recursive: true });
+
+    const cursor = await this.readCursor();
+    const segments = (await fs.promises.readdir(this.dir))
+      .map((name) => SEGMENT_PATTERN.exec(name))
+      .filter(Boolean)
+      .map((match) => Number(match[1]))
+      .sort((a, b) => a - b);
+
+    this.records = [];
+    this.bytes = 0;
+
+    for (const seq of segments) {
+      const file = path.join(this.dir, segmentName(seq));
+
+      // Segments before the cursor were drained before the previous run stopped
+      if (seq < cursor.seq) {
+        await fs.promises.unlink(file);
+        continue;
+      }
+
+      const buffer = await fs.promises.readFile(file);
+      let offset = 0;
+
+      for (;;) {
+        const record = decodeRecord(buffer, offset);
+        if (!record) {
+          break;
+        }
+
+        if (seq > cursor.seq || offset >= cursor.offset) {
+          this.records.push({
+            seq,
+            offset,
+            bytes: record.bytes,
+            count: record.items.length,
+            spooledAt: record.spooledAt.getTime(),
+          });
+          this.bytes += record.bytes;
+        }
+        offset += record.bytes;
+      }
+
+      if (offset < buffer.length) {
+        log.warn('Truncating bytes after the last intact record', {
+          segment: segmentName(seq),
+          bytes: buffer.length - offset,
+        });
+        this.metrics.truncatedBytes += buffer.length - offset;
+        await fs.promises.truncate(file, offset);
+      }
+    }
+
+    // New appends always start a fresh segment
+    this.activeSeq = segments.length > 0 ? segments[segments.length - 1] + 1 : cursor.seq;
+    this.activeHandle = null;
+    this.activeBytes = 0;
+
+    if (this.records.length > 0) {
+      log.info('Recovered spooled events', {
+        events: this.getEventCount(),
+        records: this.records.length,
+        bytes: this.bytes,
+      });
+    }
+  }
+
+  /**
+   * Start draining into MongoDB
+   * @param {Object} handlers - `onRejected(item, reason)` for events MongoDB rejects and
+   *   `onExpired(item)` for events past the age limit; both receive spooled items
+   *   `{ event, topic, partition, record }`
+   */
+  start(handlers) {
+    this.handlers = handlers;
+
+    this.drainTimer = setInterval(() => this.drain(), config.spool.drainIntervalMs);
+    this.drainTimer.unref();
+
+    mongoWriter.on('circuitStateChange', this.onCircuitStateChange);
+    this.drain();
+  }
+
+  /**
+   * Run a function once the previous locked operation has finished
+   */
+  withLock(fn) {
+    const result = this.lock.then(fn);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Durably append a chunk of items
+   * @param {Array<Object>} items - `{ event, topic, partition, record }` items, where
+   *   `record` is the Kafka `{ key, value, headers }` to dead-letter if the event expires
+   * @returns {Promise<boolean>} Whether the items were spooled; false if the spool is full
+   */
+  append(items) {
+    return this.withLock(() => this.appendRecords(items));
+  }
+
+  /**
+   * Write records to the active segment and fsync them
+   */
+  async appendRecords(items) {
+    const spooledAt = new Date();
+    const encoded = encodeRecords(items, spooledAt);
+    const bytes = encoded.reduce((total, { buffer }) => total + buffer.length, 0);
+
+    if (this.bytes + bytes > config.spool.maxBytes) {
+      this.metrics.refusedEvents += items.length;
+      this.emit('full', { count: items.length });
+      return false;
+    }
+
+    if (this.activeHandle && this.activeBytes >= config.spool.segmentBytes) {
+      await this.activeHandle.close();
+      this.activeHandle = null;
+      this.activeSeq++;
+      this.activeBytes = 0;
+    }
+
+    if (!this.activeHandle) {
+      this.activeHandle = await fs.promises.open(
+        path.join(this.dir, segmentName(this.activeSeq)),
+        'a'
+      );
+      this.activeBytes = (await this.activeHandle.stat()).size;
+      await this.syncDirectory();
+    }
+
+    let offset = this.activeBytes;
+    await this.activeHandle.write(Buffer.concat(encoded.map(({ buffer }) => buffer)));
+    await this.activeHandle.sync();
+
+    for (const { buffer, count } of encoded) {
+      this.records.push({
+        seq: this.activeSeq,
+        offset,
+        bytes: buffer.length,
+        count,
+        spooledAt: spooledAt.getTime(),
+      });
+      offset += buffer.length;
+    }
+
+    this.activeBytes = offset;
+    this.bytes += bytes;
+    this.metrics.appendedEvents += items.length;
+    this.emit('append', { records: encoded.length, count: items.length, bytes });
+    return true;
+  }
+
+  /**
+   * Expire old records and replay the rest while MongoDB accepts writes
+   *
+   * Only one drain runs at a time. A drain stops at the first record it can't get rid of
+   * (MongoDB or the DLQ unavailable); that record is retried on the next tick.
+   */
+  drain() {
+    if (!this.draining && this.records.length > 0 && this.handlers) {
+      this.draining = this.drainRecords()
+        .catch((error) => {
+          log.error('Drain stopped', { error });
+        })
+        .finally(() => {
+          this.draining = null;
+        });
+    }
+
+    return this.draining || Promise.resolve();
+  }
+
+  async drainRecords() {
+    const maxAgeMs = parseDuration(config.spool.maxAge);
+
+    while (this.records.length > 0 && this.drainTimer) {
+      const record = this.records[0];
+      const expired = Date.now() - record.spooledAt > maxAgeMs;
+
+      // Expired records go to the DLQ whether or not MongoDB is back
+      if (!expired && (!mongoWriter.isConnected || mongoWriter.circuitState === 'OPEN')) {
+        return;
+      }
+
+      const items = await this.readItems(record);
+
+      if (!items) {
+        this.metrics.corruptEvents += record.count;
+        this.emit('corrupt', { count: record.count });
+        log.error('Skipped a corrupt spool record', {
+          segment: segmentName(record.seq),
+          offset: record.offset,
+          count: record.count,
+        });
+      } else if (expired) {
+        for (const item of items) {
+          await this.handlers.onExpired(item);
+        }
+        this.metrics.expiredEvents += items.length;
+        this.emit('expire', { count: items.length });
+        log.warn('Events exceeded the spool age limit', {
+          count: items.length,
+          maxAge: config.spool.maxAge,
+        });
+      } else {
+        await this.replay(items);
+      }
+
+      await this.withLock(() => this.advance());
+    }
+  }
+
+  /**
+   * Write spooled items to MongoDB, handing off the documents it rejects
+   */
+  async replay(items) {
+    const result = await mongoWriter.writeBatch(
+      items.map((item) => item.event),
+      { topics: items.map((item) => item.sourceTopic) }
+    );
+
+    for (const itemResult of result.results) {
+      if (!itemResult.success) {
+        await this.handlers.onRejected(items[itemResult.index], itemResult.error.message);
+      }
+    }
+
+    this.metrics.drainedEvents += items.length;
+    this.emit('drain', {
+      count: items.length,
+      inserted: result.inserted,
+      duplicates: result.duplicates,
+      failed: result.failed,
+    });
+    log.info('Replayed spooled events', {
+      count: items.length,
+      inserted: result.inserted,
+      duplicates: result.duplicates,
+      failed: result.failed,
+    });
+  }
+
+  /**
+   * Read the items of a pending record
+   * @returns {Promise<Object[]|null>} Items, or null if the record fails its checksum
+   */
+  async readItems(record) {
+    const handle = await fs.promises.open(path.join(this.dir, segmentName(record.seq)), 'r');
+
+    try {
+      const buffer = Buffer.alloc(record.bytes);
+      await handle.read(buffer, 0, record.bytes, record.offset);
+
+      const decoded = decodeRecord(buffer, 0);
+      return decoded ? decoded.items : null;
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Move the cursor past the head record and delete segments that are fully drained
+   */
+  async advance() {
+    const [done] = this.records.splice(0, 1);
+    this.bytes -= done.bytes;
+
+    let next = this.records[0];
+
+    if (!next) {
+      // Fully drained: retire the active segment so appends start over in a new one
+      if (this.activeHandle && done.seq === this.activeSeq) {
+        await this.activeHandle.close();
+        this.activeHandle = null;
+        this.activeSeq++;
+        this.activeBytes = 0;
+      }
+
+      next = { seq: this.activeSeq, offset: this.activeBytes };
+    }
+
+    await this.writeCursor({ seq: next.seq, offset: next.offset });
+
+    if (next.seq !== done.seq) {
+      await fs.promises.rm(path.join(this.dir, segmentName(done.seq)), { force: true });
+    }
+  }
+
+  /**
+   * Position of the next record to drain, `{ seq, offset }`
+   */
+  async readCursor() {
+    try {
+      const cursor = JSON.parse(await fs.promises.readFile(path.join(this.dir, CURSOR_FILE)));
+      if (Number.isInteger(cursor.seq) && Number.isInteger(cursor.offset)) {
+        return cursor;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        log.warn('Ignoring unreadable cursor', { error });
+      }
+    }
+
+    return { seq: 0, offset: 0 };
+  }
+
+  /**
+   * Replace the cursor file atomically
+   */
+  async writeCursor(cursor) {
+    const file = path.join(this.dir, CURSOR_FILE);
+    const temporary = `${file}.tmp`;
+
+    await fs.promises.writeFile(temporary, JSON.stringify(cursor));
+    const handle = await fs.promises.open(temporary, 'r+');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(temporary, file);
+  }
+
+  /**
+   * Persist a new directory entry (a created segment)
+   */
+  async syncDirectory() {
+    const handle = await fs.promises.open(this.dir, 'r');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  /**
+   * Number of spooled events waiting to be drained
+   */
+  getEventCount() {
+    return this.records.reduce((total, record) => total + record.count, 0);
+  }
+
+  /**
+   * Get spool metrics
+   */
+  getMetrics() {
+    return {
+      ...this.metrics,
+      pendingEvents: this.getEventCount(),
+      pendingRecords: this.records.length,
+      pendingBytes: this.bytes,
+      maxBytes: config.spool.maxBytes,
+      oldestAgeMs: this.records.length > 0 ? Date.now() - this.records[0].spooledAt : null,
+    };
+  }
+
+  /**
+   * Stop draining and close the active segment
+   */
+  async stop() {
+    if (this.drainTimer) {
+      clearInterval(this.drainTimer);
+      this.drainTimer = null;
+    }
+
+    mongoWriter.off('circuitStateChange', this.onCircuitStateChange);
+
+    // drainRecords stops after its current record once the timer is gone
+    await this.draining;
+    await this.lock;
+
+    if (this.activeHandle) {
+      await this.activeHandle.close();
+      this.activeHandle = null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new DiskSpool();
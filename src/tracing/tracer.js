@@ -0,0 +1,260 @@
+/**
+ * Tracing
+ *
+ * OpenTelemetry spans for the consumer, continuing the trace the producer started:
+ * - `process <topic>` (consumer) per Kafka message, a child of the producer's span from the
+ *   W3C `traceparent`/`tracestate` headers, or `ce_traceparent`/`ce_tracestate` (the
+ *   CloudEvents distributed-tracing extension in binary mode). Without those headers, a
+ *   message holding one event continues the trace of the event's `traceparent` attribute
+ *   (structured mode). Other traces carried by events, as in batched mode, become links. The
+ *   span ends when the message is completed, so it covers the MongoDB write.
+ * - `parse` per message
+ * - `mongodb write` per chunk of events written together, linked to their message spans
+ * - `send <topic>` (producer) per DLQ or retry-topic publish. Its context replaces the
+ *   `traceparent` header of the published message, so a replay continues the same trace.
+ *
+ * Stored events get `_trace: { traceId, spanId }` from their message span.
+ *
+ * Exporters (`config.tracing.exporter`): `otlp` (OTLP over HTTP), `console`, or `memory`,
+ * which keeps finished spans in `tracing.exporter` for tests. `initialize()` also accepts any
+ * SpanExporter. While tracing is disabled spans are no-ops and messages are left untouched.
+ */
+
+const {
+  ROOT_CONTEXT,
+  SpanStatusCode,
+  defaultTextMapGetter,
+  defaultTextMapSetter,
+  trace,
+} = require('@opentelemetry/api');
+const { W3CTraceContextPropagator } = require('@opentelemetry/core');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const {
+  BasicTracerProvider,
+  BatchSpanProcessor,
+  ConsoleSpanExporter,
+  InMemorySpanExporter,
+  ParentBasedSampler,
+  SimpleSpanProcessor,
+  TraceIdRatioBasedSampler,
+} = require('@opentelemetry/sdk-trace-base');
+const config = require('../config');
+const { getHeader } = require('../consumer/headers');
+const log = require('../logging/logger').child({ component: 'Tracing' });
+
+const TRACER_NAME = 'events-consumer-service';
+
+const propagator = new W3CTraceContextPropagator();
+
+/**
+ * Reads trace context from Kafka headers, falling back to the CloudEvents binary-mode names
+ */
+const headerGetter = {
+  keys: (message) => Object.keys(message.headers || {}),
+  get: (message, key) => getHeader(message, key) ?? getHeader(message, `ce_${key}`),
+};
+
+/**
+ * Tracing Class
+ */
+class Tracing {
+  constructor() {
+    this.provider = null;
+    this.exporter = null;
+    this.tracer = trace.getTracer(TRACER_NAME);
+  }
+
+  /**
+   * Start exporting spans, if tracing is enabled
+   * @param {SpanExporter} [exporter] - Exporter to use instead of the configured one
+   */
+  initialize(exporter) {
+    if (!config.tracing.enabled || this.provider) {
+      return;
+    }
+
+    this.exporter = exporter || this.createExporter();
+
+    // Tests want each span as soon as it ends; real exporters send in batches
+    const processor =
+      this.exporter instanceof InMemorySpanExporter
+        ? new SimpleSpanProcessor(this.exporter)
+        : new BatchSpanProcessor(this.exporter);
+
+    this.provider = new BasicTracerProvider({
+      resource: resourceFromAttributes({ 'service.name': config.tracing.serviceName }),
+      sampler: new ParentBasedSampler({
+        root: new TraceIdRatioBasedSampler(config.tracing.sampleRatio),
+      }),
+      spanProcessors: [processor],
+    });
+    this.tracer = this.provider.getTracer(TRACER_NAME);
+
+    log.info('Tracing enabled', {
+      exporter: config.tracing.exporter,
+      sampleRatio: config.tracing.sampleRatio,
+    });
+  }
+
+  /**
+   * Exporter named by `config.tracing.exporter`
+   */
+  createExporter() {
+    switch (config.tracing.exporter) {
+      case 'console':
+        return new ConsoleSpanExporter();
+      case 'memory':
+        return new InMemorySpanExporter();
+      default:
+        return new OTLPTraceExporter(
+          config.tracing.otlpEndpoint ? { url: config.tracing.otlpEndpoint } : {}
+        );
+    }
+  }
+
+  /**
+   * Whether spans are recorded and exported
+   */
+  isEnabled() {
+    return this.provider !== null;
+  }
+
+  /**
+   * Start a span
+   * @param {string} name - Span name
+   * @param {Object} [options] - `{ kind, attributes, links }`
+   * @param {Span} [parent] - Parent span; a root span when omitted
+   */
+  startSpan(name, options = {}, parent = null) {
+    const parentContext = parent ? trace.setSpan(ROOT_CONTEXT, parent) : ROOT_CONTEXT;
+    return this.tracer.startSpan(name, options, parentContext);
+  }
+
+  /**
+   * Start the span of a consumed Kafka message, continuing the producer's trace
+   * @param {string} name - Span name
+   * @param {Object} message - Kafka message
+   * @param {Array<Object>} events - Valid CloudEvents decoded from the message
+   * @param {Object} [options] - `{ kind, attributes, startTime }`
+   * @param {boolean} [single] - Whether the message holds exactly one event
+   */
+  startMessageSpan(name, message, events, options = {}, single = false) {
+    if (!this.isEnabled()) {
+      return this.tracer.startSpan(name, options, ROOT_CONTEXT);
+    }
+
+    const eventContexts = events
+      .map((event) => ({ event, context: this.extractEventContext(event) }))
+      .filter(({ context }) => context);
+
+    let parentContext = propagator.extract(ROOT_CONTEXT, message, headerGetter);
+    if (!trace.getSpanContext(parentContext) && single && eventContexts.length === 1) {
+      parentContext = trace.setSpanContext(ROOT_CONTEXT, eventContexts[0].context);
+    }
+
+    const parentTraceId = trace.getSpanContext(parentContext)?.traceId;
+    const links = eventContexts
+      .filter(({ context }) => context.traceId !== parentTraceId)
+      .map(({ event, context }) => ({ context, attributes: { 'cloudevents.event_id': event.id } }));
+
+    return this.tracer.startSpan(name, { ...options, links }, parentContext);
+  }
+
+  /**
+   * Span context from an event's distributed-tracing attributes, if it has valid ones
+   */
+  extractEventContext(event) {
+    if (typeof event.traceparent !== 'string') {
+      return undefined;
+    }
+
+    return trace.getSpanContext(
+      propagator.extract(
+        ROOT_CONTEXT,
+        { traceparent: event.traceparent, tracestate: event.tracestate },
+        defaultTextMapGetter
+      )
+    );
+  }
+
+  /**
+   * Run `fn` in a span that ends when it settles, recording a thrown error
+   * @param {string} name - Span name
+   * @param {Object} options - `{ kind, attributes, links }`
+   * @param {Span|null} parent - Parent span
+   * @param {Function} fn - Receives the span
+   */
+  async run(name, options, parent, fn) {
+    const span = this.startSpan(name, options, parent);
+
+    try {
+      return await fn(span);
+    } catch (error) {
+      this.recordError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Mark a span as failed
+   * @param {Span} span - Span
+   * @param {Error|string} error - Error, or a failure reason
+   */
+  recordError(span, error) {
+    if (error instanceof Error) {
+      span.recordException(error);
+    }
+    span.setStatus({
+      code: SpanStatusCode.ERROR,
+      message: error instanceof Error ? error.message : String(error),
+    });
+  }
+
+  /**
+   * Headers of a message to publish, with `span` as its trace context
+   * @param {Span} span - Producer span
+   * @param {Object} headers - Kafka headers
+   */
+  injectHeaders(span, headers) {
+    if (!this.isEnabled()) {
+      return headers;
+    }
+
+    const carrier = { ...headers };
+    delete carrier.tracestate;
+    propagator.inject(trace.setSpan(ROOT_CONTEXT, span), carrier, defaultTextMapSetter);
+    return carrier;
+  }
+
+  /**
+   * `{ traceId, spanId }` to store with an event, or null when not tracing
+   * @param {Span} [span] - Message span
+   */
+  getTraceFields(span) {
+    if (!this.isEnabled() || !span) {
+      return null;
+    }
+
+    const { traceId, spanId } = span.spanContext();
+    return { traceId, spanId };
+  }
+
+  /**
+   * Export the remaining spans and stop
+   */
+  async shutdown() {
+    if (!this.provider) {
+      return;
+    }
+
+    await this.provider.shutdown();
+    this.provider = null;
+    this.tracer = trace.getTracer(TRACER_NAME);
+  }
+}
+
+// Export singleton instance
+module.exports = new Tracing();
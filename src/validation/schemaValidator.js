@@ -0,0 +1,163 @@
+/**
+ * Schema Validator
+ *
+ * Validates CloudEvents before they are written to MongoDB:
+ * - Envelope: required attributes, `specversion` 1.0 and RFC 3339 `time`
+ * - Payload: `data` against a JSON Schema loaded from `config.validation.schemaDir`
+ *
+ * Schemas are looked up by the event's `dataschema` (matched against the schema `$id`) and
+ * then by `type` (the schema file name without `.json`, e.g. `com.example.order.created.json`).
+ *
+ * Each event type is handled in one of three modes:
+ * - `reject`   - send the event to the DLQ
+ * - `annotate` - store the event with a `_validation` sub-document describing the errors
+ * - `warn`     - log the errors and store the event unchanged
+ *
+ * Modes are configured per type, with a per-topic mode as the fallback for types that have
+ * none.
+ *
+ * Emits `validationFailed` with `{ type, mode, topic }` for every invalid event.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const config = require('../config');
+const log = require('../logging/logger').child({ component: 'Schema Validator' });
+
+/**
+ * CloudEvents 1.0 envelope (structured mode)
+ */
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['specversion', 'id', 'source', 'type', 'time'],
+  properties: {
+    specversion: { const: '1.0' },
+    id: { type: 'string', minLength: 1 },
+    source: { type: 'string', minLength: 1 },
+    type: { type: 'string', minLength: 1 },
+    time: { type: 'string', format: 'date-time' },
+    subject: { type: 'string', minLength: 1 },
+    datacontenttype: { type: 'string', minLength: 1 },
+    dataschema: { type: 'string', format: 'uri' },
+  },
+};
+
+/**
+ * Schema Validator Class
+ */
+class SchemaValidator extends EventEmitter {
+  constructor() {
+    super();
+    this.ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(this.ajv);
+
+    this.validateEnvelope = this.ajv.compile(ENVELOPE_SCHEMA);
+    this.schemasByType = new Map();
+    this.schemasById = new Map();
+  }
+
+  /**
+   * Load payload schemas from the schema directory
+   */
+  initialize() {
+    if (!config.validation.enabled) {
+      return;
+    }
+
+    const { schemaDir } = config.validation;
+
+    if (!fs.existsSync(schemaDir)) {
+      log.warn('Schema directory not found, validating envelopes only', { schemaDir });
+      return;
+    }
+
+    for (const file of fs.readdirSync(schemaDir).filter((name) => name.endsWith('.json'))) {
+      const schema = JSON.parse(fs.readFileSync(path.join(schemaDir, file), 'utf8'));
+      const validate = this.ajv.compile(schema);
+
+      this.schemasByType.set(path.basename(file, '.json'), validate);
+      if (schema.$id) {
+        this.schemasById.set(schema.$id, validate);
+      }
+    }
+
+    log.info('Loaded schemas', { count: this.schemasByType.size, schemaDir });
+  }
+
+  /**
+   * Validation mode for an event type
+   *
+   * Exact matches in `config.validation.modes` win over `prefix*` patterns, which win over
+   * the mode of the source topic, which wins over the default mode.
+   * @param {string} type - CloudEvent type
+   * @param {string} [topic] - Topic the event was consumed from
+   * @returns {string} 'reject', 'annotate' or 'warn'
+   */
+  getMode(type, topic) {
+    const { modes } = config.validation;
+    const defaultMode =
+      (topic && config.kafka.topicOverrides.validationModes[topic]) ||
+      config.validation.defaultMode;
+
+    if (modes[type]) {
+      return modes[type];
+    }
+
+    const pattern = Object.keys(modes)
+      .filter((key) => key.endsWith('*') && type.startsWith(key.slice(0, -1)))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return pattern ? modes[pattern] : defaultMode;
+  }
+
+  /**
+   * Validate an event
+   * @param {Object} event - Parsed CloudEvent
+   * @param {string} [topic] - Topic the event was consumed from
+   * @returns {Object} `{ valid, mode, errors }`; `errors` are `{ path, message }` entries
+   */
+  validate(event, topic) {
+    if (!config.validation.enabled) {
+      return { valid: true, errors: [] };
+    }
+
+    const errors = [];
+
+    if (!this.validateEnvelope(event)) {
+      errors.push(...this.formatErrors(this.validateEnvelope.errors, ''));
+    }
+
+    const validateData =
+      (event.dataschema && this.schemasById.get(event.dataschema)) ||
+      this.schemasByType.get(event.type);
+
+    if (validateData && !validateData(event.data)) {
+      errors.push(...this.formatErrors(validateData.errors, '/data'));
+    }
+
+    if (errors.length === 0) {
+      return { valid: true, errors };
+    }
+
+    const mode = this.getMode(String(event.type), topic);
+    this.emit('validationFailed', { type: event.type, mode, topic });
+
+    return { valid: false, mode, errors };
+  }
+
+  /**
+   * Flatten Ajv errors into `{ path, message }` entries
+   */
+  formatErrors(ajvErrors, prefix) {
+    return (ajvErrors || []).map((error) => ({
+      path: `${prefix}${error.instancePath}` || '/',
+      message: error.message,
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new SchemaValidator();